@@ -117,7 +117,13 @@ function makeAdditionalIonRow(definition) {
   return row;
 }
 
-function addAdditionalIon(definition = {}) {
+/**
+ * Append one additional-ion row.
+ *
+ * `options.silent` skips focusing the new row and the recompute, for
+ * callers that add several rows at once and recompute afterwards.
+ */
+function addAdditionalIon(definition = {}, options = {}) {
   const list = el("additional-ions-list");
   if (!list) return null;
 
@@ -134,6 +140,7 @@ function addAdditionalIon(definition = {}) {
   list.appendChild(row);
   wireAdditionalIonRow(row);
   updateAdditionalIonEmptyState();
+  if (options.silent) return row;
   const valueEl = row.querySelector(".additional-ion-value");
   if (valueEl) valueEl.focus();
   computeAll();
@@ -148,6 +155,25 @@ function clearAdditionalIons() {
   updateAdditionalIonEmptyState();
 }
 
+/**
+ * Snapshot every additional-ion row as entered, including rows with a
+ * blank concentration, in the shape `addAdditionalIon()` accepts.
+ */
+function getAdditionalIonDefinitions() {
+  return Array.from(document.querySelectorAll(".additional-ion-row")).map((row) => {
+    const nameEl = row.querySelector(".additional-ion-name");
+    const kindEl = row.querySelector(".additional-ion-kind");
+    const chargeEl = row.querySelector(".additional-ion-charge");
+    const valueEl = row.querySelector(".additional-ion-value");
+    return {
+      name: nameEl ? nameEl.value : "",
+      kind: kindEl ? kindEl.value : "anion",
+      charge: Math.max(1, parseInt(chargeEl ? chargeEl.value : "1", 10) || 1),
+      value: parseFloat(valueEl ? valueEl.value : ""),
+    };
+  });
+}
+
 function getAdditionalIonSegments() {
   const rows = Array.from(document.querySelectorAll(".additional-ion-row"));
   const cations = [];
@@ -0,0 +1,487 @@
+/**
+ * batch.js — CSV import and batch analysis of many panels.
+ *
+ * One CSV row per sample.  Headers are matched case-insensitively
+ * against `BATCH_FIELDS` aliases; a unit may be given in the header
+ * ("Mg (mg/dL)", "pCO2 [kPa]") or per row in a `<field>_unit` column.
+ * Conversions go through `displayToSI()` in units.js.  Extra ions use
+ * `anion:<name>` / `cation:<name>` headers, optionally with a charge
+ * (`anion:Sulfate:2`), values in mmol/L.  A non-empty HCO₃ column is
+ * used as a measured (BMP) bicarbonate for that row.  A temperature
+ * column (°C or °F) is evaluated with the panel's temperature strategy.
+ * Every row takes the panel's sample type and venous conversion.
+ * A total-Ca column is used to estimate iCa for rows without an iCa.
+ *
+ * Every row goes through the same `computeStewart()` engine as the
+ * panel and is flagged against `RESULT_RANGES`; the plausibility
+ * checks, when loaded, add to the row's issues.  Parsing and analysis
+ * are DOM-free; `renderBatchResults()` draws the table.
+ *
+ * Depends on: helpers.js (el), units.js (displayToSI, KPA_TO_MMHG),
+ *             physiology.js (SAMPLE_TYPES),
+ *             stewart.js (computeStewart), compute.js (RESULT_RANGES);
+ *             plausibility.js (checkPlausibility) when loaded
+ */
+
+"use strict";
+
+/**
+ * Recognised columns.  `units` lists the accepted units, first being
+ * the default; `id` is the units.js ion ID for mg/dL conversion.
+ */
+const BATCH_FIELDS = [
+  { key: "Na",          id: "na",   label: "Na⁺",   units: ["si"],               aliases: ["na", "sodium"] },
+  { key: "K",           id: "k",    label: "K⁺",    units: ["si"],               aliases: ["k", "potassium"] },
+  { key: "iCa",         id: "ica",  label: "iCa²⁺", units: ["si", "mgdl"],       aliases: ["ica", "ionizedcalcium", "ionisedcalcium", "cai", "ca2"] },
+  { key: "caTotal",     id: "tca",  label: "Ca total", units: ["si", "mgdl"],    aliases: ["ca", "calcium", "totalcalcium", "catotal", "tca"] },
+  { key: "MgTotal",     id: "mg",   label: "Mg",    units: ["si", "mgdl"],       aliases: ["mg", "magnesium", "mgtotal", "totalmg"] },
+  { key: "Cl",          id: "cl",   label: "Cl⁻",   units: ["si"],               aliases: ["cl", "chloride"] },
+  { key: "Lac",         id: "lac",  label: "Lactate", units: ["si", "mgdl"],     aliases: ["lac", "lactate"] },
+  { key: "Alb",         id: "alb",  label: "Albumin", units: ["gdl", "gl"],      aliases: ["alb", "albumin"] },
+  { key: "Phos",        id: "phos", label: "Phosphate", units: ["si", "mgdl"],   aliases: ["phos", "phosphate", "po4", "pi", "phosphorus"] },
+  { key: "pH",          id: "ph",   label: "pH",    units: ["ph"],               aliases: ["ph"] },
+  { key: "pCO2",        id: "pco2", label: "pCO₂",  units: ["mmhg", "kpa"],      aliases: ["pco2", "paco2", "pvco2"] },
+  { key: "HCO3",        id: "hco3", label: "HCO₃⁻", units: ["si"],               aliases: ["hco3", "bicarbonate", "bicarb"] },
+  { key: "Hb",          id: "hb",   label: "Hb",    units: ["gdl", "gl"],        aliases: ["hb", "hemoglobin", "haemoglobin", "hgb"] },
+  { key: "measuredSBE", id: "sbe",  label: "SBE",   units: ["si"],               aliases: ["sbe", "be", "baseexcess"] },
+  { key: "tempC",       id: "temp", label: "Temp",  units: ["c", "f"],           aliases: ["temp", "temperature", "tempc", "patienttemp", "patienttemperature"] },
+];
+
+/** Header aliases for the sample identifier column. */
+const BATCH_ID_ALIASES = ["id", "sample", "sampleid", "patient", "patientid", "label", "name"];
+
+/** Columns a row needs for a meaningful SIG. */
+const BATCH_REQUIRED = ["Na", "Cl"];
+
+/**
+ * Terms of SIDa and SIDe that `computeStewart()` counts as 0 when
+ * blank.  A row missing one is listed with an issue and not flagged;
+ * calcium is present when either iCa or total Ca is.
+ */
+const BATCH_ZERO_IF_MISSING = [
+  { keys: ["K"],              label: "K⁺",        term: "K⁺" },
+  { keys: ["iCa", "caTotal"], label: "Calcium",   term: "iCa²⁺" },
+  { keys: ["MgTotal"],        label: "Mg",        term: "iMg²⁺" },
+  { keys: ["Lac"],            label: "Lactate",   term: "lactate" },
+  { keys: ["Alb"],            label: "Albumin",   term: "Alb⁻" },
+  { keys: ["Phos"],           label: "Phosphate", term: "Phos⁻" },
+];
+
+/** Result columns flagged against `RESULT_RANGES`. */
+const BATCH_RESULT_FIELDS = [
+  { key: "sidA", label: "SIDa", rangeId: "res-sida" },
+  { key: "sidE", label: "SIDe", rangeId: "res-side" },
+  { key: "sig",  label: "SIG",  rangeId: "res-sig" },
+  { key: "ag",   label: "AG",   rangeId: "res-ag" },
+];
+
+/** Spelling variants → canonical unit names used in `BATCH_FIELDS`. */
+const BATCH_UNIT_ALIASES = {
+  si: "si", mmoll: "si", mmol: "si", meql: "si", meq: "si",
+  mgdl: "mgdl", mg: "mgdl",
+  gdl: "gdl", gl: "gl",
+  mmhg: "mmhg", torr: "mmhg", kpa: "kpa",
+  c: "c", degc: "c", celsius: "c", f: "f", degf: "f", fahrenheit: "f",
+};
+
+const BATCH_TEMPLATE_CSV =
+  "id,Na,K,iCa,Mg,Cl,Lactate,Albumin,Phosphate,pH,pCO2,HCO3,Hb,anion:Ketones\n" +
+  "example-1,140,4.0,1.20,0.75,104,1.0,4.2,1.0,7.40,40,,13.5,\n" +
+  "example-2,132,5.5,1.10,0.90,96,2.0,4.0,1.6,7.10,20,,12,3.5\n";
+
+let _lastBatch = null;
+
+/* ─────────────────────────────────────────────────────────────────────
+ *  CSV parsing (no DOM)
+ * ───────────────────────────────────────────────────────────────────── */
+
+/** Pick the delimiter that splits the header line into the most fields. */
+function detectDelimiter(text) {
+  const firstLine = String(text).split(/\r?\n/, 1)[0] || "";
+  return [",", ";", "\t"]
+    .map((d) => ({ d, n: firstLine.split(d).length }))
+    .sort((a, b) => b.n - a.n)[0].d;
+}
+
+/**
+ * Split CSV text into rows of trimmed cells.  Handles quoted fields,
+ * doubled quotes and CRLF; blank lines are dropped.
+ *
+ * @param {string} text
+ * @param {string} [delimiter]  Detected from the header when omitted
+ * @returns {string[][]}
+ */
+function parseCSV(text, delimiter) {
+  const src = String(text || "").replace(/^\uFEFF/, "");
+  const sep = delimiter || detectDelimiter(src);
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === sep) {
+      row.push(cell.trim()); cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(cell.trim()); cell = "";
+      if (row.some((c) => c !== "")) rows.push(row);
+      row = [];
+    } else {
+      cell += ch;
+    }
+  }
+  row.push(cell.trim());
+  if (row.some((c) => c !== "")) rows.push(row);
+  return rows;
+}
+
+/** Lower-case a header or unit and strip everything but letters and digits. */
+function normalizeBatchToken(text) {
+  return String(text || "")
+    .replace(/[₀-₉]/g, (c) => String(c.charCodeAt(0) - 0x2080))
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+}
+
+/**
+ * Classify one header cell.
+ *
+ * @returns {{type:"id"}|{type:"field", field:Object, unit:?string}|
+ *           {type:"unit", field:Object}|{type:"ion", kind:string,
+ *           name:string, charge:number}|{type:"ignored"}}
+ */
+function classifyBatchHeader(header) {
+  const raw = String(header || "").trim();
+  const ion = raw.match(/^(anion|cation)\s*:\s*(.+?)(?:\s*:\s*([123]))?$/i);
+  if (ion) {
+    return {
+      type: "ion",
+      kind: ion[1].toLowerCase(),
+      name: ion[2].trim().slice(0, 32),
+      charge: ion[3] ? parseInt(ion[3], 10) : 1,
+    };
+  }
+
+  const unitMatch = raw.match(/^(.*?)\s*[([]\s*([^)\]]+)\s*[)\]]\s*$/);
+  const base = normalizeBatchToken(unitMatch ? unitMatch[1] : raw);
+  const unit = unitMatch ? BATCH_UNIT_ALIASES[normalizeBatchToken(unitMatch[2])] || "unknown" : null;
+
+  if (BATCH_ID_ALIASES.includes(base)) return { type: "id" };
+  const find = (name) => BATCH_FIELDS.find((f) => f.aliases.includes(name));
+  if (base.endsWith("unit") || base.endsWith("units")) {
+    const field = find(base.replace(/units?$/, ""));
+    if (field) return { type: "unit", field };
+  }
+  const field = find(base);
+  return field ? { type: "field", field, unit } : { type: "ignored" };
+}
+
+/** Parse a numeric cell, accepting a decimal comma. */
+function parseBatchNumber(cell) {
+  const text = String(cell || "").trim().replace(",", ".");
+  if (text === "") return NaN;
+  return /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(text) ? parseFloat(text) : NaN;
+}
+
+/** Convert one value in `unit` to the unit `computeStewart()` expects. */
+function batchValueToSI(field, value, unit) {
+  if (!Number.isFinite(value)) return NaN;
+  switch (unit) {
+    case "mgdl": return displayToSI(field.id, value, "mgdl");
+    case "gl":   return value / 10;           // g/L → g/dL (albumin, Hb)
+    case "kpa":  return value * KPA_TO_MMHG;
+    case "f":    return (value - 32) * 5 / 9;  // °F → °C
+    default:     return value;
+  }
+}
+
+/* ─────────────────────────────────────────────────────────────────────
+ *  Batch analysis (no DOM)
+ * ───────────────────────────────────────────────────────────────────── */
+
+/**
+ * Parse a CSV and run every row through `computeStewart()`.
+ *
+ * @param {string} text    CSV file contents
+ * @param {Object} [ranges=RESULT_RANGES]  Normal ranges for flagging
+ * @param {Object} [options]
+ * @param {string} [options.tempMode="alpha-stat"]  Strategy applied to
+ *                 rows with a temperature column
+ * @param {string} [options.pkModel="fixed"]  Carbonic pK′ model for
+ *                 gas-derived HCO₃⁻
+ * @param {string} [options.weakAcidModel]  Registered weak-acid model id
+ * @param {Object} [options.agVariant]  Anion-gap formula (lab profile)
+ * @param {Object} [options.deltaNormals]  `{ ag, hco3, agMax, hco3Min }` for the delta gap
+ * @param {string} [options.iCaFormula]  `ICA_FORMULAS` key for rows with
+ *                 total Ca but no iCa
+ * @param {string} [options.sampleType]  `SAMPLE_TYPES` key for every row
+ * @param {string} [options.sampleConversion]  Venous → arterial conversion;
+ *                 the file carries no SpO₂, so v-TAC rows keep their
+ *                 measured values and list why as an issue
+ * @returns {{columns:Array, ignored:string[], rows:Array, errors:string[]}}
+ *   Each row: `{ line, id, values, units, inputs, result, flags, issues }`
+ *   where `values` are the parsed numbers as entered, `units` their
+ *   units, and `flags` maps result keys to "low" / "high" (rows
+ *   missing a required input or a `BATCH_ZERO_IF_MISSING` term are
+ *   never flagged).
+ */
+function analyzeBatch(text, ranges, options) {
+  const tempMode = options && options.tempMode === "ph-stat" ? "ph-stat" : "alpha-stat";
+  const pkModel = options && options.pkModel ? options.pkModel : "fixed";
+  const weakAcidModel = options ? options.weakAcidModel : undefined;
+  const agVariant = options ? options.agVariant : undefined;
+  const deltaNormals = options ? options.deltaNormals : undefined;
+  const iCaFormula = options ? options.iCaFormula : undefined;
+  const sampleType = options ? options.sampleType : undefined;
+  const sampleConversion = options ? options.sampleConversion : undefined;
+  const limits = ranges || (typeof RESULT_RANGES !== "undefined" ? RESULT_RANGES : {});
+  const table = parseCSV(text);
+  const out = { columns: [], ignored: [], rows: [], errors: [] };
+  if (table.length < 2) {
+    out.errors.push("The file needs a header row and at least one data row.");
+    return out;
+  }
+
+  const headers = table[0];
+  const columns = headers.map((h, index) => Object.assign({ index, header: h }, classifyBatchHeader(h)));
+  out.columns = columns.filter((c) => c.type !== "ignored");
+  out.ignored = columns.filter((c) => c.type === "ignored" && c.header !== "").map((c) => c.header);
+
+  const unitErrors = [];
+  columns.forEach((c) => {
+    if (c.type === "field" && c.unit && !c.field.units.includes(c.unit)) {
+      unitErrors.push(c.header + ": unsupported unit");
+    }
+  });
+  if (!columns.some((c) => c.type === "field")) {
+    out.errors.push("No recognised columns. Expected headers such as Na, K, Cl, pH, pCO2.");
+    return out;
+  }
+  out.errors.push(...unitErrors);
+
+  const idCol = columns.find((c) => c.type === "id");
+
+  table.slice(1).forEach((cells, r) => {
+    const issues = [];
+    const values = {};
+    const units = {};
+    const si = {};
+
+    BATCH_FIELDS.forEach((field) => {
+      const col = columns.find((c) => c.type === "field" && c.field === field);
+      if (!col) return;
+      const unitCol = columns.find((c) => c.type === "unit" && c.field === field);
+      const rowUnit = unitCol ? BATCH_UNIT_ALIASES[normalizeBatchToken(cells[unitCol.index])] : null;
+      const unit = rowUnit || col.unit || field.units[0];
+      const cell = cells[col.index] || "";
+      const value = parseBatchNumber(cell);
+      if (cell !== "" && !Number.isFinite(value)) issues.push(field.label + ": “" + cell + "” is not a number");
+      if (!field.units.includes(unit)) {
+        issues.push(field.label + ": unit not supported");
+        return;
+      }
+      values[field.key] = value;
+      units[field.key] = unit;
+      si[field.key] = batchValueToSI(field, value, unit);
+    });
+
+    let complete = true;
+    BATCH_REQUIRED.forEach((key) => {
+      if (!Number.isFinite(si[key])) {
+        issues.push(BATCH_FIELDS.find((f) => f.key === key).label + " missing");
+        complete = false;
+      }
+    });
+    if (!Number.isFinite(si.HCO3) && !(Number.isFinite(si.pH) && Number.isFinite(si.pCO2))) {
+      issues.push("Needs pH and pCO₂, or HCO₃⁻");
+      complete = false;
+    }
+    BATCH_ZERO_IF_MISSING.forEach((t) => {
+      if (t.keys.some((key) => Number.isFinite(si[key]))) return;
+      issues.push(t.label + " missing — " + t.term + " taken as 0");
+      complete = false;
+    });
+
+    const extraIons = { cations: [], anions: [] };
+    columns.filter((c) => c.type === "ion").forEach((c) => {
+      const cell = cells[c.index] || "";
+      const concentration = parseBatchNumber(cell);
+      if (cell !== "" && !Number.isFinite(concentration)) issues.push(c.name + ": “" + cell + "” is not a number");
+      if (!Number.isFinite(concentration) || concentration <= 0) return;
+      const segment = {
+        k: "batch-" + c.kind + "-" + c.name,
+        labelText: c.name,
+        v: concentration * c.charge,
+        concentration,
+        charge: c.charge,
+        kind: c.kind,
+        isCustom: true,
+      };
+      (c.kind === "cation" ? extraIons.cations : extraIons.anions).push(segment);
+    });
+
+    const inputs = {
+      Na: si.Na, K: si.K, iCa: si.iCa, caTotal: si.caTotal, iCaFormula,
+      MgTotal: si.MgTotal, Cl: si.Cl, Lac: si.Lac, Alb: si.Alb,
+      Phos: si.Phos, pH: si.pH, pCO2: si.pCO2, sampleType, sampleConversion,
+      Hb: si.Hb, measuredSBE: si.measuredSBE,
+      tempC: si.tempC, tempMode, pkModel, weakAcidModel, agVariant, deltaNormals,
+      hco3Mode: Number.isFinite(si.HCO3) ? "bmp" : "gas",
+      bmpHCO3: si.HCO3,
+      manualHCO3: si.HCO3,
+      extraIons,
+    };
+    const result = computeStewart(inputs);
+    if (sampleConversion === "vtac" && result.sample.conversion === "none"
+      && SAMPLE_TYPES[result.sample.sampleType].venous && Number.isFinite(si.pH) && Number.isFinite(si.pCO2)) {
+      issues.push(result.sample.note);
+    }
+    if (typeof checkPlausibility === "function") {
+      checkPlausibility(inputs, result).forEach((c) => issues.push(c.label));
+    }
+
+    // Incomplete rows are shown but not flagged: their sums are partial.
+    const flags = {};
+    if (complete) BATCH_RESULT_FIELDS.forEach((f) => {
+      const range = limits[f.rangeId];
+      const v = result[f.key];
+      if (!range || !Number.isFinite(v)) return;
+      if (v < range.min) flags[f.key] = "low";
+      else if (v > range.max) flags[f.key] = "high";
+    });
+
+    out.rows.push({
+      line: r + 2,
+      id: idCol ? (cells[idCol.index] || "") : "",
+      values, units, inputs, result, flags, issues,
+    });
+  });
+
+  return out;
+}
+
+/* ─────────────────────────────────────────────────────────────────────
+ *  Rendering
+ * ───────────────────────────────────────────────────────────────────── */
+
+function getLastBatch() {
+  return _lastBatch;
+}
+
+function clearBatch() {
+  _lastBatch = null;
+  renderBatchResults(null);
+}
+
+/**
+ * Analyse a CSV and show the results table.
+ *
+ * @param {string} text      File contents
+ * @param {string} [source]  File name for the summary line
+ */
+function loadBatchCSV(text, source) {
+  const tempModeEl = el("temp-mode");
+  const pkModelEl = el("pk-model");
+  const weakAcidEl = el("weak-acid-model");
+  const icaFormulaEl = el("ica-formula");
+  const sampleTypeEl = el("sample-type");
+  const sampleConversionEl = el("sample-conversion");
+  const options = {
+    tempMode: tempModeEl ? tempModeEl.value : "alpha-stat",
+    pkModel: pkModelEl ? pkModelEl.value : "fixed",
+    weakAcidModel: weakAcidEl ? weakAcidEl.value : undefined,
+    agVariant: typeof activeLabProfile === "function" ? activeLabProfile().ag : undefined,
+    deltaNormals: typeof activeLabProfile === "function" ? labProfileDeltaNormals(activeLabProfile()) : undefined,
+    iCaFormula: icaFormulaEl ? icaFormulaEl.value : undefined,
+    sampleType: sampleTypeEl ? sampleTypeEl.value : undefined,
+    sampleConversion: sampleConversionEl ? sampleConversionEl.value : undefined,
+  };
+  _lastBatch = Object.assign(analyzeBatch(text, null, options), { source: source || "" });
+  renderBatchResults(_lastBatch);
+}
+
+/** Rebuild `#batch-summary` and `#batch-table`; `null` clears them. */
+function renderBatchResults(batch) {
+  const summary = el("batch-summary");
+  const wrap = el("batch-table-wrap");
+  const table = el("batch-table");
+  if (!summary || !table) return;
+  table.innerHTML = "";
+  const clearBtn = el("batch-clear");
+  if (clearBtn) clearBtn.disabled = !batch;
+  ["batch-export-csv", "batch-export-json"].forEach((id) => {
+    const btn = el(id);
+    if (btn) btn.disabled = !(batch && batch.rows.length);
+  });
+
+  if (!batch) {
+    summary.textContent = "";
+    if (wrap) wrap.style.display = "none";
+    return;
+  }
+
+  const flagged = batch.rows.filter((row) => Object.keys(row.flags).length).length;
+  const withIssues = batch.rows.filter((row) => row.issues.length).length;
+  const parts = [];
+  if (batch.source) parts.push(batch.source + ":");
+  parts.push(batch.rows.length + (batch.rows.length === 1 ? " row" : " rows"));
+  parts.push(flagged + " with out-of-range results");
+  if (withIssues) parts.push(withIssues + " with input problems");
+  let text = parts.join(" · ").replace(": ·", ":");
+  if (batch.ignored.length) text += ". Ignored columns: " + batch.ignored.join(", ");
+  if (batch.errors.length) text += ". " + batch.errors.join(". ");
+  summary.textContent = text;
+  if (wrap) wrap.style.display = batch.rows.length ? "block" : "none";
+  if (!batch.rows.length) return;
+
+  const thead = document.createElement("thead");
+  const headRow = document.createElement("tr");
+  ["Line", "ID", "Na⁺", "Cl⁻", "pH", "pCO₂", "HCO₃⁻", "HCO₃ source"]
+    .concat(BATCH_RESULT_FIELDS.map((f) => f.label), ["Issues"])
+    .forEach((label) => {
+      const th = document.createElement("th");
+      th.scope = "col";
+      th.textContent = label;
+      headRow.appendChild(th);
+    });
+  thead.appendChild(headRow);
+  table.appendChild(thead);
+
+  const fmt = (v, d) => (Number.isFinite(v) ? v.toFixed(d) : "—");
+  const tbody = document.createElement("tbody");
+  batch.rows.forEach((row) => {
+    const tr = document.createElement("tr");
+    if (row.issues.length) tr.classList.add("has-issues");
+    const cell = (text, cls) => {
+      const td = document.createElement("td");
+      td.textContent = text;
+      if (cls) td.className = cls;
+      tr.appendChild(td);
+    };
+    const r = row.result;
+    cell(String(row.line));
+    cell(row.id || "—", "batch-id");
+    cell(fmt(row.inputs.Na, 0));
+    cell(fmt(row.inputs.Cl, 0));
+    cell(fmt(row.inputs.pH, 2));
+    cell(fmt(row.inputs.pCO2, 0));
+    cell(fmt(r.HCO3, 1));
+    cell(r.hco3Source);
+    BATCH_RESULT_FIELDS.forEach((f) => {
+      const flag = row.flags[f.key];
+      cell(fmt(r[f.key], 1) + (flag === "high" ? " ↑" : flag === "low" ? " ↓" : ""),
+        flag ? "out-of-range" : "");
+    });
+    cell(row.issues.join("; "), "batch-issues");
+    tbody.appendChild(tr);
+  });
+  table.appendChild(tbody);
+}
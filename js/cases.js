@@ -0,0 +1,162 @@
+/**
+ * cases.js — Saved case library (localStorage).
+ *
+ * A case is a named snapshot of the full input state, stored as the
+ * same URL-hash string the permalink uses, so saved cases and shared
+ * links always restore identically.  This file owns storage and list
+ * rendering; events.js wires the buttons.
+ *
+ * Storage shape (key `CASE_STORAGE_KEY`):
+ *   [{ id, name, hash, savedAt }]   — savedAt is an ISO timestamp
+ *
+ * Depends on: helpers.js (el), permalink.js (encodeAppState, captureAppState)
+ */
+
+"use strict";
+
+const CASE_STORAGE_KEY = "stewart.cases.v1";
+const CASE_NAME_MAX = 60;
+
+/* ─────────────────────────────────────────────────────────────────────
+ *  Storage
+ * ───────────────────────────────────────────────────────────────────── */
+
+/** Read all saved cases; returns `[]` if storage is empty or unavailable. */
+function readCases() {
+  try {
+    const raw = window.localStorage.getItem(CASE_STORAGE_KEY);
+    const list = raw ? JSON.parse(raw) : [];
+    return Array.isArray(list)
+      ? list.filter((c) => c && typeof c.id === "string" && typeof c.hash === "string")
+      : [];
+  } catch (err) {
+    return [];
+  }
+}
+
+/**
+ * Persist the case list.
+ *
+ * @returns {boolean} `false` when storage is unavailable or full.
+ */
+function writeCases(list) {
+  try {
+    window.localStorage.setItem(CASE_STORAGE_KEY, JSON.stringify(list));
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+function newCaseId() {
+  return "case-" + Date.now().toString(36) + "-" + Math.random().toString(36).slice(2, 7);
+}
+
+function cleanCaseName(name, fallback) {
+  const trimmed = String(name || "").trim().slice(0, CASE_NAME_MAX);
+  return trimmed || fallback;
+}
+
+/* ─────────────────────────────────────────────────────────────────────
+ *  CRUD
+ * ───────────────────────────────────────────────────────────────────── */
+
+/**
+ * Save the current panel as a new case.
+ *
+ * @param {string} name
+ * @returns {Object|null}  The stored case, or `null` if storage failed.
+ */
+function saveCurrentCase(name) {
+  const list = readCases();
+  const entry = {
+    id: newCaseId(),
+    name: cleanCaseName(name, "Case " + (list.length + 1)),
+    hash: encodeAppState(captureAppState()),
+    savedAt: new Date().toISOString(),
+  };
+  list.push(entry);
+  return writeCases(list) ? entry : null;
+}
+
+function findCase(id) {
+  return readCases().find((c) => c.id === id) || null;
+}
+
+function renameCase(id, name) {
+  const list = readCases();
+  const entry = list.find((c) => c.id === id);
+  if (!entry) return false;
+  entry.name = cleanCaseName(name, entry.name);
+  return writeCases(list);
+}
+
+function deleteCase(id) {
+  return writeCases(readCases().filter((c) => c.id !== id));
+}
+
+/** Copy a case, inserting the copy right after the original. */
+function duplicateCase(id) {
+  const list = readCases();
+  const index = list.findIndex((c) => c.id === id);
+  if (index < 0) return null;
+  const copy = Object.assign({}, list[index], {
+    id: newCaseId(),
+    name: cleanCaseName(list[index].name + " (copy)", list[index].name),
+    savedAt: new Date().toISOString(),
+  });
+  list.splice(index + 1, 0, copy);
+  return writeCases(list) ? copy : null;
+}
+
+/* ─────────────────────────────────────────────────────────────────────
+ *  List rendering
+ * ───────────────────────────────────────────────────────────────────── */
+
+/**
+ * Rebuild `#case-list`.  Each row carries `data-case-id` and its
+ * buttons carry `data-case-action` (load / rename / duplicate / delete)
+ * for the delegated click handler in events.js.
+ */
+function renderCaseList() {
+  const list = el("case-list");
+  const empty = el("case-empty");
+  if (!list) return;
+  const cases = readCases();
+  list.innerHTML = "";
+
+  cases.forEach((c) => {
+    const row = document.createElement("li");
+    row.className = "case-row";
+    row.dataset.caseId = c.id;
+
+    const meta = document.createElement("div");
+    meta.className = "case-meta";
+    const name = document.createElement("span");
+    name.className = "case-name";
+    name.textContent = c.name;
+    const when = document.createElement("span");
+    when.className = "case-date";
+    const savedAt = new Date(c.savedAt);
+    when.textContent = Number.isNaN(savedAt.getTime()) ? "" : savedAt.toLocaleString();
+    meta.appendChild(name);
+    meta.appendChild(when);
+    row.appendChild(meta);
+
+    const actions = document.createElement("div");
+    actions.className = "case-actions";
+    [["load", "Load"], ["rename", "Rename"], ["duplicate", "Duplicate"], ["delete", "Delete"]]
+      .forEach(([action, label]) => {
+        const btn = document.createElement("button");
+        btn.type = "button";
+        btn.className = "btn case-btn";
+        btn.dataset.caseAction = action;
+        btn.textContent = label;
+        actions.appendChild(btn);
+      });
+    row.appendChild(actions);
+    list.appendChild(row);
+  });
+
+  if (empty) empty.style.display = cases.length ? "none" : "block";
+}
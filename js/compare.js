@@ -0,0 +1,112 @@
+/**
+ * compare.js — Before/after comparison of two Gamblegrams.
+ *
+ * "Pin as baseline" freezes the latest `computeStewart()` result.
+ * While a baseline is pinned, `renderGamblegramViews()` draws it next
+ * to the live chart on a shared scale, labels both states in the
+ * legend and tooltips, and fills in the ΔNa / ΔCl / ΔSIDa / ΔSIDe /
+ * ΔSIG summary.  Without a baseline it renders the live chart only.
+ * With "Whole-blood view" checked both charts add the Hb buffer base.
+ *
+ * Depends on: helpers.js (el, formatSigned),
+ *             stewart.js (compareStewart, wholeBloodGamblegram),
+ *             gamblegram.js (renderGamblegram, gamblegramStackTotal)
+ */
+
+"use strict";
+
+/** Side-by-side charts are half-width, so shrink desktop labels. */
+const COMPARE_LABEL_SCALE = 0.6;
+
+/** Delta read-outs: element ID → key of `compareStewart()` output. */
+const COMPARE_DELTA_FIELDS = {
+  "gg-delta-na": "Na",
+  "gg-delta-cl": "Cl",
+  "gg-delta-sida": "sidA",
+  "gg-delta-side": "sidE",
+  "gg-delta-sig": "sig",
+};
+
+let _comparisonBaseline = null;
+
+/** Pin a `computeStewart()` result as the comparison baseline. */
+function pinComparisonBaseline(result) {
+  if (!result) return;
+  _comparisonBaseline = { result, pinnedAt: new Date() };
+}
+
+function clearComparisonBaseline() {
+  _comparisonBaseline = null;
+}
+
+function hasComparisonBaseline() {
+  return !!_comparisonBaseline;
+}
+
+/** Gamblegram values for a result in the selected (plasma or whole-blood) view. */
+function gamblegramViewValues(result) {
+  const box = el("gg-whole-blood");
+  return box && box.checked ? wholeBloodGamblegram(result) : result.gamblegram;
+}
+
+/**
+ * Render the live Gamblegram and, when a baseline is pinned, the
+ * baseline chart and delta summary.
+ *
+ * @param {Object} current  Result of `computeStewart()` for the live inputs
+ */
+function renderGamblegramViews(current) {
+  const comparing = !!_comparisonBaseline;
+  const show = (id, visible, display) => {
+    const node = el(id);
+    if (node) node.style.display = visible ? (display || "block") : "none";
+  };
+  show("gg-baseline-pane", comparing);
+  show("gg-current-title", comparing);
+  show("gg-compare-deltas", comparing);
+  show("gg-clear-baseline", comparing, "inline-block");
+  const charts = document.querySelector(".gg-charts");
+  if (charts) charts.classList.toggle("comparing", comparing);
+
+  const currentVals = gamblegramViewValues(current);
+  if (!comparing) {
+    renderGamblegram(currentVals);
+    return;
+  }
+
+  const base = _comparisonBaseline.result;
+  const baseVals = gamblegramViewValues(base);
+  const scaleMax = Math.max(
+    gamblegramStackTotal(baseVals),
+    gamblegramStackTotal(currentVals)
+  );
+
+  renderGamblegram(baseVals, {
+    svgId: "gg-svg-baseline",
+    legendId: null,
+    unknownId: "gg-unknown-baseline",
+    stateLabel: "Baseline",
+    scaleMax,
+    labelScale: COMPARE_LABEL_SCALE,
+    readsInputs: false,
+  });
+  renderGamblegram(currentVals, {
+    stateLabel: "Current",
+    compareTo: baseVals,
+    compareLabel: "baseline",
+    scaleMax,
+    labelScale: COMPARE_LABEL_SCALE,
+  });
+
+  const deltas = compareStewart(base, current);
+  Object.keys(COMPARE_DELTA_FIELDS).forEach((id) => {
+    const node = el(id);
+    if (node) node.textContent = formatSigned(deltas[COMPARE_DELTA_FIELDS[id]], 1) + " mEq/L";
+  });
+  const note = el("gg-compare-note");
+  if (note) {
+    note.textContent = "Baseline pinned at "
+      + _comparisonBaseline.pinnedAt.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })
+      + ". Deltas are current − baseline.";
+  }
+}
@@ -1,12 +1,17 @@
 /**
- * compute.js — Main calculation loop (Stewart core).
+ * compute.js — Main calculation loop (DOM side of the Stewart engine).
  *
  * `computeAll()` is the single entry-point called on every input
- * change.  It reads all inputs, runs the Stewart acid-base
- * calculations, writes the results panel and mobile header, and
- * delegates visualisation to `renderGamblegram()`.
+ * change.  It reads all inputs, hands them to the DOM-free
+ * `computeStewart()` engine, writes the results panel and mobile
+ * header, and delegates visualisation to `renderGamblegramViews()`.
  *
- * Depends on: helpers.js, units.js, physiology.js, gamblegram.js
+ * `RESULT_RANGES` holds the default profile's normal ranges;
+ * labProfiles.js overwrites them in place with the active profile's.
+ *
+ * Depends on: helpers.js, physiology.js, weakAcids.js, units.js, stewart.js,
+ *             interpret.js, plausibility.js, gamblegram.js, compare.js,
+ *             labProfiles.js, uncertainty.js, pickers.js (range warnings)
  */
 
 "use strict";
@@ -16,16 +21,37 @@ const RESULT_RANGES = {
   "res-sida": { min: 37, max: 43 },
   "res-sig": { min: 0, max: 6 },
   "res-ag": { min: 12, max: 20 },
+  "res-sbe": { min: -2, max: 2 },
+};
+
+const BE_PARTITION_FIELDS = {
+  freeWater: "res-be-freewater",
+  chloride: "res-be-chloride",
+  albumin: "res-be-albumin",
+  lactate: "res-be-lactate",
+  unmeasured: "res-be-unmeasured",
+};
+
+/** Display names for the carbonic pK′ models (see `carbonicPK()`). */
+const CARBONIC_PK_LABELS = {
+  fixed: "Fixed 6.1",
+  ph: "pH-dependent",
+  ionic: "Ionic strength",
 };
 
 const MOBILE_RESULT_MAP = {
   "res-side": "mh-side",
   "res-sida": "mh-sida",
   "res-sig": "mh-sig",
+  "res-ag-corr": "mh-ag-corr",
 };
 
-function setRangeState(resultId, value) {
-  const range = RESULT_RANGES[resultId];
+/**
+ * Flag a result (value, label and mobile-header item) outside its
+ * normal range; `rangeId` borrows another result's range.
+ */
+function setRangeState(resultId, value, rangeId) {
+  const range = RESULT_RANGES[rangeId || resultId];
   const valueEl = el(resultId);
   const labelEl = document.querySelector('dt[data-result-for="' + resultId + '"]');
   const mobileEl = MOBILE_RESULT_MAP[resultId] ? el(MOBILE_RESULT_MAP[resultId]) : null;
@@ -39,39 +65,255 @@ function setRangeState(resultId, value) {
 }
 
 /**
- * Read every input, run the Stewart calculations, update the results
- * panel / mobile-header summary, and re-render the Gamblegram.
+ * Show the patient-temperature values under the blood-gas inputs.
+ * At 37 °C the static explanatory note is kept.
+ */
+function renderTemperatureNote(t) {
+  const note = el("temp-note");
+  if (!note || !t) return;
+  if (note.dataset.defaultHtml === undefined) note.dataset.defaultHtml = note.innerHTML;
+  if (t.tempC === NORMOTHERMIA_C || !Number.isFinite(t.pH37) || !Number.isFinite(t.pCO2_37)) {
+    note.innerHTML = note.dataset.defaultHtml;
+    return;
+  }
+  const at = "At " + t.tempC.toFixed(1) + " °C: pH " + t.pH.toFixed(2)
+    + ", pCO₂ " + t.pCO2.toFixed(1) + " mmHg. ";
+  note.textContent = at + (t.mode === "ph-stat"
+    ? "pH-stat: HCO₃⁻, Alb⁻ and Pi⁻ use these values and the " + t.tempC.toFixed(1) + " °C constants."
+    : "α-stat: results use the uncorrected 37 °C values.");
+}
+
+/**
+ * One line on the sample behind the results: its type, the conversion
+ * applied and the pH / pCO₂ the calculations used.
  *
- * Called on every input change (debounced via events.js), on reset,
- * and on window resize.
+ * @param {Object} sample  `computeStewart().sample`
+ * @returns {string}
  */
-function computeAll() {
+function describeBloodSample(sample) {
+  const type = SAMPLE_TYPES[sample.sampleType] || SAMPLE_TYPES.arterial;
+  const fmt = (v, d) => (Number.isFinite(v) ? v.toFixed(d) : "—");
+  let text = type.label + " sample";
+  if (sample.conversion === "none") {
+    text += type.venous ? ", not converted: results use the venous pH and pCO₂." : ".";
+  } else {
+    text += ", converted to arterial by " + (sample.conversion === "vtac" ? "v-TAC" : "fixed offsets")
+      + ": pH " + fmt(sample.measuredPH, 2) + " → " + fmt(sample.pH, 2)
+      + ", pCO₂ " + fmt(sample.measuredPCO2, 1) + " → " + fmt(sample.pCO2, 1) + " mmHg.";
+  }
+  return sample.note ? text + " " + sample.note : text;
+}
+
+/**
+ * Show the sample type and any venous → arterial conversion under the
+ * sample selector and above the results.  Arterial samples keep the
+ * static note and hide the summary.
+ */
+function renderSampleNote(sample) {
+  const note = el("sample-note");
+  const summary = el("sample-summary");
+  if (!sample) return;
+  const arterial = sample.sampleType === "arterial";
+  if (note) {
+    if (note.dataset.defaultHtml === undefined) note.dataset.defaultHtml = note.innerHTML;
+    if (arterial) note.innerHTML = note.dataset.defaultHtml;
+    else note.textContent = describeBloodSample(sample);
+  }
+  if (summary) {
+    summary.style.display = arterial ? "none" : "";
+    summary.textContent = arterial ? "" : describeBloodSample(sample);
+  }
+}
 
-  /* ── Read inputs (all converted to mmol/L) ── */
-  const Na   = getIonSI("na");
-  const K    = getIonSI("k");
-  const iCa  = getIonSI("ica");
-  const MgTotal = getIonSI("mg");
-  const Cl   = getIonSI("cl");
-  const Lac  = getIonSI("lac");
-  const Alb  = parse("alb");           // albumin — g/dL
-  const Phos = getIonSI("phos");
-  const pH   = parse("ph");
-  const pCO2 = parse("pco2");
+/**
+ * Fill the pK′ comparison table: HCO₃⁻ and SIG for the same gas under
+ * each carbonic pK′ model, with the shift from the selected one.
+ * Hidden when HCO₃⁻ is not derived from the gas.
+ */
+function renderPkComparison(r) {
+  const wrap = el("pk-compare");
+  const table = el("pk-compare-table");
+  if (!wrap || !table) return;
+  const rows = r.pkComparison || [];
+  wrap.style.display = rows.length ? "" : "none";
+  if (!rows.length) { table.innerHTML = ""; return; }
+
+  const selected = rows.find((row) => row.model === r.pkModel) || rows[0];
+  const fmt = (v, d) => (Number.isFinite(v) ? v.toFixed(d) : "—");
+  const head = "<thead><tr><th>Model</th><th>pK′</th><th>HCO₃⁻</th><th>SIG</th><th>ΔSIG</th></tr></thead>";
+  const body = rows.map((row) => {
+    const current = row === selected;
+    return "<tr" + (current ? ' class="selected"' : "") + ">"
+      + "<th scope=\"row\">" + (CARBONIC_PK_LABELS[row.model] || row.model) + "</th>"
+      + "<td>" + fmt(row.pK, 3) + "</td>"
+      + "<td>" + fmt(row.HCO3, 2) + "</td>"
+      + "<td>" + fmt(row.sig, 2) + "</td>"
+      + "<td>" + (current ? "—" : formatSigned(row.sig - selected.sig, 2)) + "</td>"
+      + "</tr>";
+  }).join("");
+  table.innerHTML = head + "<tbody>" + body + "</tbody>";
+}
+
+/**
+ * Name the weak-acid model and the equation behind each of its terms
+ * under the results grid.
+ */
+function renderWeakAcidTerms(r) {
+  const note = el("weak-acid-terms");
+  if (!note) return;
+  const model = getWeakAcidModel(r.weakAcidModel);
+  note.textContent = "Weak-acid model: " + model.label + ". Alb⁻ " + r.albMinus.toFixed(2)
+    + " mEq/L — " + r.weakAcidTerms.albumin + "; Phos⁻ " + r.piMinus.toFixed(2)
+    + " mEq/L — " + r.weakAcidTerms.phosphate + ".";
+}
+
+/**
+ * Write the iCa estimated from total Ca and its confidence beside
+ * the total-Ca picker ("—" when iCa was entered directly).
+ */
+function renderIcaEstimate(r) {
+  const valueEl = el("res-ica-est");
+  const confidenceEl = el("res-ica-confidence");
+  const estimated = r.iCaSource === "estimated";
+  if (valueEl) {
+    valueEl.textContent = estimated ? r.iCa.toFixed(2) + " mmol/L" : "—";
+  }
+  if (confidenceEl) {
+    confidenceEl.classList.remove("confidence-high", "confidence-medium", "confidence-low");
+    if (estimated) {
+      confidenceEl.textContent = r.iCaConfidence.label + " confidence — " + r.iCaConfidence.summary;
+      confidenceEl.classList.add("confidence-" + r.iCaConfidence.levelKey);
+    } else {
+      confidenceEl.textContent = "—";
+    }
+  }
+}
+
+/**
+ * Write the traditional-approach cross-check: AG without K⁺, the
+ * albumin-corrected AG (flagged against the AG range) and the delta
+ * ratio with its band and the delta gap.
+ */
+function renderTraditionalAG(r) {
+  const agNoKEl = el("res-ag-nok");
+  const agCorrEl = el("res-ag-corr");
+  const ratioEl = el("res-delta-ratio");
+  const ratioMetaEl = el("res-delta-meta");
+  const dd = r.deltaDelta;
+  if (agNoKEl) agNoKEl.textContent = r.agNoK.toFixed(2) + " mEq/L";
+  if (agCorrEl) agCorrEl.textContent = r.agCorrected.toFixed(2) + " mEq/L";
+  setRangeState("res-ag-corr", r.agCorrected, "res-ag");
+  if (ratioEl) ratioEl.textContent = Number.isFinite(dd.deltaRatio) ? dd.deltaRatio.toFixed(2) : "—";
+  if (ratioMetaEl) {
+    ratioMetaEl.textContent = dd.label
+      + (Number.isFinite(dd.deltaGap) ? " · Δ gap " + formatSigned(dd.deltaGap, 1) + " mEq/L" : "");
+  }
+}
+
+/**
+ * Write the whole-blood terms: BE(B), buffer base against its normal,
+ * the Hb buffer and the blood CO₂ content ("—" until Hb is entered).
+ */
+function renderWholeBlood(r) {
+  const wb = r.wholeBlood;
+  const has = Number.isFinite(wb.bufferBase);
+  const text = (id, value) => {
+    const node = el(id);
+    if (node) node.textContent = value;
+  };
+  text("res-wb-beb", has ? formatSigned(wb.beB, 1) : "—");
+  text("res-wb-beb-meta", has && Number.isFinite(r.sbe) ? "SBE (ECF) " + formatSigned(r.sbe, 1) : "Enter Hb");
+  text("res-wb-bb", has ? wb.bufferBase.toFixed(1) : "—");
+  text("res-wb-bb-meta", has ? "Normal " + wb.normalBufferBase.toFixed(1) : "—");
+  text("res-wb-hb", has ? wb.hbMinus.toFixed(1) : "—");
+  text("res-wb-ctco2", Number.isFinite(wb.ctCO2Blood) ? wb.ctCO2Blood.toFixed(1) : "—");
+  text("res-wb-ctco2-meta", Number.isFinite(wb.ctCO2Blood)
+    ? "Plasma " + wb.ctCO2Plasma.toFixed(1) + " · Hb effect " + formatSigned(wb.hbCO2Effect, 1) : "—");
+}
+
+/**
+ * Write the rule-based interpretation: a narrative paragraph and one
+ * list item per finding with the rule that fired.  SIG and SBE limits
+ * follow `RESULT_RANGES`; pH, pCO₂ and phosphate follow the lab profile.
+ */
+function renderInterpretation(r, inputs) {
+  const narrativeEl = el("interp-narrative");
+  const listEl = el("interp-findings");
+  if (!narrativeEl || !listEl) return;
+  const profileLimits = typeof activeLabProfile === "function"
+    ? labProfileInterpretLimits(activeLabProfile()) : {};
+  const report = interpretAcidBase(r, inputs, Object.assign(profileLimits, {
+    sig: RESULT_RANGES["res-sig"],
+    sbe: RESULT_RANGES["res-sbe"],
+  }));
+  narrativeEl.textContent = report.narrative;
+  listEl.innerHTML = "";
+  report.findings.forEach((f) => {
+    const li = document.createElement("li");
+    li.className = "interp-" + f.kind;
+    const label = document.createElement("strong");
+    label.textContent = f.label;
+    const rule = document.createElement("span");
+    rule.className = "interp-rule";
+    rule.textContent = f.rule;
+    li.append(label, " ", rule);
+    listEl.appendChild(li);
+  });
+}
+
+/**
+ * Run the forward solver for the what-if controls (SID basis, SID
+ * change, replacement pCO₂) and write the predicted pH and species.
+ */
+function renderForwardSolver(inputs) {
+  if (!el("res-fwd-ph")) return;
+  const basisEl = el("fwd-basis");
+  const f = predictStewartPH(inputs, {
+    basis: basisEl ? basisEl.value : "side",
+    dSid: parse("fwd-dsid"),
+    pCO2: parse("fwd-pco2"),
+  });
+  const set = (id, v, d) => {
+    const node = el(id);
+    if (node) node.textContent = Number.isFinite(v) ? v.toFixed(d) : "—";
+  };
+  set("res-fwd-ph", f.pH, 3);
+  set("res-fwd-h", f.H, 1);
+  set("res-fwd-hco3", f.HCO3, 2);
+  set("res-fwd-co3", f.CO3, 3);
+  set("res-fwd-weak", f.albMinus + f.piMinus, 2);
+
+  const dph = el("res-fwd-dph");
+  if (dph) {
+    dph.textContent = !f.converged
+      ? "No solution between pH " + FORWARD_PH_RANGE[0] + " and " + FORWARD_PH_RANGE[1]
+      : Number.isFinite(f.dPH) ? "Δ " + formatSigned(f.dPH, 3) + " vs unchanged panel" : "—";
+  }
+  const note = el("fwd-note");
+  if (note) {
+    note.textContent = Number.isFinite(f.sid) && Number.isFinite(f.pCO2)
+      ? "Solved for SID " + f.sid.toFixed(1) + " mEq/L and pCO₂ " + f.pCO2.toFixed(1) + " mmHg."
+      : "Needs the strong ions and pCO₂.";
+  }
+}
+
+/**
+ * Read the panel into the plain input object `computeStewart()` takes
+ * (all concentrations converted to mmol/L, albumin in g/dL).
+ *
+ * Also used to snapshot a panel for the time series (series.js).
+ *
+ * @returns {Object}
+ */
+function readStewartInputs() {
   const extraIons = typeof getAdditionalIonSegments === "function"
     ? getAdditionalIonSegments()
     : { cations: [], anions: [], totalCations: 0, totalAnions: 0 };
-  const iMg  = ionizedMagnesiumFromTotal(MgTotal, pH);
-  const iMgConfidence = magnesiumComplexingConfidence(Phos, extraIons.anions);
 
-  /* ── HCO₃ handling ──
+  /* ── HCO₃ mode ──
    *    By default HCO₃ is derived from the blood-gas (Henderson–
    *    Hasselbalch).  If the user checks "use BMP HCO₃" the field
    *    becomes editable and that value is used instead.            */
-  const hco3FromGas =
-    Number.isFinite(pH) && Number.isFinite(pCO2)
-      ? hco3FromPHandPco2(pH, pCO2) : NaN;
-
   const hco3El = el("hco3");
   const hco3PickerEl = el("hco3-picker");
   const useBmpRequested =
@@ -82,35 +324,65 @@ function computeAll() {
     document.getElementById("fix-sig").checked;
   const sigTargetEl = el("sig-target");
   const useBmp = useBmpRequested && !fixedSig;
-  const bmpHCO3 = hco3PickerEl ? parseFloat(hco3PickerEl.value) : NaN;
-  const manualHCO3 = hco3El ? parseFloat(hco3El.value) : NaN;
-  let HCO3 =
-    (useBmp && Number.isFinite(bmpHCO3)) ? bmpHCO3
-    : Number.isFinite(hco3FromGas)       ? hco3FromGas
-    :                                      manualHCO3;
-
-  /* ── Stewart core (all in mEq/L — divalent cations carry 2× charge) ── */
-  const sidA =
-    (Na || 0) + (K || 0) + 2 * (iCa || 0) + 2 * (iMg || 0)
-    - (Cl || 0) - (Lac || 0)
-    + extraIons.totalCations - extraIons.totalAnions;
-
-  // Albumin: g/dL → g/L for the Figge model
-  const Alb_gL   = Number.isFinite(Alb) ? Alb * 10 : NaN;
-  const albMinus = Number.isFinite(Alb_gL) && Number.isFinite(pH)
-    ? albuminCharge(Alb_gL, pH) : 0;
-  const piMinus  = Number.isFinite(Phos) && Number.isFinite(pH)
-    ? phosphateCharge(Phos, pH) : 0;
-
-  const baselineSidE = (HCO3 || 0) + albMinus + piMinus;
-  const baselineSig = sidA - baselineSidE;
-  let sigTarget = sigTargetEl ? parseFloat(sigTargetEl.value) : NaN;
-  if (fixedSig && !Number.isFinite(sigTarget)) {
-    sigTarget = baselineSig;
-    if (sigTargetEl) sigTargetEl.value = sigTarget.toFixed(1);
-  }
-  if (fixedSig) {
-    HCO3 = sidA - (sigTarget || 0) - albMinus - piMinus;
+
+  /* ── Calcium ──
+   *    With "enter total Ca" checked the iCa picker is ignored and
+   *    computeStewart() estimates iCa from total Ca, albumin and pH. */
+  const useTotalCa = !!(el("use-total-ca") && el("use-total-ca").checked);
+
+  return {
+    Na:   getIonSI("na"),
+    K:    getIonSI("k"),
+    iCa:  useTotalCa ? NaN : getIonSI("ica"),
+    caTotal: useTotalCa ? getIonSI("tca") : NaN,
+    iCaFormula: el("ica-formula") ? el("ica-formula").value : DEFAULT_ICA_FORMULA,
+    MgTotal: getIonSI("mg"),
+    Cl:   getIonSI("cl"),
+    Lac:  getIonSI("lac"),
+    Alb:  parse("alb"),           // albumin — g/dL
+    Phos: getIonSI("phos"),
+    pH:   parse("ph"),
+    pCO2: parse("pco2"),
+    sampleType: el("sample-type") ? el("sample-type").value : "arterial",
+    sampleConversion: el("sample-conversion") ? el("sample-conversion").value : "none",
+    spO2: parse("spo2") / 100,    // pulse oximetry — % → fraction
+    svO2: parse("svo2") / 100,    // venous sample sO₂ — % → fraction
+    Hb:   parse("hb"),            // hemoglobin — g/dL
+    measuredSBE: parse("sbe"),
+    tempC: parse("temp"),         // patient temperature — °C (blank = 37)
+    tempMode: el("temp-mode") ? el("temp-mode").value : "alpha-stat",
+    pkModel: el("pk-model") ? el("pk-model").value : "fixed",
+    weakAcidModel: el("weak-acid-model") ? el("weak-acid-model").value : DEFAULT_WEAK_ACID_MODEL,
+    hco3Mode: fixedSig ? "fixed-sig" : useBmp ? "bmp" : "gas",
+    bmpHCO3: hco3PickerEl ? parseFloat(hco3PickerEl.value) : NaN,
+    manualHCO3: hco3El ? parseFloat(hco3El.value) : NaN,
+    sigTarget: sigTargetEl ? parseFloat(sigTargetEl.value) : NaN,
+    agVariant: typeof activeLabProfile === "function" ? activeLabProfile().ag : undefined,
+    deltaNormals: typeof activeLabProfile === "function" ? labProfileDeltaNormals(activeLabProfile()) : undefined,
+    extraIons,
+  };
+}
+
+/**
+ * Read every input, run `computeStewart()`, update the results
+ * panel / mobile-header summary, and re-render the Gamblegram.
+ *
+ * Called on every input change (debounced via events.js), on reset,
+ * and on window resize.
+ */
+function computeAll() {
+  const inputs = readStewartInputs();
+  const MgTotal = inputs.MgTotal;
+  const fixedSig = inputs.hco3Mode === "fixed-sig";
+  const useBmp = inputs.hco3Mode === "bmp";
+  const hco3El = el("hco3");
+  const sigTargetEl = el("sig-target");
+
+  const r = computeStewart(inputs);
+  const { sidA, sidE, sig, ag, albMinus, piMinus, iMg, iMgConfidence, HCO3, hco3FromGas } = r;
+
+  if (fixedSig && sigTargetEl && !Number.isFinite(parseFloat(sigTargetEl.value))) {
+    sigTargetEl.value = r.sigTarget.toFixed(1);
   }
 
   if (hco3El) {
@@ -126,12 +398,9 @@ function computeAll() {
     }
   }
 
-  const sidE = (HCO3 || 0) + albMinus + piMinus;
-  const sig  = sidA - sidE;
-  const ag   = (Na || 0) + (K || 0) - ((Cl || 0) + (HCO3 || 0));
-
   window.__lastCalculatedSig = sig;
   window.__lastCalculatedHCO3 = HCO3;
+  window.__lastStewartResult = r;
 
   // Round to one decimal for display
   const sidAR = Math.round(sidA * 10) / 10;
@@ -157,18 +426,66 @@ function computeAll() {
       iMgConfidenceEl.textContent = "—";
     }
   }
+  renderIcaEstimate(r);
   setRangeState("res-sida", sidA);
   setRangeState("res-side", sidE);
   setRangeState("res-sig", sig);
   setRangeState("res-ag", ag);
+  if (typeof renderUncertainty === "function") renderUncertainty(inputs);
+  renderTraditionalAG(r);
+  if (typeof renderAnalyteRangeStates === "function") renderAnalyteRangeStates(inputs, r);
+  if (typeof renderPickerRangeWarnings === "function") renderPickerRangeWarnings(inputs);
+  if (typeof renderPlausibility === "function") renderPlausibility(inputs, r);
+
+  /* ── Base excess: calculated vs measured, and its partition ── */
+  const sbeEl = el("res-sbe");
+  const sbeMeasuredEl = el("res-sbe-measured");
+  if (sbeEl) {
+    sbeEl.textContent = Number.isFinite(r.sbe) ? formatSigned(r.sbe, 1) + " mmol/L" : "—";
+  }
+  if (sbeMeasuredEl) {
+    sbeMeasuredEl.textContent = Number.isFinite(r.sbeMeasured)
+      ? "Measured " + formatSigned(r.sbeMeasured, 1) + " mmol/L"
+        + (Number.isFinite(r.sbeDiscrepancy)
+          ? " (Δ " + formatSigned(r.sbeDiscrepancy, 1) + ")" : "")
+      : "No measured SBE entered";
+  }
+  setRangeState("res-sbe", r.sbe);
+  Object.keys(BE_PARTITION_FIELDS).forEach((key) => {
+    const node = el(BE_PARTITION_FIELDS[key]);
+    if (node) node.textContent = formatSigned(r.bePartition[key], 1);
+  });
+  renderWholeBlood(r);
+
+  /* ── Which weak-acid model produced Alb⁻ / Phos⁻ ── */
+  renderWeakAcidTerms(r);
+
+  /* ── Rule-based interpretation with the rule that fired ── */
+  renderInterpretation(r, inputs);
+
+  /* ── HCO₃⁻ / SIG under each carbonic pK′ model ── */
+  renderPkComparison(r);
+
+  /* ── Forward solver: pH from SID, weak acids and pCO₂ ── */
+  renderForwardSolver(inputs);
+
+  /* ── Patient temperature note ── */
+  renderSampleNote(r.sample);
+  renderTemperatureNote(r.temperature);
 
   /* ── Mobile header ── */
   const mhSida = el("mh-sida");
   const mhSide = el("mh-side");
   const mhSig  = el("mh-sig");
+  const mhAgCorr = el("mh-ag-corr");
+  const mhDeltaRatio = el("mh-delta-ratio");
   if (mhSida) mhSida.textContent = sidAR.toFixed(1) + " mEq/L";
   if (mhSide) mhSide.textContent = sidER.toFixed(1) + " mEq/L";
   if (mhSig)  mhSig.textContent  = sigR.toFixed(1)  + " mEq/L";
+  if (mhAgCorr) mhAgCorr.textContent = r.agCorrected.toFixed(1) + " mEq/L";
+  if (mhDeltaRatio) {
+    mhDeltaRatio.textContent = Number.isFinite(r.deltaDelta.deltaRatio) ? r.deltaDelta.deltaRatio.toFixed(2) : "—";
+  }
 
   /* ── Extra result rows (if present) ── */
   const albEl  = el("res-alb");
@@ -176,29 +493,14 @@ function computeAll() {
   const atotEl = el("res-atot");
   if (albEl)  albEl.textContent  = albMinus.toFixed(3) + " mEq/L (Alb⁻)";
   if (piEl)   piEl.textContent   = piMinus.toFixed(3)  + " mEq/L (Phos⁻)";
-  if (atotEl) atotEl.textContent =
-    ((0.123 * (Number.isFinite(Alb_gL) ? Alb_gL : 0)) +
-     (0.309 * (Phos || 0))).toFixed(3) + " mmol/L (Atot)";
-
-  /* ── Gamblegram HCO₃ choice ── */
-  const ggHCO3 =
-    fixedSig                            ? (HCO3 || 0)
-    : (useBmp && Number.isFinite(bmpHCO3)) ? bmpHCO3
-    : Number.isFinite(hco3FromGas)         ? hco3FromGas
-    :                                        (HCO3 || 0);
-
-  /* ── Render Gamblegram (values in mEq/L = charge equivalents) ── */
-  renderGamblegram({
-    Na, K,
-    iCa: 2 * (iCa || 0),                            // divalent → 2 mEq/mmol
-    Mg_mmol: 2 * (Number.isFinite(iMg) ? iMg : 0),  // estimated ionized Mg → charge eq
-    Cl, Lac,
-    HCO3: ggHCO3,
-    albMinus, piMinus,
-    sig: sigR,
-    extraCations: extraIons.cations,
-    extraAnions: extraIons.anions,
-  });
+  if (atotEl) atotEl.textContent = r.atot.toFixed(3) + " mmol/L (Atot)";
+
+  /* ── Render Gamblegram(s) (values in mEq/L = charge equivalents) ── */
+  renderGamblegramViews(r);
+
+  /* ── Fluid simulator (predicted panel and Gamblegram) ── */
+  if (typeof renderFluidSimulator === "function") renderFluidSimulator(inputs, r);
 
   if (typeof window.refreshScrollHints === "function") window.refreshScrollHints();
+  if (typeof window.updatePermalink === "function") window.updatePermalink();
 }
@@ -3,18 +3,23 @@
  *
  * Binds all interactive behaviours: reset button, export, formulas
  * panel toggle, light-mode switch, debounced input recompute, unit
- * selector auto-conversion, picker population, and resize handler.
+ * selector auto-conversion, picker population, permalink restore /
+ * copy, saved-case library, lab profiles, baseline comparison, time
+ * series, batch CSV import, paste labs, and resize handler.
  *
  * This file should be loaded LAST, after all other modules, because
  * it calls `computeAll()` at the bottom for the initial render.
  *
- * Depends on: helpers.js, units.js, compute.js, export.js, pickers.js
+ * Depends on: helpers.js, units.js, compute.js, export.js, pickers.js,
+ *             labProfiles.js, permalink.js, cases.js, compare.js,
+ *             fluids.js, series.js, batch.js, pasteLabs.js
  */
 
 "use strict";
 
 const _useBmp = document.getElementById("use-bmp-hco3");
 const _fixSig = document.getElementById("fix-sig");
+const _useTotalCa = document.getElementById("use-total-ca");
 const _desktopScrollColumns = Array.from(document.querySelectorAll(".ion-column, .analysis-column"));
 
 const SCROLL_HINT_THRESHOLD = 14;
@@ -109,6 +114,25 @@ function syncDependentControls(options = {}) {
     if (!fixedSig && useBmp && cfg) populatePicker(cfg);
   }
 
+  // Total Ca replaces the iCa picker
+  const useTotalCa = !!(_useTotalCa && _useTotalCa.checked);
+  const totalCaBlock = el("total-ca-block");
+  if (totalCaBlock) totalCaBlock.style.display = useTotalCa ? "block" : "none";
+  ["ica-picker", "ica-unit", "ica"].forEach((id) => {
+    const node = el(id);
+    if (node) node.disabled = useTotalCa;
+  });
+
+  // Venous samples offer the conversion; v-TAC needs SpO₂ and venous sO₂
+  const sampleType = el("sample-type") ? el("sample-type").value : "arterial";
+  const venous = !!(SAMPLE_TYPES[sampleType] && SAMPLE_TYPES[sampleType].venous);
+  const conversionRow = el("sample-conversion-row");
+  const vtacInputs = el("vtac-inputs");
+  if (conversionRow) conversionRow.style.display = venous ? "" : "none";
+  if (vtacInputs) {
+    vtacInputs.style.display = venous && el("sample-conversion").value === "vtac" ? "block" : "none";
+  }
+
   if (sigTargetRow) sigTargetRow.style.display = fixedSig ? "flex" : "none";
   if (sigTargetNote) sigTargetNote.style.display = fixedSig ? "block" : "none";
   if (sigTargetInput) sigTargetInput.disabled = !fixedSig;
@@ -122,6 +146,14 @@ function syncDependentControls(options = {}) {
   }
 }
 
+/** Apply a decoded state (permalink or saved case) and recompute. */
+function restoreAppState(state) {
+  if (!state) return;
+  applyAppState(state);
+  syncDependentControls();
+  computeAll();
+}
+
 /* ─────────────────────────────────────────────────────────────────────
  *  Reset button
  * ───────────────────────────────────────────────────────────────────── */
@@ -131,12 +163,31 @@ if (_resetBtn) _resetBtn.addEventListener("click", () => {
   // Reset checkboxes to their defaults
   document.querySelectorAll("input[type=checkbox]").forEach((c) => (c.checked = c.defaultChecked));
 
-  // Reset unit selectors to their default values and update dataset.prev
+  // Reset unit selectors to the lab profile's units and update dataset.prev
+  const profileAnalytes = typeof activeLabProfile === "function" ? activeLabProfile().analytes : {};
   document.querySelectorAll("select.unit-select").forEach((s) => {
-    s.value = s.defaultValue || s.value;
+    const analyte = profileAnalytes[s.id.replace("-unit", "")];
+    s.value = (analyte && analyte.unit) || s.defaultValue || s.value;
     s.dataset.prev = s.value;
   });
 
+  const sampleTypeEl = el("sample-type");
+  if (sampleTypeEl) sampleTypeEl.value = "arterial";
+  const sampleConversionEl = el("sample-conversion");
+  if (sampleConversionEl) sampleConversionEl.value = "none";
+  const tempModeEl = el("temp-mode");
+  if (tempModeEl) tempModeEl.value = "alpha-stat";
+  const pkModelEl = el("pk-model");
+  if (pkModelEl) pkModelEl.value = "fixed";
+  const weakAcidEl = el("weak-acid-model");
+  if (weakAcidEl) weakAcidEl.value = DEFAULT_WEAK_ACID_MODEL;
+  const icaFormulaEl = el("ica-formula");
+  if (icaFormulaEl) icaFormulaEl.value = DEFAULT_ICA_FORMULA;
+  const fwdBasisEl = el("fwd-basis");
+  if (fwdBasisEl) fwdBasisEl.value = "side";
+  const fluidTypeEl = el("fluid-type");
+  if (fluidTypeEl) fluidTypeEl.value = DEFAULT_FLUID;
+
   if (typeof clearAdditionalIons === "function") clearAdditionalIons();
 
   // For each configured picker, set to clinical default (converted to current unit)
@@ -147,20 +198,10 @@ if (_resetBtn) _resetBtn.addEventListener("click", () => {
     const unit = unitEl ? unitEl.value : "si";
     const defaultSI = PICKER_DEFAULTS_SI[cfg.id];
     const displayV = (unit === "si") ? defaultSI : siToDisplay(cfg.id, defaultSI, unit);
-    const label = Number(displayV).toFixed(cfg.decimals);
 
     // Ensure the picker has options for this value, repopulating if needed
-    if (sel) {
-      populatePicker(cfg);
-      if (!Array.from(sel.options).some((o) => o.value === label)) {
-        const extra = document.createElement("option");
-        extra.value = label;
-        extra.textContent = label;
-        sel.appendChild(extra);
-      }
-      sel.value = label;
-    }
-    if (num && num !== sel) num.value = label;
+    if (sel) populatePicker(cfg);
+    if (sel || num) setPickerValue(cfg, Number(displayV).toFixed(cfg.decimals));
   });
 
   // Reset other non-picker inputs to their defaultValue (e.g., SBE)
@@ -176,6 +217,259 @@ if (_resetBtn) _resetBtn.addEventListener("click", () => {
   computeAll();
 });
 
+/* ─────────────────────────────────────────────────────────────────────
+ *  Copy-link button (the hash is kept current by updatePermalink)
+ * ───────────────────────────────────────────────────────────────────── */
+
+const _copyLinkBtn = el("copy-link");
+if (_copyLinkBtn) _copyLinkBtn.addEventListener("click", () => {
+  updatePermalink();
+  const url = window.location.href;
+  const done = () => {
+    _copyLinkBtn.textContent = "Link copied";
+    setTimeout(() => { _copyLinkBtn.textContent = "Copy link"; }, 1500);
+  };
+  if (navigator.clipboard && navigator.clipboard.writeText) {
+    navigator.clipboard.writeText(url).then(done, () => window.prompt("Copy this link:", url));
+  } else {
+    window.prompt("Copy this link:", url);
+  }
+});
+
+/* ─────────────────────────────────────────────────────────────────────
+ *  Saved-case library
+ * ───────────────────────────────────────────────────────────────────── */
+
+const _casePanel = el("case-panel");
+const _caseToggle = el("toggle-cases");
+const _caseSave = el("case-save");
+const _caseName = el("case-name");
+const _caseList = el("case-list");
+
+if (_caseToggle && _casePanel) _caseToggle.addEventListener("click", () => {
+  const open = _casePanel.style.display === "none";
+  _casePanel.style.display = open ? "block" : "none";
+  _caseToggle.setAttribute("aria-expanded", String(open));
+  if (open) renderCaseList();
+  refreshScrollHints();
+});
+
+if (_caseSave) _caseSave.addEventListener("click", () => {
+  if (!saveCurrentCase(_caseName ? _caseName.value : "")) {
+    alert("Could not save the case \u2014 browser storage is unavailable or full.");
+    return;
+  }
+  if (_caseName) _caseName.value = "";
+  renderCaseList();
+});
+
+if (_caseList) _caseList.addEventListener("click", (ev) => {
+  const btn = ev.target.closest("[data-case-action]");
+  const row = btn && btn.closest("[data-case-id]");
+  if (!row) return;
+  const id = row.dataset.caseId;
+  const entry = findCase(id);
+  if (!entry) return renderCaseList();
+
+  switch (btn.dataset.caseAction) {
+    case "load":
+      restoreAppState(decodeAppState(entry.hash));
+      break;
+    case "rename": {
+      const name = window.prompt("Rename case", entry.name);
+      if (name !== null) renameCase(id, name);
+      break;
+    }
+    case "duplicate":
+      duplicateCase(id);
+      break;
+    case "delete":
+      if (window.confirm("Delete \u201c" + entry.name + "\u201d?")) deleteCase(id);
+      break;
+  }
+  renderCaseList();
+});
+
+/* ─────────────────────────────────────────────────────────────────────
+ *  Lab profiles
+ * ───────────────────────────────────────────────────────────────────── */
+
+const _labPanel = el("lab-profile-panel");
+const _labToggle = el("toggle-lab-profile");
+const _labSelect = el("lab-profile-select");
+const _labFile = el("lab-profile-file");
+
+if (_labToggle && _labPanel) _labToggle.addEventListener("click", () => {
+  const open = _labPanel.style.display === "none";
+  _labPanel.style.display = open ? "block" : "none";
+  _labToggle.setAttribute("aria-expanded", String(open));
+  refreshScrollHints();
+});
+
+if (_labSelect) _labSelect.addEventListener("change", () => selectLabProfile(_labSelect.value));
+
+[["lab-profile-save", false], ["lab-profile-save-new", true]].forEach(([id, asNew]) => {
+  const btn = el(id);
+  if (btn) btn.addEventListener("click", () => {
+    if (!saveLabProfileFromEditor(asNew)) {
+      alert("Could not save the profile \u2014 browser storage is unavailable or full.");
+    }
+  });
+});
+
+const _labDelete = el("lab-profile-delete");
+if (_labDelete) _labDelete.addEventListener("click", () => {
+  const profile = activeLabProfile();
+  if (profile.id === DEFAULT_LAB_PROFILE_ID) return;
+  if (!window.confirm("Delete \u201c" + profile.name + "\u201d?")) return;
+  deleteLabProfile(profile.id);
+  selectLabProfile(DEFAULT_LAB_PROFILE_ID);
+});
+
+const _labExport = el("lab-profile-export");
+if (_labExport) _labExport.addEventListener("click", exportActiveLabProfile);
+
+const _labImport = el("lab-profile-import");
+if (_labImport && _labFile) _labImport.addEventListener("click", () => _labFile.click());
+
+if (_labFile) _labFile.addEventListener("change", () => {
+  const file = _labFile.files && _labFile.files[0];
+  if (!file) return;
+  const reader = new FileReader();
+  reader.onload = () => importLabProfiles(String(reader.result || ""));
+  reader.onerror = () => alert("Could not read \u201c" + file.name + "\u201d.");
+  reader.readAsText(file);
+  _labFile.value = "";
+});
+
+/* ─────────────────────────────────────────────────────────────────────
+ *  Time series (serial gases)
+ * ───────────────────────────────────────────────────────────────────── */
+
+const _seriesTime = el("series-time");
+const _seriesNote = el("series-note");
+const _seriesScrub = el("series-scrub");
+const _seriesCharts = el("series-charts");
+
+function clearSeriesFields() {
+  if (_seriesTime) _seriesTime.value = "";
+  if (_seriesNote) _seriesNote.value = "";
+}
+
+/** Load the timepoint at a chronological index into the panel. */
+function showTimepoint(index) {
+  const tp = selectTimepointAt(index);
+  if (tp) restoreAppState(decodeAppState(tp.hash));
+  renderSeriesPanel();
+}
+
+const _seriesAdd = el("series-add");
+if (_seriesAdd) _seriesAdd.addEventListener("click", () => {
+  if (!addSeriesTimepoint(_seriesTime ? _seriesTime.value : "", _seriesNote ? _seriesNote.value : "")) {
+    alert("Could not save the timepoint \u2014 browser storage is unavailable or full.");
+    return;
+  }
+  clearSeriesFields();
+  renderSeriesPanel();
+  refreshScrollHints();
+});
+
+const _seriesUpdate = el("series-update");
+if (_seriesUpdate) _seriesUpdate.addEventListener("click", () => {
+  if (updateSelectedTimepoint(_seriesTime ? _seriesTime.value : "", _seriesNote ? _seriesNote.value : "")) {
+    clearSeriesFields();
+  }
+  renderSeriesPanel();
+});
+
+const _seriesDelete = el("series-delete");
+if (_seriesDelete) _seriesDelete.addEventListener("click", () => {
+  const tp = getSelectedTimepoint();
+  if (!tp || !window.confirm("Delete the selected timepoint?")) return;
+  deleteSelectedTimepoint();
+  renderSeriesPanel();
+  refreshScrollHints();
+});
+
+const _seriesClear = el("series-clear");
+if (_seriesClear) _seriesClear.addEventListener("click", () => {
+  if (!window.confirm("Delete every timepoint in the series?")) return;
+  clearSeries();
+  renderSeriesPanel();
+  refreshScrollHints();
+});
+
+if (_seriesScrub) _seriesScrub.addEventListener("input", () => {
+  showTimepoint(parseInt(_seriesScrub.value, 10) || 0);
+});
+
+if (_seriesCharts) _seriesCharts.addEventListener("click", (ev) => {
+  const dot = ev.target.closest("[data-series-index]");
+  if (dot) showTimepoint(parseInt(dot.dataset.seriesIndex, 10) || 0);
+});
+
+/* ─────────────────────────────────────────────────────────────────────
+ *  Batch analysis (CSV import)
+ * ───────────────────────────────────────────────────────────────────── */
+
+const _batchFile = el("batch-file");
+if (_batchFile) _batchFile.addEventListener("change", () => {
+  const file = _batchFile.files && _batchFile.files[0];
+  if (!file) return;
+  const reader = new FileReader();
+  reader.onload = () => {
+    loadBatchCSV(String(reader.result || ""), file.name);
+    refreshScrollHints();
+  };
+  reader.onerror = () => alert("Could not read \u201c" + file.name + "\u201d.");
+  reader.readAsText(file);
+  _batchFile.value = "";
+});
+
+const _batchTemplate = el("batch-template");
+if (_batchTemplate) _batchTemplate.addEventListener("click", () => {
+  downloadBlob(new Blob([BATCH_TEMPLATE_CSV], { type: "text/csv;charset=utf-8" }), "stewart-batch-template.csv");
+});
+
+["csv", "json"].forEach((format) => {
+  const btn = el("batch-export-" + format);
+  if (btn) btn.addEventListener("click", () => {
+    const batch = getLastBatch();
+    if (batch && batch.rows.length) exportResults(format, batch.rows, { mode: "batch", source: batch.source });
+  });
+});
+
+const _batchClear = el("batch-clear");
+if (_batchClear) _batchClear.addEventListener("click", () => {
+  clearBatch();
+  refreshScrollHints();
+});
+
+/* ─────────────────────────────────────────────────────────────────────
+ *  Paste labs (free text → pickers)
+ * ───────────────────────────────────────────────────────────────────── */
+
+const _pasteText = el("paste-text");
+if (_pasteText) _pasteText.addEventListener("input", () => {
+  renderPastePreview();
+  refreshScrollHints();
+});
+
+const _pasteApply = el("paste-apply");
+if (_pasteApply) _pasteApply.addEventListener("click", () => {
+  const parsed = renderPastePreview();
+  if (!parsed || !applyPastedLabs(parsed)) return;
+  syncDependentControls();
+  computeAll();
+});
+
+const _pasteClear = el("paste-clear");
+if (_pasteClear && _pasteText) _pasteClear.addEventListener("click", () => {
+  _pasteText.value = "";
+  renderPastePreview();
+  refreshScrollHints();
+});
+
 /* ─────────────────────────────────────────────────────────────────────
  *  Export Gamblegram button
  * ───────────────────────────────────────────────────────────────────── */
@@ -183,6 +477,45 @@ if (_resetBtn) _resetBtn.addEventListener("click", () => {
 const _exportBtn = el("export-gg");
 if (_exportBtn) _exportBtn.addEventListener("click", exportGamblegramPNG);
 
+const _exportSvgBtn = el("export-gg-svg");
+if (_exportSvgBtn) _exportSvgBtn.addEventListener("click", exportGamblegramSVG);
+
+/* ─────────────────────────────────────────────────────────────────────
+ *  Export results (current panel)
+ * ───────────────────────────────────────────────────────────────────── */
+
+["csv", "json"].forEach((format) => {
+  const btn = el("export-results-" + format);
+  if (btn) btn.addEventListener("click", () => {
+    const inputs = readStewartInputs();
+    const result = computeStewart(inputs);
+    const issues = typeof checkPlausibility === "function"
+      ? checkPlausibility(inputs, result).map((c) => c.label) : [];
+    exportResults(format, [{ id: "panel", inputs, result, issues }], { mode: "panel" });
+  });
+});
+
+const _reportBtn = el("export-report-pdf");
+if (_reportBtn) _reportBtn.addEventListener("click", exportReportPDF);
+
+/* ─────────────────────────────────────────────────────────────────────
+ *  Baseline comparison (pin / clear)
+ * ───────────────────────────────────────────────────────────────────── */
+
+const _pinBaselineBtn = el("gg-pin-baseline");
+if (_pinBaselineBtn) _pinBaselineBtn.addEventListener("click", () => {
+  pinComparisonBaseline(window.__lastStewartResult);
+  _pinBaselineBtn.textContent = "Re-pin baseline";
+  computeAll();
+});
+
+const _clearBaselineBtn = el("gg-clear-baseline");
+if (_clearBaselineBtn) _clearBaselineBtn.addEventListener("click", () => {
+  clearComparisonBaseline();
+  if (_pinBaselineBtn) _pinBaselineBtn.textContent = "Pin as baseline";
+  computeAll();
+});
+
 /* ─────────────────────────────────────────────────────────────────────
  *  Formulas panel (collapsible)
  * ───────────────────────────────────────────────────────────────────── */
@@ -228,12 +561,38 @@ if (_lightToggle) {
 }
 
 /* ─────────────────────────────────────────────────────────────────────
- *  Non-SI toggle → recompute
+ *  Non-SI toggle / sample type / temperature strategy → recompute
  * ───────────────────────────────────────────────────────────────────── */
 
 const _nonSi = el("show-non-si");
 if (_nonSi) _nonSi.addEventListener("change", computeAll);
 
+["sample-type", "sample-conversion"].forEach((id) => {
+  const node = el(id);
+  if (node) node.addEventListener("change", () => {
+    syncDependentControls();
+    computeAll();
+  });
+});
+
+const _tempMode = el("temp-mode");
+if (_tempMode) _tempMode.addEventListener("change", computeAll);
+
+const _pkModel = el("pk-model");
+if (_pkModel) _pkModel.addEventListener("change", computeAll);
+
+const _weakAcidModel = el("weak-acid-model");
+if (_weakAcidModel) _weakAcidModel.addEventListener("change", computeAll);
+
+const _icaFormula = el("ica-formula");
+if (_icaFormula) _icaFormula.addEventListener("change", computeAll);
+
+const _fwdBasis = el("fwd-basis");
+if (_fwdBasis) _fwdBasis.addEventListener("change", computeAll);
+
+const _fluidType = el("fluid-type");
+if (_fluidType) _fluidType.addEventListener("change", computeAll);
+
 /* ─────────────────────────────────────────────────────────────────────
  *  Debounced live recompute on any <input> change
  * ───────────────────────────────────────────────────────────────────── */
@@ -264,7 +623,9 @@ document.querySelectorAll("select.unit-select").forEach((sel) => {
     const input  = document.getElementById(ionId);
     const curVal = input ? parseFloat(input.value) : NaN;
 
-    if (Number.isFinite(curVal) && prevU !== newU && input) {
+    // Picker-backed entries are converted at full precision by populatePicker()
+    const picked = PICKER_CONFIG.some((c) => c.id === ionId);
+    if (Number.isFinite(curVal) && prevU !== newU && input && !picked) {
       const si = displayToSI(ionId, curVal, prevU);
       const nv = siToDisplay(ionId, si, newU);
       if (Number.isFinite(nv)) input.value = Math.round(nv * 100) / 100;
@@ -278,7 +639,12 @@ document.querySelectorAll("select.unit-select").forEach((sel) => {
  *  Populate pickers on load
  * ───────────────────────────────────────────────────────────────────── */
 
+// The lab profile sets picker ranges and units, so it comes first
+if (typeof initLabProfiles === "function") initLabProfiles();
 PICKER_CONFIG.forEach(populatePicker);
+populateWeakAcidModelPicker();
+populateIcaFormulaPicker();
+if (typeof populateFluidPicker === "function") populateFluidPicker();
 
 // Repopulate a picker when its unit selector changes so the
 // option labels match the new unit.
@@ -310,8 +676,24 @@ if (_fixSig) {
     computeAll();
   });
 }
+if (_useTotalCa) {
+  _useTotalCa.addEventListener("change", () => {
+    syncDependentControls();
+    computeAll();
+  });
+}
+
+/* ─────────────────────────────────────────────────────────────────────
+ *  Permalink: restore state from the URL hash
+ * ───────────────────────────────────────────────────────────────────── */
+
+applyAppState(decodeAppState(window.location.hash));
 syncDependentControls();
 
+window.addEventListener("hashchange", () => {
+  restoreAppState(decodeAppState(window.location.hash));
+});
+
 window.addEventListener("scroll", refreshScrollHints, { passive: true });
 _desktopScrollColumns.forEach((column) => {
   column.addEventListener("scroll", refreshScrollHints, { passive: true });
@@ -331,5 +713,9 @@ window.addEventListener("resize", () => {
  *  Initial render
  * ───────────────────────────────────────────────────────────────────── */
 
+// Only start mirroring state into the hash once the linked state (if
+// any) has been restored, so the initial render can't overwrite it.
+window.updatePermalink = updatePermalink;
 computeAll();
+renderSeriesPanel();
 refreshScrollHints();
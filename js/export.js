@@ -1,33 +1,60 @@
 /**
- * export.js — Gamblegram PNG export (300 DPI).
+ * export.js — Gamblegram SVG / PNG export and results export.
  *
- * Clones the live SVG, inlines computed styles, rasterises via
- * <canvas> at 300 DPI, and triggers a browser download.
+ * `buildGamblegramSVG()` clones the live SVG and inlines computed
+ * styles; `exportGamblegramSVG()` saves that as a vector file and
+ * `exportGamblegramPNG()` rasterises it via <canvas> at 300 DPI.
  *
- * Depends on: (none — reads the SVG element directly)
+ * The results export writes one flat record per panel — every input
+ * in SI and conventional units plus every intermediate term — as CSV
+ * or JSON; batch mode writes one record per CSV row.
+ *
+ * Depends on: units.js (siToDisplay, KPA_TO_MMHG), stewart.js
+ *             (agFormulaLabel); interpret.js (interpretAcidBase) and
+ *             uncertainty.js (propagateUncertainty) when loaded
  */
 
 "use strict";
 
 /**
- * Export the current Gamblegram as a high-resolution PNG.
+ * Save a Blob through a temporary `<a download>` link.
  *
- * The exported image matches the on-screen appearance by reading
- * the live font-size from an SVG label and inlining it as a
- * <style> element before serialisation.
+ * @param {Blob} blob
+ * @param {string} filename
  */
-function exportGamblegramPNG() {
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a   = document.createElement("a");
+  a.href     = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Serialise the live Gamblegram as a standalone SVG document.
+ *
+ * The export matches the on-screen appearance by reading the live
+ * font-size from an SVG label and inlining it, with the label
+ * colours, as a <style> element; segment fills are already
+ * attributes.  Selection highlighting is dropped.
+ *
+ * @returns {{svgStr: string, width: number, height: number}|null}
+ */
+function buildGamblegramSVG() {
   const svg = document.getElementById("gg-svg");
-  if (!svg) return;
+  if (!svg) return null;
 
   const clone = svg.cloneNode(true);
+  clone.classList.remove("focused");
+  clone.querySelectorAll(".active").forEach((node) => node.classList.remove("active"));
 
   // Read the dynamic font-size from an actual label so the export
   // matches the current viewport width.
   const sampleText   = svg.querySelector("text.gg-name");
-  const liveFontSize = sampleText
-    ? (sampleText.getAttribute("font-size") || "14") + "px"
-    : "14px";
+  const liveFontSize = (parseFloat(sampleText && sampleText.getAttribute("font-size")) || 14) + "px";
 
   const muted = (getComputedStyle(document.documentElement)
     .getPropertyValue("--muted").trim()) || "#9aa4b2";
@@ -35,6 +62,7 @@ function exportGamblegramPNG() {
   const css =
     "text.gg-name { font: 400 " + liveFontSize + " Inter, system-ui, sans-serif; fill: " + muted + "; }" +
     "text.gg-val  { font: 400 " + liveFontSize + " Inter, system-ui, sans-serif; fill: " + muted + "; }" +
+    "tspan.value { font-weight: 700; }" +
     ".gg-rect { stroke: rgba(0,0,0,0.04); }";
 
   const styleEl = document.createElementNS("http://www.w3.org/2000/svg", "style");
@@ -42,21 +70,37 @@ function exportGamblegramPNG() {
   clone.insertBefore(styleEl, clone.firstChild);
   clone.setAttribute("xmlns", "http://www.w3.org/2000/svg");
 
-  const svgStr = new XMLSerializer().serializeToString(clone);
-  const blob   = new Blob([svgStr], { type: "image/svg+xml;charset=utf-8" });
-  const url    = URL.createObjectURL(blob);
-
   const vb = svg.viewBox.baseVal;
-  const w  = (vb && vb.width)  ? vb.width  : 800;
-  const h  = (vb && vb.height) ? vb.height : 600;
+  const width  = (vb && vb.width)  ? vb.width  : 800;
+  const height = (vb && vb.height) ? vb.height : 600;
+  clone.setAttribute("width", String(width));
+  clone.setAttribute("height", String(height));
+
+  return { svgStr: new XMLSerializer().serializeToString(clone), width, height };
+}
+
+/** Export the current Gamblegram as a standalone vector SVG. */
+function exportGamblegramSVG() {
+  const built = buildGamblegramSVG();
+  if (!built) return;
+  downloadBlob(new Blob([built.svgStr], { type: "image/svg+xml;charset=utf-8" }), "gamblegram.svg");
+}
+
+/** Export the current Gamblegram as a high-resolution PNG (300 DPI). */
+function exportGamblegramPNG() {
+  const built = buildGamblegramSVG();
+  if (!built) return;
+
+  const blob = new Blob([built.svgStr], { type: "image/svg+xml;charset=utf-8" });
+  const url  = URL.createObjectURL(blob);
 
   const DPI   = 300;
   const ratio = window.devicePixelRatio || 1;
   const scale = (DPI / 96) * ratio;
 
   const canvas  = document.createElement("canvas");
-  canvas.width  = Math.round(w * scale);
-  canvas.height = Math.round(h * scale);
+  canvas.width  = Math.round(built.width * scale);
+  canvas.height = Math.round(built.height * scale);
   const ctx     = canvas.getContext("2d");
 
   const img = new Image();
@@ -64,14 +108,7 @@ function exportGamblegramPNG() {
     ctx.setTransform(scale, 0, 0, scale, 0, 0);
     ctx.drawImage(img, 0, 0);
     URL.revokeObjectURL(url);
-    canvas.toBlob((pngBlob) => {
-      const a    = document.createElement("a");
-      a.href     = URL.createObjectURL(pngBlob);
-      a.download = "gamblegram-300dpi.png";
-      document.body.appendChild(a);
-      a.click();
-      a.remove();
-    }, "image/png");
+    canvas.toBlob((pngBlob) => downloadBlob(pngBlob, "gamblegram-300dpi.png"), "image/png");
   };
   img.onerror = () => {
     URL.revokeObjectURL(url);
@@ -79,3 +116,215 @@ function exportGamblegramPNG() {
   };
   img.src = url;
 }
+
+/* ─────────────────────────────────────────────────────────────────────
+ *  Results export (CSV / JSON)
+ * ───────────────────────────────────────────────────────────────────── */
+
+/** Round away floating-point noise without losing clinical precision. */
+const EXPORT_DECIMALS = 4;
+
+/** Numeric export value; undefined / non-finite inputs become NaN. */
+function exportNumber(v) {
+  return Number.isFinite(v) ? v : NaN;
+}
+
+/**
+ * Export columns in output order.  `get(entry)` receives
+ * `{ id, line, inputs, result, flags, issues }`, where `inputs` is the
+ * object given to `computeStewart()` and `result` is its output.
+ * SI is mmol/L, g/L and kPa; conventional is mEq/L, mg/dL, g/dL and
+ * mmHg.
+ */
+const EXPORT_COLUMNS = [
+  { key: "id",                  unit: "",       get: (e) => e.id || "" },
+  { key: "line",                unit: "",       get: (e) => (Number.isFinite(e.line) ? e.line : "") },
+
+  /* Inputs — SI */
+  { key: "na_mmol_l",           unit: "mmol/L", get: (e) => exportNumber(e.inputs.Na) },
+  { key: "k_mmol_l",            unit: "mmol/L", get: (e) => exportNumber(e.inputs.K) },
+  { key: "ica_mmol_l",          unit: "mmol/L", get: (e) => exportNumber(e.inputs.iCa) },
+  { key: "ca_total_mmol_l",     unit: "mmol/L", get: (e) => exportNumber(e.inputs.caTotal) },
+  { key: "mg_total_mmol_l",     unit: "mmol/L", get: (e) => exportNumber(e.inputs.MgTotal) },
+  { key: "cl_mmol_l",           unit: "mmol/L", get: (e) => exportNumber(e.inputs.Cl) },
+  { key: "lactate_mmol_l",      unit: "mmol/L", get: (e) => exportNumber(e.inputs.Lac) },
+  { key: "albumin_g_l",         unit: "g/L",    get: (e) => exportNumber(e.inputs.Alb * 10) },
+  { key: "phosphate_mmol_l",    unit: "mmol/L", get: (e) => exportNumber(e.inputs.Phos) },
+  { key: "ph",                  unit: "",       get: (e) => exportNumber(e.inputs.pH) },
+  { key: "pco2_kpa",            unit: "kPa",    get: (e) => exportNumber(e.inputs.pCO2 / KPA_TO_MMHG) },
+  { key: "hb_g_l",              unit: "g/L",    get: (e) => exportNumber(e.inputs.Hb * 10) },
+  { key: "sbe_measured_mmol_l", unit: "mmol/L", get: (e) => exportNumber(e.inputs.measuredSBE) },
+  { key: "temperature_c",       unit: "°C",     get: (e) => exportNumber(e.result.temperature.tempC) },
+  { key: "sample_type",         unit: "",       get: (e) => e.result.sample.sampleType },
+  { key: "sample_conversion",   unit: "",       get: (e) => e.result.sample.conversion },
+  { key: "spo2_percent",        unit: "%",      get: (e) => exportNumber(e.inputs.spO2 * 100) },
+  { key: "svo2_percent",        unit: "%",      get: (e) => exportNumber(e.inputs.svO2 * 100) },
+  { key: "hco3_entered_mmol_l", unit: "mmol/L", get: (e) => (e.inputs.hco3Mode === "bmp" ? exportNumber(e.inputs.bmpHCO3) : NaN) },
+
+  /* Inputs — conventional */
+  { key: "na_meq_l",            unit: "mEq/L",  get: (e) => exportNumber(e.inputs.Na) },
+  { key: "k_meq_l",             unit: "mEq/L",  get: (e) => exportNumber(e.inputs.K) },
+  { key: "ica_mg_dl",           unit: "mg/dL",  get: (e) => siToDisplay("ica", e.inputs.iCa, "mgdl") },
+  { key: "ca_total_mg_dl",      unit: "mg/dL",  get: (e) => siToDisplay("tca", e.inputs.caTotal, "mgdl") },
+  { key: "mg_total_mg_dl",      unit: "mg/dL",  get: (e) => siToDisplay("mg", e.inputs.MgTotal, "mgdl") },
+  { key: "cl_meq_l",            unit: "mEq/L",  get: (e) => exportNumber(e.inputs.Cl) },
+  { key: "lactate_mg_dl",       unit: "mg/dL",  get: (e) => siToDisplay("lac", e.inputs.Lac, "mgdl") },
+  { key: "albumin_g_dl",        unit: "g/dL",   get: (e) => exportNumber(e.inputs.Alb) },
+  { key: "phosphate_mg_dl",     unit: "mg/dL",  get: (e) => siToDisplay("phos", e.inputs.Phos, "mgdl") },
+  { key: "pco2_mmhg",           unit: "mmHg",   get: (e) => exportNumber(e.inputs.pCO2) },
+  { key: "hb_g_dl",             unit: "g/dL",   get: (e) => exportNumber(e.inputs.Hb) },
+
+  /* Additional ions */
+  { key: "extra_ions",          unit: "",       get: (e) => describeExtraIons(e.inputs.extraIons) },
+  { key: "extra_cations_meq_l", unit: "mEq/L",  get: (e) => e.result.extraTotals.cations },
+  { key: "extra_anions_meq_l",  unit: "mEq/L",  get: (e) => e.result.extraTotals.anions },
+
+  /* Intermediates */
+  { key: "ph_arterial",         unit: "",       get: (e) => exportNumber(e.result.sample.pH) },
+  { key: "pco2_arterial_mmhg",  unit: "mmHg",   get: (e) => exportNumber(e.result.sample.pCO2) },
+  { key: "sample_note",         unit: "",       get: (e) => e.result.sample.note },
+  { key: "temp_strategy",       unit: "",       get: (e) => e.result.temperature.mode },
+  { key: "model_temperature_c", unit: "°C",     get: (e) => e.result.temperature.modelTempC },
+  { key: "ph_at_temperature",   unit: "",       get: (e) => exportNumber(e.result.temperature.pH) },
+  { key: "pco2_at_temperature_mmhg", unit: "mmHg", get: (e) => exportNumber(e.result.temperature.pCO2) },
+  { key: "hco3_source",         unit: "",       get: (e) => e.result.hco3Source },
+  { key: "hco3_mmol_l",         unit: "mmol/L", get: (e) => exportNumber(e.result.HCO3) },
+  { key: "hco3_from_gas_mmol_l", unit: "mmol/L", get: (e) => exportNumber(e.result.hco3FromGas) },
+  { key: "pk_model",            unit: "",       get: (e) => e.result.pkModel },
+  { key: "carbonic_pk",         unit: "",       get: (e) => exportNumber(e.result.pK) },
+  { key: "ionic_strength_mol_l", unit: "mol/L", get: (e) => exportNumber(e.result.ionicStrength) },
+  { key: "sig_target_meq_l",    unit: "mEq/L",  get: (e) => exportNumber(e.result.sigTarget) },
+  { key: "weak_acid_model",     unit: "",       get: (e) => e.result.weakAcidModel },
+  { key: "alb_minus_meq_l",     unit: "mEq/L",  get: (e) => e.result.albMinus },
+  { key: "alb_minus_equation",  unit: "",       get: (e) => e.result.weakAcidTerms.albumin },
+  { key: "phos_minus_meq_l",    unit: "mEq/L",  get: (e) => e.result.piMinus },
+  { key: "phos_minus_equation", unit: "",       get: (e) => e.result.weakAcidTerms.phosphate },
+  { key: "atot_mmol_l",         unit: "mmol/L", get: (e) => e.result.atot },
+  { key: "img_estimated_mmol_l", unit: "mmol/L", get: (e) => exportNumber(e.result.iMg) },
+  { key: "img_confidence",      unit: "",       get: (e) => (Number.isFinite(e.inputs.MgTotal) ? e.result.iMgConfidence.label : "") },
+  { key: "img_confidence_reasons", unit: "",    get: (e) => (Number.isFinite(e.inputs.MgTotal) ? e.result.iMgConfidence.reasons.join("; ") : "") },
+  { key: "ica_source",          unit: "",       get: (e) => e.result.iCaSource },
+  { key: "ica_estimated_mmol_l", unit: "mmol/L", get: (e) => (e.result.iCaSource === "estimated" ? e.result.iCa : NaN) },
+  { key: "ica_formula",         unit: "",       get: (e) => (e.result.iCaSource === "estimated" ? e.result.iCaFormula : "") },
+  { key: "ica_confidence",      unit: "",       get: (e) => (e.result.iCaSource === "estimated" ? e.result.iCaConfidence.label : "") },
+  { key: "ica_confidence_reasons", unit: "",    get: (e) => (e.result.iCaSource === "estimated" ? e.result.iCaConfidence.reasons.join("; ") : "") },
+
+  /* Results */
+  { key: "sida_meq_l",          unit: "mEq/L",  get: (e) => e.result.sidA },
+  { key: "side_meq_l",          unit: "mEq/L",  get: (e) => e.result.sidE },
+  { key: "sig_meq_l",           unit: "mEq/L",  get: (e) => e.result.sig },
+  { key: "sida_sd_meq_l",       unit: "mEq/L",  get: (e) => exportUncertainty(e, "sidA", "sd") },
+  { key: "sida_ci95_low_meq_l", unit: "mEq/L",  get: (e) => exportUncertainty(e, "sidA", "low") },
+  { key: "sida_ci95_high_meq_l", unit: "mEq/L", get: (e) => exportUncertainty(e, "sidA", "high") },
+  { key: "side_sd_meq_l",       unit: "mEq/L",  get: (e) => exportUncertainty(e, "sidE", "sd") },
+  { key: "side_ci95_low_meq_l", unit: "mEq/L",  get: (e) => exportUncertainty(e, "sidE", "low") },
+  { key: "side_ci95_high_meq_l", unit: "mEq/L", get: (e) => exportUncertainty(e, "sidE", "high") },
+  { key: "sig_sd_meq_l",        unit: "mEq/L",  get: (e) => exportUncertainty(e, "sig", "sd") },
+  { key: "sig_ci95_low_meq_l",  unit: "mEq/L",  get: (e) => exportUncertainty(e, "sig", "low") },
+  { key: "sig_ci95_high_meq_l", unit: "mEq/L",  get: (e) => exportUncertainty(e, "sig", "high") },
+  { key: "sig_sd_leading_input", unit: "",      get: (e) => (e.uncertainty && e.uncertainty.contributions.length ? e.uncertainty.contributions[0].label : "") },
+  { key: "ag_meq_l",            unit: "mEq/L",  get: (e) => e.result.ag },
+  { key: "ag_formula",          unit: "",       get: (e) => agFormulaLabel(e.result.agVariant) },
+  { key: "ag_no_k_meq_l",        unit: "mEq/L",  get: (e) => e.result.agNoK },
+  { key: "ag_albumin_corrected_meq_l", unit: "mEq/L", get: (e) => e.result.agCorrected },
+  { key: "delta_gap_meq_l",     unit: "mEq/L",  get: (e) => exportNumber(e.result.deltaDelta.deltaGap) },
+  { key: "delta_ratio",         unit: "",       get: (e) => exportNumber(e.result.deltaDelta.deltaRatio) },
+  { key: "delta_ratio_band",    unit: "",       get: (e) => e.result.deltaDelta.label },
+  { key: "sbe_calc_mmol_l",     unit: "mmol/L", get: (e) => exportNumber(e.result.sbe) },
+  { key: "sbe_discrepancy_mmol_l", unit: "mmol/L", get: (e) => exportNumber(e.result.sbeDiscrepancy) },
+  { key: "be_free_water_mmol_l", unit: "mmol/L", get: (e) => exportNumber(e.result.bePartition.freeWater) },
+  { key: "be_chloride_mmol_l",  unit: "mmol/L", get: (e) => exportNumber(e.result.bePartition.chloride) },
+  { key: "be_albumin_mmol_l",   unit: "mmol/L", get: (e) => exportNumber(e.result.bePartition.albumin) },
+  { key: "be_lactate_mmol_l",   unit: "mmol/L", get: (e) => exportNumber(e.result.bePartition.lactate) },
+  { key: "be_unmeasured_mmol_l", unit: "mmol/L", get: (e) => exportNumber(e.result.bePartition.unmeasured) },
+  { key: "be_blood_mmol_l",     unit: "mmol/L", get: (e) => exportNumber(e.result.wholeBlood.beB) },
+  { key: "buffer_base_meq_l",   unit: "mEq/L",  get: (e) => exportNumber(e.result.wholeBlood.bufferBase) },
+  { key: "buffer_base_normal_meq_l", unit: "mEq/L", get: (e) => exportNumber(e.result.wholeBlood.normalBufferBase) },
+  { key: "hb_buffer_meq_l",     unit: "mEq/L",  get: (e) => exportNumber(e.result.wholeBlood.hbMinus) },
+  { key: "ctco2_plasma_mmol_l", unit: "mmol/L", get: (e) => exportNumber(e.result.wholeBlood.ctCO2Plasma) },
+  { key: "ctco2_blood_mmol_l",  unit: "mmol/L", get: (e) => exportNumber(e.result.wholeBlood.ctCO2Blood) },
+  { key: "ctco2_hb_effect_mmol_l", unit: "mmol/L", get: (e) => exportNumber(e.result.wholeBlood.hbCO2Effect) },
+  { key: "interpretation",      unit: "",       get: (e) => (typeof interpretAcidBase === "function" ? interpretAcidBase(e.result, e.inputs).narrative : "") },
+  { key: "flags",               unit: "",       get: (e) => Object.keys(e.flags || {}).map((k) => k + " " + e.flags[k]).join("; ") },
+  { key: "issues",              unit: "",       get: (e) => (e.issues || []).join("; ") },
+];
+
+/** One field of a `propagateUncertainty()` output, or NaN. */
+function exportUncertainty(e, key, field) {
+  return e.uncertainty ? exportNumber(e.uncertainty.outputs[key][field]) : NaN;
+}
+
+/** "Sulfate anion ×2 1.5 mmol/L; …" for the extra-ion column. */
+function describeExtraIons(extraIons) {
+  const list = extraIons ? (extraIons.cations || []).concat(extraIons.anions || []) : [];
+  return list
+    .map((ion) => (ion.labelText || ion.k) + " " + ion.kind
+      + (ion.charge > 1 ? " \u00d7" + ion.charge : "") + " " + ion.concentration + " mmol/L")
+    .join("; ");
+}
+
+/**
+ * Build one flat export record.
+ *
+ * @param {Object} entry  `{ id, line, inputs, result, flags, issues }`,
+ *                        optionally with a precomputed `uncertainty`
+ * @returns {Object}  Column key → number (NaN when missing) or string
+ */
+function buildExportRecord(entry) {
+  const record = {};
+  // Propagated once per record with the active lab profile's CVs
+  const e = !entry.uncertainty && typeof propagateUncertainty === "function"
+    ? Object.assign({}, entry, { uncertainty: propagateUncertainty(entry.inputs, currentAnalyticCVs()) })
+    : entry;
+  EXPORT_COLUMNS.forEach((col) => {
+    const v = col.get(e);
+    record[col.key] = typeof v === "number" && Number.isFinite(v)
+      ? Number(v.toFixed(EXPORT_DECIMALS))
+      : v;
+  });
+  return record;
+}
+
+function csvCell(v) {
+  if (typeof v === "number") return Number.isFinite(v) ? String(v) : "";
+  const text = String(v === undefined || v === null ? "" : v);
+  return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+/** Records → CSV text with a header row of column keys. */
+function recordsToCSV(records) {
+  const lines = [EXPORT_COLUMNS.map((c) => c.key).join(",")];
+  records.forEach((rec) => lines.push(EXPORT_COLUMNS.map((c) => csvCell(rec[c.key])).join(",")));
+  return lines.join("\r\n") + "\r\n";
+}
+
+/**
+ * Records → JSON text.  Missing numbers become `null`; a `columns`
+ * block documents each key's unit.
+ */
+function recordsToJSON(records, meta) {
+  return JSON.stringify(Object.assign({
+    exportedAt: new Date().toISOString(),
+    columns: EXPORT_COLUMNS.map((c) => ({ key: c.key, unit: c.unit })),
+  }, meta || {}, {
+    rows: records,
+  }), (k, v) => (typeof v === "number" && !Number.isFinite(v) ? null : v), 2);
+}
+
+/**
+ * Download the current panel, or every batch row, as CSV or JSON.
+ *
+ * @param {"csv"|"json"} format
+ * @param {Array} entries  `{ id, line, inputs, result, flags, issues }` per row
+ * @param {Object} meta    `{ mode: "panel"|"batch", source }`, written
+ *                         into the JSON header and used for the file name
+ */
+function exportResults(format, entries, meta) {
+  const records = entries.map(buildExportRecord);
+  const basename = meta.mode === "batch" ? "stewart-batch-results" : "stewart-results";
+  if (format === "json") {
+    downloadBlob(new Blob([recordsToJSON(records, meta)], { type: "application/json" }), basename + ".json");
+  } else {
+    downloadBlob(new Blob([recordsToCSV(records)], { type: "text/csv;charset=utf-8" }), basename + ".csv");
+  }
+}
@@ -0,0 +1,239 @@
+/**
+ * fluids.js — "What-if" fluid and intervention simulator.
+ *
+ * Mixes a volume of a chosen fluid into the patient's estimated
+ * extracellular volume (ECF) and predicts the new strong ions,
+ * albumin, pH and Gamblegram.  The mixing model is a single
+ * well-mixed compartment:
+ *
+ *   X_new = (X_plasma · V_ECF + X_fluid · V_fluid) / (V_ECF + V_fluid)
+ *
+ * for Na⁺, K⁺, Ca²⁺, Mg²⁺, Cl⁻, lactate, phosphate and albumin.  A
+ * panel entered as total Ca mixes total Ca and re-estimates iCa.  The
+ * current SIG is diluted like any other anion.  pCO₂ is held at its
+ * measured value (ventilation is assumed to clear any CO₂ load) and
+ * the new pH comes from the forward Stewart solver.
+ *
+ * Lactate, acetate and gluconate are strong anions until they are
+ * metabolised; with "metabolised" checked they are removed and only
+ * their sodium remains, which is how LR and Plasma-Lyte raise SID.
+ *
+ * Depends on: helpers.js (el, parse, formatSigned),
+ *             physiology.js (analyzerPHFromPatient),
+ *             stewart.js (computeStewart, predictStewartPH),
+ *             gamblegram.js (renderGamblegram, gamblegramStackTotal)
+ */
+
+"use strict";
+
+/**
+ * Fluid compositions in mmol/L (albumin in g/L), keyed like the
+ * panel inputs.  `organic` is the acetate + gluconate load (mEq/L).
+ * HCO₃⁻ is not listed: it is a dependent variable, so 8.4 % sodium
+ * bicarbonate acts through its sodium.  Albumin preparations differ
+ * between manufacturers; their Cl⁻ is set so the solution is
+ * electroneutral at pH 7.40 (Cl⁻ = Na⁺ − Alb⁻).
+ */
+const FLUIDS = {
+  "saline-0.9":  { label: "0.9% saline",             Na: 154,  Cl: 154 },
+  "lr":          { label: "Lactated Ringer's",       Na: 130,  K: 4, Ca: 1.4, Cl: 109, Lac: 28 },
+  "plasma-lyte": { label: "Plasma-Lyte 148",         Na: 140,  K: 5, Mg: 1.5, Cl: 98, organic: 50 },
+  "bicarb-8.4":  { label: "8.4% sodium bicarbonate", Na: 1000 },
+  "saline-3":    { label: "3% saline",               Na: 513,  Cl: 513 },
+  "albumin-5":   { label: "Albumin 5%",              Na: 145,  Cl: 131, albGperL: 50 },
+  "albumin-20":  { label: "Albumin 20%",             Na: 145,  Cl: 89,  albGperL: 200 },
+};
+
+const DEFAULT_FLUID = "saline-0.9";
+
+/** Defaults for blank inputs: 1 L into the ECF of a 70 kg adult (20 % of body weight). */
+const DEFAULT_FLUID_VOLUME_L = 1;
+const DEFAULT_ECF_L = 14;
+
+/* ─────────────────────────────────────────────────────────────────────
+ *  Mixing model (DOM-free)
+ * ───────────────────────────────────────────────────────────────────── */
+
+/**
+ * Predict the panel after giving `options.volumeL` of a fluid.
+ *
+ * @param {Object} inputs   As for `computeStewart()`
+ * @param {Object} [options]
+ * @param {string} [options.fluid]        Key of `FLUIDS`
+ * @param {number} [options.volumeL]      Infused volume (L)
+ * @param {number} [options.ecfL]         Estimated ECF volume (L)
+ * @param {boolean} [options.metabolised] Remove lactate / acetate / gluconate
+ * @returns {{fluid:string, label:string, volumeL:number, ecfL:number,
+ *            metabolised:boolean, dilution:number, unmeasuredAnions:number,
+ *            converged:boolean, pH:number, inputs:Object,
+ *            before:Object, after:Object}}
+ *          `inputs` is the mixed panel (its pH is the predicted 37 °C
+ *          pH; a venous gas is given as its arterial conversion),
+ *          `after` its `computeStewart()` result and `pH` the solved pH
+ *          at the model temperature
+ */
+function simulateFluid(inputs, options) {
+  const p = inputs || {};
+  const o = options || {};
+  const id = Object.prototype.hasOwnProperty.call(FLUIDS, o.fluid) ? o.fluid : DEFAULT_FLUID;
+  const fluid = FLUIDS[id];
+  const volumeL = Number.isFinite(o.volumeL) && o.volumeL >= 0 ? o.volumeL : DEFAULT_FLUID_VOLUME_L;
+  const ecfL = Number.isFinite(o.ecfL) && o.ecfL > 0 ? o.ecfL : DEFAULT_ECF_L;
+  const metabolised = !!o.metabolised;
+  const keep = ecfL / (ecfL + volumeL);
+  const add = volumeL / (ecfL + volumeL);
+
+  // A missing plasma value stays missing unless the fluid brings some
+  const mix = (plasma, infused) => {
+    if (!Number.isFinite(plasma) && !infused) return plasma;
+    return (Number.isFinite(plasma) ? plasma : 0) * keep + (infused || 0) * add;
+  };
+  const dilute = (list) => (Array.isArray(list) ? list : []).map((ion) => Object.assign({}, ion,
+    Number.isFinite(ion.v) ? { v: ion.v * keep } : { concentration: (ion.concentration || 0) * keep }));
+
+  const before = computeStewart(p);
+  const fromTotalCa = !Number.isFinite(p.iCa) && Number.isFinite(p.caTotal);
+  const unmeasuredAnions = (Number.isFinite(before.sig) ? before.sig : 0) * keep
+    + (metabolised ? 0 : (fluid.organic || 0)) * add;
+
+  // The mixture is on the arterial basis: a venous gas is converted
+  // once here, not again when the mixed panel is computed
+  const mixed = Object.assign({}, p, {
+    pH: before.sample.pH,
+    pCO2: before.sample.pCO2,
+    sampleType: "arterial",
+    sampleConversion: "none",
+    Na: mix(p.Na, fluid.Na),
+    K: mix(p.K, fluid.K),
+    iCa: fromTotalCa ? p.iCa : mix(p.iCa, fluid.Ca),
+    caTotal: fromTotalCa ? mix(p.caTotal, fluid.Ca) : p.caTotal,
+    MgTotal: mix(p.MgTotal, fluid.Mg),
+    Cl: mix(p.Cl, fluid.Cl),
+    Lac: mix(p.Lac, metabolised ? 0 : fluid.Lac),
+    Phos: mix(p.Phos, 0),
+    Alb: mix(p.Alb, fluid.albGperL ? fluid.albGperL / 10 : 0),   // g/dL
+    hco3Mode: "gas",
+    extraIons: p.extraIons ? {
+      cations: dilute(p.extraIons.cations),
+      anions: dilute(p.extraIons.anions),
+    } : undefined,
+  });
+
+  /* The prediction is applied as a shift from the solver's own answer
+   * for the unchanged panel, so 0 L returns the measured pH exactly.
+   * iMg (and so SIDa) depends on pH, so solve twice: once at the
+   * measured pH and once at the first prediction. */
+  const modelT = before.temperature.modelTempC;
+  const baseline = predictStewartPH(p, { basis: "side" });
+  const offset = baseline.converged ? baseline.baselinePH - baseline.modelPH : 0;
+  let pH37 = before.sample.pH;
+  let solved = null;
+  for (let pass = 0; pass < 2; pass++) {
+    solved = predictStewartPH(Object.assign({}, mixed, { pH: pH37 }),
+      { basis: "sida", dSid: -unmeasuredAnions });
+    if (!solved.converged) break;
+    pH37 = analyzerPHFromPatient(solved.pH - offset, modelT);
+  }
+  mixed.pH = solved && solved.converged ? pH37 : NaN;
+
+  return {
+    fluid: id, label: fluid.label, volumeL, ecfL, metabolised,
+    dilution: keep, unmeasuredAnions,
+    converged: !!(solved && solved.converged),
+    pH: solved && solved.converged ? solved.pH - offset : NaN,
+    inputs: mixed,
+    before,
+    after: computeStewart(mixed),
+  };
+}
+
+/* ─────────────────────────────────────────────────────────────────────
+ *  Simulator panel
+ * ───────────────────────────────────────────────────────────────────── */
+
+/** Result cards: element ID → value from the mixed panel or its result. */
+const FLUID_RESULT_FIELDS = [
+  { id: "fluid-res-na",   unit: "mmol/L", decimals: 1, get: (r, inp) => inp.Na },
+  { id: "fluid-res-cl",   unit: "mmol/L", decimals: 1, get: (r, inp) => inp.Cl },
+  { id: "fluid-res-sida", unit: "mEq/L",  decimals: 1, get: (r) => r.sidA },
+  { id: "fluid-res-alb",  unit: "g/dL",   decimals: 2, get: (r, inp) => inp.Alb },
+  { id: "fluid-res-ph",   unit: "",       decimals: 3, get: (r, inp) => inp.pH },
+  { id: "fluid-res-hco3", unit: "mmol/L", decimals: 1, get: (r) => r.HCO3 },
+];
+
+/** Fill the fluid selector from `FLUIDS`. */
+function populateFluidPicker() {
+  const sel = el("fluid-type");
+  if (!sel) return;
+  const current = sel.value || DEFAULT_FLUID;
+  sel.innerHTML = "";
+  Object.keys(FLUIDS).forEach((id) => {
+    const opt = document.createElement("option");
+    opt.value = id;
+    opt.textContent = FLUIDS[id].label;
+    if (id === DEFAULT_FLUID) opt.defaultSelected = true;
+    sel.appendChild(opt);
+  });
+  sel.value = Object.prototype.hasOwnProperty.call(FLUIDS, current) ? current : DEFAULT_FLUID;
+}
+
+/**
+ * Run the simulator for the live panel and draw the predicted values
+ * and Gamblegram on the same scale as the live chart.
+ *
+ * @param {Object} inputs   From `readStewartInputs()`
+ * @param {Object} current  `computeStewart(inputs)`
+ */
+function renderFluidSimulator(inputs, current) {
+  if (!el("fluid-res-na")) return;
+  const typeEl = el("fluid-type");
+  const metabolisedEl = el("fluid-metabolised");
+  const sim = simulateFluid(inputs, {
+    fluid: typeEl ? typeEl.value : DEFAULT_FLUID,
+    volumeL: parse("fluid-volume"),
+    ecfL: parse("fluid-ecf"),
+    metabolised: !!(metabolisedEl && metabolisedEl.checked),
+  });
+
+  FLUID_RESULT_FIELDS.forEach((f) => {
+    const after = f.get(sim.after, sim.inputs);
+    const before = f.get(sim.before, inputs);
+    const node = el(f.id);
+    const meta = el(f.id + "-meta");
+    if (node) {
+      node.textContent = Number.isFinite(after)
+        ? after.toFixed(f.decimals) + (f.unit ? " " + f.unit : "") : "—";
+    }
+    if (meta) {
+      meta.textContent = Number.isFinite(before) && Number.isFinite(after)
+        ? "from " + before.toFixed(f.decimals) + " (Δ " + formatSigned(after - before, f.decimals) + ")"
+        : "—";
+    }
+  });
+
+  const note = el("fluid-note");
+  if (note) {
+    note.textContent = [
+      sim.volumeL.toFixed(2) + " L " + sim.label + " into " + sim.ecfL.toFixed(1)
+        + " L ECF (plasma values × " + sim.dilution.toFixed(3) + ").",
+      "Unmeasured anions " + sim.unmeasuredAnions.toFixed(1) + " mEq/L; pCO₂ held at the measured value.",
+      sim.converged ? "" : "No pH solution between " + FORWARD_PH_RANGE[0] + " and " + FORWARD_PH_RANGE[1] + ".",
+    ].filter(Boolean).join(" ");
+  }
+
+  if (current && current.gamblegram) {
+    renderGamblegram(sim.after.gamblegram, {
+      svgId: "gg-svg-fluid",
+      legendId: null,
+      unknownId: "gg-unknown-fluid",
+      stateLabel: "After " + sim.label,
+      compareTo: current.gamblegram,
+      compareLabel: "current",
+      scaleMax: Math.max(
+        gamblegramStackTotal(current.gamblegram),
+        gamblegramStackTotal(sim.after.gamblegram)
+      ),
+      readsInputs: false,
+    });
+  }
+}
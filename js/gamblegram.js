@@ -1,9 +1,11 @@
 /**
  * gamblegram.js — SVG stacked-bar Gamblegram with animation and tooltips.
  *
- * `renderGamblegram(vals)` builds two stacked columns — cations (left)
- * vs anions (right) — with an easeOutCubic transition between states.
- * Includes interactive tooltips on hover / focus / touch.
+ * `renderGamblegram(vals, options)` builds two stacked columns —
+ * cations (left) vs anions (right) — with an easeOutCubic transition
+ * between states.  Includes interactive tooltips on hover / focus /
+ * touch.  `options` lets the same renderer draw a second, pinned
+ * baseline chart for comparison mode (see compare.js).
  *
  * Depends on: helpers.js (parse), units.js (conversion factors)
  */
@@ -21,6 +23,7 @@ const SVG_LABELS = {
   Cl: "Cl\u207B", Lactate: "Lactate\u207B",
   HCO3: "HCO\u2083\u207B",
   Alb: "Alb\u207B", Phos: "Phos\u207B",
+  Hb: "Hb\u207B", RBC: "RBC cations",
   Unknown: "Unknown",
 };
 
@@ -31,6 +34,7 @@ const HTML_LABELS = {
   Cl: 'Cl<sup>\u2212</sup>', Lactate: 'Lactate<sup>\u2212</sup>',
   HCO3: 'HCO<sub>3</sub><sup>\u2212</sup>',
   Alb: 'Alb<sup>\u2212</sup>', Phos: 'Phos<sup>\u2212</sup>',
+  Hb: 'Hb<sup>\u2212</sup>', RBC: "RBC cations",
   Unknown: "Unknown",
 };
 
@@ -55,6 +59,74 @@ function htmlLabel(segment) {
   return HTML_LABELS[key] || escapeHTML(key);
 }
 
+/* ── Read palette colors from CSS custom properties ──
+ *    CSS vars are named --gg-Na, --gg-Cl, --gg-Aminus, etc.
+ *    The `map` aliases JS ion keys to their CSS var suffixes
+ *    (e.g. "Alb" → "Aminus", "Phos" → "Pi").                     */
+function cssColor(key, fallback) {
+  const map = { "Alb": "Aminus", "Phos": "Pi", "Lactate": "Lactate", "HCO3": "HCO3", "iCa": "iCa", "Mg": "Mg" };
+  const name = map[key] || key;
+  const varName = "--gg-" + name;
+  const v = getComputedStyle(document.documentElement).getPropertyValue(varName).trim();
+  return v || fallback;
+}
+
+/**
+ * Cation and anion stacks for a set of Gamblegram values, bottom to
+ * top: largest segment first, "Unknown" (SIG) always on top of the
+ * shorter column.  Shared by the SVG renderer and the PDF report.
+ *
+ * @param {Object} vals  See `renderGamblegram()`
+ * @returns {{cations: Array<{k, v, c}>, anions: Array<{k, v, c}>}}
+ */
+function gamblegramStacks(vals) {
+  const sig = vals.sig || 0;
+  let cations = [
+    { k: "Na",  v: vals.Na      || 0, c: cssColor("Na",  "#BFE7FF") },
+    { k: "K",   v: vals.K       || 0, c: cssColor("K",   "#FFE9C9") },
+    { k: "iCa", v: vals.iCa     || 0, c: cssColor("iCa", "#DFF7ED") },
+    { k: "Mg",  v: vals.Mg_mmol || 0, c: cssColor("Mg",  "#E8E9FF") },
+  ].concat(Array.isArray(vals.extraCations) ? vals.extraCations : []);
+  let anions = [
+    { k: "Cl",      v: vals.Cl       || 0, c: cssColor("Cl",      "#FFD8DA") },
+    { k: "Lactate", v: vals.Lac      || 0, c: cssColor("Lactate", "#FFF6D6") },
+    { k: "HCO3",    v: vals.HCO3     || 0, c: cssColor("HCO3",    "#E9FFEA") },
+    { k: "Alb",     v: vals.albMinus || 0, c: cssColor("Aminus",  "#F0EAFF") },
+    { k: "Phos",    v: vals.piMinus  || 0, c: cssColor("Pi",      "#FFF9DE") },
+  ].concat(Array.isArray(vals.extraAnions) ? vals.extraAnions : []);
+
+  // Whole-blood view: Hb buffer base and the red-cell cations balancing it
+  if (vals.hbMinus > 0) {
+    cations.push({ k: "RBC", v: vals.hbMinus, c: cssColor("RBC", "#E7A3A3") });
+    anions.push({ k: "Hb", v: vals.hbMinus, c: cssColor("Hb", "#A8323E") });
+  }
+
+  // SIG → "Unknown" segment at the top of the shorter column
+  const UNKNOWN_CLR = cssColor("Unknown", "#B347FF");
+  if (sig >  0.0001) anions.push({  k: "Unknown", v: sig,           c: UNKNOWN_CLR });
+  if (sig < -0.0001) cations.push({ k: "Unknown", v: Math.abs(sig), c: UNKNOWN_CLR });
+
+  // Sort large → small; keep "Unknown" on top (drawn last)
+  const lift = (arr) => {
+    const known   = arr.filter((x) => x.k !== "Unknown")
+                       .sort((a, b) => (b.v || 0) - (a.v || 0));
+    const unknown = arr.filter((x) => x.k === "Unknown");
+    return known.concat(unknown);
+  };
+  return { cations: lift(cations), anions: lift(anions) };
+}
+
+/**
+ * Height of the taller stack (cations or anions, including the
+ * "Unknown" segment) for a set of Gamblegram values.  Used to put two
+ * charts on a shared vertical scale.
+ */
+function gamblegramStackTotal(vals) {
+  const { cations, anions } = gamblegramStacks(vals);
+  const sum = (arr) => arr.reduce((s, x) => s + (x.v || 0), 0);
+  return Math.max(sum(cations), sum(anions));
+}
+
 /* ─────────────────────────────────────────────────────────────────────
  *  renderGamblegram()
  * ───────────────────────────────────────────────────────────────────── */
@@ -63,15 +135,34 @@ function htmlLabel(segment) {
  * Build the Gamblegram SVG visualisation.
  *
  * @param {Object} vals  Ion values in mEq/L (charge equivalents).
- *   Keys: Na, K, iCa, Mg_mmol, Cl, Lac, HCO3, albMinus, piMinus, sig
+ *   Keys: Na, K, iCa, Mg_mmol, Cl, Lac, HCO3, albMinus, piMinus, sig,
+ *   and `hbMinus` for the whole-blood view (`wholeBloodGamblegram()`)
  *   Note: iCa and Mg_mmol are already multiplied by 2 (divalent) by
- *   the caller (`computeAll`).
+ *   the caller (`computeStewart`).
+ * @param {Object} [options]
+ * @param {string} [options.svgId="gg-svg"]         Target `<svg>`
+ * @param {?string} [options.legendId="gg-legend"]  Legend container; `null` skips the legend
+ * @param {string} [options.unknownId="gg-unknown"] "Unknown" summary line
+ * @param {string} [options.stateLabel]  Names the state in tooltips (e.g. "Baseline")
+ * @param {Object} [options.compareTo]   Baseline values; legend and tooltips show Δ against them
+ * @param {string} [options.compareLabel="baseline"]
+ * @param {number} [options.scaleMax]    Shared stack height so two charts use one scale
+ * @param {number} [options.labelScale=1] Shrinks desktop labels for side-by-side charts
+ * @param {boolean} [options.readsInputs=true] Tooltips quote the entered
+ *   values from the input fields; `false` for a pinned snapshot
  */
-function renderGamblegram(vals) {
-  const svg       = document.getElementById("gg-svg");
-  const legend    = document.getElementById("gg-legend");
-  const unknownEl = document.getElementById("gg-unknown");
-  if (!svg || !legend || !unknownEl) return;
+function renderGamblegram(vals, options = {}) {
+  const svg       = document.getElementById(options.svgId || "gg-svg");
+  const legend    = options.legendId === null
+    ? null
+    : document.getElementById(options.legendId || "gg-legend");
+  const unknownEl = document.getElementById(options.unknownId || "gg-unknown");
+  if (!svg || !unknownEl) return;
+  if (!legend && options.legendId !== null) return;
+  const stateLabel   = options.stateLabel || "";
+  const compareTo    = options.compareTo || null;
+  const compareLabel = options.compareLabel || "baseline";
+  const readsInputs  = options.readsInputs !== false;
 
   /* ── Snapshot previous bar positions for smooth animation ── */
   const prevRects = {};
@@ -83,19 +174,7 @@ function renderGamblegram(vals) {
     };
   });
 
-  /* ── Unpack values ── */
-  const Na       = vals.Na       || 0;
-  const K        = vals.K        || 0;
-  const iCa      = vals.iCa      || 0;
-  const Mg_mmol  = vals.Mg_mmol  || 0;
-  const Cl       = vals.Cl       || 0;
-  const Lac      = vals.Lac      || 0;
-  const HCO3     = vals.HCO3     || 0;
-  const albMinus = vals.albMinus || 0;
-  const piMinus  = vals.piMinus  || 0;
-  const sig      = vals.sig      || 0;
-  const extraCations = Array.isArray(vals.extraCations) ? vals.extraCations : [];
-  const extraAnions  = Array.isArray(vals.extraAnions)  ? vals.extraAnions  : [];
+  const sig = vals.sig || 0;
 
   /**
    * Tooltip non-SI helper — returns a conventional-unit string or null.
@@ -118,47 +197,30 @@ function renderGamblegram(vals) {
     }
   };
 
-  /* ── Read palette colors from CSS custom properties ──
-   *    CSS vars are named --gg-Na, --gg-Cl, --gg-Aminus, etc.
-   *    The `map` aliases JS ion keys to their CSS var suffixes
-   *    (e.g. "Alb" → "Aminus", "Phos" → "Pi").                     */
-  const cssColor = (key, fallback) => {
-    const map = { "Alb": "Aminus", "Phos": "Pi", "Lactate": "Lactate", "HCO3": "HCO3", "iCa": "iCa", "Mg": "Mg" };
-    const name = map[key] || key;
-    const varName = "--gg-" + name;
-    const v = getComputedStyle(document.documentElement).getPropertyValue(varName).trim();
-    return v || fallback;
-  };
-
   /* ── Build cation / anion stacks (colors read from CSS variables) ── */
-  let cations = [
-    { k: "Na",  v: Na,      c: cssColor("Na",  "#BFE7FF") },
-    { k: "K",   v: K,       c: cssColor("K",   "#FFE9C9") },
-    { k: "iCa", v: iCa,     c: cssColor("iCa", "#DFF7ED") },
-    { k: "Mg",  v: Mg_mmol, c: cssColor("Mg",  "#E8E9FF") },
-  ].concat(extraCations);
-  let anions = [
-    { k: "Cl",      v: Cl,       c: cssColor("Cl",      "#FFD8DA") },
-    { k: "Lactate", v: Lac,      c: cssColor("Lactate", "#FFF6D6") },
-    { k: "HCO3",    v: HCO3,     c: cssColor("HCO3",    "#E9FFEA") },
-    { k: "Alb",     v: albMinus, c: cssColor("Aminus",  "#F0EAFF") },
-    { k: "Phos",    v: piMinus,  c: cssColor("Pi",      "#FFF9DE") },
-  ].concat(extraAnions);
-
-  // SIG → "Unknown" segment at the top of the shorter column
-  const UNKNOWN_CLR = cssColor("Unknown", "#B347FF");
-  if (sig >  0.0001) anions.push({  k: "Unknown", v: sig,           c: UNKNOWN_CLR });
-  if (sig < -0.0001) cations.push({ k: "Unknown", v: Math.abs(sig), c: UNKNOWN_CLR });
-
-  // Sort large → small; keep "Unknown" on top (drawn last)
-  const lift = (arr) => {
-    const known   = arr.filter((x) => x.k !== "Unknown")
-                       .sort((a, b) => (b.v || 0) - (a.v || 0));
-    const unknown = arr.filter((x) => x.k === "Unknown");
-    return known.concat(unknown);
+  const { cations, anions } = gamblegramStacks(vals);
+
+  /* ── Baseline value per segment key (comparison mode) ── */
+  const baselineByKey = {};
+  if (compareTo) {
+    const bSig = compareTo.sig || 0;
+    [
+      ["Na", compareTo.Na], ["K", compareTo.K], ["iCa", compareTo.iCa],
+      ["Mg", compareTo.Mg_mmol], ["Cl", compareTo.Cl], ["Lactate", compareTo.Lac],
+      ["HCO3", compareTo.HCO3], ["Alb", compareTo.albMinus], ["Phos", compareTo.piMinus],
+      ["Hb", compareTo.hbMinus], ["RBC", compareTo.hbMinus],
+      ["Unknown", Math.abs(bSig)],
+    ].forEach(([k, v]) => { baselineByKey[k] = v || 0; });
+    (compareTo.extraCations || []).concat(compareTo.extraAnions || []).forEach((x) => {
+      baselineByKey[x.k] = x.v || 0;
+    });
+  }
+  const deltaText = (k, v) => {
+    if (!compareTo) return "";
+    const b = Object.prototype.hasOwnProperty.call(baselineByKey, k) ? baselineByKey[k] : 0;
+    const d = (v || 0) - b;
+    return (d > 0 ? "+" : "") + d.toFixed(2);
   };
-  cations = lift(cations);
-  anions  = lift(anions);
 
   /* ── Responsive geometry ── */
   const container = document.querySelector(".container");
@@ -214,9 +276,10 @@ function renderGamblegram(vals) {
   const resultLabelEl = document.querySelector(".results.compact dd");
   const resultFontPx = resultLabelEl ? parseFloat(getComputedStyle(resultLabelEl).fontSize) : null;
 
+  const labelScale = Number.isFinite(options.labelScale) ? options.labelScale : 1;
   const computedLabelFontSize = isMobile
     ? Math.max(12, Math.min(Math.round(legendFontPx * (W / 330)), 16))
-    : Math.max(72, Math.round((resultFontPx || labelFontPx) * 2));
+    : Math.round(Math.max(72, Math.round((resultFontPx || labelFontPx) * 2)) * labelScale);
 
   const fSizeNum = computedLabelFontSize;
   const baseY  = padTop + H;
@@ -224,7 +287,7 @@ function renderGamblegram(vals) {
   const sum      = (a) => a.reduce((s, x) => s + (x.v || 0), 0);
   const totalC   = sum(cations);
   const totalA   = sum(anions);
-  const maxStack = Math.max(totalC, totalA, 1);
+  const maxStack = Math.max(totalC, totalA, 1, options.scaleMax || 0);
 
   /* ── Reset SVG (preserve <title> / <desc> for accessibility) ── */
   const titleTag = svg.querySelector("title");
@@ -333,6 +396,8 @@ function renderGamblegram(vals) {
     if (Number.isFinite(item.concentration)) rect.dataset.concentration = item.concentration.toFixed(2);
     if (Number.isFinite(item.charge)) rect.dataset.charge = String(item.charge);
     if (item.kind) rect.dataset.kind = item.kind;
+    if (stateLabel) rect.dataset.state = stateLabel;
+    if (compareTo) rect.dataset.delta = deltaText(item.k, item.v);
     svg.appendChild(rect);
 
     const labelHeight = fSizeNum * 1.2; // estimate text height
@@ -420,9 +485,10 @@ function renderGamblegram(vals) {
   aT.forEach((t, i) => addSeg(t, rightX, rightX + barW + labelPad, "start", rightLabelYs.get(i)));
 
   /* ── "Unknown" label under chart ── */
-  if (sig >  0.0001)      unknownEl.textContent = "Unknown anions: "  + sig.toFixed(1)           + " mEq/L";
-  else if (sig < -0.0001) unknownEl.textContent = "Unknown cations: " + Math.abs(sig).toFixed(1) + " mEq/L";
-  else                    unknownEl.textContent = "Unknown: none";
+  const statePrefix = stateLabel ? stateLabel + " \u2014 " : "";
+  if (sig >  0.0001)      unknownEl.textContent = statePrefix + "Unknown anions: "  + sig.toFixed(1)           + " mEq/L";
+  else if (sig < -0.0001) unknownEl.textContent = statePrefix + "Unknown cations: " + Math.abs(sig).toFixed(1) + " mEq/L";
+  else                    unknownEl.textContent = statePrefix + "Unknown: none";
 
   /* ── Legend ── */
   const seen  = new Set();
@@ -430,8 +496,8 @@ function renderGamblegram(vals) {
     if (seen.has(x.k)) return false;
     seen.add(x.k); return true;
   });
-  legend.innerHTML = "";
-  items.forEach((it) => {
+  if (legend) legend.innerHTML = "";
+  if (legend) items.forEach((it) => {
     const itemEl = document.createElement("div");
     itemEl.className = "item";
 
@@ -441,6 +507,11 @@ function renderGamblegram(vals) {
 
     const text = document.createElement("span");
     text.innerHTML = htmlLabel(it) + " \u2014 " + it.v.toFixed(2) + " mEq/L";
+    if (compareTo) {
+      const b = Object.prototype.hasOwnProperty.call(baselineByKey, it.k) ? baselineByKey[it.k] : 0;
+      text.innerHTML += ' <span class="gg-legend-delta">(' + escapeHTML(compareLabel) + " "
+        + b.toFixed(2) + ", \u0394 " + deltaText(it.k, it.v) + ")</span>";
+    }
 
     itemEl.appendChild(swatch);
     itemEl.appendChild(text);
@@ -533,7 +604,7 @@ function renderGamblegram(vals) {
   /* ── EaseOutCubic bar animation ── */
   const DUR  = 360;
   const ease = (t) => 1 - Math.pow(1 - t, 3);
-  if (window._ggAF) cancelAnimationFrame(window._ggAF);
+  if (svg._ggAF) cancelAnimationFrame(svg._ggAF);
   const t0 = performance.now();
 
   function tick(now) {
@@ -546,10 +617,10 @@ function renderGamblegram(vals) {
       a.rect.setAttribute("height", Math.max(1, ch));
       a.text.setAttribute("y",      a.sTextY + (a.tTextY - a.sTextY) * e);
     });
-    if (p < 1) window._ggAF = requestAnimationFrame(tick);
-    else       window._ggAF = null;
+    if (p < 1) svg._ggAF = requestAnimationFrame(tick);
+    else       svg._ggAF = null;
   }
-  window._ggAF = requestAnimationFrame(tick);
+  svg._ggAF = requestAnimationFrame(tick);
 
   /* ── Tooltip show / hide (closures over `tooltip` & helpers) ── */
 
@@ -563,20 +634,27 @@ function renderGamblegram(vals) {
 
     // Show the original entered unit if it differs from SI
     const ID_MAP = { Na: "na", K: "k", iCa: "ica", Mg: "mg", Cl: "cl", Lactate: "lac", Phos: "phos" };
-    const mid    = ID_MAP[key];
+    const totalCaEl = document.getElementById("use-total-ca");
+    const fromTotalCa = key === "iCa" && readsInputs && !!(totalCaEl && totalCaEl.checked);
+    const mid    = fromTotalCa ? "tca" : ID_MAP[key];
     let extra    = "";
-    if (mid) {
+    if (mid && readsInputs) {
       const uel = document.getElementById(mid + "-unit");
       const raw = parse(mid);
       const u = uel && uel.value === "mgdl" ? "mg/dL" : "mmol/L";
-      if (key === "Mg" && Number.isFinite(raw)) {
+      if ((key === "Mg" || fromTotalCa) && Number.isFinite(raw)) {
         extra = '<div style="margin-top:4px;color:var(--muted)">'
-              + "Total Mg entered: " + raw.toFixed(2) + " " + u + "</div>";
+              + "Total " + (fromTotalCa ? "Ca" : "Mg") + " entered: " + raw.toFixed(2) + " " + u + "</div>";
       } else if (uel && uel.value !== "si" && Number.isFinite(raw)) {
         extra = '<div style="margin-top:4px;color:var(--muted)">'
               + raw.toFixed(2) + " " + u + " (entered)</div>";
       }
     }
+    if (key === "Hb" || key === "RBC") {
+      extra = '<div style="margin-top:4px;color:var(--muted)">'
+            + (key === "Hb" ? "Hb buffer base" : "Cations balancing Hb\u207B")
+            + ", mEq per litre of blood</div>";
+    }
     if (rect.dataset.custom === "true") {
       const concentration = rect.dataset.concentration || "0.00";
       const charge = rect.dataset.charge || "1";
@@ -592,13 +670,22 @@ function renderGamblegram(vals) {
                     document.getElementById("show-non-si").checked;
     const nsLine = (ns && showNon)
       ? '<div style="color:var(--muted);margin-top:4px">\u2248 ' + ns +
-        (key === "Mg" ? " estimated ionized" : "") + "</div>"
+        (key === "Mg" || fromTotalCa ? " estimated ionized" : "") + "</div>"
+      : "";
+
+    const stateLine = rect.dataset.state
+      ? '<div style="color:var(--muted);margin-bottom:2px">' + escapeHTML(rect.dataset.state) + "</div>"
+      : "";
+    const deltaLine = rect.dataset.delta
+      ? '<div style="margin-top:4px">\u0394 vs ' + escapeHTML(compareLabel) + " "
+        + escapeHTML(rect.dataset.delta) + " mEq/L</div>"
       : "";
 
     tooltip.innerHTML =
+      stateLine +
       "<strong>" + label + "</strong>" +
       '<div style="font-weight:700;margin-top:4px">' +
-      val.toFixed(2) + " mEq/L</div>" + extra + nsLine;
+      val.toFixed(2) + " mEq/L</div>" + deltaLine + extra + nsLine;
 
     const cr = document.querySelector(".container").getBoundingClientRect();
     tooltip.style.left = Math.max(40, Math.min(cx - cr.left, cr.width - 40)) + "px";
@@ -4,6 +4,7 @@
  * Provides `el()` for element lookup and `parse()` for reading
  * numeric values from both `<input>` and `<select class="picker">`
  * elements.  Every other JS file depends on these two functions.
+ * `formatSigned()` is the shared formatter for signed deltas.
  */
 
 "use strict";
@@ -39,3 +40,10 @@ function parse(id) {
   const v = parseFloat(node.value);
   return Number.isFinite(v) ? v : NaN;
 }
+
+/** Format a signed quantity with an explicit "+" for positive values. */
+function formatSigned(value, decimals) {
+  if (!Number.isFinite(value)) return "—";
+  const text = value.toFixed(decimals);
+  return value > 0 ? "+" + text : text;
+}
@@ -0,0 +1,282 @@
+/**
+ * interpret.js — Rule-based acid-base interpretation.
+ *
+ * `interpretAcidBase(result)` takes a `computeStewart()` result and
+ * classifies the panel in four steps, each finding carrying the rule
+ * that fired so the reasoning is visible:
+ *
+ *   1. Primary disorder(s) from pH, pCO₂ and SBE (respiratory vs
+ *      metabolic, or mixed).
+ *   2. Expected compensation: Winter's formula for metabolic acidosis
+ *      [1], the SBE rules of Schlichtig et al. [2] for metabolic
+ *      alkalosis and for acute vs chronic respiratory disorders.
+ *   3. The Stewart mechanism behind the metabolic component: SID
+ *      acidosis/alkalosis (free water, chloride, lactate), weak-acid
+ *      acidosis/alkalosis (albumin, phosphate) and unmeasured-anion
+ *      acidosis (SIG).
+ *   4. For a metabolic acidosis with a raised albumin-corrected AG,
+ *      the traditional delta ratio ΔAG / ΔHCO₃⁻ and its band [3].
+ *
+ * It never touches the DOM; compute.js renders the findings.
+ *
+ * References:
+ *   [1] Albert MS, Dell RB, Winters RW. "Quantitative displacement of
+ *       acid-base equilibrium in metabolic acidosis." Ann Intern Med.
+ *       1967;66(2):312-322.
+ *   [2] Schlichtig R, Grogono AW, Severinghaus JW. "Human PaCO2 and
+ *       standard base excess compensation for acid-base imbalance."
+ *       Crit Care Med. 1998;26(7):1173-1179.
+ *   [3] Rastegar A. "Use of the ΔAG/ΔHCO3− ratio in the diagnosis of
+ *       mixed acid-base disorders." J Am Soc Nephrol.
+ *       2007;18(9):2429-2431.
+ *
+ * Depends on: helpers.js (formatSigned), stewart.js (computeStewart
+ *             result shape)
+ */
+
+"use strict";
+
+/**
+ * Normal limits used by the rules.  `partition` is the size (mEq/L)
+ * a base-excess partition term must reach to count as a disorder;
+ * `sig` may be overridden by the caller to follow the results panel.
+ */
+const INTERPRET_NORMALS = {
+  pH: { min: 7.35, max: 7.45 },
+  pCO2: { min: 35, max: 45 },
+  sbe: { min: -2, max: 2 },
+  sig: { min: 0, max: 6 },
+  phos: { max: 1.45 },
+  partition: 2,
+};
+
+/** ± band (mmHg, or mmol/L for SBE) around each expected compensation. */
+const COMPENSATION_TOLERANCE = 2;
+
+/** Chronic respiratory disorders: ΔSBE = 0.4 · ΔpCO₂ [2]. */
+const CHRONIC_SBE_PER_PCO2 = 0.4;
+
+/** Fixed-decimal text for a rule, "—" when missing. */
+function formatRuleValue(v, d) {
+  return Number.isFinite(v) ? v.toFixed(d) : "—";
+}
+
+/* ─────────────────────────────────────────────────────────────────────
+ *  Rules
+ * ───────────────────────────────────────────────────────────────────── */
+
+/**
+ * Metabolic compensation for a respiratory disorder [2]: acute → SBE
+ * unchanged, chronic → SBE moves 0.4 mEq/L per mmHg.
+ */
+function respiratoryCompensation(kind, pCO2, sbe) {
+  const dPco2 = pCO2 - 40;
+  const chronic = CHRONIC_SBE_PER_PCO2 * dPco2;
+  const tol = COMPENSATION_TOLERANCE;
+  const rule = "Acute: SBE 0 ± " + tol + "; chronic: SBE = 0.4 × (pCO₂ − 40) = "
+    + formatSigned(chronic, 1) + " ± " + tol + " mmol/L. Calculated SBE " + formatSigned(sbe, 1) + ".";
+  const lo = Math.min(0, chronic) - tol;
+  const hi = Math.max(0, chronic) + tol;
+  const Kind = kind.charAt(0).toUpperCase() + kind.slice(1);
+  let label;
+  if (!Number.isFinite(sbe)) label = "Metabolic compensation not assessable";
+  else if (Math.abs(sbe) <= tol) label = "Acute (uncompensated) " + kind;
+  else if (Math.abs(sbe - chronic) <= tol) label = "Chronic (compensated) " + kind;
+  else if (sbe > lo && sbe < hi) label = "Partly compensated " + kind + " (between acute and chronic)";
+  else if (sbe >= hi) label = Kind + " with an additional metabolic alkalosis";
+  else label = Kind + " with an additional metabolic acidosis";
+  return { kind: "compensation", label, rule };
+}
+
+/**
+ * Respiratory compensation for a metabolic disorder: Winter's formula
+ * for acidosis [1], pCO₂ = 40 + 0.6 · SBE for alkalosis [2].
+ */
+function metabolicCompensation(kind, pCO2, sbe, HCO3) {
+  const tol = COMPENSATION_TOLERANCE;
+  const acid = kind === "metabolic acidosis";
+  const expected = acid ? 1.5 * HCO3 + 8 : 40 + 0.6 * sbe;
+  const rule = (acid
+    ? "Winter's formula: expected pCO₂ = 1.5 × HCO₃⁻ + 8 = 1.5 × " + formatRuleValue(HCO3, 1) + " + 8"
+    : "Expected pCO₂ = 40 + 0.6 × SBE = 40 + 0.6 × " + formatRuleValue(sbe, 1))
+    + " = " + formatRuleValue(expected, 1) + " ± " + tol + " mmHg. Measured " + formatRuleValue(pCO2, 1) + ".";
+  let label;
+  if (!Number.isFinite(expected)) label = "Respiratory compensation not assessable";
+  else if (pCO2 > expected + tol) label = "Respiratory compensation inadequate: additional respiratory acidosis";
+  else if (pCO2 < expected - tol) label = "Respiratory compensation exceeded: additional respiratory alkalosis";
+  else label = "Appropriate respiratory compensation";
+  return { kind: "compensation", label, rule };
+}
+
+/**
+ * Stewart mechanisms behind the metabolic component, from the
+ * base-excess partition, phosphate and SIG.  `direction` is "acid"
+ * or "base" (the way the mechanism pushes pH).
+ */
+function stewartMechanisms(r, phos, n) {
+  const out = [];
+  const be = r.bePartition || {};
+  const t = n.partition;
+  const term = (value, acidLabel, baseLabel, kind, name) => {
+    if (!Number.isFinite(value) || Math.abs(value) <= t) return;
+    out.push({
+      kind,
+      label: value < 0 ? acidLabel : baseLabel,
+      rule: name + " base-excess effect " + formatSigned(value, 1) + " mEq/L (|effect| > " + t + ").",
+      direction: value < 0 ? "acid" : "base",
+    });
+  };
+  term(be.freeWater, "SID acidosis: free-water excess (dilutional, low Na⁺)",
+    "SID alkalosis: free-water deficit (contraction, high Na⁺)", "sid", "Free-water 0.3 × (Na⁺ − 140):");
+  term(be.chloride, "SID acidosis: hyperchloraemia",
+    "SID alkalosis: hypochloraemia", "sid", "Chloride 102 − Cl⁻ × 140/Na⁺:");
+  term(be.lactate, "SID acidosis: lactate", "SID alkalosis: lactate below normal", "sid", "Lactate 1 − lactate:");
+  term(be.albumin, "Weak-acid acidosis: hyperalbuminaemia",
+    "Weak-acid alkalosis: hypoalbuminaemia", "weak-acid", "Albumin (0.123·pH − 0.631) × (42 − Alb):");
+
+  if (Number.isFinite(phos) && phos > n.phos.max) {
+    out.push({
+      kind: "weak-acid",
+      label: "Weak-acid acidosis: hyperphosphataemia",
+      rule: "Phosphate " + formatRuleValue(phos, 2) + " mmol/L > " + n.phos.max + " mmol/L; Phos⁻ " + formatRuleValue(r.piMinus, 1) + " mEq/L.",
+      direction: "acid",
+    });
+  }
+  if (Number.isFinite(r.sig) && r.sig > n.sig.max) {
+    out.push({
+      kind: "unmeasured",
+      label: "Unmeasured-anion acidosis",
+      rule: "SIG = SIDa − SIDe = " + formatRuleValue(r.sidA, 1) + " − " + formatRuleValue(r.sidE, 1) + " = " + formatRuleValue(r.sig, 1)
+        + " mEq/L > " + n.sig.max + " mEq/L (e.g. ketones, toxic alcohols, uraemic anions).",
+      direction: "acid",
+    });
+  } else if (Number.isFinite(r.sig) && r.sig < n.sig.min) {
+    out.push({
+      kind: "unmeasured",
+      label: "Negative SIG: unmeasured cations or a measurement error",
+      rule: "SIG " + formatRuleValue(r.sig, 1) + " mEq/L < " + n.sig.min + " mEq/L.",
+      direction: "base",
+    });
+  }
+  return out;
+}
+
+/* ─────────────────────────────────────────────────────────────────────
+ *  Interpretation
+ * ───────────────────────────────────────────────────────────────────── */
+
+/**
+ * Interpret one panel.
+ *
+ * @param {Object} r         Result of `computeStewart()`
+ * @param {Object} [inputs]  The inputs it was computed from (for phosphate)
+ * @param {Object} [limits]  Overrides for `INTERPRET_NORMALS` (e.g. `{ sig: { min, max } }`)
+ * @returns {{status:string, primary:string[], findings:Array<{kind:string,
+ *            label:string, rule:string}>, narrative:string}}
+ *          `kind` is "primary", "compensation", "sid", "weak-acid",
+ *          "unmeasured", "delta" or "note"
+ */
+function interpretAcidBase(r, inputs, limits) {
+  const n = Object.assign({}, INTERPRET_NORMALS, limits || {});
+  const t = (r && r.temperature) || {};
+  const pH = t.pH37;
+  const pCO2 = t.pCO2_37;
+  const sbe = r ? r.sbe : NaN;
+  const HCO3 = r ? r.HCO3 : NaN;
+  if (!Number.isFinite(pH) || !Number.isFinite(pCO2)) {
+    return {
+      status: "incomplete", primary: [],
+      findings: [{ kind: "note", label: "Not interpreted", rule: "Needs pH and pCO₂." }],
+      narrative: "Enter pH and pCO₂ to interpret the panel.",
+    };
+  }
+
+  const status = pH < n.pH.min ? "acidaemia" : pH > n.pH.max ? "alkalaemia" : "normal pH";
+  const resp = pCO2 > n.pCO2.max ? "respiratory acidosis" : pCO2 < n.pCO2.min ? "respiratory alkalosis" : null;
+  const met = !Number.isFinite(sbe) ? null
+    : sbe < n.sbe.min ? "metabolic acidosis" : sbe > n.sbe.max ? "metabolic alkalosis" : null;
+  const phRule = "pH " + formatRuleValue(pH, 2) + " (normal " + n.pH.min + "–" + n.pH.max + ")";
+  const pco2Rule = "pCO₂ " + formatRuleValue(pCO2, 1) + " mmHg (normal " + n.pCO2.min + "–" + n.pCO2.max + ")";
+  const sbeRule = "SBE " + (Number.isFinite(sbe) ? formatSigned(sbe, 1) : "—") + " mmol/L (normal " + n.sbe.min + " to +" + n.sbe.max + ")";
+
+  /* 1 — primary disorder(s): the abnormalities that push pH the way it
+   *     went.  Within the normal pH range the side of 7.40 decides
+   *     which of two opposing abnormalities is primary.                */
+  const towards = status === "acidaemia" ? "acidosis" : status === "alkalaemia" ? "alkalosis" : null;
+  const abnormal = [resp, met].filter(Boolean);
+  const lean = towards || (pH < 7.40 ? "acidosis" : pH > 7.40 ? "alkalosis" : null);
+  let primary = abnormal.filter((d) => lean && d.endsWith(lean));
+  if (!towards && !primary.length) primary = abnormal;
+  const findings = [];
+  if (primary.length) {
+    const mixed = primary.length > 1;
+    findings.push({
+      kind: "primary",
+      label: (mixed ? "Mixed " + primary.join(" and ") : "Primary " + primary[0])
+        + (towards ? "" : mixed ? " (offsetting, pH normal)" : " (pH within the normal range)"),
+      rule: [phRule, primary.includes(resp) ? pco2Rule : "", primary.includes(met) ? sbeRule : ""]
+        .filter(Boolean).join("; ") + ".",
+    });
+  } else if (towards) {
+    findings.push({
+      kind: "primary",
+      label: (towards === "acidosis" ? "Acidaemia" : "Alkalaemia") + " without a matching pCO₂ or SBE change",
+      rule: phRule + "; " + pco2Rule + "; " + sbeRule + ".",
+    });
+  } else {
+    findings.push({
+      kind: "primary",
+      label: "No primary disorder by pH, pCO₂ and SBE",
+      rule: phRule + "; " + pco2Rule + "; " + sbeRule + ".",
+    });
+  }
+
+  /* 2 — compensation, only for a single primary disorder */
+  if (primary.length === 1) {
+    const p0 = primary[0];
+    findings.push(p0.startsWith("respiratory")
+      ? respiratoryCompensation(p0, pCO2, sbe)
+      : metabolicCompensation(p0, pCO2, sbe, HCO3));
+  } else if (primary.length > 1 && primary[0].split(" ")[1] === primary[1].split(" ")[1]) {
+    findings.push({
+      kind: "compensation",
+      label: "No compensation expected",
+      rule: "Both components move pH the same way.",
+    });
+  }
+
+  /* 3 — Stewart mechanisms */
+  const mechanisms = stewartMechanisms(r, inputs ? inputs.Phos : NaN, n);
+  mechanisms.forEach((m) => findings.push({ kind: m.kind, label: m.label, rule: m.rule }));
+  const acidifying = mechanisms.some((m) => m.direction === "acid");
+  const alkalinising = mechanisms.some((m) => m.direction === "base");
+  /* 4 — traditional cross-check: the delta ratio of a metabolic acidosis */
+  const dd = r.deltaDelta;
+  if (met === "metabolic acidosis" && dd && Number.isFinite(dd.deltaRatio)) {
+    findings.push({
+      kind: "delta",
+      label: "Delta ratio " + formatRuleValue(dd.deltaRatio, 2) + ": " + dd.label.charAt(0).toLowerCase() + dd.label.slice(1),
+      rule: "ΔAG / ΔHCO₃⁻ = (" + formatRuleValue(r.agCorrected, 1) + " − " + dd.agNormal + ") / ("
+        + dd.hco3Normal + " − " + formatRuleValue(HCO3, 1) + ") with the albumin-corrected AG; Δ gap "
+        + formatSigned(dd.deltaGap, 1) + " mEq/L.",
+    });
+  }
+  if (acidifying && alkalinising && !met) {
+    findings.push({
+      kind: "note",
+      label: "Offsetting metabolic disorders",
+      rule: "Acidifying and alkalinising Stewart terms cancel, so the near-normal SBE hides them.",
+    });
+  }
+
+  return { status, primary, findings, narrative: narrate(status, pH, findings) };
+}
+
+/** One paragraph of plain language from the findings. */
+function narrate(status, pH, findings) {
+  const lead = status === "normal pH"
+    ? "pH " + formatRuleValue(pH, 2) + " is normal."
+    : "pH " + formatRuleValue(pH, 2) + " shows " + status + ".";
+  const sentences = findings.map((f) => f.label + ".");
+  return [lead].concat(sentences).join(" ");
+}
@@ -0,0 +1,763 @@
+/**
+ * labProfiles.js — Laboratory profiles (reference ranges, units, AG formula).
+ *
+ * Every laboratory reports its own normals.  A lab profile collects
+ * what differs between them:
+ *
+ *   - per-analyte reference ranges (SI, albumin in g/dL) that drive the
+ *     "Ref." text beside each input and its out-of-range highlighting;
+ *   - optional picker ranges that override `PICKER_CONFIG`;
+ *   - the default unit of each analyte with a unit selector;
+ *   - the normal ranges of SIDa, SIDe, SIG, AG and SBE, which become
+ *     `RESULT_RANGES` (results panel, series, batch and report flags);
+ *   - the anion-gap formula (with or without K⁺, albumin-corrected);
+ *   - the analytic CV (%) of each analyte, which uncertainty.js
+ *     propagates to SIDa, SIDe and SIG.
+ *
+ * The built-in "Default" profile reproduces the app's original
+ * values.  User profiles live in localStorage and can be exported and
+ * imported as JSON:
+ *
+ *   { "name": "…",
+ *     "analytes": { "k": { "low": 3.5, "high": 5.1, "cv": 1.5 },
+ *                   "mg": { "low": 0.66, "high": 1.07, "unit": "si",
+ *                           "pickerMin": 0, "pickerMax": 5 } },
+ *     "results":  { "ag": { "min": 8, "max": 16 } },
+ *     "ag":       { "includesK": false, "albuminCorrected": true, "normalAlbumin": 4.0 } }
+ *
+ * Missing entries fall back to the default profile.  Profiles are not
+ * part of the permalink: a shared link is read with the receiver's
+ * own profile.
+ *
+ * Storage shape (key `LAB_PROFILE_STORAGE_KEY`):
+ *   { activeId, profiles: [{ id, name, analytes, results, ag }] }
+ *
+ * Depends on: helpers.js (el), units.js (siToDisplay),
+ *             stewart.js (normalizeAgVariant, AG_ALBUMIN_FACTOR),
+ *             compute.js (RESULT_RANGES), pickers.js (PICKER_CONFIG,
+ *             populatePicker), export.js (downloadBlob)
+ */
+
+"use strict";
+
+const LAB_PROFILE_STORAGE_KEY = "stewart.labProfiles.v1";
+const LAB_PROFILE_NAME_MAX = 60;
+const DEFAULT_LAB_PROFILE_ID = "default";
+
+/** Largest option list a profile's picker range may produce. */
+const LAB_PICKER_MAX_OPTIONS = 2000;
+
+/** Largest analytic CV (%) a profile may set. */
+const LAB_CV_MAX = 50;
+
+/**
+ * Analytes a profile can configure, in input order.  `units` lists
+ * the values of the analyte's unit selector (absent = fixed unit);
+ * `decimals` is the precision of the "Ref." text per unit.
+ */
+const LAB_ANALYTES = [
+  { id: "na",   label: "Na⁺",       unit: "mmol/L", decimals: { si: 0 } },
+  { id: "k",    label: "K⁺",        unit: "mmol/L", decimals: { si: 1 } },
+  { id: "ica",  label: "iCa²⁺",     unit: "mmol/L", decimals: { si: 2, mgdl: 1 }, units: ["si", "mgdl"] },
+  { id: "tca",  label: "Ca total",  unit: "mmol/L", decimals: { si: 2, mgdl: 1 }, units: ["si", "mgdl"] },
+  { id: "mg",   label: "Mg²⁺ total", unit: "mmol/L", decimals: { si: 2, mgdl: 1 }, units: ["si", "mgdl"] },
+  { id: "cl",   label: "Cl⁻",       unit: "mmol/L", decimals: { si: 0 } },
+  { id: "lac",  label: "Lactate",   unit: "mmol/L", decimals: { si: 1, mgdl: 1 }, units: ["si", "mgdl"] },
+  { id: "alb",  label: "Albumin",   unit: "g/dL",   decimals: { si: 1 } },
+  { id: "phos", label: "Phosphate", unit: "mmol/L", decimals: { si: 2, mgdl: 1 }, units: ["si", "mgdl"] },
+  { id: "hco3", label: "HCO₃⁻",     unit: "mmol/L", decimals: { si: 0 } },
+  { id: "ph",   label: "pH",        unit: "",       decimals: { si: 2 } },
+  { id: "pco2", label: "pCO₂",      unit: "mmHg",   decimals: { si: 0 } },
+];
+
+/** Result ranges a profile can configure: key → results-panel ID. */
+const LAB_RESULT_KEYS = {
+  sida: { id: "res-sida", label: "SIDa", unit: "mEq/L" },
+  side: { id: "res-side", label: "SIDe", unit: "mEq/L" },
+  sig:  { id: "res-sig",  label: "SIG",  unit: "mEq/L" },
+  ag:   { id: "res-ag",   label: "AG",   unit: "mEq/L" },
+  sbe:  { id: "res-sbe",  label: "SBE",  unit: "mmol/L" },
+};
+
+/**
+ * The app's original ranges and units.  `cv` is the analytic
+ * coefficient of variation in %, typical of a modern analyser; for pH
+ * it is the CV of [H⁺].
+ */
+const DEFAULT_LAB_PROFILE = {
+  id: DEFAULT_LAB_PROFILE_ID,
+  name: "Default",
+  analytes: {
+    na:   { low: 135,  high: 145, cv: 1.0 },
+    k:    { low: 3.5,  high: 5.0, cv: 2.0 },
+    ica:  { low: 1.15, high: 1.29, unit: "si", cv: 1.5 },
+    tca:  { low: 2.15, high: 2.60, unit: "si", cv: 2.0 },
+    mg:   { low: 0.70, high: 0.95, unit: "mgdl", cv: 3.0 },
+    cl:   { low: 98,   high: 107, cv: 1.0 },
+    lac:  { low: 0.5,  high: 2.0, unit: "si", cv: 3.0 },
+    alb:  { low: 3.5,  high: 5.0, cv: 3.0 },
+    phos: { low: 0.80, high: 1.45, unit: "mgdl", cv: 3.0 },
+    hco3: { low: 22,   high: 26, cv: 3.0 },
+    ph:   { low: 7.35, high: 7.45, cv: 2.0 },
+    pco2: { low: 35,   high: 45, cv: 3.0 },
+  },
+  results: {
+    sida: { min: 37, max: 43 },
+    side: { min: 35, max: 40 },
+    sig:  { min: 0,  max: 6 },
+    ag:   { min: 12, max: 20 },
+    sbe:  { min: -2, max: 2 },
+  },
+  ag: { includesK: true, albuminCorrected: false, normalAlbumin: 4.4 },
+};
+
+/* ─────────────────────────────────────────────────────────────────────
+ *  Validation (DOM-free)
+ * ───────────────────────────────────────────────────────────────────── */
+
+function cleanProfileName(name, fallback) {
+  const trimmed = String(name || "").trim().slice(0, LAB_PROFILE_NAME_MAX);
+  return trimmed || fallback;
+}
+
+/** Accept a finite number or a numeric string; anything else is NaN. */
+function profileNumber(v) {
+  if (typeof v === "number") return v;
+  if (typeof v === "string" && v.trim() !== "") return Number(v);
+  return NaN;
+}
+
+/**
+ * Read a `[lowKey, highKey]` pair from `raw`, falling back to `base`
+ * (with a warning) when it is not a finite, increasing pair.
+ */
+function profileRange(raw, base, lowKey, highKey, label, warnings) {
+  const out = { [lowKey]: base[lowKey], [highKey]: base[highKey] };
+  if (!raw || (raw[lowKey] === undefined && raw[highKey] === undefined)) return out;
+  const low = raw[lowKey] === undefined ? base[lowKey] : profileNumber(raw[lowKey]);
+  const high = raw[highKey] === undefined ? base[highKey] : profileNumber(raw[highKey]);
+  if (!Number.isFinite(low) || !Number.isFinite(high) || low >= high) {
+    warnings.push(label + ": range " + raw[lowKey] + "–" + raw[highKey] + " ignored");
+    return out;
+  }
+  out[lowKey] = low;
+  out[highKey] = high;
+  return out;
+}
+
+/**
+ * Validate a profile read from storage, an import or the editor.
+ * Every entry that is missing or invalid takes the default profile's
+ * value; invalid ones add a warning.
+ *
+ * @param {Object} raw
+ * @returns {{profile:Object, warnings:string[]}}
+ */
+function normalizeLabProfile(raw) {
+  const src = raw && typeof raw === "object" ? raw : {};
+  const warnings = [];
+  const profile = {
+    id: typeof src.id === "string" && src.id ? src.id : "",
+    name: cleanProfileName(src.name, "Lab profile"),
+    analytes: {},
+    results: {},
+    ag: normalizeLabAgVariant(src.ag),
+  };
+
+  const analytes = src.analytes && typeof src.analytes === "object" ? src.analytes : {};
+  Object.keys(analytes).forEach((id) => {
+    if (!LAB_ANALYTES.some((a) => a.id === id)) warnings.push("Unknown analyte “" + id + "” ignored");
+  });
+  LAB_ANALYTES.forEach((meta) => {
+    const base = DEFAULT_LAB_PROFILE.analytes[meta.id];
+    const entry = analytes[meta.id] || {};
+    const out = profileRange(entry, base, "low", "high", meta.label, warnings);
+    if (entry.pickerMin !== undefined || entry.pickerMax !== undefined) {
+      const pickerMin = profileNumber(entry.pickerMin);
+      const pickerMax = profileNumber(entry.pickerMax);
+      if (Number.isFinite(pickerMin) && Number.isFinite(pickerMax) && pickerMin >= 0 && pickerMin < pickerMax) {
+        out.pickerMin = pickerMin;
+        out.pickerMax = pickerMax;
+      } else {
+        warnings.push(meta.label + ": picker range " + entry.pickerMin + "–" + entry.pickerMax + " ignored");
+      }
+    }
+    out.cv = base.cv;
+    if (entry.cv !== undefined && entry.cv !== "") {
+      const cv = profileNumber(entry.cv);
+      if (Number.isFinite(cv) && cv >= 0 && cv <= LAB_CV_MAX) out.cv = cv;
+      else warnings.push(meta.label + ": CV " + entry.cv + " % ignored");
+    }
+    if (meta.units) {
+      out.unit = base.unit;
+      if (entry.unit !== undefined && meta.units.includes(entry.unit)) out.unit = entry.unit;
+      else if (entry.unit !== undefined) warnings.push(meta.label + ": unknown unit “" + entry.unit + "” ignored");
+    }
+    profile.analytes[meta.id] = out;
+  });
+
+  const results = src.results && typeof src.results === "object" ? src.results : {};
+  Object.keys(LAB_RESULT_KEYS).forEach((key) => {
+    profile.results[key] = profileRange(results[key], DEFAULT_LAB_PROFILE.results[key],
+      "min", "max", LAB_RESULT_KEYS[key].label, warnings);
+  });
+
+  return { profile, warnings };
+}
+
+/** `normalizeAgVariant()` when stewart.js is loaded, else the same defaults. */
+function normalizeLabAgVariant(ag) {
+  const v = ag && typeof ag === "object" ? ag : {};
+  const normalAlbumin = profileNumber(v.normalAlbumin);
+  const raw = {
+    includesK: v.includesK !== false,
+    albuminCorrected: !!v.albuminCorrected,
+    normalAlbumin: Number.isFinite(normalAlbumin) && normalAlbumin > 0
+      ? normalAlbumin : DEFAULT_LAB_PROFILE.ag.normalAlbumin,
+  };
+  return typeof normalizeAgVariant === "function" ? normalizeAgVariant(raw) : raw;
+}
+
+/**
+ * Parse imported JSON: a single profile, an array of profiles or an
+ * export file (`{ profiles: [...] }`).  Imported profiles get new IDs.
+ *
+ * @param {string} text
+ * @returns {{profiles:Object[], warnings:string[]}}
+ */
+function parseLabProfilesJSON(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    return { profiles: [], warnings: ["Not valid JSON"] };
+  }
+  const list = Array.isArray(data) ? data
+    : data && Array.isArray(data.profiles) ? data.profiles
+      : data && typeof data === "object" ? [data] : [];
+  const warnings = [];
+  const profiles = [];
+  list.forEach((raw, i) => {
+    if (!raw || typeof raw !== "object") {
+      warnings.push("Entry " + (i + 1) + " is not a profile");
+      return;
+    }
+    const result = normalizeLabProfile(Object.assign({}, raw, { id: newLabProfileId() }));
+    result.warnings.forEach((w) => warnings.push(result.profile.name + " — " + w));
+    profiles.push(result.profile);
+  });
+  if (!profiles.length && !warnings.length) warnings.push("No profiles found");
+  return { profiles, warnings };
+}
+
+/** Serialise profiles for download (IDs are local and left out). */
+function exportLabProfilesJSON(profiles) {
+  return JSON.stringify({
+    format: "stewart-lab-profiles",
+    version: 1,
+    profiles: profiles.map((p) => ({ name: p.name, analytes: p.analytes, results: p.results, ag: p.ag })),
+  }, null, 2);
+}
+
+/**
+ * The interpretation limits (`INTERPRET_NORMALS` keys) a profile sets:
+ * pH, pCO₂ and the upper phosphate limit.
+ */
+function labProfileInterpretLimits(profile) {
+  const a = (profile || DEFAULT_LAB_PROFILE).analytes;
+  return {
+    pH: { min: a.ph.low, max: a.ph.high },
+    pCO2: { min: a.pco2.low, max: a.pco2.high },
+    phos: { max: a.phos.high },
+  };
+}
+
+/**
+ * Normal AG and HCO₃⁻ for the delta gap: the middle of the profile's
+ * AG range and HCO₃⁻ reference range, with the range limits as the
+ * thresholds for reporting the ratio.
+ */
+function labProfileDeltaNormals(profile) {
+  const p = profile || DEFAULT_LAB_PROFILE;
+  return {
+    ag: (p.results.ag.min + p.results.ag.max) / 2,
+    hco3: (p.analytes.hco3.low + p.analytes.hco3.high) / 2,
+    agMax: p.results.ag.max,
+    hco3Min: p.analytes.hco3.low,
+  };
+}
+
+/** Analytic CVs (%) keyed by analyte ID, for `propagateUncertainty()`. */
+function labProfileAnalyticCVs(profile) {
+  const a = (profile || DEFAULT_LAB_PROFILE).analytes;
+  const cvs = {};
+  LAB_ANALYTES.forEach((meta) => {
+    const entry = a[meta.id] || DEFAULT_LAB_PROFILE.analytes[meta.id];
+    cvs[meta.id] = Number.isFinite(entry.cv) ? entry.cv : DEFAULT_LAB_PROFILE.analytes[meta.id].cv;
+  });
+  return cvs;
+}
+
+/* ─────────────────────────────────────────────────────────────────────
+ *  Storage
+ * ───────────────────────────────────────────────────────────────────── */
+
+function newLabProfileId() {
+  return "lab-" + Date.now().toString(36) + "-" + Math.random().toString(36).slice(2, 7);
+}
+
+/** Read stored profiles; returns an empty store if storage is unavailable. */
+function readLabProfileStore() {
+  try {
+    const raw = window.localStorage.getItem(LAB_PROFILE_STORAGE_KEY);
+    const data = raw ? JSON.parse(raw) : null;
+    const profiles = data && Array.isArray(data.profiles)
+      ? data.profiles.filter((p) => p && typeof p.id === "string" && p.id !== DEFAULT_LAB_PROFILE_ID)
+        .map((p) => normalizeLabProfile(p).profile)
+      : [];
+    return { activeId: data && typeof data.activeId === "string" ? data.activeId : DEFAULT_LAB_PROFILE_ID, profiles };
+  } catch (err) {
+    return { activeId: DEFAULT_LAB_PROFILE_ID, profiles: [] };
+  }
+}
+
+/**
+ * Persist the profile store.
+ *
+ * @returns {boolean} `false` when storage is unavailable or full.
+ */
+function writeLabProfileStore(store) {
+  try {
+    window.localStorage.setItem(LAB_PROFILE_STORAGE_KEY, JSON.stringify(store));
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/** The built-in profile followed by the stored ones. */
+function listLabProfiles() {
+  return [DEFAULT_LAB_PROFILE].concat(readLabProfileStore().profiles);
+}
+
+let _activeLabProfile = null;
+
+/** The profile in use; falls back to the default when the stored one is gone. */
+function activeLabProfile() {
+  if (_activeLabProfile) return _activeLabProfile;
+  const store = readLabProfileStore();
+  _activeLabProfile = store.profiles.find((p) => p.id === store.activeId) || DEFAULT_LAB_PROFILE;
+  return _activeLabProfile;
+}
+
+function setActiveLabProfile(id) {
+  const store = readLabProfileStore();
+  _activeLabProfile = store.profiles.find((p) => p.id === id) || DEFAULT_LAB_PROFILE;
+  store.activeId = _activeLabProfile.id;
+  writeLabProfileStore(store);
+  return _activeLabProfile;
+}
+
+/**
+ * Store a profile, replacing the one with the same ID.  Saving over
+ * the built-in profile creates a new one.
+ *
+ * @returns {Object|null}  The stored profile, or `null` if storage failed.
+ */
+function saveLabProfile(profile) {
+  const store = readLabProfileStore();
+  const entry = Object.assign({}, profile);
+  if (!entry.id || entry.id === DEFAULT_LAB_PROFILE_ID) entry.id = newLabProfileId();
+  const index = store.profiles.findIndex((p) => p.id === entry.id);
+  if (index >= 0) store.profiles[index] = entry;
+  else store.profiles.push(entry);
+  return writeLabProfileStore(store) ? entry : null;
+}
+
+function deleteLabProfile(id) {
+  const store = readLabProfileStore();
+  store.profiles = store.profiles.filter((p) => p.id !== id);
+  if (store.activeId === id) store.activeId = DEFAULT_LAB_PROFILE_ID;
+  if (_activeLabProfile && _activeLabProfile.id === id) _activeLabProfile = null;
+  return writeLabProfileStore(store);
+}
+
+/* ─────────────────────────────────────────────────────────────────────
+ *  Applying a profile to the page
+ * ───────────────────────────────────────────────────────────────────── */
+
+/** `PICKER_CONFIG` min / max as shipped, before any profile override. */
+let _builtinPickerRanges = null;
+
+function builtinPickerRange(id) {
+  if (!_builtinPickerRanges) {
+    _builtinPickerRanges = {};
+    PICKER_CONFIG.forEach((cfg) => { _builtinPickerRanges[cfg.id] = { min: cfg.min, max: cfg.max }; });
+  }
+  return _builtinPickerRanges[id];
+}
+
+/**
+ * Shortest text for a range limit with at least `decimals` places:
+ * 3.5 → "3.5", 1.285 → "1.285", −2 → "−2".
+ */
+function formatRefNumber(v, decimals) {
+  let d = decimals || 0;
+  while (d < 3 && Number(v.toFixed(d)) !== Number(v.toFixed(3))) d++;
+  const text = Math.abs(v).toFixed(d);
+  return v < 0 ? "−" + text : text;
+}
+
+/** "135–145", or "−2 to +2" when the range crosses zero. */
+function formatRefRange(low, high, decimals) {
+  if (low < 0) {
+    return formatRefNumber(low, decimals) + " to " + (high > 0 ? "+" : "") + formatRefNumber(high, decimals);
+  }
+  return formatRefNumber(low, decimals) + "–" + formatRefNumber(high, decimals);
+}
+
+/** "Without K⁺, albumin-corrected" — the AG variant in a few words. */
+function agVariantSummary(ag) {
+  return (ag.includesK ? "With K⁺" : "Without K⁺") + (ag.albuminCorrected ? ", albumin-corrected" : "");
+}
+
+/** ", Ref. 1.15–1.29 mmol/L (4.6–5.2 mg/dL)" for one input label. */
+function analyteRefText(meta, range) {
+  if (!meta.units) return ", Ref. " + formatRefRange(range.low, range.high, meta.decimals.si);
+  const unitLabel = (u) => (u === "si" ? "mmol/L" : "mg/dL");
+  // Converted limits are rounded to the unit's precision first
+  const convert = (v, u) => (u === "si" ? v : Number(siToDisplay(meta.id, v, u).toFixed(meta.decimals[u])));
+  const text = (u) => {
+    const low = convert(range.low, u);
+    const high = convert(range.high, u);
+    return formatRefRange(low, high, meta.decimals[u]) + " " + unitLabel(u);
+  };
+  const primary = range.unit || "si";
+  const secondary = primary === "si" ? "mgdl" : "si";
+  return ", Ref. " + text(primary) + " (" + text(secondary) + ")";
+}
+
+/** Rewrite the reference-range text beside the inputs and results. */
+function renderLabProfileRanges(profile) {
+  LAB_ANALYTES.forEach((meta) => {
+    const node = document.querySelector('[data-ref-for="' + meta.id + '"]');
+    if (node) node.textContent = analyteRefText(meta, profile.analytes[meta.id]);
+  });
+  const sbeRef = document.querySelector('[data-ref-for="sbe"]');
+  if (sbeRef) sbeRef.textContent = ", Ref. " + formatRefRange(profile.results.sbe.min, profile.results.sbe.max);
+
+  const prefixes = {
+    sida: "Typical",
+    side: "Typical",
+    sig: "Normal",
+    ag: agVariantSummary(profile.ag) + ", typical",
+    sbe: "Van Slyke, normal",
+  };
+  Object.keys(LAB_RESULT_KEYS).forEach((key) => {
+    const info = LAB_RESULT_KEYS[key];
+    const range = profile.results[key];
+    const node = document.querySelector('dt[data-result-for="' + info.id + '"] .ref-range');
+    if (node) node.textContent = prefixes[key] + " " + formatRefRange(range.min, range.max) + " " + info.unit;
+  });
+
+  const headNote = document.querySelector(".results-head-note strong");
+  if (headNote) headNote.textContent = "Normal SIG: " + formatRefRange(profile.results.sig.min, profile.results.sig.max) + " mEq/L.";
+  const sidNote = el("sid-range-note");
+  if (sidNote) {
+    sidNote.textContent = "Stewart reference values vary by source. This app shows practical ranges that match its normal-default assumptions: SIDa "
+      + formatRefRange(profile.results.sida.min, profile.results.sida.max) + " mEq/L and SIDe "
+      + formatRefRange(profile.results.side.min, profile.results.side.max) + " mEq/L.";
+  }
+  const agNote = el("ag-note");
+  if (agNote) {
+    agNote.textContent = (profile.ag.includesK
+      ? "AG here includes K⁺; lab-reported “normal AG” values are often lower when K⁺ is omitted."
+      : "AG here omits K⁺, as most laboratories report it.")
+      + (profile.ag.albuminCorrected
+        ? " It is albumin-corrected: + " + AG_ALBUMIN_FACTOR + " × (" + profile.ag.normalAlbumin + " − albumin g/dL)."
+        : "");
+  }
+}
+
+/**
+ * Make `profile` drive the page: `RESULT_RANGES`, the picker ranges in
+ * `PICKER_CONFIG`, the default units and the reference-range text.
+ * Pickers whose range or unit changed are rebuilt, keeping their
+ * values, unless `options.initial` (before the first population).
+ *
+ * @param {Object} profile  A normalised profile
+ * @param {Object} [options]
+ * @param {boolean} [options.initial]
+ * @returns {string[]} Warnings for picker ranges that were not applied
+ */
+function applyLabProfile(profile, options) {
+  const initial = !!(options && options.initial);
+  const warnings = [];
+
+  Object.keys(LAB_RESULT_KEYS).forEach((key) => {
+    const range = RESULT_RANGES[LAB_RESULT_KEYS[key].id];
+    if (range) Object.assign(range, profile.results[key]);
+  });
+
+  PICKER_CONFIG.forEach((cfg) => {
+    const meta = LAB_ANALYTES.find((a) => a.id === cfg.id);
+    const entry = profile.analytes[cfg.id] || {};
+    const builtin = builtinPickerRange(cfg.id);
+    let min = Number.isFinite(entry.pickerMin) ? entry.pickerMin : builtin.min;
+    let max = Number.isFinite(entry.pickerMax) ? entry.pickerMax : builtin.max;
+    if ((max - min) / cfg.step > LAB_PICKER_MAX_OPTIONS) {
+      warnings.push((meta ? meta.label : cfg.id) + ": picker range " + min + "–" + max + " has too many steps; using "
+        + builtin.min + "–" + builtin.max);
+      min = builtin.min;
+      max = builtin.max;
+    }
+    let changed = min !== cfg.min || max !== cfg.max;
+    cfg.min = min;
+    cfg.max = max;
+
+    const unitEl = document.getElementById(cfg.id + "-unit");
+    let prevUnit = null;
+    if (unitEl && entry.unit) {
+      // Setting `defaultSelected` can move the selection, so read it first
+      const current = unitEl.value;
+      Array.from(unitEl.options).forEach((o) => { o.defaultSelected = o.value === entry.unit; });
+      unitEl.value = entry.unit;
+      if (current !== entry.unit) {
+        prevUnit = current;
+        changed = true;
+      }
+      unitEl.dataset.prev = unitEl.value;
+      unitEl.dataset.prevUnit = unitEl.value;
+    }
+    if (changed && !initial) populatePicker(cfg, prevUnit);
+  });
+
+  renderLabProfileRanges(profile);
+  return warnings;
+}
+
+/**
+ * Mark inputs outside the profile's reference range (`out-of-range`
+ * on the picker, and on the numeric input where there is one).
+ *
+ * @param {Object} inputs  From `readStewartInputs()`
+ * @param {Object} r       `computeStewart(inputs)`, for HCO₃⁻
+ */
+function renderAnalyteRangeStates(inputs, r) {
+  const profile = activeLabProfile();
+  const values = {
+    na: inputs.Na, k: inputs.K, ica: inputs.iCa, tca: inputs.caTotal, mg: inputs.MgTotal, cl: inputs.Cl,
+    lac: inputs.Lac, alb: inputs.Alb, phos: inputs.Phos, ph: inputs.pH, pco2: inputs.pCO2,
+    hco3: r ? r.HCO3 : NaN,
+  };
+  LAB_ANALYTES.forEach((meta) => {
+    const range = profile.analytes[meta.id];
+    const v = values[meta.id];
+    const out = Number.isFinite(v) && (v < range.low || v > range.high);
+    [el(meta.id + "-picker"), el(meta.id)].forEach((node) => {
+      if (node) node.classList.toggle("out-of-range", out);
+    });
+  });
+}
+
+/* ─────────────────────────────────────────────────────────────────────
+ *  Profile editor
+ * ───────────────────────────────────────────────────────────────────── */
+
+function labNumberInput(id, value, label) {
+  const input = document.createElement("input");
+  input.type = "number";
+  input.step = "any";
+  input.id = id;
+  input.setAttribute("aria-label", label);
+  input.value = input.defaultValue = Number.isFinite(value) ? String(value) : "";
+  return input;
+}
+
+function labCell(row, content) {
+  const td = document.createElement("td");
+  if (typeof content === "string") td.textContent = content;
+  else if (content) td.appendChild(content);
+  row.appendChild(td);
+  return td;
+}
+
+/** Fill the profile select with every profile, marking the active one. */
+function renderLabProfileSelect() {
+  const sel = el("lab-profile-select");
+  if (!sel) return;
+  const active = activeLabProfile();
+  sel.innerHTML = "";
+  listLabProfiles().forEach((p) => {
+    const opt = document.createElement("option");
+    opt.value = p.id;
+    opt.textContent = p.name;
+    sel.appendChild(opt);
+  });
+  sel.value = active.id;
+}
+
+/**
+ * Rebuild the editor tables for `profile`.  Inputs get the profile's
+ * values as their `defaultValue`, so the page reset leaves them alone.
+ */
+function renderLabProfileEditor(profile) {
+  const analyteBody = el("lab-analytes");
+  const resultBody = el("lab-results");
+  if (!analyteBody || !resultBody) return;
+
+  const nameEl = el("lab-profile-name");
+  if (nameEl) nameEl.value = nameEl.defaultValue = profile.id === DEFAULT_LAB_PROFILE_ID ? "" : profile.name;
+  const deleteBtn = el("lab-profile-delete");
+  if (deleteBtn) deleteBtn.disabled = profile.id === DEFAULT_LAB_PROFILE_ID;
+
+  analyteBody.innerHTML = "";
+  LAB_ANALYTES.forEach((meta) => {
+    const entry = profile.analytes[meta.id];
+    const builtin = typeof PICKER_CONFIG !== "undefined" ? builtinPickerRange(meta.id) : null;
+    const row = document.createElement("tr");
+    labCell(row, meta.label + (meta.unit ? " (" + meta.unit + ")" : ""));
+    labCell(row, labNumberInput("lab-" + meta.id + "-low", entry.low, meta.label + " reference low"));
+    labCell(row, labNumberInput("lab-" + meta.id + "-high", entry.high, meta.label + " reference high"));
+    labCell(row, labNumberInput("lab-" + meta.id + "-pmin",
+      Number.isFinite(entry.pickerMin) ? entry.pickerMin : builtin && builtin.min, meta.label + " picker minimum"));
+    labCell(row, labNumberInput("lab-" + meta.id + "-pmax",
+      Number.isFinite(entry.pickerMax) ? entry.pickerMax : builtin && builtin.max, meta.label + " picker maximum"));
+    labCell(row, labNumberInput("lab-" + meta.id + "-cv", entry.cv, meta.label + " analytic CV (%)"));
+    if (meta.units) {
+      const sel = document.createElement("select");
+      sel.id = "lab-" + meta.id + "-unit";
+      sel.setAttribute("aria-label", meta.label + " default unit");
+      meta.units.forEach((u) => {
+        const opt = document.createElement("option");
+        opt.value = u;
+        opt.textContent = u === "si" ? "mmol/L" : "mg/dL";
+        opt.defaultSelected = u === entry.unit;
+        sel.appendChild(opt);
+      });
+      sel.value = entry.unit;
+      labCell(row, sel);
+    } else {
+      labCell(row, meta.unit || "—");
+    }
+    analyteBody.appendChild(row);
+  });
+
+  resultBody.innerHTML = "";
+  Object.keys(LAB_RESULT_KEYS).forEach((key) => {
+    const info = LAB_RESULT_KEYS[key];
+    const range = profile.results[key];
+    const row = document.createElement("tr");
+    labCell(row, info.label + " (" + info.unit + ")");
+    labCell(row, labNumberInput("lab-res-" + key + "-min", range.min, info.label + " normal low"));
+    labCell(row, labNumberInput("lab-res-" + key + "-max", range.max, info.label + " normal high"));
+    resultBody.appendChild(row);
+  });
+
+  const agK = el("lab-ag-k");
+  const agAlb = el("lab-ag-alb");
+  const agNormal = el("lab-ag-normal-alb");
+  if (agK) agK.checked = agK.defaultChecked = profile.ag.includesK;
+  if (agAlb) agAlb.checked = agAlb.defaultChecked = profile.ag.albuminCorrected;
+  if (agNormal) agNormal.value = agNormal.defaultValue = String(profile.ag.normalAlbumin);
+}
+
+/**
+ * Read the editor back into a raw profile.  Picker ranges equal to
+ * the built-in ones are left out so the profile keeps following them.
+ */
+function readLabProfileEditor() {
+  const value = (id) => (el(id) ? el(id).value : "");
+  const raw = { name: value("lab-profile-name"), analytes: {}, results: {}, ag: {} };
+  LAB_ANALYTES.forEach((meta) => {
+    const entry = { low: value("lab-" + meta.id + "-low"), high: value("lab-" + meta.id + "-high") };
+    const pickerMin = parseFloat(value("lab-" + meta.id + "-pmin"));
+    const pickerMax = parseFloat(value("lab-" + meta.id + "-pmax"));
+    const builtin = builtinPickerRange(meta.id);
+    if (Number.isFinite(pickerMin) && Number.isFinite(pickerMax)
+      && (!builtin || pickerMin !== builtin.min || pickerMax !== builtin.max)) {
+      entry.pickerMin = pickerMin;
+      entry.pickerMax = pickerMax;
+    }
+    entry.cv = value("lab-" + meta.id + "-cv");
+    if (meta.units) entry.unit = value("lab-" + meta.id + "-unit");
+    raw.analytes[meta.id] = entry;
+  });
+  Object.keys(LAB_RESULT_KEYS).forEach((key) => {
+    raw.results[key] = { min: value("lab-res-" + key + "-min"), max: value("lab-res-" + key + "-max") };
+  });
+  raw.ag = {
+    includesK: !!(el("lab-ag-k") && el("lab-ag-k").checked),
+    albuminCorrected: !!(el("lab-ag-alb") && el("lab-ag-alb").checked),
+    normalAlbumin: value("lab-ag-normal-alb"),
+  };
+  return raw;
+}
+
+/** Show warnings (or a confirmation) under the editor. */
+function setLabProfileNote(messages) {
+  const note = el("lab-profile-note");
+  if (note) note.textContent = messages.join(" ");
+}
+
+/** Apply the active profile on page load, before the pickers are populated. */
+function initLabProfiles() {
+  const profile = activeLabProfile();
+  const warnings = applyLabProfile(profile, { initial: true });
+  renderLabProfileSelect();
+  renderLabProfileEditor(profile);
+  setLabProfileNote(warnings);
+}
+
+/**
+ * Switch to a stored profile and recompute.
+ *
+ * @returns {string[]} Warnings from `applyLabProfile()`
+ */
+function selectLabProfile(id) {
+  const profile = setActiveLabProfile(id);
+  const warnings = applyLabProfile(profile);
+  renderLabProfileSelect();
+  renderLabProfileEditor(profile);
+  setLabProfileNote(warnings);
+  computeAll();
+  return warnings;
+}
+
+/**
+ * Save the editor as the active profile (or as a new one when
+ * `asNew`, or when the built-in profile is active) and apply it.
+ *
+ * @returns {boolean} `false` when storage failed.
+ */
+function saveLabProfileFromEditor(asNew) {
+  const current = activeLabProfile();
+  const result = normalizeLabProfile(readLabProfileEditor());
+  const keepId = !asNew && current.id !== DEFAULT_LAB_PROFILE_ID;
+  result.profile.id = keepId ? current.id : "";
+  if (!keepId && !(el("lab-profile-name") && el("lab-profile-name").value.trim())) {
+    result.profile.name = "Lab profile " + listLabProfiles().length;
+  }
+  const stored = saveLabProfile(result.profile);
+  if (!stored) return false;
+  const warnings = selectLabProfile(stored.id);
+  setLabProfileNote(["Saved “" + stored.name + "”."].concat(result.warnings, warnings));
+  return true;
+}
+
+/** Store the profiles in an imported JSON file and switch to the first. */
+function importLabProfiles(text) {
+  const result = parseLabProfilesJSON(text);
+  const stored = result.profiles.map(saveLabProfile).filter(Boolean);
+  const warnings = stored.length ? selectLabProfile(stored[0].id) : [];
+  setLabProfileNote([stored.length + " profile" + (stored.length === 1 ? "" : "s") + " imported."]
+    .concat(result.warnings, warnings));
+}
+
+/** Download the active profile as JSON. */
+function exportActiveLabProfile() {
+  const profile = activeLabProfile();
+  const slug = profile.name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "profile";
+  downloadBlob(new Blob([exportLabProfilesJSON([profile])], { type: "application/json" }),
+    "lab-profile-" + slug + ".json");
+}
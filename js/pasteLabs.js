@@ -0,0 +1,285 @@
+/**
+ * pasteLabs.js — "Paste labs": fill the panel from free text.
+ *
+ * Results copied from an EHR or an analyzer printout usually read as
+ * name–value pairs, e.g. "Na 138 K 4.1 Cl 110 HCO3 18 Alb 2.8 Lac 3.4
+ * pH 7.28 pCO2 32".  `parseLabText()` finds each pair, matches the
+ * name against the `BATCH_FIELDS` aliases (plus a few spellings common
+ * in printouts, such as tCO₂ for bicarbonate) and reads an optional
+ * unit after the value.  Without a unit the value is read in the
+ * picker's current unit, unless it only makes sense in another
+ * accepted unit (Ca 9.2 is mg/dL, Alb 28 is g/L, pCO₂ 4.3 is kPa).
+ * Once one value is unambiguously in mg/dL, values that would fit
+ * either unit are read in mg/dL as well.
+ *
+ * Everything the parser skips is reported with a reason so the preview
+ * can show it.  `applyPastedLabs()` then sets the unit selects and
+ * pickers the same way a permalink is restored.
+ *
+ * Depends on: helpers.js (el), units.js (siToDisplay),
+ *             pickers.js (PICKER_CONFIG, populatePicker, setPickerValue),
+ *             batch.js (BATCH_FIELDS, BATCH_UNIT_ALIASES,
+ *             normalizeBatchToken, parseBatchNumber, batchValueToSI)
+ */
+
+"use strict";
+
+/** Names seen in printouts that the CSV headers do not use. */
+const PASTE_LAB_EXTRA_ALIASES = {
+  iCa: ["ica2", "ionca", "ionizedca", "ionisedca", "freeca", "cafree", "caion"],
+  Lac: ["lactic", "lacticacid", "lact"],
+  HCO3: ["tco2", "totalco2", "ctco2", "co2", "hco3std"],
+  Phos: ["p", "ip"],
+  tempC: ["t", "pttemp"],
+};
+
+/**
+ * SI ranges used to tell units apart when none is given; a value is
+ * read in the first accepted unit that puts it inside the range.
+ */
+const PASTE_LAB_SI_RANGES = {
+  iCa: [0.2, 2.5], caTotal: [0.5, 4.5], MgTotal: [0.1, 5], Lac: [0, 30],
+  Alb: [0.5, 7], Phos: [0.1, 6], pCO2: [8, 200], Hb: [2, 25], tempC: [15, 45],
+};
+
+/** Display labels for the units in `BATCH_FIELDS`. */
+const PASTE_LAB_UNIT_LABELS = {
+  si: "mmol/L", mgdl: "mg/dL", gdl: "g/dL", gl: "g/L",
+  mmhg: "mmHg", kpa: "kPa", ph: "", c: "°C", f: "°F",
+};
+
+/*
+ * One "name value [unit]" item.  The name starts with a letter and may
+ * contain digits and charge signs (HCO3-, Ca2+, pCO₂); the value must be
+ * separated from it by a colon, "=" or whitespace so "HCO3 18" is not
+ * read as "HCO 3".
+ */
+const PASTE_LAB_ITEM_RE = new RegExp(
+  "([A-Za-z][A-Za-z0-9₀-₉²⁺⁻+\\- ]*?)(?:\\s*[:=]\\s*|\\s+)" +
+  "([-+]?\\d+(?:[.,]\\d+)?)(?![\\d.,]*\\d)" +
+  "(?:\\s*(mmol\\s*/\\s*l|meq\\s*/\\s*l|mg\\s*/\\s*dl|g\\s*/\\s*dl|g\\s*/\\s*l|mmhg|torr|kpa|°\\s*[cf]|deg\\s*[cf])(?![a-z]))?",
+  "gi"
+);
+
+/* ─────────────────────────────────────────────────────────────────────
+ *  Parsing (no DOM)
+ * ───────────────────────────────────────────────────────────────────── */
+
+/**
+ * The field a pasted name refers to, or null.  "Ca++" and "Ca2+" mean
+ * ionized calcium; a bare "Ca" is total calcium.
+ */
+function findPasteLabField(name) {
+  const raw = String(name || "").trim();
+  const token = normalizeBatchToken(raw);
+  if (!token) return null;
+  if (/^ca/i.test(raw) && /(\+\+|2\+|²⁺)$/.test(raw)) return BATCH_FIELDS.find((f) => f.key === "iCa");
+  return BATCH_FIELDS.find((f) => f.aliases.includes(token)
+    || (PASTE_LAB_EXTRA_ALIASES[f.key] || []).includes(token)) || null;
+}
+
+/**
+ * The accepted units in which `value` falls inside the field's SI
+ * range, in `field.units` order; all of them for a field without one.
+ */
+function pasteLabUnitsThatFit(field, value) {
+  const range = PASTE_LAB_SI_RANGES[field.key];
+  if (!range) return field.units.slice();
+  return field.units.filter((u) => {
+    const si = batchValueToSI(field, value, u);
+    return si >= range[0] && si <= range[1];
+  });
+}
+
+/**
+ * The unit a value was most likely given in, when the text names none.
+ * `preferred` (the picker's current unit, one of `field.units`) is
+ * tried first.
+ */
+function guessPasteLabUnit(field, value, preferred) {
+  const fits = pasteLabUnitsThatFit(field, value);
+  if (!fits.length || fits.includes(preferred)) return preferred;
+  return fits[0];
+}
+
+/**
+ * Find the lab values in a block of free text.
+ *
+ * @param {string} text
+ * @param {Object} [defaultUnits]  Unit per `BATCH_FIELDS` id (e.g.
+ *        `{ mg: "mgdl" }`) for values given without one
+ * @returns {{recognised:Array, ignored:Array}}
+ *   `recognised`: `{ key, id, label, text, value, unit, unitGiven,
+ *   assumed, ambiguous, si }` in text order, one per field (a repeated
+ *   field keeps its last value); `assumed` marks a unit inferred from
+ *   the value, `ambiguous` a value without a unit that fits more than
+ *   one.  Once a value in the text is unambiguously in mg/dL, the
+ *   ambiguous values are read in mg/dL too, so a US panel is not read
+ *   half in mmol/L.
+ *   `ignored`: `{ text, reason }` for everything else.
+ */
+function parseLabText(text, defaultUnits) {
+  const src = String(text || "").replace(/−/g, "-");
+  const units = defaultUnits || {};
+  const recognised = [];
+  const ignored = [];
+  const skip = (piece, reason) => {
+    const t = String(piece).replace(/^[\s,;:|()[\]*#/\\.-]+|[\s,;:|()[\]*#/\\.-]+$/g, "");
+    if (/[A-Za-z0-9]/.test(t)) ignored.push({ text: t, reason });
+  };
+
+  PASTE_LAB_ITEM_RE.lastIndex = 0;
+  let last = 0;
+  let m;
+  while ((m = PASTE_LAB_ITEM_RE.exec(src)) !== null) {
+    const whole = m[0];
+    // Drop leading words until the rest is a known name ("Chem panel Na 138")
+    const words = m[1].trim().split(/\s+/);
+    let field = null;
+    let lead = 0;
+    for (; lead < words.length && !field; lead++) field = findPasteLabField(words.slice(lead).join(" "));
+    const name = field ? words.slice(lead - 1).join(" ") : m[1].trim();
+    const start = m.index + (field ? m[1].lastIndexOf(name) : 0);
+    skip(src.slice(last, start), "not a lab value");
+    last = m.index + whole.length;
+    const itemText = src.slice(start, last).trim();
+
+    if (!field) { skip(itemText, "unknown analyte"); continue; }
+    const value = parseBatchNumber(m[2]);
+    const unitGiven = m[3] ? BATCH_UNIT_ALIASES[normalizeBatchToken(m[3].replace(/^deg/i, ""))] : null;
+    if (unitGiven && !field.units.includes(unitGiven)) {
+      skip(itemText, field.label + " is not given in " + m[3].replace(/\s+/g, ""));
+      continue;
+    }
+    const preferred = field.units.includes(units[field.id]) ? units[field.id] : field.units[0];
+    const unit = unitGiven || guessPasteLabUnit(field, value, preferred);
+    const si = batchValueToSI(field, value, unit);
+    if (!Number.isFinite(si)) { skip(itemText, "not a number"); continue; }
+
+    const prior = recognised.findIndex((r) => r.key === field.key);
+    if (prior >= 0) {
+      ignored.push({ text: recognised[prior].text, reason: "repeated; the last " + field.label + " is used" });
+      recognised.splice(prior, 1);
+    }
+    recognised.push({ key: field.key, id: field.id, label: field.label, text: itemText,
+      value, unit, unitGiven: !!unitGiven, assumed: !unitGiven && unit !== preferred,
+      ambiguous: !unitGiven && pasteLabUnitsThatFit(field, value).length > 1, si, preferred });
+  }
+  skip(src.slice(last), "not a lab value");
+
+  // A value that can only be mg/dL (or says so) settles the ambiguous ones
+  const mgdlSeen = recognised.some((r) => r.unit === "mgdl" && !r.ambiguous);
+  recognised.forEach((r) => {
+    const preferred = r.preferred;
+    delete r.preferred;
+    if (!mgdlSeen || !r.ambiguous) return;
+    const field = BATCH_FIELDS.find((f) => f.key === r.key);
+    if (!pasteLabUnitsThatFit(field, r.value).includes("mgdl")) return;
+    r.unit = "mgdl";
+    r.si = batchValueToSI(field, r.value, "mgdl");
+    r.assumed = r.unit !== preferred;
+    r.ambiguous = false;
+  });
+  return { recognised, ignored };
+}
+
+/** "138 mmol/L", "28 g/L (assumed)", "0.8 mmol/L (unit unclear)". */
+function formatPastedValue(item) {
+  const label = PASTE_LAB_UNIT_LABELS[item.unit] || "";
+  return String(item.value) + (label ? " " + label : "")
+    + (item.assumed ? " (assumed)" : item.ambiguous ? " (unit unclear)" : "");
+}
+
+/* ─────────────────────────────────────────────────────────────────────
+ *  Page
+ * ───────────────────────────────────────────────────────────────────── */
+
+/** The current unit of each picker that has a unit select. */
+function currentPasteUnits() {
+  const out = {};
+  BATCH_FIELDS.forEach((f) => {
+    const u = el(f.id + "-unit");
+    if (u) out[f.id] = u.value;
+  });
+  return out;
+}
+
+/** Parse the textarea and list what was recognised and ignored. */
+function renderPastePreview() {
+  const input = el("paste-text");
+  const preview = el("paste-preview");
+  const applyBtn = el("paste-apply");
+  if (!input || !preview) return null;
+  const parsed = parseLabText(input.value, currentPasteUnits());
+  preview.innerHTML = "";
+
+  const addList = (title, items, cls) => {
+    if (!items.length) return;
+    const head = document.createElement("div");
+    head.className = "field-note";
+    head.textContent = title;
+    const ul = document.createElement("ul");
+    ul.className = "paste-list " + cls;
+    items.forEach((item) => {
+      const li = document.createElement("li");
+      li.textContent = item;
+      ul.appendChild(li);
+    });
+    preview.append(head, ul);
+  };
+  addList("Recognised", parsed.recognised.map((r) => r.label + " " + formatPastedValue(r)), "paste-recognised");
+  addList("Ignored", parsed.ignored.map((i) => "“" + i.text + "”: " + i.reason), "paste-ignored");
+  if (!parsed.recognised.length && !parsed.ignored.length) {
+    const note = document.createElement("div");
+    note.className = "field-note";
+    note.textContent = "Paste results such as “Na 138 K 4.1 Cl 110 pH 7.28 pCO2 32”.";
+    preview.appendChild(note);
+  }
+  if (applyBtn) applyBtn.disabled = parsed.recognised.length === 0;
+  return parsed;
+}
+
+/**
+ * Fill the inputs from `parseLabText()` output.  A picker with a unit
+ * select switches to the pasted unit when it offers it; a measured
+ * HCO₃⁻ turns on the BMP override and a total Ca the total-Ca entry.
+ * The caller syncs the dependent controls and recomputes.
+ *
+ * @param {{recognised:Array}} parsed
+ * @returns {number} Number of fields filled
+ */
+function applyPastedLabs(parsed) {
+  let filled = 0;
+  (parsed && parsed.recognised || []).forEach((item) => {
+    const cfg = PICKER_CONFIG.find((c) => c.id === item.id);
+    if (!cfg) {
+      const inp = el(item.id);
+      if (!inp) return;
+      inp.value = String(Math.round(item.si * 10) / 10);
+      filled++;
+      return;
+    }
+
+    const u = el(cfg.id + "-unit");
+    if (u && item.unitGiven && u.value !== item.unit
+      && Array.from(u.options).some((o) => o.value === item.unit)) {
+      const prev = u.value;
+      u.value = item.unit;
+      populatePicker(cfg, prev);
+      u.dataset.prev = item.unit;
+      u.dataset.prevUnit = item.unit;
+    }
+    const unit = u ? u.value : "si";
+    setPickerValue(cfg, unit === "si" ? item.si : siToDisplay(cfg.id, item.si, unit));
+    filled++;
+  });
+
+  const has = (key) => (parsed && parsed.recognised || []).some((item) => item.key === key);
+  if (has("HCO3")) {
+    if (el("fix-sig")) el("fix-sig").checked = false;
+    if (el("use-bmp-hco3")) el("use-bmp-hco3").checked = true;
+  }
+  // A measured iCa wins over an estimate from total Ca
+  if (el("use-total-ca") && (has("iCa") || has("caTotal"))) el("use-total-ca").checked = !has("iCa");
+  return filled;
+}
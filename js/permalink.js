@@ -0,0 +1,323 @@
+/**
+ * permalink.js — Shareable URL-hash encoding of the full input state.
+ *
+ * The state covers every picker value (in its displayed unit), the
+ * unit selectors, the BMP-HCO₃, fixed-SIG and total-Ca modes, the
+ * iCa formula, the SIG target,
+ * the free-entry inputs (Hb, SBE, SpO₂ and venous sO₂, temperature,
+ * forward-solver and fluid-simulator scenarios), the sample type and
+ * venous → arterial conversion, the temperature strategy, the carbonic
+ * pK′ model, the weak-acid model, the simulated fluid, the
+ * whole-blood Gamblegram view and every additional-ion row.
+ * It is written to `location.hash` with `history.replaceState` after
+ * each recompute and restored on load by events.js.
+ *
+ * Hash format (URLSearchParams):
+ *   #v=1&na=140&k=4.0&ica-unit=si&ica=1.20&…&bmp=1&hco3=22.0
+ *    &fixsig=1&sigt=5.0&totca=1&tca=2.30&caf=mclean-hastings
+ *    &hb=13.5&st=venous&sc=vtac&spo2=97&svo2=65
+ *    &temp=33&tmode=ph-stat&pk=ionic&wa=watson
+ *    &fwd-dsid=-10&fbasis=sida&fl=lr&fluid-volume=2&flm=1&wb=1
+ *    &ion=Sulfate|anion|2|1.5
+ *
+ * Depends on: helpers.js (el), additionalIons.js, pickers.js
+ */
+
+"use strict";
+
+const PERMALINK_VERSION = 1;
+
+/** Free-entry `<input>` fields carried in the link. */
+const PERMALINK_INPUT_IDS = ["hb", "sbe", "spo2", "svo2", "temp", "fwd-dsid", "fwd-pco2", "fluid-volume", "fluid-ecf"];
+
+/** Non-arterial sample types and venous → arterial conversions (see physiology.js). */
+const PERMALINK_SAMPLE_TYPES = ["venous", "central", "capillary"];
+const PERMALINK_SAMPLE_CONVERSIONS = ["offsets", "vtac"];
+
+/** Ion IDs that have a `<select class="unit-select">`. */
+const PERMALINK_UNIT_IDS = ["ica", "tca", "mg", "lac", "phos"];
+
+const PERMALINK_UNITS = ["si", "mgdl"];
+
+/* ─────────────────────────────────────────────────────────────────────
+ *  Pure encode / decode (no DOM)
+ * ───────────────────────────────────────────────────────────────────── */
+
+/**
+ * Encode a state object as a URL-hash string (without the "#").
+ *
+ * @param {Object} state  Shape returned by `captureAppState()`.
+ * @returns {string}
+ */
+function encodeAppState(state) {
+  const params = new URLSearchParams();
+  params.set("v", String(PERMALINK_VERSION));
+
+  PERMALINK_UNIT_IDS.forEach((id) => {
+    if (state.units && state.units[id]) params.set(id + "-unit", state.units[id]);
+  });
+  PICKER_CONFIG.forEach((cfg) => {
+    if (cfg.id === "hco3" || (cfg.id === "tca" && !state.totalCa)) return;
+    const v = state.pickers ? state.pickers[cfg.id] : undefined;
+    if (v !== undefined && v !== "") params.set(cfg.id, String(v));
+  });
+
+  if (state.useBmp) {
+    params.set("bmp", "1");
+    if (state.pickers && state.pickers.hco3 !== undefined) params.set("hco3", String(state.pickers.hco3));
+  }
+  if (state.fixSig) {
+    params.set("fixsig", "1");
+    if (Number.isFinite(state.sigTarget)) params.set("sigt", state.sigTarget.toFixed(1));
+  }
+  if (state.totalCa) params.set("totca", "1");
+  if (state.iCaFormula && state.iCaFormula !== "payne") params.set("caf", state.iCaFormula);
+
+  PERMALINK_INPUT_IDS.forEach((id) => {
+    const v = state.inputs ? state.inputs[id] : "";
+    if (v !== undefined && String(v).trim() !== "") params.set(id, String(v).trim());
+  });
+  if (PERMALINK_SAMPLE_TYPES.includes(state.sampleType)) params.set("st", state.sampleType);
+  if (PERMALINK_SAMPLE_CONVERSIONS.includes(state.sampleConversion)) params.set("sc", state.sampleConversion);
+  if (state.tempMode && state.tempMode !== "alpha-stat") params.set("tmode", state.tempMode);
+  if (state.pkModel && state.pkModel !== "fixed") params.set("pk", state.pkModel);
+  if (state.weakAcidModel && state.weakAcidModel !== "figge-v3") params.set("wa", state.weakAcidModel);
+  if (state.fwdBasis === "sida") params.set("fbasis", "sida");
+  if (state.fluid && state.fluid !== "saline-0.9") params.set("fl", state.fluid);
+  if (state.fluidMetabolised) params.set("flm", "1");
+  if (state.wholeBloodView) params.set("wb", "1");
+
+  (state.ions || []).forEach((ion) => {
+    params.append("ion", [
+      ion.name || "",
+      ion.kind === "cation" ? "cation" : "anion",
+      String(ion.charge || 1),
+      Number.isFinite(ion.value) ? String(ion.value) : "",
+    ].join("|"));
+  });
+
+  return params.toString();
+}
+
+/**
+ * Decode a URL hash produced by `encodeAppState()`.
+ *
+ * Unknown keys and malformed values are ignored.
+ *
+ * @param {string} hash  With or without the leading "#".
+ * @returns {Object|null} State object, or `null` when the hash holds no state.
+ */
+function decodeAppState(hash) {
+  const raw = String(hash || "").replace(/^#/, "");
+  if (!raw) return null;
+  const params = new URLSearchParams(raw);
+  if (!params.has("v")) return null;
+
+  const num = (key) => {
+    const v = parseFloat(params.get(key));
+    return Number.isFinite(v) ? v : NaN;
+  };
+
+  const state = {
+    version: parseInt(params.get("v"), 10) || PERMALINK_VERSION,
+    pickers: {},
+    units: {},
+    inputs: {},
+    useBmp: params.get("bmp") === "1",
+    fixSig: params.get("fixsig") === "1",
+    sigTarget: num("sigt"),
+    totalCa: params.get("totca") === "1",
+    iCaFormula: /^[a-z0-9-]{1,40}$/.test(params.get("caf") || "") ? params.get("caf") : "payne",
+    sampleType: PERMALINK_SAMPLE_TYPES.includes(params.get("st")) ? params.get("st") : "arterial",
+    sampleConversion: PERMALINK_SAMPLE_CONVERSIONS.includes(params.get("sc")) ? params.get("sc") : "none",
+    tempMode: params.get("tmode") === "ph-stat" ? "ph-stat" : "alpha-stat",
+    pkModel: ["ph", "ionic"].includes(params.get("pk")) ? params.get("pk") : "fixed",
+    weakAcidModel: /^[a-z0-9-]{1,40}$/.test(params.get("wa") || "") ? params.get("wa") : "figge-v3",
+    fwdBasis: params.get("fbasis") === "sida" ? "sida" : "side",
+    fluid: /^[a-z0-9.-]{1,40}$/.test(params.get("fl") || "") ? params.get("fl") : "saline-0.9",
+    fluidMetabolised: params.get("flm") === "1",
+    wholeBloodView: params.get("wb") === "1",
+    ions: [],
+  };
+
+  PERMALINK_UNIT_IDS.forEach((id) => {
+    const u = params.get(id + "-unit");
+    if (PERMALINK_UNITS.includes(u)) state.units[id] = u;
+  });
+  PICKER_CONFIG.forEach((cfg) => {
+    const v = num(cfg.id);
+    if (Number.isFinite(v)) state.pickers[cfg.id] = v;
+  });
+  PERMALINK_INPUT_IDS.forEach((id) => {
+    const v = num(id);
+    if (Number.isFinite(v)) state.inputs[id] = v;
+  });
+
+  params.getAll("ion").forEach((entry) => {
+    const parts = entry.split("|");
+    if (parts.length < 4) return;
+    const value = parseFloat(parts.pop());
+    const charge = parseInt(parts.pop(), 10);
+    const kind = parts.pop();
+    state.ions.push({
+      name: parts.join("|").slice(0, 32),
+      kind: kind === "cation" ? "cation" : "anion",
+      charge: charge >= 1 && charge <= 3 ? charge : 1,
+      value: Number.isFinite(value) ? value : NaN,
+    });
+  });
+
+  return state;
+}
+
+/* ─────────────────────────────────────────────────────────────────────
+ *  DOM capture / apply
+ * ───────────────────────────────────────────────────────────────────── */
+
+/** Read the current input state from the page. */
+function captureAppState() {
+  const useBmpEl = el("use-bmp-hco3");
+  const fixSigEl = el("fix-sig");
+  const sigTargetEl = el("sig-target");
+  const totalCaEl = el("use-total-ca");
+  const icaFormulaEl = el("ica-formula");
+  const sampleTypeEl = el("sample-type");
+  const sampleConversionEl = el("sample-conversion");
+  const tempModeEl = el("temp-mode");
+  const pkModelEl = el("pk-model");
+  const weakAcidEl = el("weak-acid-model");
+  const fwdBasisEl = el("fwd-basis");
+  const fluidTypeEl = el("fluid-type");
+  const fluidMetabolisedEl = el("fluid-metabolised");
+  const wholeBloodEl = el("gg-whole-blood");
+  const state = {
+    version: PERMALINK_VERSION,
+    pickers: {},
+    units: {},
+    inputs: {},
+    useBmp: !!(useBmpEl && useBmpEl.checked),
+    fixSig: !!(fixSigEl && fixSigEl.checked),
+    sigTarget: sigTargetEl ? parseFloat(sigTargetEl.value) : NaN,
+    totalCa: !!(totalCaEl && totalCaEl.checked),
+    iCaFormula: icaFormulaEl ? icaFormulaEl.value : "payne",
+    sampleType: sampleTypeEl ? sampleTypeEl.value : "arterial",
+    sampleConversion: sampleConversionEl ? sampleConversionEl.value : "none",
+    tempMode: tempModeEl ? tempModeEl.value : "alpha-stat",
+    pkModel: pkModelEl ? pkModelEl.value : "fixed",
+    weakAcidModel: weakAcidEl ? weakAcidEl.value : "figge-v3",
+    fwdBasis: fwdBasisEl ? fwdBasisEl.value : "side",
+    fluid: fluidTypeEl ? fluidTypeEl.value : "saline-0.9",
+    fluidMetabolised: !!(fluidMetabolisedEl && fluidMetabolisedEl.checked),
+    wholeBloodView: !!(wholeBloodEl && wholeBloodEl.checked),
+    ions: typeof getAdditionalIonDefinitions === "function" ? getAdditionalIonDefinitions() : [],
+  };
+
+  PERMALINK_UNIT_IDS.forEach((id) => {
+    const u = el(id + "-unit");
+    if (u) state.units[id] = u.value;
+  });
+  PICKER_CONFIG.forEach((cfg) => {
+    const v = pickerDisplayValue(cfg);
+    if (v !== "") state.pickers[cfg.id] = v;
+  });
+  PERMALINK_INPUT_IDS.forEach((id) => {
+    const inp = el(id);
+    if (inp) state.inputs[id] = inp.value;
+  });
+
+  return state;
+}
+
+/**
+ * Write a decoded state back into the page.
+ *
+ * Units are applied first so picker options are rebuilt in the saved
+ * unit before the saved display values are selected.  The caller is
+ * responsible for `syncDependentControls()` and `computeAll()`.
+ */
+function applyAppState(state) {
+  if (!state) return;
+
+  PERMALINK_UNIT_IDS.forEach((id) => {
+    const u = el(id + "-unit");
+    const want = state.units[id];
+    if (!u || !want || u.value === want) return;
+    const prev = u.value;
+    u.value = want;
+    const cfg = PICKER_CONFIG.find((c) => c.id === id);
+    if (cfg) populatePicker(cfg, prev);
+    u.dataset.prev = want;
+    u.dataset.prevUnit = want;
+  });
+
+  PICKER_CONFIG.forEach((cfg) => {
+    if (Object.prototype.hasOwnProperty.call(state.pickers, cfg.id)) {
+      setPickerValue(cfg, state.pickers[cfg.id]);
+    }
+  });
+
+  PERMALINK_INPUT_IDS.forEach((id) => {
+    const inp = el(id);
+    if (!inp) return;
+    const v = state.inputs[id];
+    inp.value = v === undefined || v === null || Number.isNaN(v) ? "" : String(v);
+  });
+
+  const useBmpEl = el("use-bmp-hco3");
+  const fixSigEl = el("fix-sig");
+  const sigTargetEl = el("sig-target");
+  const sampleTypeEl = el("sample-type");
+  if (sampleTypeEl) {
+    sampleTypeEl.value = PERMALINK_SAMPLE_TYPES.includes(state.sampleType) ? state.sampleType : "arterial";
+  }
+  const sampleConversionEl = el("sample-conversion");
+  if (sampleConversionEl) {
+    sampleConversionEl.value = PERMALINK_SAMPLE_CONVERSIONS.includes(state.sampleConversion)
+      ? state.sampleConversion : "none";
+  }
+  const tempModeEl = el("temp-mode");
+  if (tempModeEl) tempModeEl.value = state.tempMode === "ph-stat" ? "ph-stat" : "alpha-stat";
+  const pkModelEl = el("pk-model");
+  if (pkModelEl) pkModelEl.value = ["ph", "ionic"].includes(state.pkModel) ? state.pkModel : "fixed";
+  const weakAcidEl = el("weak-acid-model");
+  if (weakAcidEl) {
+    const known = Array.from(weakAcidEl.options).some((o) => o.value === state.weakAcidModel);
+    weakAcidEl.value = known ? state.weakAcidModel : "figge-v3";
+  }
+  const fwdBasisEl = el("fwd-basis");
+  if (fwdBasisEl) fwdBasisEl.value = state.fwdBasis === "sida" ? "sida" : "side";
+  const fluidTypeEl = el("fluid-type");
+  if (fluidTypeEl) {
+    const known = Array.from(fluidTypeEl.options).some((o) => o.value === state.fluid);
+    fluidTypeEl.value = known ? state.fluid : "saline-0.9";
+  }
+  const fluidMetabolisedEl = el("fluid-metabolised");
+  if (fluidMetabolisedEl) fluidMetabolisedEl.checked = !!state.fluidMetabolised;
+  const wholeBloodEl = el("gg-whole-blood");
+  if (wholeBloodEl) wholeBloodEl.checked = !!state.wholeBloodView;
+  const totalCaEl = el("use-total-ca");
+  if (totalCaEl) totalCaEl.checked = !!state.totalCa;
+  const icaFormulaEl = el("ica-formula");
+  if (icaFormulaEl) {
+    const known = Array.from(icaFormulaEl.options).some((o) => o.value === state.iCaFormula);
+    icaFormulaEl.value = known ? state.iCaFormula : "payne";
+  }
+  if (useBmpEl) useBmpEl.checked = !!state.useBmp && !state.fixSig;
+  if (fixSigEl) fixSigEl.checked = !!state.fixSig;
+  if (sigTargetEl) {
+    sigTargetEl.value = state.fixSig && Number.isFinite(state.sigTarget)
+      ? state.sigTarget.toFixed(1) : "";
+  }
+
+  if (typeof clearAdditionalIons === "function") {
+    clearAdditionalIons();
+    (state.ions || []).forEach((ion) => addAdditionalIon(ion, { silent: true }));
+  }
+}
+
+/** Mirror the current state into the address bar without adding history. */
+function updatePermalink() {
+  const hash = "#" + encodeAppState(captureAppState());
+  if (window.location.hash === hash) return;
+  history.replaceState(null, "", window.location.pathname + window.location.search + hash);
+}
@@ -5,9 +5,20 @@
  *
  * Contents:
  *   1. hco3FromPHandPco2()  — Henderson–Hasselbalch
+ *   1b. temperatureCorrectBloodGas(), co2Solubility(), carbonicPK(),
+ *       pKaTemperatureShift() — patient-temperature corrections
+ *   1c. plasmaIonicStrength() and the selectable pK′ models
+ *   1d. arterializeBloodGas() — venous → arterial conversion
+ *       (fixed offsets or v-TAC)
  *   2. ionizedMagnesiumFromTotal() — Estimate iMg from total Mg
+ *   2b. ionizedCalciumFromTotal() — Estimate iCa from total Ca,
+ *       albumin and pH, with calciumEstimateConfidence()
  *   3. albuminCharge()      — Full Figge–Fencl v3.0 multi-proton albumin model
  *   4. phosphateCharge()    — Triprotic phosphate equilibrium
+ *   5. standardBaseExcess() — Van Slyke standard base excess
+ *   5b. wholeBloodBufferBase(), wholeBloodCO2Content() — hemoglobin
+ *       buffer, whole-blood BE and CO₂ content
+ *   6. baseExcessPartition() — Fencl–Moran / Gilfix SBE partition
  *
  * References:
  *   [1] Figge J, Mydosh T, Fencl V. "Serum proteins and acid-base
@@ -26,6 +37,64 @@
  *       pH-dependent and should be interpreted alongside pH.
  *   [7] Wang et al. (PubMed 12171493): iMg changes by roughly
  *       0.12 mmol/L per pH unit across the tested range.
+ *   [8] Siggaard-Andersen O. "The Van Slyke equation." Scand J Clin
+ *       Lab Invest Suppl. 1977;146:15-20. (CLSI C46-A2 SBE form)
+ *   [9] Gilfix BM, Bique M, Magder S. "A physical chemical approach
+ *       to the analysis of acid-base balance in the clinical setting."
+ *       J Crit Care. 1993;8(4):187-197.
+ *  [10] Story DA, Morimatsu H, Bellomo R. "Strong ions, weak acids
+ *       and base excess: a simplified Fencl–Stewart approach to
+ *       clinical acid-base disorders." Br J Anaesth. 2004;92(1):54-60.
+ *  [11] Ashwood ER, Kost G, Kenny M. "Temperature correction of
+ *       blood-gas and pH measurements." Clin Chem. 1983;29(11):1877-1885.
+ *  [12] Kelman GR. "Digital computer procedure for the conversion of
+ *       PCO2 into blood CO2 content." Respir Physiol. 1967;3:111-115.
+ *  [13] Edsall JT, Wyman J. Biophysical Chemistry, vol. 1. Academic
+ *       Press; 1958. (Heats of ionisation of protein side chains)
+ *  [14] Goldberg RN, Kishore N, Lennen RM. "Thermodynamic quantities
+ *       for the ionization reactions of buffers." J Phys Chem Ref Data.
+ *       2002;31(2):231-370.
+ *  [15] Davies CW. Ion Association. London: Butterworths; 1962.
+ *       (Activity-coefficient equation used for the ionic-strength pK′)
+ *  [16] Payne RB, Little AJ, Williams RB, Milner JR. "Interpretation
+ *       of serum calcium in patients with abnormal serum proteins."
+ *       Br Med J. 1973;4(5893):643-646.
+ *  [17] McLean FC, Hastings AB. "The state of calcium in the fluids of
+ *       the body. I. The conditions affecting the ionization of
+ *       calcium." J Biol Chem. 1935;108:285-322.
+ *  [18] Thode J, Fogh-Andersen N, Wimberley PD, Møller Sørensen A,
+ *       Siggaard-Andersen O. "Relation between pH and ionized calcium
+ *       in vitro and in vivo in man." Scand J Clin Lab Invest Suppl.
+ *       1983;165:79-82.
+ *  [19] Ladenson JH, Lewis JW, Boyd JC. "Failure of total calcium
+ *       corrected for protein, albumin, and pH to correctly assess
+ *       free calcium status." J Clin Endocrinol Metab.
+ *       1978;46(6):986-993.
+ *  [20] CLSI. Blood Gas and pH Analysis and Related Measurements;
+ *       Approved Guideline — Second Edition. CLSI document C46-A2.
+ *       Wayne, PA: CLSI; 2009. (Whole-blood base excess)
+ *  [21] Singer RB, Hastings AB. "An improved clinical method for the
+ *       estimation of disturbances of the acid-base balance of human
+ *       blood." Medicine (Baltimore). 1948;27(2):223-242.
+ *  [22] Douglas AR, Jones NL, Reed JW. "Calculation of whole blood
+ *       CO2 content." J Appl Physiol. 1988;65(1):473-477.
+ *  [23] Byrne AL, Bennett M, Chatterji R, Symons R, Pace NL, Thomas PS.
+ *       "Peripheral venous and arterial blood gas analysis in adults:
+ *       are they comparable? A systematic review and meta-analysis."
+ *       Respirology. 2014;19(2):168-175.
+ *  [24] Walkey AJ, Farber HW, O'Donnell C, Cabral H, Eagan JS,
+ *       Philippides GJ. "The accuracy of the central venous blood gas
+ *       for acid-base monitoring." J Intensive Care Med.
+ *       2010;25(2):104-110.
+ *  [25] Rees SE, Toftegaard M, Andreassen S. "A method for calculation
+ *       of arterial acid-base and blood gas status from measurements
+ *       in the peripheral venous blood." Comput Methods Programs
+ *       Biomed. 2006;81(1):18-25.
+ *  [26] Toftegaard M, Rees SE, Andreassen S. "Evaluation of a method
+ *       for converting venous values of acid-base and oxygenation
+ *       status to arterial values." Emerg Med J. 2009;26(4):268-272.
+ *  [27] Siggaard-Andersen O. The Acid-Base Status of the Blood. 4th ed.
+ *       Copenhagen: Munksgaard; 1974. (Haldane effect on base excess)
  */
 
 "use strict";
@@ -33,6 +102,142 @@
 const IMG_PH_REFERENCE = 7.40;
 const IMG_PH_SLOPE = 0.12;
 
+/** Analyzer temperature (°C) — every tabulated constant refers to it. */
+const NORMOTHERMIA_C = 37;
+
+/**
+ * Carbonic-acid pK′ models for the Henderson–Hasselbalch HCO₃⁻:
+ *   "fixed" — classic 6.1
+ *   "ph"    — Kelman's pH-dependent pK′ [12]
+ *   "ionic" — 6.1 corrected for ionic strength (Davies [15])
+ */
+const CARBONIC_PK_MODELS = ["fixed", "ph", "ionic"];
+
+/** Ionic strength (mol/L) at which the classic pK′ of 6.1 applies. */
+const PK_REFERENCE_IONIC_STRENGTH = 0.15;
+
+/** Debye–Hückel A for water at 37 °C (Davies equation). */
+const DAVIES_A_37C = 0.52;
+
+/**
+ * Standard heats of ionisation (kJ/mol) used for van 't Hoff pKa
+ * shifts away from 37 °C.  Protein groups from [13]; phosphoric acid
+ * from [14].  Carboxyl groups (≈ 0) are treated as temperature-
+ * independent.
+ */
+const IONIZATION_ENTHALPY_KJ = {
+  imidazole: 30,    // His
+  amino: 45,        // Lys ε-NH₃⁺, α-NH₃⁺
+  guanidinium: 52,  // Arg
+  thiol: 27,        // Cys-34
+  phenol: 25,       // Tyr
+  phosphate1: -8.0,
+  phosphate2: 3.6,
+  phosphate3: 16.0,
+};
+
+/** Calcium: mg/dL per mmol/L (MW 40.08 g/mol). */
+const CA_MG_DL_PER_MMOL = 4.008;
+
+/**
+ * Ionized fraction of total calcium at normal albumin and pH 7.40
+ * (iCa 1.15–1.29 of total 2.15–2.60 mmol/L).
+ */
+const ICA_IONIZED_FRACTION = 0.51;
+
+/** Albumin (g/dL) the total-Ca corrections are referenced to [16]. */
+const ICA_NORMAL_ALBUMIN = 4.0;
+
+/** Globulin (g/dL) added to albumin for the McLean–Hastings total protein. */
+const ICA_GLOBULIN_G_DL = 2.8;
+
+/** d log₁₀[iCa] / d pH in serum [18]; iCa is referenced to pH 7.40. */
+const ICA_PH_LOG_SLOPE = 0.24;
+const ICA_PH_REFERENCE = 7.40;
+
+/**
+ * Ionized-calcium estimates from total Ca, with a `label` for the
+ * picker and a `short` name for reports.  `estimate(totalCa, alb)`
+ * takes mmol/L and g/dL and returns iCa in mmol/L at pH 7.40; the pH
+ * adjustment is applied by `ionizedCalciumFromTotal()`.
+ *
+ *   payne           — albumin-adjusted total Ca [16],
+ *                     Ca + 0.2·(4.0 − Alb), times the normal ionized
+ *                     fraction
+ *   mclean-hastings — mass-action protein binding [17],
+ *                     iCa = (6·Ca − P/3) / (P + 6) in mg/dL and g/dL,
+ *                     with P = albumin + 2.8 g/dL globulin
+ */
+const ICA_FORMULAS = {
+  "payne": {
+    label: "Payne-adjusted Ca × ionized fraction",
+    short: "Payne",
+    estimate: (totalCa, alb) => (totalCa + 0.2 * (ICA_NORMAL_ALBUMIN - alb)) * ICA_IONIZED_FRACTION,
+  },
+  "mclean-hastings": {
+    label: "McLean–Hastings (protein = albumin + 2.8 g/dL)",
+    short: "McLean–Hastings",
+    estimate: (totalCa, alb) => {
+      const protein = alb + ICA_GLOBULIN_G_DL;
+      const caMg = totalCa * CA_MG_DL_PER_MMOL;
+      return (6 * caMg - protein / 3) / (protein + 6) / CA_MG_DL_PER_MMOL;
+    },
+  },
+};
+
+const DEFAULT_ICA_FORMULA = "payne";
+
+/** Hemoglobin g/dL → mmol/L (monomer, MW ≈ 16 114 g/mol). */
+const HB_GDL_TO_MMOL = 0.6206;
+
+/** Extracellular Hb (mmol/L) assumed by the CLSI SBE when Hb is unknown. */
+const SBE_DEFAULT_HB_ECF = 3.0;
+
+/**
+ * Whole-blood buffer constants, per g/dL of blood Hb: the Hb share of
+ * the normal buffer base (Singer–Hastings [21]) and the Hb buffer
+ * value of the CLSI whole-blood BE [20].  The plasma terms are the
+ * normal plasma buffer base and the plasma non-bicarbonate buffer value.
+ */
+const WB_PLASMA_BUFFER_BASE = 41.7;
+const WB_HB_BUFFER_BASE_PER_GDL = 0.42;
+const WB_HB_BUFFER_VALUE_PER_GDL = 1.43;
+const WB_PLASMA_BUFFER_VALUE = 7.7;
+
+/** Oxygen saturation (fraction) assumed for the Douglas CO₂ content: arterial blood. */
+const WB_DEFAULT_SO2 = 1;
+
+/**
+ * Blood-gas sample types.  Venous types carry the fixed arterial −
+ * venous offsets used by `arterializeBloodGas()` (pCO₂ in mmHg).
+ */
+const SAMPLE_TYPES = {
+  arterial:  { label: "Arterial", venous: false },
+  venous:    { label: "Peripheral venous", venous: true, offsets: { pH: 0.033, pCO2: -4.4 } },
+  central:   { label: "Central venous", venous: true, offsets: { pH: 0.03, pCO2: -5 } },
+  capillary: { label: "Arterialised capillary", venous: false },
+};
+
+/** Venous → arterial conversions. */
+const SAMPLE_CONVERSIONS = {
+  none:    "None (venous values as measured)",
+  offsets: "Fixed offsets",
+  vtac:    "v-TAC (SpO₂ and venous sO₂)",
+};
+
+/**
+ * v-TAC constants: respiratory quotient, Haldane base shift per mmol of
+ * Hb oxygenated, the Hb assumed when none is entered and the pH
+ * bracket searched for the arterial solution.
+ */
+const VTAC_RQ = 0.82;
+const VTAC_HALDANE = 0.3;
+const VTAC_DEFAULT_HB_GDL = 15;
+const VTAC_PH_RANGE = [6.5, 8.0];
+
+/** Normal values the Fencl–Moran / Gilfix partition is referenced to. */
+const BE_PARTITION_NORMALS = { Na: 140, Cl: 102, albGperL: 42, lactate: 1.0 };
+
 const MG_COMPLEXING_NAME_RULES = [
   { pattern: /\bcitrate\b/i, label: "citrate", thresholds: [0.5, 1.0], points: [1, 2] },
   { pattern: /\boxalate\b|\bedta\b/i, label: "oxalate/EDTA", thresholds: [0.25, 0.5], points: [1, 2] },
@@ -51,14 +256,225 @@ const MG_COMPLEXING_NAME_RULES = [
  *
  *   [HCO₃⁻] = α · pCO₂ · 10^(pH − pKa)
  *
- * where α = 0.03 mmol/L/mmHg and pKa = 6.1 at 37 °C.
+ * where α = 0.03 mmol/L/mmHg and pKa = 6.1 at 37 °C.  Pass `tempC`
+ * to use the temperature-dependent α and pK′ instead; pH and pCO₂
+ * must then be the values at that temperature.  A pK′ from another
+ * model (`carbonicPK()` with options) may be passed as `pK`.
  *
- * @param {number} pH   Arterial pH
- * @param {number} pCO2 Arterial pCO₂ in mmHg
- * @returns {number}    [HCO₃⁻] in mmol/L
+ * @param {number} pH       Arterial pH
+ * @param {number} pCO2     Arterial pCO₂ in mmHg
+ * @param {number} [tempC]  Temperature (°C); defaults to 37
+ * @param {number} [pK]     pK′ to use instead of the fixed-model value
+ * @returns {number}        [HCO₃⁻] in mmol/L
  */
-function hco3FromPHandPco2(pH, pCO2) {
-  return 0.03 * pCO2 * Math.pow(10, pH - 6.1);
+function hco3FromPHandPco2(pH, pCO2, tempC, pK) {
+  const pk = Number.isFinite(pK) ? pK : carbonicPK(tempC, pH);
+  return co2Solubility(tempC) * pCO2 * Math.pow(10, pH - pk);
+}
+
+/* ─────────────────────────────────────────────────────────────────────
+ *  Patient-temperature corrections
+ * ───────────────────────────────────────────────────────────────────── */
+
+/**
+ * Correct analyzer (37 °C) pH and pCO₂ to the patient's temperature
+ * (anaerobic cooling / warming of a closed sample) [11]:
+ *
+ *   pH(T)   = pH₃₇ − 0.0147·(T − 37) + 0.0065·(7.40 − pH₃₇)·(T − 37)
+ *   pCO₂(T) = pCO₂₃₇ · 10^(0.019·(T − 37))
+ *
+ * @param {number} pH     pH measured at 37 °C
+ * @param {number} pCO2   pCO₂ measured at 37 °C (mmHg)
+ * @param {number} tempC  Patient temperature (°C)
+ * @returns {{pH:number, pCO2:number}}
+ */
+function temperatureCorrectBloodGas(pH, pCO2, tempC) {
+  const dT = Number.isFinite(tempC) ? tempC - NORMOTHERMIA_C : 0;
+  return {
+    pH: pH - 0.0147 * dT + 0.0065 * (7.40 - pH) * dT,
+    pCO2: pCO2 * Math.pow(10, 0.019 * dT),
+  };
+}
+
+/**
+ * Inverse of the pH correction in `temperatureCorrectBloodGas()`: the
+ * 37 °C analyzer pH of a sample whose pH at `tempC` is `pH`.  The
+ * correction is linear in pH₃₇, so it inverts exactly.
+ */
+function analyzerPHFromPatient(pH, tempC) {
+  const dT = Number.isFinite(tempC) ? tempC - NORMOTHERMIA_C : 0;
+  return (pH + 0.0147 * dT - 0.0065 * 7.40 * dT) / (1 - 0.0065 * dT);
+}
+
+/**
+ * Plasma CO₂ solubility α (mmol/L/mmHg).  Kelman's temperature terms
+ * [12] are applied to the 37 °C value of 0.03:
+ *
+ *   α(T) = 0.03 + 0.00057·(37 − T) + 0.00002·(37 − T)²
+ */
+function co2Solubility(tempC) {
+  const dT = Number.isFinite(tempC) ? NORMOTHERMIA_C - tempC : 0;
+  return 0.03 + 0.00057 * dT + 0.00002 * dT * dT;
+}
+
+/**
+ * Apparent pK′ of the CO₂/HCO₃⁻ system.
+ *
+ *   fixed: pK′ = 6.1 + (37 − T)·(0.00472 + 0.00139·(7.40 − pH))
+ *   ph:    pK′ = 6.086 + 0.042·(7.40 − pH)
+ *                + (38 − T)·(0.00472 + 0.00139·(7.40 − pH))      [12]
+ *   ionic: pK′ = fixed + A·(g(I₀) − g(I)),  g(I) = √I/(1 + √I) − 0.3·I
+ *
+ * The fixed model applies Kelman's temperature term to the classic
+ * 6.1.  The ionic model follows the HCO₃⁻ activity coefficient
+ * (Davies [15]) relative to normal plasma, I₀ = 0.15 mol/L; without a
+ * usable ionic strength it equals the fixed model.
+ *
+ * @param {number} tempC  Temperature (°C); missing → 37
+ * @param {number} pH
+ * @param {Object} [options]
+ * @param {string} [options.model="fixed"]   One of `CARBONIC_PK_MODELS`
+ * @param {number} [options.ionicStrength]   mol/L, for the ionic model
+ * @returns {number}
+ */
+function carbonicPK(tempC, pH, options) {
+  const model = options && CARBONIC_PK_MODELS.includes(options.model) ? options.model : "fixed";
+  const T = Number.isFinite(tempC) ? tempC : NORMOTHERMIA_C;
+  const dpH = Number.isFinite(pH) ? 7.40 - pH : 0;
+  const tempTerm = (ref) => (ref - T) * (0.00472 + 0.00139 * dpH);
+
+  if (model === "ph") return 6.086 + 0.042 * dpH + tempTerm(38);
+
+  const fixed = T === NORMOTHERMIA_C ? 6.1 : 6.1 + tempTerm(NORMOTHERMIA_C);
+  const I = options ? options.ionicStrength : NaN;
+  if (model !== "ionic" || !Number.isFinite(I) || I <= 0) return fixed;
+  const g = (x) => Math.sqrt(x) / (1 + Math.sqrt(x)) - 0.3 * x;
+  return fixed + DAVIES_A_37C * (g(PK_REFERENCE_IONIC_STRENGTH) - g(I));
+}
+
+/**
+ * Approximate plasma ionic strength (mol/L) from the measured cations,
+ * assuming electroneutrality with monovalent anions:
+ *
+ *   I = ½ Σ cᵢzᵢ² ≈ (Na + K + 3·iCa + 3·iMg) / 1000
+ *
+ * @param {Object} v  `{ Na, K, iCa, iMg }` in mmol/L
+ * @returns {number}  mol/L, NaN without Na
+ */
+function plasmaIonicStrength(v) {
+  if (!v || !Number.isFinite(v.Na)) return NaN;
+  const n = (x) => (Number.isFinite(x) ? x : 0);
+  return (v.Na + n(v.K) + 3 * (n(v.iCa) + n(v.iMg))) / 1000;
+}
+
+/**
+ * van 't Hoff shift of a pKa from 37 °C to `tempC`:
+ *
+ *   ΔpKa = ΔH° / (R·ln 10) · (1/T − 1/310.15)
+ *
+ * @param {number} enthalpyKJ  Heat of ionisation (kJ/mol)
+ * @param {number} tempC       Temperature (°C); 37 or missing → 0
+ * @returns {number}           pKa(T) − pKa(37 °C)
+ */
+function pKaTemperatureShift(enthalpyKJ, tempC) {
+  if (!Number.isFinite(tempC) || tempC === NORMOTHERMIA_C) return 0;
+  const R = 8.314e-3; // kJ/(mol·K)
+  return (enthalpyKJ / (R * Math.LN10)) * (1 / (tempC + 273.15) - 1 / (NORMOTHERMIA_C + 273.15));
+}
+
+/* ─────────────────────────────────────────────────────────────────────
+ *  Sample type: venous → arterial conversion
+ * ───────────────────────────────────────────────────────────────────── */
+
+/**
+ * Estimate arterial pH and pCO₂ from a venous gas.  The Stewart
+ * quantities are defined for arterial blood; venous pCO₂ is higher and
+ * venous pH lower by an amount set by the local O₂ extraction.  Two
+ * published methods are offered:
+ *
+ *   "offsets" — the mean arterial − venous differences: peripheral
+ *               venous pH +0.033 and pCO₂ −4.4 mmHg (meta-analysis
+ *               [23]); central venous about pH +0.03 and pCO₂
+ *               −5 mmHg [24].
+ *   "vtac"    — v-TAC [25, 26]: the venous sample is "arterialised" by
+ *               adding the O₂ that takes its saturation from SvO₂ to
+ *               the pulse-oximeter SpO₂ and removing CO₂ at RQ 0.82:
+ *
+ *                 ΔO₂ = ctHb · (SpO₂ − SvO₂)     ctHb in mmol/L
+ *                 ctCO₂(B)a = ctCO₂(B)v − RQ · ΔO₂
+ *
+ *               Titratable base is unchanged, so BE(B) only moves by
+ *               the Haldane effect, 0.3 mmol per mmol of Hb oxygenated
+ *               [27].  Arterial pH is the one whose CLSI BE(B) [20]
+ *               and Douglas ctCO₂(B) [22] at SpO₂ match those targets.
+ *               Dissolved O₂ is ignored.
+ *
+ * Arterial and arterialised capillary samples are returned unchanged,
+ * as is a venous sample with conversion "none".  A v-TAC request that
+ * lacks its inputs falls back to "none" and says why in `note`.
+ *
+ * @param {number} pH    Measured at 37 °C
+ * @param {number} pCO2  mmHg, measured at 37 °C
+ * @param {Object} [options]
+ * @param {string} [options.sampleType]  `SAMPLE_TYPES` key; default "arterial"
+ * @param {string} [options.conversion]  `SAMPLE_CONVERSIONS` key; default "none"
+ * @param {number} [options.spO2]        Pulse oximetry, fraction (v-TAC)
+ * @param {number} [options.svO2]        Venous sample sO₂, fraction (v-TAC)
+ * @param {number} [options.hbGdL]       Blood Hb (g/dL) for v-TAC; default 15
+ * @returns {{sampleType:string, conversion:string, measuredPH:number,
+ *            measuredPCO2:number, pH:number, pCO2:number, note:string}}
+ *          `conversion` is the method actually applied
+ */
+function arterializeBloodGas(pH, pCO2, options) {
+  const o = options || {};
+  const sampleType = SAMPLE_TYPES[o.sampleType] ? o.sampleType : "arterial";
+  const type = SAMPLE_TYPES[sampleType];
+  const requested = SAMPLE_CONVERSIONS[o.conversion] ? o.conversion : "none";
+  const out = (conversion, aPH, aPCO2, note) => ({
+    sampleType, conversion, measuredPH: pH, measuredPCO2: pCO2, pH: aPH, pCO2: aPCO2, note: note || "",
+  });
+
+  if (!type.venous) return out("none", pH, pCO2, sampleType === "capillary" ? "Read as arterial." : "");
+  if (requested === "none") return out("none", pH, pCO2, "Venous values used as measured.");
+  if (!Number.isFinite(pH) || !Number.isFinite(pCO2)) return out("none", pH, pCO2, "No pH/pCO₂ to convert.");
+  if (requested === "offsets") {
+    return out("offsets", pH + type.offsets.pH, pCO2 + type.offsets.pCO2, "");
+  }
+
+  const spO2 = o.spO2;
+  const svO2 = o.svO2;
+  if (!Number.isFinite(spO2) || !Number.isFinite(svO2) || spO2 <= 0 || spO2 > 1 || svO2 < 0) {
+    return out("none", pH, pCO2, "v-TAC needs SpO₂ and the venous sO₂; values used as measured.");
+  }
+  if (svO2 >= spO2) {
+    return out("none", pH, pCO2, "v-TAC needs a venous sO₂ below SpO₂; values used as measured.");
+  }
+  const hbGiven = Number.isFinite(o.hbGdL) && o.hbGdL > 0;
+  const hb = hbGiven ? o.hbGdL : VTAC_DEFAULT_HB_GDL;
+  const dO2 = hb * HB_GDL_TO_MMOL * (spO2 - svO2);
+  const hco3V = hco3FromPHandPco2(pH, pCO2);
+  const targetCO2 = wholeBloodCO2Content(pH, pCO2, hco3V, hb, svO2).blood - VTAC_RQ * dO2;
+  const targetBE = wholeBloodBufferBase(pH, hco3V, hb).beB - VTAC_HALDANE * dO2;
+
+  // HCO₃⁻ from BE(B) at a trial pH, then pCO₂ from Henderson–Hasselbalch
+  const gasAt = (x) => {
+    const hco3 = targetBE / (1 - 0.014 * hb) + 24.8
+      - (WB_HB_BUFFER_VALUE_PER_GDL * hb + WB_PLASMA_BUFFER_VALUE) * (x - 7.40);
+    const p = hco3 / (co2Solubility(NORMOTHERMIA_C) * Math.pow(10, x - carbonicPK(NORMOTHERMIA_C, x)));
+    return { pCO2: p, excess: wholeBloodCO2Content(x, p, hco3, hb, spO2).blood - targetCO2 };
+  };
+  let lo = VTAC_PH_RANGE[0];
+  let hi = VTAC_PH_RANGE[1];
+  if (!(gasAt(lo).excess > 0 && gasAt(hi).excess < 0)) {
+    return out("none", pH, pCO2, "v-TAC found no arterial solution; values used as measured.");
+  }
+  for (let i = 0; i < 50; i++) {
+    const mid = (lo + hi) / 2;
+    if (gasAt(mid).excess > 0) lo = mid; else hi = mid;
+  }
+  const aPH = (lo + hi) / 2;
+  return out("vtac", aPH, gasAt(aPH).pCO2,
+    hbGiven ? "" : "Hb not given; v-TAC assumed " + VTAC_DEFAULT_HB_GDL + " g/dL.");
 }
 
 /* ─────────────────────────────────────────────────────────────────────
@@ -109,13 +525,6 @@ function magnesiumComplexingConfidence(phosphate, extraAnions) {
     return out;
   }
 
-  function joinReasons(items) {
-    if (!items.length) return "";
-    if (items.length === 1) return items[0];
-    if (items.length === 2) return items[0] + " and " + items[1];
-    return items.slice(0, -1).join(", ") + ", and " + items[items.length - 1];
-  }
-
   if (Number.isFinite(phosphate)) {
     if (phosphate >= 2.5) {
       points += 2;
@@ -153,6 +562,22 @@ function magnesiumComplexingConfidence(phosphate, extraAnions) {
     });
   }
 
+  return estimateConfidence(points, reasons, "No flagged phosphate or custom complexing-anion burden.");
+}
+
+/** "a", "a and b", "a, b, and c". */
+function joinReasons(items) {
+  if (!items.length) return "";
+  if (items.length === 1) return items[0];
+  if (items.length === 2) return items[0] + " and " + items[1];
+  return items.slice(0, -1).join(", ") + ", and " + items[items.length - 1];
+}
+
+/**
+ * High / Medium / Low confidence from penalty points (0, 1–2, ≥ 3),
+ * with a one-line summary of the first three reasons.
+ */
+function estimateConfidence(points, reasons, noReasonSummary) {
   let levelKey = "high";
   if (points >= 3) levelKey = "low";
   else if (points >= 1) levelKey = "medium";
@@ -162,9 +587,81 @@ function magnesiumComplexingConfidence(phosphate, extraAnions) {
   if (reasons.length > 3) shownReasons.push("other added anions");
   const summary = shownReasons.length
     ? "Reduced by " + joinReasons(shownReasons) + "."
-    : "No flagged phosphate or custom complexing-anion burden.";
+    : noReasonSummary;
+
+  return { label, levelKey, points, summary, reasons };
+}
+
+/* ─────────────────────────────────────────────────────────────────────
+ *  Estimated ionized calcium
+ * ───────────────────────────────────────────────────────────────────── */
+
+/**
+ * Estimate ionized calcium from total serum calcium.
+ *
+ * Basic metabolic panels often report total Ca only.  The selected
+ * `ICA_FORMULAS` entry gives iCa at pH 7.40 from total Ca and
+ * albumin; the result is then moved to the measured pH with the
+ * serum log-linear slope [18] (acidaemia frees Ca from albumin) and
+ * clamped to [0, totalCa].  A missing albumin is taken as 4.0 g/dL.
+ *
+ * @param {number} totalCa  Total serum calcium in mmol/L
+ * @param {number} albGdL   Albumin in g/dL
+ * @param {number} pH       Simultaneous blood/serum pH
+ * @param {string} [formula] `ICA_FORMULAS` key; default "payne"
+ * @returns {number}        Estimated ionized calcium in mmol/L
+ */
+function ionizedCalciumFromTotal(totalCa, albGdL, pH, formula) {
+  if (!Number.isFinite(totalCa)) return NaN;
+  if (totalCa <= 0) return 0;
+  const f = ICA_FORMULAS[formula] || ICA_FORMULAS[DEFAULT_ICA_FORMULA];
+  let estimate = f.estimate(totalCa, Number.isFinite(albGdL) ? albGdL : ICA_NORMAL_ALBUMIN);
+  if (Number.isFinite(pH)) {
+    estimate *= Math.pow(10, ICA_PH_LOG_SLOPE * (ICA_PH_REFERENCE - pH));
+  }
+  return Math.max(0, Math.min(totalCa, estimate));
+}
+
+/**
+ * Confidence in an iCa estimated from total Ca.  Corrections for
+ * albumin and pH misclassify free calcium most often in
+ * hypoalbuminaemia and critical illness [19]; phosphate and
+ * complexing anions bind Ca as they bind Mg, so those are scored by
+ * `magnesiumComplexingConfidence()`.
+ *
+ * @param {number} albGdL       Albumin in g/dL
+ * @param {number} pH           Measured pH
+ * @param {number} phosphate    mmol/L
+ * @param {Array}  extraAnions  Additional anion segments
+ * @returns {{label:string, levelKey:string, points:number,
+ *            summary:string, reasons:string[]}}
+ */
+function calciumEstimateConfidence(albGdL, pH, phosphate, extraAnions) {
+  const complexing = magnesiumComplexingConfidence(phosphate, extraAnions);
+  let points = complexing.points;
+  const reasons = [];
+
+  if (!Number.isFinite(albGdL)) {
+    points += 1;
+    reasons.push("no albumin (4.0 g/dL assumed)");
+  } else if (albGdL < 2.5) {
+    points += 2;
+    reasons.push("albumin " + albGdL.toFixed(1) + " g/dL");
+  } else if (albGdL < 3.5) {
+    points += 1;
+    reasons.push("albumin " + albGdL.toFixed(1) + " g/dL");
+  }
+
+  if (!Number.isFinite(pH)) {
+    points += 1;
+    reasons.push("no pH (7.40 assumed)");
+  } else if (pH < 7.20 || pH > 7.60) {
+    points += 1;
+    reasons.push("pH " + pH.toFixed(2));
+  }
 
-  return { label, levelKey, points, summary };
+  reasons.push(...complexing.reasons);
+  return estimateConfidence(points, reasons, "Normal albumin and pH, no flagged complexing anions.");
 }
 
 /* ─────────────────────────────────────────────────────────────────────
@@ -189,18 +686,35 @@ function magnesiumComplexingConfidence(phosphate, extraAnions) {
  * The N→B conformational transition (Figge v3.0) shifts the pKa
  * of 5 domain-1 histidines down by up to 0.4 pH units as the
  * protein transitions from the N-form to the B-form above pH ≈ 6.9.
+ * `options.nbTransition = false` leaves it out, as in the earlier
+ * Figge 1992 model.
  *
  * At pH 7.40, Alb 4.0 g/dL (40 g/L) → A⁻ ≈ 11.2 mEq/L.
  *
+ * The residue pKa values are for 37 °C.  With `tempC`, each class
+ * of group is shifted by `pKaTemperatureShift()` using its heat of
+ * ionisation (`IONIZATION_ENTHALPY_KJ`); carboxyl groups are left
+ * unchanged.
+ *
  * @param {number} albGperL  Albumin concentration in g/L
  * @param {number} pH        Arterial pH
+ * @param {number} [tempC]   Temperature (°C); defaults to 37
+ * @param {Object} [options]
+ * @param {boolean} [options.nbTransition=true]  Apply the N→B shift
  * @returns {number}         A⁻ in mEq/L (positive = net negative charge)
  */
-function albuminCharge(albGperL, pH) {
+function albuminCharge(albGperL, pH, tempC, options) {
   const albMM = albGperL / 66.5; // g/L → mmol/L
+  const h = IONIZATION_ENTHALPY_KJ;
+  const dHis = pKaTemperatureShift(h.imidazole, tempC);
+  const dAmino = pKaTemperatureShift(h.amino, tempC);
+  const dArg = pKaTemperatureShift(h.guanidinium, tempC);
+  const dCys = pKaTemperatureShift(h.thiol, tempC);
+  const dTyr = pKaTemperatureShift(h.phenol, tempC);
 
   /* ── N→B conformational transition (affects domain-1 His 1–5) ── */
-  const NB = 0.4 * (1 - 1 / (1 + Math.pow(10, pH - 6.9)));
+  const NB = options && options.nbTransition === false
+    ? 0 : 0.4 * (1 - 1 / (1 + Math.pow(10, pH - 6.9)));
 
   /* ── 16 histidine residues — individual pKa at 37 °C ──
    *    His 1–5 : domain 1 — pKa shifted down by NB
@@ -214,30 +728,31 @@ function albuminCharge(albGperL, pH) {
 
   let his = 0;
   for (let i = 0; i < HIS_NB.length; i++)
-    his += 1 / (1 + Math.pow(10, pH - (HIS_NB[i] - NB)));
+    his += 1 / (1 + Math.pow(10, pH - (HIS_NB[i] - NB + dHis)));
   for (let i = 0; i < HIS_STD.length; i++)
-    his += 1 / (1 + Math.pow(10, pH - HIS_STD[i]));
+    his += 1 / (1 + Math.pow(10, pH - (HIS_STD[i] + dHis)));
 
   /* ── 59 lysine residues — 7 sub-groups ──
    *    9 "low-titrating" Lys in 5 anomalous groups (buried / shifted),
    *    plus 50 normal Lys with textbook pKa ≈ 10.3                    */
+  const pL = pH - dAmino; // same as raising every Lys pKa by dAmino
   const lys =
-      2 / (1 + Math.pow(10, pH - 5.800))   // group N1 (2 residues)
-    + 2 / (1 + Math.pow(10, pH - 6.150))   // group N2 (2 residues)
-    + 2 / (1 + Math.pow(10, pH - 7.510))   // group N3 (2 residues)
-    + 2 / (1 + Math.pow(10, pH - 7.685))   // group N4 (2 residues)
-    + 1 / (1 + Math.pow(10, pH - 7.860))   // group N5 (1 residue)
-   + 50 / (1 + Math.pow(10, pH - 10.30));  // group N7 (50 normal)
+      2 / (1 + Math.pow(10, pL - 5.800))   // group N1 (2 residues)
+    + 2 / (1 + Math.pow(10, pL - 6.150))   // group N2 (2 residues)
+    + 2 / (1 + Math.pow(10, pL - 7.510))   // group N3 (2 residues)
+    + 2 / (1 + Math.pow(10, pL - 7.685))   // group N4 (2 residues)
+    + 1 / (1 + Math.pow(10, pL - 7.860))   // group N5 (1 residue)
+   + 50 / (1 + Math.pow(10, pL - 10.30));  // group N7 (50 normal)
 
   /* ── Other basic groups ── */
-  const arg = 24 / (1 + Math.pow(10, pH - 12.5)); // 24 arginine
-  const nh2 =  1 / (1 + Math.pow(10, pH - 8.0));  // α-amino terminus
+  const arg = 24 / (1 + Math.pow(10, pH - (12.5 + dArg))); // 24 arginine
+  const nh2 =  1 / (1 + Math.pow(10, pH - (8.0 + dAmino)));  // α-amino terminus
 
   /* ── Acidic groups (contribute negative charge when deprotonated) ── */
   const acooh  =  -1 / (1 + Math.pow(10, 3.1 - pH));  // α-COOH
   const aspGlu = -98 / (1 + Math.pow(10, 3.9 - pH));  // 36 Asp + 62 Glu
-  const cys    =  -1 / (1 + Math.pow(10, 8.5 - pH));  // Cys-34 free thiol
-  const tyr    = -18 / (1 + Math.pow(10, 11.7 - pH)); // 18 tyrosine
+  const cys    =  -1 / (1 + Math.pow(10, 8.5 + dCys - pH));  // Cys-34 free thiol
+  const tyr    = -18 / (1 + Math.pow(10, 11.7 + dTyr - pH)); // 18 tyrosine
 
   /* ── Net charge per mol → mEq/L ── */
   const netPerMol = his + lys + arg + nh2 + acooh + aspGlu + cys + tyr;
@@ -257,19 +772,156 @@ function albuminCharge(albGperL, pH) {
  * pKa values (apparent, plasma 37 °C) from Sendroy & Hastings (1927):
  *   pKa₁ = 1.915    pKa₂ = 6.66    pKa₃ = 11.78
  *
- * At pH 7.40, Phos 1.0 mmol/L → Pi⁻ ≈ 1.85 mEq/L.
+ * At pH 7.40, Phos 1.0 mmol/L → Pi⁻ ≈ 1.85 mEq/L.  With `tempC`
+ * the three pKa values are shifted by van 't Hoff ([14] enthalpies).
  *
- * @param {number} phos  Total phosphate in mmol/L
- * @param {number} pH    Arterial pH
- * @returns {number}     Pi⁻ in mEq/L
+ * @param {number} phos     Total phosphate in mmol/L
+ * @param {number} pH       Arterial pH
+ * @param {number} [tempC]  Temperature (°C); defaults to 37
+ * @returns {number}        Pi⁻ in mEq/L
  */
-function phosphateCharge(phos, pH) {
-  const K1 = Math.pow(10, -1.915);
-  const K2 = Math.pow(10, -6.66);
-  const K3 = Math.pow(10, -11.78);
+function phosphateCharge(phos, pH, tempC) {
+  const h = IONIZATION_ENTHALPY_KJ;
+  const K1 = Math.pow(10, -(1.915 + pKaTemperatureShift(h.phosphate1, tempC)));
+  const K2 = Math.pow(10, -(6.66 + pKaTemperatureShift(h.phosphate2, tempC)));
+  const K3 = Math.pow(10, -(11.78 + pKaTemperatureShift(h.phosphate3, tempC)));
   const H  = Math.pow(10, -pH);
 
   const d = H * H * H + K1 * H * H + K1 * K2 * H + K1 * K2 * K3;
   const z = (K1 * H * H + 2 * K1 * K2 * H + 3 * K1 * K2 * K3) / d;
   return phos * z;
 }
+
+/* ─────────────────────────────────────────────────────────────────────
+ *  Van Slyke standard base excess
+ * ───────────────────────────────────────────────────────────────────── */
+
+/**
+ * Standard base excess (extracellular fluid) from the Van Slyke
+ * equation:
+ *
+ *   SBE = (1 − 0.023·Hb) · ([HCO₃⁻] − 24.4 + (2.3·Hb + 7.7)·(pH − 7.40))
+ *
+ * where Hb is the *extracellular* hemoglobin in mmol/L — blood Hb
+ * diluted into the whole ECF volume, i.e. one third of blood Hb.
+ * Without a hemoglobin value 3 mmol/L is used, which reduces to
+ * 0.931 · (HCO₃⁻ − 24.4 + 14.6·ΔpH).  The published CLSI form,
+ * 0.9287 · (HCO₃⁻ − 24.4 + 14.83·ΔpH) [8], is the same equation at a
+ * blood Hb of 15 g/dL (3.1 mmol/L in the ECF).
+ *
+ * @param {number} pH
+ * @param {number} HCO3    [HCO₃⁻] in mmol/L
+ * @param {number} hbGdL   Blood hemoglobin in g/dL (optional)
+ * @returns {number}       SBE in mmol/L (NaN if pH or HCO₃⁻ missing)
+ */
+function standardBaseExcess(pH, HCO3, hbGdL) {
+  if (!Number.isFinite(pH) || !Number.isFinite(HCO3)) return NaN;
+  const hbEcf = Number.isFinite(hbGdL) && hbGdL > 0
+    ? (hbGdL * HB_GDL_TO_MMOL) / 3
+    : SBE_DEFAULT_HB_ECF;
+  return (1 - 0.023 * hbEcf) * (HCO3 - 24.4 + (2.3 * hbEcf + 7.7) * (pH - 7.40));
+}
+
+/* ─────────────────────────────────────────────────────────────────────
+ *  Whole blood: hemoglobin buffer and CO₂ content
+ * ───────────────────────────────────────────────────────────────────── */
+
+/**
+ * Whole-blood buffer base from blood Hb (g/dL).  The base excess of
+ * whole blood is the CLSI form of the Van Slyke equation [20]:
+ *
+ *   BE(B) = (1 − 0.014·Hb) · ([HCO₃⁻] − 24.8 + (1.43·Hb + 7.7)·(pH − 7.40))
+ *
+ * and the buffer base is the Singer–Hastings normal plus that excess [21]:
+ *
+ *   NBB = 41.7 + 0.42·Hb        BB = NBB + BE(B)
+ *
+ * The Hb share of BB (Hb⁻, including the carbamino-bound groups) is
+ * its normal 0.42·Hb moved along the Hb buffer line, 1.43·Hb per pH
+ * unit, and floored at 0; the rest is plasma HCO₃⁻ and protein.
+ * All terms are mEq per litre of blood.  Without Hb every term is
+ * NaN: unlike the SBE there is no default Hb for whole blood.
+ *
+ * @param {number} pH      Measured at 37 °C
+ * @param {number} HCO3    [HCO₃⁻] in mmol/L
+ * @param {number} hbGdL   Blood hemoglobin in g/dL
+ * @returns {{beB:number, normalBufferBase:number, bufferBase:number,
+ *            hbMinus:number, plasmaBufferBase:number}}
+ */
+function wholeBloodBufferBase(pH, HCO3, hbGdL) {
+  const hb = Number.isFinite(hbGdL) && hbGdL > 0 ? hbGdL : NaN;
+  const dPH = pH - 7.40;
+  const beB = (1 - 0.014 * hb)
+    * (HCO3 - 24.8 + (WB_HB_BUFFER_VALUE_PER_GDL * hb + WB_PLASMA_BUFFER_VALUE) * dPH);
+  const normalBufferBase = WB_PLASMA_BUFFER_BASE + WB_HB_BUFFER_BASE_PER_GDL * hb;
+  const bufferBase = normalBufferBase + beB;
+  const hbMinus = Math.max(0, hb * (WB_HB_BUFFER_BASE_PER_GDL + WB_HB_BUFFER_VALUE_PER_GDL * dPH));
+  return { beB, normalBufferBase, bufferBase, hbMinus, plasmaBufferBase: bufferBase - hbMinus };
+}
+
+/**
+ * Total CO₂ content of plasma and of whole blood (Douglas et al. [22]):
+ *
+ *   ctCO₂(P) = [HCO₃⁻] + α·pCO₂
+ *   ctCO₂(B) = ctCO₂(P) · (1 − 0.0289·Hb / ((3.352 − 0.456·sO₂)·(8.142 − pH)))
+ *
+ * The Hb term is the red cells' share: they hold less HCO₃⁻ per litre
+ * than plasma, partly made up by carbamino CO₂, and deoxygenated
+ * blood carries more CO₂ (the Haldane effect, through sO₂).
+ * `hbEffect` is ctCO₂(B) − ctCO₂(P).
+ *
+ * @param {number} pH      Measured at 37 °C
+ * @param {number} pCO2    mmHg at 37 °C
+ * @param {number} HCO3    Plasma [HCO₃⁻] in mmol/L
+ * @param {number} hbGdL   Blood hemoglobin in g/dL
+ * @param {number} [so2]   Oxygen saturation, fraction; default 1 (arterial)
+ * @returns {{plasma:number, blood:number, hbEffect:number}}  mmol/L
+ */
+function wholeBloodCO2Content(pH, pCO2, HCO3, hbGdL, so2) {
+  const hb = Number.isFinite(hbGdL) && hbGdL > 0 ? hbGdL : NaN;
+  const s = Number.isFinite(so2) ? Math.min(1, Math.max(0, so2)) : WB_DEFAULT_SO2;
+  const plasma = HCO3 + co2Solubility(NORMOTHERMIA_C) * pCO2;
+  const blood = plasma * (1 - 0.0289 * hb / ((3.352 - 0.456 * s) * (8.142 - pH)));
+  return { plasma, blood, hbEffect: blood - plasma };
+}
+
+/* ─────────────────────────────────────────────────────────────────────
+ *  Fencl–Moran / Gilfix base-excess partition
+ * ───────────────────────────────────────────────────────────────────── */
+
+/**
+ * Partition a standard base excess into its Stewart components
+ * (Gilfix 1993, as simplified by Story 2004):
+ *
+ *   free water  = 0.3 · (Na − 140)
+ *   chloride    = 102 − Cl · 140 / Na          (Na-corrected Cl)
+ *   albumin     = (0.123·pH − 0.631) · (42 − Alb g/L)
+ *   lactate     = 1 − Lactate
+ *   unmeasured  = SBE − (free water + chloride + albumin + lactate)
+ *
+ * The unmeasured-anion term is the residual, so it also carries any
+ * phosphate or additional-ion effect.  A term whose inputs are
+ * missing is NaN; the residual is then NaN as well.
+ *
+ * @param {Object} v
+ * @param {number} v.sbe       Standard base excess (mmol/L)
+ * @param {number} v.Na        mmol/L
+ * @param {number} v.Cl        mmol/L
+ * @param {number} v.albGperL  Albumin in g/L
+ * @param {number} v.lactate   mmol/L
+ * @param {number} v.pH
+ * @returns {{freeWater:number, chloride:number, albumin:number,
+ *            lactate:number, unmeasured:number}}  Effects in mEq/L
+ */
+function baseExcessPartition(v) {
+  const n = BE_PARTITION_NORMALS;
+  const freeWater = Number.isFinite(v.Na) ? 0.3 * (v.Na - n.Na) : NaN;
+  const chloride = Number.isFinite(v.Na) && v.Na > 0 && Number.isFinite(v.Cl)
+    ? n.Cl - v.Cl * n.Na / v.Na : NaN;
+  const albumin = Number.isFinite(v.albGperL) && Number.isFinite(v.pH)
+    ? (0.123 * v.pH - 0.631) * (n.albGperL - v.albGperL) : NaN;
+  const lactate = Number.isFinite(v.lactate) ? n.lactate - v.lactate : NaN;
+  const unmeasured = Number.isFinite(v.sbe)
+    ? v.sbe - (freeWater + chloride + albumin + lactate) : NaN;
+  return { freeWater, chloride, albumin, lactate, unmeasured };
+}
@@ -6,7 +6,13 @@
  * clinical defaults, and the logic to populate / repopulate picker
  * options (e.g. when units change from mmol/L → mg/dL).
  *
- * Depends on: helpers.js (el, parse), units.js (displayToSI, siToDisplay)
+ * Beside each picker an `<input class="picker-entry">` takes a typed
+ * value at full precision; the picker follows it at its own step.
+ * `parse()` reads the typed value first, so a value outside the picker
+ * range is still used and is flagged by `renderPickerRangeWarnings()`.
+ *
+ * Depends on: helpers.js (el, parse), units.js (displayToSI, siToDisplay),
+ *             physiology.js (ICA_FORMULAS), weakAcids.js (WEAK_ACID_MODELS)
  */
 
 "use strict";
@@ -19,6 +25,7 @@ const PICKER_CONFIG = [
   { id: "na",   min: 110,  max: 160,   step: 1,    decimals: 0 },
   { id: "k",    min: 0.0,  max: 10.0,  step: 0.1,  decimals: 1 },
   { id: "ica",  min: 0.00, max: 2.00,  step: 0.01, decimals: 2 },
+  { id: "tca",  min: 0.50, max: 4.00,  step: 0.01, decimals: 2 },
   { id: "mg",   min: 0.00, max: 10.00, step: 0.01, decimals: 2 },
   { id: "cl",   min: 60,   max: 150,   step: 1,    decimals: 0 },
   { id: "lac",  min: 0.0,  max: 10.0,  step: 0.1,  decimals: 1 },
@@ -36,13 +43,15 @@ const PICKER_CONFIG = [
  *
  *  All values are mmol/L except albumin which is g/dL.
  *  Mg input is total serum magnesium; ionized Mg is estimated later
- *  for the SID / Gamblegram calculation.
+ *  for the SID / Gamblegram calculation.  Total Ca is only used when
+ *  the total-Ca option replaces the iCa picker.
  * ───────────────────────────────────────────────────────────────────── */
 
 const PICKER_DEFAULTS_SI = {
   na:   140.0,
   k:    4.0,
   ica:  1.20,
+  tca:  2.35,    // total serum Ca ≈ 9.4 mg/dL
   mg:   0.75,    // total serum Mg ≈ 1.82 mg/dL (normal-range default)
   cl:   104.0,
   lac:  1.0,
@@ -53,6 +62,63 @@ const PICKER_DEFAULTS_SI = {
   hco3: 24.0,
 };
 
+/** Decimals kept in a picker-entry field beyond the picker's own. */
+const PICKER_ENTRY_EXTRA_DECIMALS = 2;
+
+/* ─────────────────────────────────────────────────────────────────────
+ *  Free-entry fields
+ * ───────────────────────────────────────────────────────────────────── */
+
+/**
+ * The free-entry `<input>` beside a picker, or null.  (The HCO₃⁻
+ * number field shows the derived value and is not a free-entry field.)
+ */
+function pickerEntry(cfg) {
+  const num = document.getElementById(cfg.id);
+  return num && num.classList.contains("picker-entry") ? num : null;
+}
+
+/** A display value for the entry field: "138.25", "1.1", not "1.1000". */
+function formatPickerEntry(cfg, value) {
+  return Number.isFinite(value)
+    ? String(parseFloat(value.toFixed(cfg.decimals + PICKER_ENTRY_EXTRA_DECIMALS)))
+    : "";
+}
+
+/**
+ * The SI value behind a free-entry field's text.  The exact SI value is
+ * kept in the field's `data-si`; it is used while the text still shows
+ * it, so repeated unit switches do not round a typed value.
+ *
+ * @param {Object} cfg       One entry from `PICKER_CONFIG`.
+ * @param {string} text      The field's value, in `unit`
+ * @param {string} storedSI  `data-si`, if any
+ * @param {string} unit      Unit the text is in
+ * @returns {number}  NaN when the text is not a number
+ */
+function pickerEntrySI(cfg, text, storedSI, unit) {
+  const typed = parseFloat(text);
+  if (!Number.isFinite(typed)) return NaN;
+  const stored = parseFloat(storedSI);
+  if (Number.isFinite(stored)
+    && parseFloat(formatPickerEntry(cfg, siToDisplay(cfg.id, stored, unit))) === typed) return stored;
+  return displayToSI(cfg.id, typed, unit);
+}
+
+/**
+ * The value a picker stands for, as shown: the typed entry when there
+ * is one, otherwise the selected option.
+ *
+ * @param {Object} cfg  One entry from `PICKER_CONFIG`.
+ * @returns {string}
+ */
+function pickerDisplayValue(cfg) {
+  const num = pickerEntry(cfg);
+  if (num && String(num.value).trim() !== "") return String(num.value).trim();
+  const sel = document.getElementById(cfg.id + "-picker");
+  return sel ? sel.value : "";
+}
+
 /* ─────────────────────────────────────────────────────────────────────
  *  populatePicker()
  * ───────────────────────────────────────────────────────────────────── */
@@ -63,7 +129,9 @@ const PICKER_DEFAULTS_SI = {
  * On first call the picker is empty (`sel.value === ""`), so NaN
  * is detected and the clinical default from `PICKER_DEFAULTS_SI` is
  * used.  On subsequent calls (e.g. after a unit-selector change) the
- * current SI value is preserved and re-displayed in the new unit.
+ * current SI value is preserved and re-displayed in the new unit; an
+ * entry typed finer than the picker's step is converted from its exact
+ * SI value (`pickerEntrySI()`) rather than from the rounded option.
  *
  * @param {Object} cfg  One entry from `PICKER_CONFIG`.
  */
@@ -81,9 +149,13 @@ function populatePicker(cfg, prevUnit) {
   // otherwise fall back to any stored dataset.prev on the unit element or
   // assume the current unit.
   const prevUnitUsed = prevUnit || (unitEl && unitEl.dataset && unitEl.dataset.prev) || unit;
-  const prevDisp = parseFloat(sel.value);
-  const prevSI   = Number.isFinite(prevDisp)
-    ? displayToSI(cfg.id, prevDisp, prevUnitUsed) : NaN;
+  // A free-entry value that differs from the option was typed at a
+  // finer precision than the picker's step
+  const entry    = num !== sel && num.classList.contains("picker-entry") ? num : null;
+  const typed    = entry && entry.value !== "" && entry.value !== sel.value ? parseFloat(entry.value) : NaN;
+  const prevSI   = Number.isFinite(typed)
+    ? pickerEntrySI(cfg, entry.value, entry.dataset.si, prevUnitUsed)
+    : displayToSI(cfg.id, parseFloat(sel.value), prevUnitUsed);
 
   // Use the preserved SI value if available, otherwise fall back to
   // the clinical default.
@@ -143,7 +215,13 @@ function populatePicker(cfg, prevUnit) {
       sel.appendChild(extra);
     }
     sel.value = want;
-    if (num && num !== sel) num.value = want;
+    if (entry) {
+      if (!Number.isFinite(typed)) entry.value = want;
+      else if (prevUnitUsed !== unit) entry.value = formatPickerEntry(cfg, displayTarget);
+      entry.dataset.si = Number.isFinite(typed) ? String(targetSI) : "";
+    } else if (num && num !== sel) {
+      num.value = want;
+    }
   }
 
   // Remember the unit we populated for future conversions
@@ -168,3 +246,156 @@ function populatePicker(cfg, prevUnit) {
     sel.value = s;
   });
 }
+
+/* ─────────────────────────────────────────────────────────────────────
+ *  setPickerValue()
+ * ───────────────────────────────────────────────────────────────────── */
+
+/**
+ * Select a display value on one picker (and its numeric input, if
+ * present), appending an `<option>` when the value falls outside the
+ * configured range.  A free-entry field keeps the value at full
+ * precision; the picker shows it rounded to its step.
+ *
+ * @param {Object} cfg           One entry from `PICKER_CONFIG`.
+ * @param {number|string} value  Value in the picker's current unit.
+ */
+function setPickerValue(cfg, value) {
+  const sel = document.getElementById(cfg.id + "-picker");
+  const num = document.getElementById(cfg.id);
+  const v = parseFloat(value);
+  if (!Number.isFinite(v)) return;
+  const label = v.toFixed(cfg.decimals);
+
+  if (sel) {
+    if (!Array.from(sel.options).some((o) => o.value === label)) {
+      const extra = document.createElement("option");
+      extra.value = label;
+      extra.textContent = label;
+      sel.appendChild(extra);
+    }
+    sel.value = label;
+  }
+  if (num && num !== sel) {
+    const full = num.classList.contains("picker-entry") ? formatPickerEntry(cfg, v) : label;
+    num.value = parseFloat(full) === parseFloat(label) ? label : full;
+    if (num.classList.contains("picker-entry")) {
+      const unitEl = document.getElementById(cfg.id + "-unit");
+      num.dataset.si = String(displayToSI(cfg.id, v, unitEl ? unitEl.value : "si"));
+    }
+  }
+}
+
+/* ─────────────────────────────────────────────────────────────────────
+ *  Out-of-range warnings
+ * ───────────────────────────────────────────────────────────────────── */
+
+/** Unit shown for pickers without a unit select (mmol/L otherwise). */
+const PICKER_UNIT_LABELS = { alb: "g/dL", ph: "", pco2: "mmHg" };
+
+/**
+ * Values outside their picker's range (DOM-free).
+ *
+ * @param {Object} values  SI value per picker ID (albumin g/dL, pCO₂ mmHg)
+ * @param {Array} [config=PICKER_CONFIG]
+ * @returns {Array<{id:string, value:number, min:number, max:number}>}  SI
+ */
+function pickerRangeIssues(values, config) {
+  const out = [];
+  (config || PICKER_CONFIG).forEach((cfg) => {
+    const v = values ? values[cfg.id] : NaN;
+    if (Number.isFinite(v) && (v < cfg.min || v > cfg.max)) {
+      out.push({ id: cfg.id, value: v, min: cfg.min, max: cfg.max });
+    }
+  });
+  return out;
+}
+
+/**
+ * Warn beside each free-entry field whose value is outside the picker
+ * range.  The value is still used; the warning asks for a check.
+ *
+ * @param {Object} inputs  From `readStewartInputs()`
+ * @returns {Array} The issues, as from `pickerRangeIssues()`
+ */
+function renderPickerRangeWarnings(inputs) {
+  const p = inputs || {};
+  const issues = pickerRangeIssues({
+    na: p.Na, k: p.K, ica: p.iCa, tca: p.caTotal, mg: p.MgTotal, cl: p.Cl,
+    lac: p.Lac, alb: p.Alb, phos: p.Phos, ph: p.pH, pco2: p.pCO2,
+  });
+
+  PICKER_CONFIG.forEach((cfg) => {
+    const num = pickerEntry(cfg);
+    if (!num) return;
+    const issue = issues.find((i) => i.id === cfg.id);
+    num.classList.toggle("beyond-range", !!issue);
+    let note = el("range-" + cfg.id);
+    if (!issue) {
+      if (note) note.style.display = "none";
+      return;
+    }
+    if (!note) {
+      note = document.createElement("div");
+      note.id = "range-" + cfg.id;
+      note.className = "field-note field-warning";
+      note.setAttribute("role", "status");
+      (num.closest("label") || num).insertAdjacentElement("afterend", note);
+    }
+    const unitEl = el(cfg.id + "-unit");
+    const unit = unitEl ? unitEl.value : "si";
+    const show = (si) => (unit === "si" ? si : siToDisplay(cfg.id, si, unit)).toFixed(cfg.decimals);
+    const label = unit === "mgdl" ? "mg/dL"
+      : Object.prototype.hasOwnProperty.call(PICKER_UNIT_LABELS, cfg.id) ? PICKER_UNIT_LABELS[cfg.id] : "mmol/L";
+    note.style.display = "";
+    note.textContent = "⚠ " + num.value + (label ? " " + label : "") + " is outside the picker range "
+      + show(issue.min) + "–" + show(issue.max) + ". It is used as typed; check the entry.";
+  });
+  return issues;
+}
+
+/* ─────────────────────────────────────────────────────────────────────
+ *  populateWeakAcidModelPicker()
+ * ───────────────────────────────────────────────────────────────────── */
+
+/**
+ * List every registered weak-acid model (`WEAK_ACID_MODELS`) in the
+ * `#weak-acid-model` select, keeping the current choice when it is
+ * still registered.
+ */
+function populateWeakAcidModelPicker() {
+  const sel = document.getElementById("weak-acid-model");
+  if (!sel || typeof WEAK_ACID_MODELS === "undefined") return;
+  const current = sel.value || DEFAULT_WEAK_ACID_MODEL;
+  sel.innerHTML = "";
+  Object.keys(WEAK_ACID_MODELS).forEach((id) => {
+    const opt       = document.createElement("option");
+    opt.value       = id;
+    opt.textContent = WEAK_ACID_MODELS[id].label;
+    sel.appendChild(opt);
+  });
+  sel.value = WEAK_ACID_MODELS[current] ? current : DEFAULT_WEAK_ACID_MODEL;
+}
+
+/* ─────────────────────────────────────────────────────────────────────
+ *  populateIcaFormulaPicker()
+ * ───────────────────────────────────────────────────────────────────── */
+
+/**
+ * List the total-Ca → iCa formulas (`ICA_FORMULAS`) in the
+ * `#ica-formula` select, keeping the current choice.
+ */
+function populateIcaFormulaPicker() {
+  const sel = document.getElementById("ica-formula");
+  if (!sel || typeof ICA_FORMULAS === "undefined") return;
+  const current = sel.value || DEFAULT_ICA_FORMULA;
+  sel.innerHTML = "";
+  Object.keys(ICA_FORMULAS).forEach((id) => {
+    const opt       = document.createElement("option");
+    opt.value       = id;
+    opt.textContent = ICA_FORMULAS[id].label;
+    if (id === DEFAULT_ICA_FORMULA) opt.defaultSelected = true;
+    sel.appendChild(opt);
+  });
+  sel.value = ICA_FORMULAS[current] ? current : DEFAULT_ICA_FORMULA;
+}
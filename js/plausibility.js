@@ -0,0 +1,194 @@
+/**
+ * plausibility.js — Plausibility and pre-analytical error checks.
+ *
+ * The pickers accept any value in their range, so a panel can be
+ * internally inconsistent and still produce a confidently displayed
+ * SIG.  `checkPlausibility(inputs, result)` looks for the patterns
+ * that usually mean a wrong entry or a bad sample rather than a
+ * patient:
+ *
+ *   - pH or pCO₂ outside the range compatible with life;
+ *   - measured (BMP) HCO₃⁻ far from the gas-derived value;
+ *   - Na⁺ − Cl⁻ too small or too large for any real plasma;
+ *   - high K⁺ with low calcium: K₂EDTA contamination [1];
+ *   - high K⁺ alone: hemolysis or delayed separation [2];
+ *   - a computed HCO₃⁻ at or below zero in fixed-SIG mode.
+ *
+ * Each finding names the fields it involves so the page can show it
+ * beside them; the batch import lists the same findings as row issues.
+ *
+ * References:
+ *   [1] Cornes MP, Ford C, Gama R. "Spurious hyperkalaemia due to EDTA
+ *       contamination: common and not always easy to identify." Ann
+ *       Clin Biochem. 2008;45(Pt 6):601-603.
+ *   [2] Lippi G, Salvagno GL, Montagnana M, Brocco G, Guidi GC.
+ *       "Influence of hemolysis on routine clinical chemistry testing."
+ *       Clin Chem Lab Med. 2006;44(3):311-316.
+ *
+ * Depends on: helpers.js (el), stewart.js (computeStewart result shape)
+ */
+
+"use strict";
+
+/**
+ * Limits used by the checks.  `hco3Gap` allows for total CO₂ on a
+ * chemistry analyser reading 1–2 mmol/L above the gas-derived HCO₃⁻.
+ */
+const PLAUSIBILITY_LIMITS = {
+  pH: { min: 6.8, max: 7.8 },
+  pCO2: { min: 8, max: 150 },       // mmHg
+  hco3Gap: 4,                       // |BMP − gas| HCO₃⁻, mmol/L
+  naMinusCl: { min: 20, max: 55 },  // mmol/L
+  kHigh: 6.0,                       // mmol/L
+  edtaICa: 0.9,                     // mmol/L
+  edtaTotalCa: 1.75,                // mmol/L
+  hco3Min: 0,                       // fixed-SIG HCO₃⁻, mmol/L
+};
+
+/** Field → element the inline warning is placed after (its label). */
+const PLAUSIBILITY_FIELD_ANCHORS = {
+  na: "na-picker", k: "k-picker", ica: "ica-picker", tca: "tca-picker",
+  cl: "cl-picker", hco3: "hco3", ph: "ph-picker", pco2: "pco2-picker",
+  "sig-target": "sig-target",
+};
+
+/** "7.92" or "—". */
+function formatCheckValue(v, d) {
+  return Number.isFinite(v) ? v.toFixed(d) : "—";
+}
+
+/* ─────────────────────────────────────────────────────────────────────
+ *  Checks (DOM-free)
+ * ───────────────────────────────────────────────────────────────────── */
+
+/**
+ * Run every check on a panel.
+ *
+ * @param {Object} inputs  As for `computeStewart()`
+ * @param {Object} r       `computeStewart(inputs)`
+ * @param {Object} [limits] Overrides for `PLAUSIBILITY_LIMITS`
+ * @returns {Array<{id:string, level:"error"|"warning", fields:string[],
+ *                  label:string, rule:string}>}
+ *          `fields` are lab-profile analyte IDs (plus "sig-target");
+ *          `label` is the short warning, `rule` the values behind it.
+ */
+function checkPlausibility(inputs, r, limits) {
+  const p = inputs || {};
+  const res = r || {};
+  const L = Object.assign({}, PLAUSIBILITY_LIMITS, limits || {});
+  const out = [];
+  const add = (id, level, fields, label, rule) => out.push({ id, level, fields, label, rule });
+
+  if (Number.isFinite(p.pH) && (p.pH < L.pH.min || p.pH > L.pH.max)) {
+    add("ph-range", "error", ["ph"], "pH " + formatCheckValue(p.pH, 2) + " is outside the survivable range",
+      "Expected " + L.pH.min + "–" + L.pH.max + "; check the entry.");
+  }
+  if (Number.isFinite(p.pCO2) && (p.pCO2 < L.pCO2.min || p.pCO2 > L.pCO2.max)) {
+    add("pco2-range", "error", ["pco2"], "pCO₂ " + formatCheckValue(p.pCO2, 0) + " mmHg is implausible",
+      "Expected " + L.pCO2.min + "–" + L.pCO2.max + " mmHg; check the entry and its unit (kPa × 7.5 = mmHg).");
+  }
+
+  if (p.hco3Mode === "bmp" && Number.isFinite(p.bmpHCO3) && Number.isFinite(res.hco3FromGas)
+    && Math.abs(p.bmpHCO3 - res.hco3FromGas) > L.hco3Gap) {
+    add("hco3-mismatch", "warning", ["hco3", "ph", "pco2"],
+      "Measured HCO₃⁻ differs from the gas-derived value by "
+        + formatCheckValue(Math.abs(p.bmpHCO3 - res.hco3FromGas), 1) + " mmol/L",
+      "BMP " + formatCheckValue(p.bmpHCO3, 1) + " vs gas " + formatCheckValue(res.hco3FromGas, 1)
+        + " mmol/L (limit ±" + L.hco3Gap + "). Samples drawn at different times, air in the syringe"
+        + " or an under-filled tube are the usual causes.");
+  }
+
+  if (Number.isFinite(p.Na) && Number.isFinite(p.Cl)) {
+    const gap = p.Na - p.Cl;
+    if (gap < L.naMinusCl.min || gap > L.naMinusCl.max) {
+      add("na-cl", "warning", ["na", "cl"], "Na⁺ − Cl⁻ of " + formatCheckValue(gap, 0) + " mmol/L is implausible",
+        "Expected " + L.naMinusCl.min + "–" + L.naMinusCl.max + " mmol/L; check for swapped fields,"
+          + " a drip-arm sample or bromide/iodide interference with chloride.");
+    }
+  }
+
+  const measuredICa = Number.isFinite(p.iCa);
+  const lowCa = measuredICa ? p.iCa < L.edtaICa : Number.isFinite(p.caTotal) && p.caTotal < L.edtaTotalCa;
+  if (Number.isFinite(p.K) && p.K > L.kHigh) {
+    if (lowCa) {
+      const caField = measuredICa ? "ica" : "tca";
+      const ca = measuredICa ? p.iCa : p.caTotal;
+      add("edta", "warning", ["k", caField], "High K⁺ with low calcium: possible K₂EDTA contamination",
+        "K⁺ " + formatCheckValue(p.K, 1) + " > " + L.kHigh + " with " + (measuredICa ? "iCa²⁺ " : "total Ca ")
+          + formatCheckValue(ca, 2) + " < " + (measuredICa ? L.edtaICa : L.edtaTotalCa)
+          + " mmol/L. Check the order of draw and repeat before treating.");
+    } else {
+      add("hemolysis", "warning", ["k"], "K⁺ " + formatCheckValue(p.K, 1) + " mmol/L: rule out hemolysis",
+        "K⁺ > " + L.kHigh + " mmol/L. Hemolysis, delayed separation or fist clenching raise K⁺ in vitro;"
+          + " confirm on a fresh, non-hemolysed sample.");
+    }
+  }
+
+  if (p.hco3Mode === "fixed-sig" && res.hco3Source === "fixed-sig" && Number.isFinite(res.HCO3)
+    && res.HCO3 <= L.hco3Min) {
+    add("fixed-sig-hco3", "error", ["hco3", "sig-target"],
+      "Fixed SIG gives HCO₃⁻ " + formatCheckValue(res.HCO3, 1) + " mmol/L",
+      "SIDa − SIG target − Alb⁻ − Phos⁻ must be positive; lower the SIG target or check the strong ions.");
+  }
+
+  return out;
+}
+
+/* ─────────────────────────────────────────────────────────────────────
+ *  Inline warnings
+ * ───────────────────────────────────────────────────────────────────── */
+
+/** The `.field-warning` line after a field's label, created on first use. */
+function fieldWarningNode(field) {
+  const existing = el("warn-" + field);
+  if (existing) return existing;
+  const anchor = el(PLAUSIBILITY_FIELD_ANCHORS[field]);
+  const label = anchor && (anchor.closest("label") || anchor);
+  if (!label) return null;
+  const node = document.createElement("div");
+  node.id = "warn-" + field;
+  node.className = "field-note field-warning";
+  node.setAttribute("role", "status");
+  node.style.display = "none";
+  label.insertAdjacentElement("afterend", node);
+  return node;
+}
+
+/**
+ * Show each finding beside its fields and summarise them above the
+ * results.
+ *
+ * @param {Object} inputs  From `readStewartInputs()`
+ * @param {Object} r       `computeStewart(inputs)`
+ * @returns {Array} The findings
+ */
+function renderPlausibility(inputs, r) {
+  const checks = checkPlausibility(inputs, r);
+  const byField = {};
+  checks.forEach((c) => c.fields.forEach((f) => { (byField[f] = byField[f] || []).push(c); }));
+
+  Object.keys(PLAUSIBILITY_FIELD_ANCHORS).forEach((field) => {
+    const list = byField[field] || [];
+    const anchor = el(PLAUSIBILITY_FIELD_ANCHORS[field]);
+    if (anchor) anchor.classList.toggle("implausible", list.length > 0);
+    const node = list.length ? fieldWarningNode(field) : el("warn-" + field);
+    if (!node) return;
+    node.style.display = list.length ? "" : "none";
+    node.textContent = list.map((c) => "⚠ " + c.label + ".").join(" ");
+    node.title = list.map((c) => c.rule).join("\n");
+    node.classList.toggle("field-warning-error", list.some((c) => c.level === "error"));
+  });
+
+  const summary = el("plausibility-summary");
+  if (summary) {
+    summary.style.display = checks.length ? "" : "none";
+    summary.textContent = checks.length
+      ? (checks.length === 1 ? "1 plausibility warning" : checks.length + " plausibility warnings")
+        + ": " + checks.map((c) => c.label).join("; ") + ". Check the flagged inputs before reading SIG."
+      : "";
+    summary.classList.toggle("field-warning-error", checks.some((c) => c.level === "error"));
+  }
+  const sigCard = el("res-sig") && el("res-sig").closest(".result-card");
+  if (sigCard) sigCard.classList.toggle("suspect", checks.length > 0);
+  return checks;
+}
@@ -0,0 +1,465 @@
+/**
+ * report.js — One-page PDF report, generated entirely in the browser.
+ *
+ * The report combines the input table, the results, a vector
+ * Gamblegram and the formula / reference list on one A4 page.  It
+ * uses a minimal PDF writer (standard Helvetica fonts, WinAnsi text,
+ * filled rectangles and lines) so no library or server is needed.
+ *
+ * Layout: title block; inputs and results tables on the left with
+ * the Gamblegram and its legend on the right; then formulas and the
+ * reference list read from the page's References section.
+ *
+ * Depends on: units.js (siToDisplay, KPA_TO_MMHG),
+ *             gamblegram.js (gamblegramStacks, svgLabel),
+ *             export.js (downloadBlob, describeExtraIons),
+ *             compute.js (readStewartInputs, RESULT_RANGES,
+ *                         CARBONIC_PK_LABELS, describeBloodSample),
+ *             physiology.js (NORMOTHERMIA_C, SAMPLE_TYPES), stewart.js (computeStewart,
+ *             agFormulaLabel),
+ *             weakAcids.js (getWeakAcidModel),
+ *             compare.js (gamblegramViewValues); uncertainty.js
+ *             (propagateUncertainty, currentAnalyticCVs) and
+ *             plausibility.js (checkPlausibility) when loaded
+ */
+
+"use strict";
+
+/** A4 portrait in PDF points. */
+const PDF_PAGE = { width: 595.28, height: 841.89, margin: 40 };
+
+/** Unicode code points that WinAnsiEncoding places outside Latin-1. */
+const PDF_WINANSI_EXTRA = {
+  0x2013: 0x96, 0x2014: 0x97, 0x2018: 0x91, 0x2019: 0x92,
+  0x201C: 0x93, 0x201D: 0x94, 0x2022: 0x95, 0x2026: 0x85, 0x20AC: 0x80,
+};
+
+/** Characters with no WinAnsi glyph, spelled out in ASCII. */
+const PDF_TEXT_FALLBACK = {
+  "−": "-", "⁺": "+", "⁻": "-", "′": "'",
+  "Δ": "Delta ", "α": "alpha", "≤": "<=", "≥": ">=", "→": "->",
+  "↑": "^", "↓": "v",
+};
+
+const REPORT_FORMULAS = [
+  "SIDa = Na+ + K+ + 2 iCa2+ + 2 iMg2+ - Cl- - Lactate- + added cations - added anions",
+  "SIDe = HCO3- + Alb- + Phos-;  SIG = SIDa - SIDe",
+  "HCO3- = 0.03 × pCO2 × 10^(pH - pK');  pK' 6.1 (classic), pH-dependent (Kelman) or ionic-strength corrected (Davies)",
+  "iMg (est.) = min(Mg total, max(0, 0.66 Mg total + 0.039 + 0.12 (7.40 - pH)))",
+  "SBE = (1 - 0.023 Hb_ecf)(HCO3- - 24.4 + (2.3 Hb_ecf + 7.7)(pH - 7.40))  (Van Slyke)",
+  "pH-stat: pH and pCO2 corrected to patient temperature (Ashwood); alpha, pK' (Kelman) and albumin/phosphate pKa (van 't Hoff) at that temperature",
+];
+
+/** Venous → arterial conversion, as shown beside the sample type. */
+const REPORT_SAMPLE_CONVERSION_LABELS = { none: "not converted", offsets: "fixed offsets", vtac: "v-TAC" };
+
+/** The formula lines, with the AG formula and weak-acid terms in use. */
+function reportFormulas(r) {
+  const lines = REPORT_FORMULAS.slice();
+  lines[1] += ";  AG = " + agFormulaLabel(r.agVariant);
+  lines.splice(3, 0, "Alb- = " + r.weakAcidTerms.albumin + ";  Phos- = " + r.weakAcidTerms.phosphate
+    + "  (" + getWeakAcidModel(r.weakAcidModel).label + ")");
+  if (r.sample.conversion === "offsets") {
+    const off = SAMPLE_TYPES[r.sample.sampleType].offsets;
+    lines.push("Arterial estimate (fixed offsets): pH + " + off.pH + ";  pCO2 " + off.pCO2 + " mmHg");
+  } else if (r.sample.conversion === "vtac") {
+    lines.push("Arterial estimate (v-TAC): ctCO2(B)a = ctCO2(B)v - 0.82 ctHb (SpO2 - SvO2);"
+      + "  BE(B)a = BE(B)v - 0.3 ctHb (SpO2 - SvO2)");
+  }
+  if (Number.isFinite(r.wholeBlood.bufferBase)) {
+    lines.push("BE(B) = (1 - 0.014 Hb)(HCO3- - 24.8 + (1.43 Hb + 7.7)(pH - 7.40));  BB = 41.7 + 0.42 Hb + BE(B)"
+      + "  (CLSI; Singer-Hastings; Hb in g/dL)");
+  }
+  return lines;
+}
+
+/* ─────────────────────────────────────────────────────────────────────
+ *  Minimal PDF writer (no DOM)
+ * ───────────────────────────────────────────────────────────────────── */
+
+/**
+ * Encode text as a PDF hex string in WinAnsiEncoding.  Sub- and
+ * superscript digits become plain digits; anything else without a
+ * glyph becomes "?".
+ */
+function pdfEncodeText(str) {
+  let hex = "";
+  const push = (code) => { hex += code.toString(16).padStart(2, "0"); };
+  Array.from(String(str)).forEach((ch) => {
+    const code = ch.codePointAt(0);
+    if (code >= 0x2080 && code <= 0x2089) return push(0x30 + code - 0x2080);
+    if (code >= 0x2070 && code <= 0x2079 && code !== 0x2071) return push(0x30 + code - 0x2070);
+    if ((code >= 0x20 && code < 0x7F) || (code >= 0xA0 && code <= 0xFF)) return push(code);
+    if (PDF_WINANSI_EXTRA[code]) return push(PDF_WINANSI_EXTRA[code]);
+    const fallback = PDF_TEXT_FALLBACK[ch];
+    if (fallback) return Array.from(fallback).forEach((c) => push(c.charCodeAt(0)));
+    push(0x3F);
+  });
+  return "<" + hex + ">";
+}
+
+/** "#RRGGBB" / "#RGB" / "rgb(r, g, b)" → PDF colour operands. */
+function pdfColor(css, fallback) {
+  const text = String(css || "").trim();
+  let rgb = null;
+  let m = text.match(/^#([0-9a-f]{6})$/i);
+  if (m) rgb = [0, 2, 4].map((i) => parseInt(m[1].slice(i, i + 2), 16));
+  m = !rgb && text.match(/^#([0-9a-f]{3})$/i);
+  if (m) rgb = Array.from(m[1]).map((c) => parseInt(c + c, 16));
+  m = !rgb && text.match(/^rgba?\(\s*(\d+)[,\s]+(\d+)[,\s]+(\d+)/i);
+  if (m) rgb = [m[1], m[2], m[3]].map(Number);
+  if (!rgb) return fallback || "0 0 0";
+  return rgb.map((v) => (v / 255).toFixed(3)).join(" ");
+}
+
+/** Approximate Helvetica text width (average glyph ≈ 0.52 em). */
+function pdfTextWidth(str, size) {
+  return String(str).length * size * 0.52;
+}
+
+/**
+ * Create a drawing surface with a top-left origin.
+ *
+ * @param {number} width   Page width (pt)
+ * @param {number} height  Page height (pt)
+ * @returns {Object} `{ text, rect, line, wrap, content }`
+ */
+function createPdfPage(width, height) {
+  const ops = [];
+  const n = (v) => (Math.round(v * 100) / 100).toString();
+
+  return {
+    width,
+    height,
+
+    /** Draw text with its baseline at `y`. */
+    text(x, y, str, opts = {}) {
+      const size = opts.size || 9;
+      const font = opts.bold ? "/F2" : "/F1";
+      const w = pdfTextWidth(str, size);
+      const left = opts.align === "right" ? x - w : opts.align === "center" ? x - w / 2 : x;
+      ops.push(pdfColor(opts.color, "0 0 0") + " rg BT " + font + " " + n(size) + " Tf "
+        + n(left) + " " + n(height - y) + " Td " + pdfEncodeText(str) + " Tj ET");
+    },
+
+    rect(x, y, w, h, opts = {}) {
+      const path = n(x) + " " + n(height - y - h) + " " + n(w) + " " + n(h) + " re";
+      if (opts.fill && opts.stroke) {
+        ops.push(pdfColor(opts.fill) + " rg " + pdfColor(opts.stroke) + " RG 0.5 w " + path + " B");
+      } else if (opts.fill) {
+        ops.push(pdfColor(opts.fill) + " rg " + path + " f");
+      } else {
+        ops.push(pdfColor(opts.stroke) + " RG 0.5 w " + path + " S");
+      }
+    },
+
+    line(x1, y1, x2, y2, opts = {}) {
+      ops.push(pdfColor(opts.color, "0.6 0.6 0.6") + " RG " + n(opts.width || 0.5) + " w "
+        + n(x1) + " " + n(height - y1) + " m " + n(x2) + " " + n(height - y2) + " l S");
+    },
+
+    /**
+     * Draw `str` word-wrapped to `maxWidth`; returns the y below the
+     * last line.
+     */
+    wrap(x, y, str, maxWidth, opts = {}) {
+      const size = opts.size || 9;
+      const lead = opts.leading || size * 1.25;
+      let lineText = "";
+      let cy = y;
+      String(str).split(/\s+/).filter(Boolean).forEach((word) => {
+        const next = lineText ? lineText + " " + word : word;
+        if (lineText && pdfTextWidth(next, size) > maxWidth) {
+          this.text(x, cy, lineText, opts);
+          cy += lead;
+          lineText = word;
+        } else {
+          lineText = next;
+        }
+      });
+      if (lineText) {
+        this.text(x, cy, lineText, opts);
+        cy += lead;
+      }
+      return cy;
+    },
+
+    content() {
+      return ops.join("\n");
+    },
+  };
+}
+
+/**
+ * Assemble a single-page PDF document.
+ *
+ * Every byte is ASCII (text is hex-encoded), so string offsets are
+ * byte offsets for the cross-reference table.
+ *
+ * @param {Object} page   From `createPdfPage()`
+ * @param {Object} [info] `{ title }`
+ * @returns {string}
+ */
+function buildPdfDocument(page, info = {}) {
+  const content = page.content();
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    "<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+    "<< /Type /Page /Parent 2 0 R /MediaBox [0 0 " + page.width + " " + page.height + "]"
+      + " /Resources << /Font << /F1 5 0 R /F2 6 0 R >> >> /Contents 4 0 R >>",
+    "<< /Length " + content.length + " >>\nstream\n" + content + "\nendstream",
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>",
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>",
+    "<< /Title " + pdfEncodeText(info.title || "Report") + " /Producer " + pdfEncodeText("Stewart acid-base calculator") + " >>",
+  ];
+
+  let out = "%PDF-1.4\n";
+  const offsets = [];
+  objects.forEach((body, i) => {
+    offsets.push(out.length);
+    out += (i + 1) + " 0 obj\n" + body + "\nendobj\n";
+  });
+  const xref = out.length;
+  out += "xref\n0 " + (objects.length + 1) + "\n0000000000 65535 f \n";
+  offsets.forEach((off) => { out += String(off).padStart(10, "0") + " 00000 n \n"; });
+  out += "trailer\n<< /Size " + (objects.length + 1) + " /Root 1 0 R /Info " + objects.length + " 0 R >>\n"
+    + "startxref\n" + xref + "\n%%EOF\n";
+  return out;
+}
+
+/* ─────────────────────────────────────────────────────────────────────
+ *  Report content
+ * ───────────────────────────────────────────────────────────────────── */
+
+/** Rows of the input table: label, SI text, conventional text. */
+function reportInputRows(inputs) {
+  const fmt = (v, d, unit) => (Number.isFinite(v) ? v.toFixed(d) + (unit ? " " + unit : "") : "—");
+  const conv = (id, v, d) => fmt(siToDisplay(id, v, "mgdl"), d, "mg/dL");
+  return [
+    ["Na⁺", fmt(inputs.Na, 0, "mmol/L"), fmt(inputs.Na, 0, "mEq/L")],
+    ["K⁺", fmt(inputs.K, 1, "mmol/L"), fmt(inputs.K, 1, "mEq/L")],
+    ["iCa²⁺", fmt(inputs.iCa, 2, "mmol/L"), conv("ica", inputs.iCa, 2)],
+    Number.isFinite(inputs.caTotal)
+      ? ["Ca (total)", fmt(inputs.caTotal, 2, "mmol/L"), conv("tca", inputs.caTotal, 1)] : null,
+    ["Mg (total)", fmt(inputs.MgTotal, 2, "mmol/L"), conv("mg", inputs.MgTotal, 2)],
+    ["Cl⁻", fmt(inputs.Cl, 0, "mmol/L"), fmt(inputs.Cl, 0, "mEq/L")],
+    ["Lactate", fmt(inputs.Lac, 1, "mmol/L"), conv("lac", inputs.Lac, 1)],
+    ["Albumin", fmt(inputs.Alb * 10, 0, "g/L"), fmt(inputs.Alb, 1, "g/dL")],
+    ["Phosphate", fmt(inputs.Phos, 2, "mmol/L"), conv("phos", inputs.Phos, 1)],
+    ["pH", fmt(inputs.pH, 2), ""],
+    ["pCO₂", fmt(inputs.pCO2 / KPA_TO_MMHG, 2, "kPa"), fmt(inputs.pCO2, 0, "mmHg")],
+    ["Sample", (SAMPLE_TYPES[inputs.sampleType] || SAMPLE_TYPES.arterial).label,
+      SAMPLE_TYPES[inputs.sampleType] && SAMPLE_TYPES[inputs.sampleType].venous
+        ? REPORT_SAMPLE_CONVERSION_LABELS[inputs.sampleConversion] || REPORT_SAMPLE_CONVERSION_LABELS.none : ""],
+    ["Hb", fmt(inputs.Hb * 10, 0, "g/L"), fmt(inputs.Hb, 1, "g/dL")],
+    ["SBE (measured)", fmt(inputs.measuredSBE, 1, "mmol/L"), ""],
+    ["Temperature", fmt(Number.isFinite(inputs.tempC) ? inputs.tempC : NORMOTHERMIA_C, 1, "°C"),
+      inputs.tempMode === "ph-stat" ? "pH-stat" : "α-stat"],
+    ["Carbonic pK′ model", typeof CARBONIC_PK_LABELS !== "undefined"
+      ? CARBONIC_PK_LABELS[inputs.pkModel] || CARBONIC_PK_LABELS.fixed : inputs.pkModel || "fixed", ""],
+    ["Weak-acid model", getWeakAcidModel(inputs.weakAcidModel).label, ""],
+  ].filter(Boolean);
+}
+
+/** Rows of the results table: label, value, normal range, out-of-range flag. */
+function reportResultRows(r, inputs) {
+  const ranges = typeof RESULT_RANGES !== "undefined" ? RESULT_RANGES : {};
+  const row = (label, v, d, unit, rangeId, note) => {
+    const range = ranges[rangeId];
+    const out = !!range && Number.isFinite(v) && (v < range.min || v > range.max);
+    return [
+      label,
+      Number.isFinite(v) ? v.toFixed(d) + " " + unit : "—",
+      range ? range.min + " to " + range.max : note || "",
+      out,
+    ];
+  };
+  const sourceLabel = { gas: "from pH/pCO₂", bmp: "measured (BMP)", manual: "entered", "fixed-sig": "solved, fixed SIG", none: "" };
+  const rows = [
+    row("SIDa", r.sidA, 1, "mEq/L", "res-sida"),
+    row("SIDe", r.sidE, 1, "mEq/L", "res-side"),
+    row("SIG", r.sig, 1, "mEq/L", "res-sig"),
+    row(r.agVariant && !r.agVariant.includesK ? "AG (without K⁺)" : "AG (with K⁺)", r.ag, 1, "mEq/L", "res-ag"),
+    row("SBE (Van Slyke)", r.sbe, 1, "mmol/L", "res-sbe"),
+    row("HCO₃⁻", r.HCO3, 1, "mmol/L", "", r.hco3Source === "gas" && Number.isFinite(r.pK)
+      ? sourceLabel.gas + ", pK′ " + r.pK.toFixed(3) : sourceLabel[r.hco3Source]),
+    row("Alb⁻", r.albMinus, 2, "mEq/L", ""),
+    row("Phos⁻", r.piMinus, 2, "mEq/L", ""),
+    row("Atot", r.atot, 2, "mmol/L", ""),
+    row("iMg (estimated)", r.iMg, 2, "mmol/L", "",
+      Number.isFinite(inputs.MgTotal) ? r.iMgConfidence.label + " confidence" : ""),
+  ];
+  if (Number.isFinite(r.wholeBlood.bufferBase)) {
+    const bbRow = row("Buffer base (whole blood)", r.wholeBlood.bufferBase, 1, "mEq/L", "");
+    bbRow[2] = "normal " + r.wholeBlood.normalBufferBase.toFixed(1) + ", Hb⁻ " + r.wholeBlood.hbMinus.toFixed(1);
+    rows.push(row("BE(B) (whole blood)", r.wholeBlood.beB, 1, "mmol/L", ""), bbRow,
+      row("ctCO₂ (whole blood)", r.wholeBlood.ctCO2Blood, 1, "mmol/L", ""));
+  }
+  if (typeof propagateUncertainty === "function" && inputs.hco3Mode !== "fixed-sig") {
+    const u = propagateUncertainty(inputs, currentAnalyticCVs());
+    const sig = u.outputs.sig;
+    if (sig.sd > 0) {
+      const lead = u.contributions[0];
+      rows.push([
+        "SIG 95 % CI",
+        sig.low.toFixed(1) + " to " + sig.high.toFixed(1) + " mEq/L",
+        (uncertaintyRangeVerdict(sig, ranges["res-sig"]) === "overlaps" ? "borderline; " : "")
+          + "± " + sig.sd.toFixed(1) + " SD; " + lead.label + " " + Math.round(lead.share * 100) + " % of variance",
+        false,
+      ]);
+    }
+  }
+  if (r.iCaSource === "estimated") {
+    const iCaRow = row("iCa²⁺ (estimated)", r.iCa, 2, "mmol/L", "");
+    const formula = typeof ICA_FORMULAS !== "undefined" && ICA_FORMULAS[r.iCaFormula];
+    iCaRow[2] = (formula ? formula.short + ", " : "") + r.iCaConfidence.label.toLowerCase() + " confidence";
+    rows.push(iCaRow);
+  }
+  return rows;
+}
+
+/**
+ * Draw the Gamblegram as two vector stacks inside `box`, with a
+ * two-column legend underneath.  Returns the y below the legend.
+ */
+function drawReportGamblegram(page, vals, box) {
+  const { cations, anions } = gamblegramStacks(vals);
+  const sum = (arr) => arr.reduce((s, x) => s + (x.v || 0), 0);
+  const maxStack = Math.max(sum(cations), sum(anions), 1);
+  const barW = box.w * 0.28;
+  const scale = (box.h - 16) / maxStack;
+  const base = box.y + box.h;
+  let legendBottom = base + 24;
+
+  [[cations, box.x + box.w * 0.12, "Cations"], [anions, box.x + box.w * 0.60, "Anions"]].forEach(([stack, x, title]) => {
+    page.text(x + barW / 2, box.y + 8, title, { size: 8, bold: true, align: "center" });
+    let y = base;
+    stack.forEach((seg) => {
+      const h = (seg.v || 0) * scale;
+      if (h <= 0) return;
+      y -= h;
+      page.rect(x, y, barW, h, { fill: seg.c, stroke: "#ffffff" });
+      if (h >= 12) page.text(x + barW / 2, y + h / 2 + 3, svgLabel(seg), { size: 7, align: "center", color: "#1f2937", bold: true });
+    });
+
+    let ly = base + 24;
+    stack.filter((seg) => seg.v > 0).forEach((seg) => {
+      page.rect(x - box.w * 0.1, ly - 6, 6, 6, { fill: seg.c });
+      page.text(x - box.w * 0.1 + 9, ly, svgLabel(seg) + " " + seg.v.toFixed(1), { size: 7 });
+      ly += 9;
+    });
+    legendBottom = Math.max(legendBottom, ly);
+  });
+  page.line(box.x, base, box.x + box.w, base, { color: "#888888" });
+  page.text(box.x + box.w / 2, base + 11, "mEq/L (charge equivalents)", { size: 6.5, align: "center", color: "#666666" });
+  return legendBottom;
+}
+
+/** Plain-text reference list from the page's References section. */
+function reportReferences() {
+  return Array.from(document.querySelectorAll(".references li"))
+    .map((li, i) => "[" + (i + 1) + "] " + li.textContent.replace(/\s+/g, " ").trim());
+}
+
+/**
+ * Build the one-page PDF report for the current panel.
+ *
+ * @returns {string}  PDF document
+ */
+function buildReportPdf() {
+  const inputs = readStewartInputs();
+  const r = computeStewart(inputs);
+  const page = createPdfPage(PDF_PAGE.width, PDF_PAGE.height);
+  const M = PDF_PAGE.margin;
+  const W = PDF_PAGE.width - 2 * M;
+  const bottom = PDF_PAGE.height - M;
+  const grey = "#555555";
+
+  /* ── Header ── */
+  page.text(M, M + 12, "Physicochemical Acid-Base Report", { size: 16, bold: true });
+  page.text(M, M + 28, "Generated " + new Date().toLocaleString()
+    + " — Stewart / " + getWeakAcidModel(r.weakAcidModel).label + " weak acids", { size: 8, color: grey });
+  page.text(M, M + 39, "Not validated for clinical use; interpret against your laboratory's reference ranges.", { size: 8, color: grey });
+  page.line(M, M + 46, M + W, M + 46);
+
+  /* ── Inputs ── */
+  const colW = W * 0.52;
+  let y = M + 64;
+  page.text(M, y, "Inputs", { size: 11, bold: true });
+  y += 14;
+  page.text(M, y, "Quantity", { size: 7.5, bold: true, color: grey });
+  page.text(M + 90, y, "SI", { size: 7.5, bold: true, color: grey });
+  page.text(M + 180, y, "Conventional", { size: 7.5, bold: true, color: grey });
+  y += 11;
+  reportInputRows(inputs).forEach(([label, si, conventional]) => {
+    page.text(M, y, label, { size: 8.5 });
+    page.text(M + 90, y, si, { size: 8.5 });
+    page.text(M + 180, y, conventional, { size: 8.5 });
+    y += 11;
+  });
+  const ions = describeExtraIons(inputs.extraIons);
+  if (ions) y = page.wrap(M, y + 2, "Additional ions: " + ions, colW - 8, { size: 8 });
+  if (r.sample.sampleType !== "arterial") {
+    y = page.wrap(M, y + 2, describeBloodSample(r.sample), colW - 8, { size: 8 });
+  }
+  const checks = typeof checkPlausibility === "function" ? checkPlausibility(inputs, r) : [];
+  if (checks.length) {
+    y = page.wrap(M, y + 2, "Plausibility: " + checks.map((c) => c.label).join("; ") + ".", colW - 8,
+      { size: 8, bold: true, color: "#b45309" });
+  }
+
+  /* ── Results ── */
+  y += 10;
+  page.text(M, y, "Results", { size: 11, bold: true });
+  y += 14;
+  page.text(M, y, "Quantity", { size: 7.5, bold: true, color: grey });
+  page.text(M + 90, y, "Value", { size: 7.5, bold: true, color: grey });
+  page.text(M + 160, y, "Normal / note", { size: 7.5, bold: true, color: grey });
+  y += 11;
+  reportResultRows(r, inputs).forEach(([label, value, note, out]) => {
+    page.text(M, y, label, { size: 8.5, bold: out });
+    page.text(M + 90, y, value + (out ? " *" : ""), { size: 8.5, bold: out, color: out ? "#b91c1c" : "#000000" });
+    page.text(M + 160, y, note, { size: 8, color: grey });
+    y += 11;
+  });
+  page.text(M, y + 2, "* outside the displayed normal range", { size: 7, color: grey });
+  y += 12;
+
+  /* ── Gamblegram (right column) ── */
+  const ggBox = { x: M + colW + 10, y: M + 56, w: W - colW - 10, h: 230 };
+  page.text(ggBox.x, ggBox.y + 8, "Gamblegram", { size: 11, bold: true });
+  const ggVals = typeof gamblegramViewValues === "function" ? gamblegramViewValues(r) : r.gamblegram;
+  const legendBottom = drawReportGamblegram(page, ggVals, { x: ggBox.x, y: ggBox.y + 16, w: ggBox.w, h: ggBox.h });
+  const unknownText = r.sig > 0.0001 ? "Unknown anions (SIG) " + r.sig.toFixed(1) + " mEq/L"
+    : r.sig < -0.0001 ? "Unknown cations (SIG) " + Math.abs(r.sig).toFixed(1) + " mEq/L"
+    : "Unknown: none";
+  page.text(ggBox.x, legendBottom + 6, unknownText, { size: 8.5, bold: true });
+  y = Math.max(y, legendBottom + 18);
+
+  /* ── Formulas ── */
+  page.line(M, y, M + W, y);
+  y += 14;
+  page.text(M, y, "Formulas", { size: 11, bold: true });
+  y += 12;
+  reportFormulas(r).forEach((f) => { y = page.wrap(M, y, f, W, { size: 7.5 }); });
+
+  /* ── References ── */
+  y += 6;
+  page.text(M, y, "References", { size: 11, bold: true });
+  y += 12;
+  const refs = reportReferences();
+  for (let i = 0; i < refs.length; i++) {
+    if (y > bottom - 10) {
+      page.text(M, y, "(" + (refs.length - i) + " further references in the app)", { size: 7, color: grey });
+      break;
+    }
+    y = page.wrap(M, y, refs[i], W, { size: 6.8, leading: 8.4, color: "#333333" });
+  }
+
+  return buildPdfDocument(page, { title: "Physicochemical Acid-Base Report" });
+}
+
+/** Download the one-page PDF report for the current panel. */
+function exportReportPDF() {
+  downloadBlob(new Blob([buildReportPdf()], { type: "application/pdf" }), "stewart-report.pdf");
+}
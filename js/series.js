@@ -0,0 +1,381 @@
+/**
+ * series.js — Time series of serial blood gases for one patient.
+ *
+ * Each timepoint is a timestamped snapshot of the panel: the permalink
+ * hash (so it can be loaded back into the panel) and the SI input
+ * object read by `readStewartInputs()` (so trends are recomputed with
+ * `computeStewart()` without touching the DOM).  The series is kept in
+ * `localStorage`; events.js wires the buttons and scrubber.
+ *
+ * Scrubbing loads the selected timepoint into the panel, so the
+ * results and the live Gamblegram animate from one timepoint to the
+ * next through the normal `computeAll()` path.
+ *
+ * Storage shape (key `SERIES_STORAGE_KEY`):
+ *   [{ id, takenAt, note, hash, inputs }]   — takenAt is "YYYY-MM-DDTHH:MM"
+ *
+ * Depends on: helpers.js (el), stewart.js (computeStewart),
+ *             permalink.js (encodeAppState, captureAppState),
+ *             compute.js (readStewartInputs, RESULT_RANGES)
+ */
+
+"use strict";
+
+const SERIES_STORAGE_KEY = "stewart.series.v1";
+const SERIES_NOTE_MAX = 60;
+const SERIES_SVG_NS = "http://www.w3.org/2000/svg";
+
+/**
+ * Plotted quantities.  `rangeId` borrows the normal band from
+ * `RESULT_RANGES`; `normal` gives it directly for inputs that have no
+ * result card.
+ */
+const SERIES_METRICS = [
+  { key: "sidA",    label: "SIDa",    unit: "mEq/L",  decimals: 1, rangeId: "res-sida" },
+  { key: "sidE",    label: "SIDe",    unit: "mEq/L",  decimals: 1, rangeId: "res-side" },
+  { key: "sig",     label: "SIG",     unit: "mEq/L",  decimals: 1, rangeId: "res-sig" },
+  { key: "ag",      label: "AG",      unit: "mEq/L",  decimals: 1, rangeId: "res-ag" },
+  { key: "lactate", label: "Lactate", unit: "mmol/L", decimals: 1, normal: { min: 0.5, max: 2.0 } },
+  { key: "pH",      label: "pH",      unit: "",       decimals: 2, normal: { min: 7.35, max: 7.45 } },
+];
+
+let _seriesSelectedId = null;
+
+/* ─────────────────────────────────────────────────────────────────────
+ *  Pure helpers (no DOM)
+ * ───────────────────────────────────────────────────────────────────── */
+
+/** Parse a "YYYY-MM-DDTHH:MM" timestamp; NaN when missing or malformed. */
+function timepointTime(tp) {
+  const t = tp && tp.takenAt ? Date.parse(tp.takenAt) : NaN;
+  return Number.isFinite(t) ? t : NaN;
+}
+
+/** Chronological copy of a timepoint list (undated entries keep their order, last). */
+function sortTimepoints(list) {
+  return list
+    .map((tp, i) => ({ tp, i, t: timepointTime(tp) }))
+    .sort((a, b) => {
+      const aOk = Number.isFinite(a.t);
+      const bOk = Number.isFinite(b.t);
+      if (aOk && bOk && a.t !== b.t) return a.t - b.t;
+      if (aOk !== bOk) return aOk ? -1 : 1;
+      return a.i - b.i;
+    })
+    .map((x) => x.tp);
+}
+
+/**
+ * Recompute every timepoint and pull out the plotted quantities.
+ *
+ * @param {Array} timepoints  Stored timepoints (any order)
+ * @returns {Array<{id:string, takenAt:string, note:string, t:number,
+ *   sidA:number, sidE:number, sig:number, ag:number, lactate:number,
+ *   pH:number, result:Object}>}  One row per timepoint, chronological
+ */
+function seriesTrend(timepoints) {
+  return sortTimepoints(timepoints).map((tp) => {
+    const inputs = tp.inputs || {};
+    const r = computeStewart(inputs);
+    return {
+      id: tp.id,
+      takenAt: tp.takenAt || "",
+      note: tp.note || "",
+      t: timepointTime(tp),
+      sidA: r.sidA,
+      sidE: r.sidE,
+      sig: r.sig,
+      ag: r.ag,
+      lactate: Number.isFinite(inputs.Lac) ? inputs.Lac : NaN,
+      pH: Number.isFinite(inputs.pH) ? inputs.pH : NaN,
+      result: r,
+    };
+  });
+}
+
+/* ─────────────────────────────────────────────────────────────────────
+ *  Storage
+ * ───────────────────────────────────────────────────────────────────── */
+
+/** Read the stored series; returns `[]` if storage is empty or unavailable. */
+function readSeries() {
+  try {
+    const raw = window.localStorage.getItem(SERIES_STORAGE_KEY);
+    const list = raw ? JSON.parse(raw) : [];
+    return Array.isArray(list)
+      ? list.filter((tp) => tp && typeof tp.id === "string" && typeof tp.hash === "string")
+      : [];
+  } catch (err) {
+    return [];
+  }
+}
+
+/**
+ * Persist the series.
+ *
+ * @returns {boolean} `false` when storage is unavailable or full.
+ */
+function writeSeries(list) {
+  try {
+    window.localStorage.setItem(SERIES_STORAGE_KEY, JSON.stringify(sortTimepoints(list)));
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/** Local "YYYY-MM-DDTHH:MM" for a `datetime-local` input. */
+function localTimestamp(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return date.getFullYear() + "-" + pad(date.getMonth() + 1) + "-" + pad(date.getDate())
+    + "T" + pad(date.getHours()) + ":" + pad(date.getMinutes());
+}
+
+function snapshotTimepoint(takenAt, note) {
+  return {
+    takenAt: Number.isFinite(Date.parse(takenAt)) ? takenAt : localTimestamp(new Date()),
+    note: String(note || "").trim().slice(0, SERIES_NOTE_MAX),
+    hash: encodeAppState(captureAppState()),
+    inputs: readStewartInputs(),
+  };
+}
+
+/**
+ * Add the current panel as a new timepoint and select it.
+ *
+ * @param {string} takenAt  "YYYY-MM-DDTHH:MM"; defaults to now
+ * @param {string} [note]
+ * @returns {Object|null}  The stored timepoint, or `null` if storage failed.
+ */
+function addSeriesTimepoint(takenAt, note) {
+  const list = readSeries();
+  const entry = Object.assign(
+    { id: "tp-" + Date.now().toString(36) + "-" + Math.random().toString(36).slice(2, 7) },
+    snapshotTimepoint(takenAt, note)
+  );
+  list.push(entry);
+  if (!writeSeries(list)) return null;
+  _seriesSelectedId = entry.id;
+  return entry;
+}
+
+/**
+ * Overwrite the selected timepoint with the current panel.  A blank
+ * time or note keeps the stored one.
+ */
+function updateSelectedTimepoint(takenAt, note) {
+  const list = readSeries();
+  const index = list.findIndex((tp) => tp.id === _seriesSelectedId);
+  if (index < 0) return false;
+  const prev = list[index];
+  list[index] = Object.assign({ id: prev.id }, snapshotTimepoint(
+    takenAt || prev.takenAt,
+    String(note || "").trim() ? note : prev.note
+  ));
+  return writeSeries(list);
+}
+
+function deleteSelectedTimepoint() {
+  const list = readSeries();
+  const index = list.findIndex((tp) => tp.id === _seriesSelectedId);
+  if (index < 0) return false;
+  list.splice(index, 1);
+  const next = list[Math.min(index, list.length - 1)];
+  _seriesSelectedId = next ? next.id : null;
+  return writeSeries(list);
+}
+
+function clearSeries() {
+  _seriesSelectedId = null;
+  return writeSeries([]);
+}
+
+/* ─────────────────────────────────────────────────────────────────────
+ *  Selection
+ * ───────────────────────────────────────────────────────────────────── */
+
+function getSelectedTimepoint() {
+  return readSeries().find((tp) => tp.id === _seriesSelectedId) || null;
+}
+
+/**
+ * Select the timepoint at a chronological index.
+ *
+ * @returns {Object|null}  The selected timepoint; the caller loads its
+ *   hash into the panel.
+ */
+function selectTimepointAt(index) {
+  const list = sortTimepoints(readSeries());
+  const tp = list[Math.max(0, Math.min(index, list.length - 1))] || null;
+  _seriesSelectedId = tp ? tp.id : null;
+  return tp;
+}
+
+/* ─────────────────────────────────────────────────────────────────────
+ *  Rendering
+ * ───────────────────────────────────────────────────────────────────── */
+
+function formatTimepointTime(takenAt) {
+  const t = Date.parse(takenAt);
+  if (!Number.isFinite(t)) return "—";
+  return new Date(t).toLocaleString([], {
+    month: "short", day: "numeric", hour: "2-digit", minute: "2-digit",
+  });
+}
+
+function svgNode(tag, attrs) {
+  const node = document.createElementNS(SERIES_SVG_NS, tag);
+  Object.keys(attrs).forEach((k) => node.setAttribute(k, attrs[k]));
+  return node;
+}
+
+function metricRange(metric) {
+  if (metric.normal) return metric.normal;
+  return typeof RESULT_RANGES !== "undefined" && RESULT_RANGES[metric.rangeId]
+    ? RESULT_RANGES[metric.rangeId]
+    : null;
+}
+
+/**
+ * Draw one small-multiple trend chart.
+ *
+ * X is proportional to time when every timepoint is dated and they
+ * span a non-zero interval; otherwise points are evenly spaced.
+ */
+function renderTrendChart(metric, rows, selectedIndex) {
+  const W = 240, H = 96;
+  const pad = { l: 36, r: 8, t: 8, b: 18 };
+  const svg = svgNode("svg", {
+    viewBox: "0 0 " + W + " " + H,
+    class: "series-svg",
+    role: "img",
+    "aria-label": metric.label + " over time",
+  });
+
+  const values = rows.map((row) => row[metric.key]);
+  const finite = values.filter(Number.isFinite);
+  const range = metricRange(metric);
+  const bounds = finite.concat(range ? [range.min, range.max] : []);
+  let lo = Math.min.apply(null, bounds.length ? bounds : [0]);
+  let hi = Math.max.apply(null, bounds.length ? bounds : [1]);
+  if (hi - lo < 1e-9) { lo -= 1; hi += 1; }
+  const span = hi - lo;
+  lo -= span * 0.1;
+  hi += span * 0.1;
+
+  const times = rows.map((row) => row.t);
+  const timed = times.every(Number.isFinite) && Math.max.apply(null, times) > Math.min.apply(null, times);
+  const t0 = timed ? Math.min.apply(null, times) : 0;
+  const t1 = timed ? Math.max.apply(null, times) : 0;
+  const plotW = W - pad.l - pad.r;
+  const plotH = H - pad.t - pad.b;
+  const xAt = (i) => rows.length < 2
+    ? pad.l + plotW / 2
+    : pad.l + plotW * (timed ? (times[i] - t0) / (t1 - t0) : i / (rows.length - 1));
+  const yAt = (v) => pad.t + plotH * (1 - (v - lo) / (hi - lo));
+
+  if (range) {
+    svg.appendChild(svgNode("rect", {
+      class: "series-band",
+      x: pad.l, width: plotW,
+      y: yAt(range.max), height: Math.max(0, yAt(range.min) - yAt(range.max)),
+    }));
+  }
+  [hi, lo].forEach((v) => {
+    const label = svgNode("text", { class: "series-axis", x: pad.l - 4, y: yAt(v) + 3, "text-anchor": "end" });
+    label.textContent = v.toFixed(metric.decimals);
+    svg.appendChild(label);
+  });
+  if (rows.length) {
+    [[0, "start"], [rows.length - 1, "end"]].forEach(([i, anchor]) => {
+      if (anchor === "end" && rows.length < 2) return;
+      const label = svgNode("text", { class: "series-axis", x: xAt(i), y: H - 4, "text-anchor": anchor });
+      label.textContent = formatTimepointTime(rows[i].takenAt);
+      svg.appendChild(label);
+    });
+  }
+
+  if (selectedIndex >= 0) {
+    svg.appendChild(svgNode("line", {
+      class: "series-cursor",
+      x1: xAt(selectedIndex), x2: xAt(selectedIndex), y1: pad.t, y2: pad.t + plotH,
+    }));
+  }
+
+  const points = values
+    .map((v, i) => (Number.isFinite(v) ? xAt(i).toFixed(1) + "," + yAt(v).toFixed(1) : null))
+    .filter(Boolean);
+  if (points.length > 1) {
+    svg.appendChild(svgNode("polyline", { class: "series-line", points: points.join(" ") }));
+  }
+  values.forEach((v, i) => {
+    if (!Number.isFinite(v)) return;
+    const out = range && (v < range.min || v > range.max);
+    const dot = svgNode("circle", {
+      class: "series-dot" + (i === selectedIndex ? " selected" : "") + (out ? " out-of-range" : ""),
+      cx: xAt(i), cy: yAt(v), r: i === selectedIndex ? 4.5 : 3,
+    });
+    dot.dataset.seriesIndex = String(i);
+    const title = svgNode("title", {});
+    title.textContent = formatTimepointTime(rows[i].takenAt) + " — " + metric.label + " "
+      + v.toFixed(metric.decimals) + (metric.unit ? " " + metric.unit : "");
+    dot.appendChild(title);
+    svg.appendChild(dot);
+  });
+
+  return svg;
+}
+
+/**
+ * Rebuild the time-series panel: trend charts, scrubber and the
+ * selected-timepoint readout.  Points carry `data-series-index` for
+ * the delegated click handler in events.js.
+ */
+function renderSeriesPanel() {
+  const charts = el("series-charts");
+  const empty = el("series-empty");
+  const scrub = el("series-scrub");
+  const readout = el("series-readout");
+  const controls = el("series-scrub-row");
+  if (!charts) return;
+
+  const rows = seriesTrend(readSeries());
+  let selectedIndex = rows.findIndex((row) => row.id === _seriesSelectedId);
+  if (selectedIndex < 0 && rows.length) {
+    selectedIndex = rows.length - 1;
+    _seriesSelectedId = rows[selectedIndex].id;
+  }
+
+  charts.innerHTML = "";
+  if (empty) empty.style.display = rows.length ? "none" : "block";
+  if (controls) controls.style.display = rows.length ? "flex" : "none";
+  ["series-update", "series-delete", "series-clear"].forEach((id) => {
+    const btn = el(id);
+    if (btn) btn.disabled = !rows.length;
+  });
+  if (!rows.length) return;
+
+  SERIES_METRICS.forEach((metric) => {
+    const fig = document.createElement("figure");
+    fig.className = "series-chart";
+    const cap = document.createElement("figcaption");
+    const current = rows[selectedIndex][metric.key];
+    cap.textContent = metric.label + " "
+      + (Number.isFinite(current) ? current.toFixed(metric.decimals) : "—")
+      + (metric.unit ? " " + metric.unit : "");
+    fig.appendChild(cap);
+    fig.appendChild(renderTrendChart(metric, rows, selectedIndex));
+    charts.appendChild(fig);
+  });
+
+  if (scrub) {
+    scrub.max = String(rows.length - 1);
+    scrub.value = String(selectedIndex);
+    scrub.disabled = rows.length < 2;
+  }
+  if (readout) {
+    const row = rows[selectedIndex];
+    readout.textContent = (selectedIndex + 1) + " / " + rows.length + " — "
+      + formatTimepointTime(row.takenAt) + (row.note ? " · " + row.note : "");
+  }
+}
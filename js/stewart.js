@@ -0,0 +1,529 @@
+/**
+ * stewart.js — DOM-free Stewart engine.
+ *
+ * `computeStewart(inputs)` takes a plain object of panel values and
+ * returns every derived quantity the UI displays: SIDa, SIDe, SIG,
+ * AG, the weak-acid terms, Atot, estimated iMg, the base excess and
+ * its partition, the whole-blood buffer terms when Hb is given, and
+ * the Gamblegram segment values.  A venous gas is first converted to
+ * arterial when a conversion is selected (`arterializeBloodGas()`).
+ * It never touches the DOM, so the same math can be reused from
+ * tests, scripts and batch tools.
+ *
+ * Depends on: physiology.js, weakAcids.js
+ */
+
+"use strict";
+
+/** HCO₃⁻ sources understood by `computeStewart()`. */
+const HCO3_MODES = ["gas", "bmp", "fixed-sig"];
+
+/**
+ * Patient-temperature strategies.  "alpha-stat" interprets the
+ * analyzer's 37 °C values unchanged; "ph-stat" corrects pH and pCO₂
+ * to the patient's temperature and evaluates HCO₃⁻, Alb⁻ and Pi⁻
+ * with the constants for that temperature.
+ */
+const TEMP_MODES = ["alpha-stat", "ph-stat"];
+
+/**
+ * Stewart's constants for the forward solver (37 °C plasma): the
+ * water ion product K′w in (Eq/L)² and the pK of HCO₃⁻ ⇌ CO₃²⁻ + H⁺
+ * (K₃ = 6.0 × 10⁻¹¹ Eq/L).
+ */
+const STEWART_KW = 4.4e-14;
+const CARBONATE_PK = 10.22;
+
+/** pH bracket searched by `solveStewartPH()`. */
+const FORWARD_PH_RANGE = [5.5, 9.0];
+
+/** SID bases for the forward solver: keep the current SIG, or assume none. */
+const FORWARD_SID_BASES = ["side", "sida"];
+
+/**
+ * Albumin correction of the anion gap (Figge 1998): each g/dL of
+ * albumin below normal lowers the AG by about 2.5 mEq/L.
+ */
+const AG_ALBUMIN_FACTOR = 2.5;
+const AG_NORMAL_ALBUMIN = 4.4;   // g/dL
+
+/**
+ * Fill in the anion-gap formula options: K⁺ is included unless
+ * `includesK === false`; the albumin correction is off by default.
+ *
+ * @param {Object} [variant]  `{ includesK, albuminCorrected, normalAlbumin }`
+ * @returns {{includesK:boolean, albuminCorrected:boolean, normalAlbumin:number}}
+ */
+function normalizeAgVariant(variant) {
+  const v = variant || {};
+  return {
+    includesK: v.includesK !== false,
+    albuminCorrected: !!v.albuminCorrected,
+    normalAlbumin: Number.isFinite(v.normalAlbumin) && v.normalAlbumin > 0
+      ? v.normalAlbumin : AG_NORMAL_ALBUMIN,
+  };
+}
+
+/**
+ * Normal AG and HCO₃⁻ for the delta gap when the caller gives none:
+ * the middle of the default AG range (12–20 with K⁺, about 8–16
+ * without) and of the HCO₃⁻ reference range (22–26).  The ratio is
+ * only read once the AG is above the top of its range and HCO₃⁻
+ * below the bottom of its range (the half-ranges either side).
+ */
+const DELTA_NORMALS = { agWithK: 16, agWithoutK: 12, hco3: 24, agHalfRange: 4, hco3HalfRange: 2 };
+
+/**
+ * Interpretation bands of the delta ratio ΔAG / ΔHCO₃⁻ (Rastegar
+ * 2007), each up to and including `max`.
+ */
+const DELTA_RATIO_BANDS = [
+  { max: 0.4, key: "normal-ag", label: "Hyperchloraemic normal-AG acidosis" },
+  { max: 0.8, key: "mixed", label: "High-AG and normal-AG acidosis" },
+  { max: 2.0, key: "high-ag", label: "Pure high-AG acidosis" },
+  { max: Infinity, key: "high-ag-alkalosis", label: "High-AG acidosis with metabolic alkalosis or a raised baseline HCO₃⁻" },
+];
+
+/**
+ * Delta gap and delta ratio for an (albumin-corrected) anion gap.
+ * The ratio is only reported for a raised AG with a low HCO₃⁻: the AG
+ * above `normals.agMax` and HCO₃⁻ below `normals.hco3Min` (each
+ * defaulting to the normal itself).  Near the normals the ratio of
+ * two small differences is meaningless.
+ *
+ * @param {number} ag    Anion gap (mEq/L), ideally albumin-corrected
+ * @param {number} HCO3  mmol/L
+ * @param {{ag:number, hco3:number, agMax?:number, hco3Min?:number}} normals
+ * @returns {{agNormal:number, hco3Normal:number, deltaAG:number,
+ *            deltaHCO3:number, deltaGap:number, deltaRatio:number,
+ *            band:string|null, label:string}}
+ *          `deltaGap` is ΔAG − ΔHCO₃⁻; `band` a `DELTA_RATIO_BANDS` key
+ */
+function deltaGapAnalysis(ag, HCO3, normals) {
+  const agNormal = normals.ag;
+  const hco3Normal = normals.hco3;
+  const agMax = Number.isFinite(normals.agMax) ? Math.max(normals.agMax, agNormal) : agNormal;
+  const hco3Min = Number.isFinite(normals.hco3Min) ? Math.min(normals.hco3Min, hco3Normal) : hco3Normal;
+  const deltaAG = ag - agNormal;
+  const deltaHCO3 = hco3Normal - HCO3;
+  const out = {
+    agNormal, hco3Normal, deltaAG, deltaHCO3,
+    deltaGap: deltaAG - deltaHCO3,
+    deltaRatio: NaN, band: null, label: "",
+  };
+  if (!Number.isFinite(deltaAG) || !Number.isFinite(deltaHCO3)) {
+    out.label = "Needs the anion gap and HCO₃⁻";
+  } else if (ag <= agMax) {
+    out.label = "Not applicable: AG not above " + agMax;
+  } else if (HCO3 >= hco3Min) {
+    out.label = "Not applicable: HCO₃⁻ not below " + hco3Min;
+  } else {
+    out.deltaRatio = deltaAG / deltaHCO3;
+    const band = DELTA_RATIO_BANDS.find((b) => out.deltaRatio <= b.max);
+    out.band = band.key;
+    out.label = band.label;
+  }
+  return out;
+}
+
+/** "Na⁺ + K⁺ − Cl⁻ − HCO₃⁻ + 2.5 × (4.4 − Alb)" for an AG variant. */
+function agFormulaLabel(variant) {
+  const v = normalizeAgVariant(variant);
+  return "Na⁺" + (v.includesK ? " + K⁺" : "") + " − Cl⁻ − HCO₃⁻"
+    + (v.albuminCorrected ? " + " + AG_ALBUMIN_FACTOR + " × (" + v.normalAlbumin + " − Alb)" : "");
+}
+
+/**
+ * Sum the charge equivalents of a list of additional-ion segments.
+ *
+ * Segments from `getAdditionalIonSegments()` already carry `v`
+ * (mEq/L); plain objects may instead give `concentration` and
+ * `charge`.
+ */
+function sumIonEquivalents(list) {
+  if (!Array.isArray(list)) return 0;
+  return list.reduce((sum, ion) => {
+    if (!ion) return sum;
+    const v = Number.isFinite(ion.v)
+      ? ion.v
+      : (ion.concentration || 0) * (Number.isFinite(ion.charge) ? ion.charge : 1);
+    return sum + (Number.isFinite(v) ? v : 0);
+  }, 0);
+}
+
+/**
+ * Run the Stewart calculations for one panel.
+ *
+ * All concentrations are mmol/L (SI) except albumin, which is g/dL
+ * to match the picker.  Missing values may be omitted or NaN; they
+ * contribute 0 to the sums, exactly as in the UI.
+ *
+ * @param {Object} inputs
+ * @param {number} inputs.Na, inputs.K, inputs.iCa, inputs.Cl, inputs.Lac
+ * @param {number} inputs.MgTotal    Total serum Mg (mmol/L)
+ * @param {number} [inputs.caTotal]  Total serum Ca (mmol/L); iCa is
+ *                                    estimated from it when iCa is missing
+ * @param {string} [inputs.iCaFormula] `ICA_FORMULAS` key for that estimate
+ * @param {number} inputs.Alb        Albumin (g/dL)
+ * @param {number} inputs.Phos       Total phosphate (mmol/L)
+ * @param {number} inputs.pH         Measured at 37 °C
+ * @param {number} inputs.pCO2       mmHg, measured at 37 °C
+ * @param {string} [inputs.sampleType] `SAMPLE_TYPES` key; default "arterial"
+ * @param {string} [inputs.sampleConversion] `SAMPLE_CONVERSIONS` key for a
+ *                                    venous sample; default "none"
+ * @param {number} [inputs.spO2]     Pulse oximetry (fraction), for v-TAC
+ * @param {number} [inputs.svO2]     Venous sample sO₂ (fraction), for v-TAC
+ * @param {number} [inputs.tempC]    Patient temperature (°C); default 37
+ * @param {string} [inputs.tempMode] "alpha-stat" (default) or "ph-stat"
+ * @param {number} [inputs.Hb]       Hemoglobin (g/dL) for the Van Slyke SBE
+ *                                    and the whole-blood terms
+ * @param {number} [inputs.measuredSBE] Analyzer-reported SBE (mmol/L)
+ * @param {string} [inputs.hco3Mode] "gas" (default), "bmp" or "fixed-sig"
+ * @param {string} [inputs.pkModel]  Carbonic pK′ model for the gas HCO₃⁻:
+ *                                    "fixed" (default), "ph" or "ionic"
+ * @param {string} [inputs.weakAcidModel] Registered weak-acid model id
+ *                                    (`WEAK_ACID_MODELS`); default "figge-v3"
+ * @param {Object} [inputs.agVariant] Anion-gap formula, see `normalizeAgVariant()`
+ * @param {Object} [inputs.deltaNormals] `{ ag, hco3, agMax, hco3Min }` for the delta gap;
+ *                                    defaults from `DELTA_NORMALS`
+ * @param {number} [inputs.bmpHCO3]  Measured BMP HCO₃⁻ used in "bmp" mode
+ * @param {number} [inputs.manualHCO3] Fallback HCO₃⁻ when pH/pCO₂ are missing
+ * @param {number} [inputs.sigTarget] SIG held fixed in "fixed-sig" mode;
+ *                                    defaults to the current SIG
+ * @param {Object} [inputs.extraIons] `{ cations: [], anions: [] }` as
+ *                                    returned by `getAdditionalIonSegments()`
+ * @returns {Object} Results (all charge terms in mEq/L)
+ */
+function computeStewart(inputs) {
+  const p = inputs || {};
+  const Na      = p.Na;
+  const K       = p.K;
+  const MgTotal = p.MgTotal;
+  const Cl      = p.Cl;
+  const Lac     = p.Lac;
+  const Alb     = p.Alb;
+  const Phos    = p.Phos;
+  /* ── Sample type: a venous gas may be converted to arterial; every
+   *    later step uses the converted pH and pCO₂.                   */
+  const sample = arterializeBloodGas(p.pH, p.pCO2, {
+    sampleType: p.sampleType, conversion: p.sampleConversion,
+    spO2: p.spO2, svO2: p.svO2, hbGdL: p.Hb,
+  });
+  const pH37    = sample.pH;
+  const pCO2_37 = sample.pCO2;
+  const mode    = HCO3_MODES.includes(p.hco3Mode) ? p.hco3Mode : "gas";
+  const fixedSig = mode === "fixed-sig";
+  const useBmp   = mode === "bmp";
+  const extraCations = p.extraIons && Array.isArray(p.extraIons.cations) ? p.extraIons.cations : [];
+  const extraAnions  = p.extraIons && Array.isArray(p.extraIons.anions)  ? p.extraIons.anions  : [];
+  const totalCations = sumIonEquivalents(extraCations);
+  const totalAnions  = sumIonEquivalents(extraAnions);
+
+  /* ── Patient temperature ──
+   *    pH-stat evaluates every equilibrium at the patient's
+   *    temperature; alpha-stat keeps the analyzer's 37 °C values.
+   *    iMg, SBE and the BE partition are 37 °C relations, so they
+   *    always use the measured pH.                                   */
+  const tempC    = Number.isFinite(p.tempC) ? p.tempC : NORMOTHERMIA_C;
+  const tempMode = TEMP_MODES.includes(p.tempMode) ? p.tempMode : "alpha-stat";
+  const atPatient = tempC === NORMOTHERMIA_C ? { pH: pH37, pCO2: pCO2_37 }
+    : temperatureCorrectBloodGas(pH37, pCO2_37, tempC);
+  const phStat  = tempMode === "ph-stat";
+  const modelT  = phStat ? tempC : NORMOTHERMIA_C;
+  const pH      = phStat ? atPatient.pH : pH37;
+  const pCO2    = phStat ? atPatient.pCO2 : pCO2_37;
+
+  const iMg = ionizedMagnesiumFromTotal(MgTotal, pH37);
+  const iMgConfidence = magnesiumComplexingConfidence(Phos, extraAnions);
+
+  /* ── Ionized Ca: measured, or estimated from total Ca like iMg ── */
+  const iCaFormula = ICA_FORMULAS[p.iCaFormula] ? p.iCaFormula : DEFAULT_ICA_FORMULA;
+  const iCaEstimated = ionizedCalciumFromTotal(p.caTotal, Alb, pH37, iCaFormula);
+  const iCaConfidence = calciumEstimateConfidence(Alb, pH37, Phos, extraAnions);
+  const iCaSource = Number.isFinite(p.iCa) ? "measured"
+    : Number.isFinite(iCaEstimated) ? "estimated" : "none";
+  const iCa = iCaSource === "estimated" ? iCaEstimated : p.iCa;
+
+  /* ── Carbonic pK′ model (classic 6.1 unless another is selected) ── */
+  const pkModel = CARBONIC_PK_MODELS.includes(p.pkModel) ? p.pkModel : "fixed";
+  const ionicStrength = plasmaIonicStrength({ Na, K, iCa, iMg });
+  const pkAt = (model, t, ph) => carbonicPK(t, ph, { model, ionicStrength });
+  const pK = pkAt(pkModel, modelT, pH);
+
+  /* ── HCO₃ handling ──
+   *    By default HCO₃ is derived from the blood-gas (Henderson–
+   *    Hasselbalch).  In "bmp" mode the measured value is used
+   *    instead; in "fixed-sig" mode it is solved below.            */
+  const hco3FromGas =
+    Number.isFinite(pH) && Number.isFinite(pCO2)
+      ? hco3FromPHandPco2(pH, pCO2, modelT, pK) : NaN;
+  const bmpHCO3    = Number.isFinite(p.bmpHCO3) ? p.bmpHCO3 : NaN;
+  const manualHCO3 = Number.isFinite(p.manualHCO3) ? p.manualHCO3 : NaN;
+
+  let HCO3 =
+    (useBmp && Number.isFinite(bmpHCO3)) ? bmpHCO3
+    : Number.isFinite(hco3FromGas)       ? hco3FromGas
+    :                                      manualHCO3;
+  let hco3Source =
+    (useBmp && Number.isFinite(bmpHCO3)) ? "bmp"
+    : Number.isFinite(hco3FromGas)       ? "gas"
+    : Number.isFinite(manualHCO3)        ? "manual"
+    :                                      "none";
+
+  /* ── Strong ions (all in mEq/L — divalent cations carry 2× charge) ── */
+  const sidA =
+    (Na || 0) + (K || 0) + 2 * (iCa || 0) + 2 * (iMg || 0)
+    - (Cl || 0) - (Lac || 0)
+    + totalCations - totalAnions;
+
+  /* ── Weak acids (albumin g/dL → g/L) from the selected model ── */
+  const Alb_gL   = Number.isFinite(Alb) ? Alb * 10 : NaN;
+  const weakAcids = weakAcidCharges(p.weakAcidModel, Alb_gL, Phos, pH, modelT);
+  const albMinus = weakAcids.albMinus;
+  const piMinus  = weakAcids.piMinus;
+  const atot     = weakAcids.atot;
+
+  /* ── Fixed-SIG branch: HCO₃ becomes the dependent variable ── */
+  const baselineSig = sidA - ((HCO3 || 0) + albMinus + piMinus);
+  let sigTarget = Number.isFinite(p.sigTarget) ? p.sigTarget : NaN;
+  if (fixedSig) {
+    if (!Number.isFinite(sigTarget)) sigTarget = baselineSig;
+    HCO3 = sidA - (sigTarget || 0) - albMinus - piMinus;
+    hco3Source = "fixed-sig";
+  }
+
+  const sidE = (HCO3 || 0) + albMinus + piMinus;
+  const sig  = sidA - sidE;
+
+  /* ── Anion gap in the laboratory's formula (K⁺ and albumin optional),
+   *    the other forms for the traditional cross-check, and the
+   *    delta gap from the albumin-corrected AG                       */
+  const agVariant = normalizeAgVariant(p.agVariant);
+  const agNoK = (Na || 0) - ((Cl || 0) + (HCO3 || 0));
+  const agWithK = agNoK + (K || 0);
+  const agUncorrected = agVariant.includesK ? agWithK : agNoK;
+  const agCorrected = Number.isFinite(Alb)
+    ? agUncorrected + AG_ALBUMIN_FACTOR * (agVariant.normalAlbumin - Alb) : agUncorrected;
+  const ag = agVariant.albuminCorrected ? agCorrected : agUncorrected;
+  const deltaNormals = p.deltaNormals || {};
+  const agNormal = Number.isFinite(deltaNormals.ag) ? deltaNormals.ag
+    : agVariant.includesK ? DELTA_NORMALS.agWithK : DELTA_NORMALS.agWithoutK;
+  const hco3Normal = Number.isFinite(deltaNormals.hco3) ? deltaNormals.hco3 : DELTA_NORMALS.hco3;
+  const deltaDelta = deltaGapAnalysis(agCorrected, HCO3, {
+    ag: agNormal,
+    hco3: hco3Normal,
+    agMax: Number.isFinite(deltaNormals.agMax) ? deltaNormals.agMax : agNormal + DELTA_NORMALS.agHalfRange,
+    hco3Min: Number.isFinite(deltaNormals.hco3Min) ? deltaNormals.hco3Min
+      : hco3Normal - DELTA_NORMALS.hco3HalfRange,
+  });
+
+  /* ── The same panel under every pK′ model (gas-derived HCO₃ only) ── */
+  const pkComparison = hco3Source === "gas"
+    ? CARBONIC_PK_MODELS.map((model) => {
+      const pk = pkAt(model, modelT, pH);
+      const hco3 = hco3FromPHandPco2(pH, pCO2, modelT, pk);
+      return { model, pK: pk, HCO3: hco3, sig: sidA - (hco3 + albMinus + piMinus) };
+    })
+    : [];
+
+  /* ── Base excess (Van Slyke) and its Fencl–Moran / Gilfix partition ── */
+  const hco3At37 = phStat && hco3Source === "gas" && Number.isFinite(pH37) && Number.isFinite(pCO2_37)
+    ? hco3FromPHandPco2(pH37, pCO2_37, NORMOTHERMIA_C, pkAt(pkModel, NORMOTHERMIA_C, pH37)) : HCO3;
+  const sbe = standardBaseExcess(pH37, hco3At37, p.Hb);
+  const sbeMeasured = Number.isFinite(p.measuredSBE) ? p.measuredSBE : NaN;
+  const bePartition = baseExcessPartition({
+    sbe, Na, Cl, albGperL: Alb_gL, lactate: Lac, pH: pH37,
+  });
+
+  /* ── Whole blood (only with Hb): buffer base, BE(B) and CO₂ content ── */
+  const wbBase = wholeBloodBufferBase(pH37, hco3At37, p.Hb);
+  const wbCO2 = wholeBloodCO2Content(pH37, pCO2_37, hco3At37, p.Hb);
+
+  return {
+    sidA, sidE, sig, ag, agVariant, agNoK, agWithK, agCorrected, deltaDelta,
+    albMinus, piMinus, atot,
+    weakAcidModel: weakAcids.model,
+    weakAcidTerms: { albumin: weakAcids.albuminTerm, phosphate: weakAcids.phosphateTerm },
+    iMg, iMgConfidence,
+    iCa, iCaSource, iCaEstimated, iCaFormula, iCaConfidence,
+    HCO3, hco3FromGas, hco3Source,
+    pK, pkModel, ionicStrength, pkComparison,
+    sbe, sbeMeasured,
+    sbeDiscrepancy: sbeMeasured - sbe,
+    bePartition,
+    wholeBlood: Object.assign({}, wbBase, {
+      ctCO2Plasma: wbCO2.plasma, ctCO2Blood: wbCO2.blood, hbCO2Effect: wbCO2.hbEffect,
+    }),
+    sigTarget: fixedSig ? sigTarget : NaN,
+    extraTotals: { cations: totalCations, anions: totalAnions },
+    sample,
+    temperature: {
+      tempC, mode: tempMode, modelTempC: modelT,
+      pH37, pCO2_37,
+      pH: atPatient.pH, pCO2: atPatient.pCO2, // corrected to tempC
+    },
+
+    /* Gamblegram segment values (mEq/L = charge equivalents) */
+    gamblegram: {
+      Na, K,
+      iCa: 2 * (iCa || 0),                            // divalent → 2 mEq/mmol
+      Mg_mmol: 2 * (Number.isFinite(iMg) ? iMg : 0),  // estimated ionized Mg → charge eq
+      Cl, Lac,
+      HCO3: HCO3 || 0,
+      albMinus, piMinus,
+      sig: Math.round(sig * 10) / 10,
+      extraCations,
+      extraAnions,
+    },
+  };
+}
+
+/**
+ * Differences (current − baseline) between two `computeStewart()`
+ * results, for comparison mode.  Na and Cl are the entered
+ * concentrations; the rest are the derived Stewart quantities.
+ *
+ * @param {Object} baseline  Pinned result
+ * @param {Object} current   Live result
+ * @returns {{Na:number, Cl:number, sidA:number, sidE:number,
+ *            sig:number, ag:number, HCO3:number}}  Deltas in mEq/L
+ */
+function compareStewart(baseline, current) {
+  const d = (a, b) => (Number.isFinite(a) && Number.isFinite(b) ? b - a : NaN);
+  return {
+    Na: d(baseline.gamblegram.Na, current.gamblegram.Na),
+    Cl: d(baseline.gamblegram.Cl, current.gamblegram.Cl),
+    sidA: d(baseline.sidA, current.sidA),
+    sidE: d(baseline.sidE, current.sidE),
+    sig: d(baseline.sig, current.sig),
+    ag: d(baseline.ag, current.ag),
+    HCO3: d(baseline.HCO3, current.HCO3),
+  };
+}
+
+/**
+ * Gamblegram values for the extended whole-blood view: the plasma
+ * columns plus the Hb buffer base (Hb⁻) and the red-cell cations that
+ * balance it, so SIG is unchanged.  Without Hb this is the plasma view.
+ *
+ * @param {Object} result  `computeStewart()` result
+ * @returns {Object}       `result.gamblegram` with `hbMinus` (mEq/L)
+ */
+function wholeBloodGamblegram(result) {
+  const hbMinus = result.wholeBlood ? result.wholeBlood.hbMinus : NaN;
+  return Object.assign({}, result.gamblegram, { hbMinus: Number.isFinite(hbMinus) ? hbMinus : 0 });
+}
+
+/* ─────────────────────────────────────────────────────────────────────
+ *  Forward solver: pH from SID, weak acids and pCO₂
+ * ───────────────────────────────────────────────────────────────────── */
+
+/**
+ * Solve Stewart's electroneutrality equation for [H⁺]:
+ *
+ *   SID + [H⁺] − K′w/[H⁺] − [HCO₃⁻] − 2[CO₃²⁻] − Alb⁻ − Phos⁻ = 0
+ *
+ * with [HCO₃⁻] from pCO₂ (Henderson–Hasselbalch, selected pK′ model),
+ * [CO₃²⁻] = [HCO₃⁻]·10^(pH − 10.22) and the weak-acid terms from the
+ * selected weak-acid model.  The residual falls monotonically as pH
+ * rises, so the root is bracketed in `FORWARD_PH_RANGE` and found by
+ * bisection on pH (= −log[H⁺]).
+ *
+ * @param {Object} v
+ * @param {number} v.sid            Strong ion difference (mEq/L)
+ * @param {number} v.pCO2           mmHg at `tempC`
+ * @param {number} [v.albGperL]     Albumin in g/L
+ * @param {number} [v.phos]         Total phosphate (mmol/L)
+ * @param {number} [v.tempC]        Temperature (°C); default 37
+ * @param {string} [v.weakAcidModel] Registered weak-acid model id
+ * @param {string} [v.pkModel]      Carbonic pK′ model
+ * @param {number} [v.ionicStrength] mol/L, for the ionic pK′ model
+ * @returns {{converged:boolean, iterations:number, pH:number, H:number,
+ *            HCO3:number, CO3:number, OH:number, albMinus:number,
+ *            piMinus:number}}  H in nmol/L, the rest in mmol/L or mEq/L;
+ *            NaN values when the root lies outside the bracket
+ */
+function solveStewartPH(v) {
+  const T = Number.isFinite(v.tempC) ? v.tempC : NORMOTHERMIA_C;
+  const terms = (pH) => {
+    const pK = carbonicPK(T, pH, { model: v.pkModel, ionicStrength: v.ionicStrength });
+    const HCO3 = hco3FromPHandPco2(pH, v.pCO2, T, pK);
+    const CO3 = HCO3 * Math.pow(10, pH - CARBONATE_PK);
+    const H = Math.pow(10, 3 - pH);                      // mEq/L
+    const OH = (STEWART_KW / Math.pow(10, -pH)) * 1000;  // mEq/L
+    const wa = weakAcidCharges(v.weakAcidModel, v.albGperL, v.phos, pH, T);
+    const residual = v.sid + H - OH - HCO3 - 2 * CO3 - wa.albMinus - wa.piMinus;
+    return { pH, H, OH, HCO3, CO3, albMinus: wa.albMinus, piMinus: wa.piMinus, residual };
+  };
+  const fail = {
+    converged: false, iterations: 0, pH: NaN, H: NaN, HCO3: NaN, CO3: NaN,
+    OH: NaN, albMinus: NaN, piMinus: NaN,
+  };
+  if (!Number.isFinite(v.sid) || !Number.isFinite(v.pCO2) || v.pCO2 <= 0) return fail;
+
+  let lo = FORWARD_PH_RANGE[0];
+  let hi = FORWARD_PH_RANGE[1];
+  if (terms(lo).residual < 0 || terms(hi).residual > 0) return fail;
+
+  let iterations = 0;
+  while (hi - lo > 1e-9 && iterations < 100) {
+    const mid = (lo + hi) / 2;
+    if (terms(mid).residual > 0) lo = mid; else hi = mid;
+    iterations++;
+  }
+  const t = terms((lo + hi) / 2);
+  return {
+    converged: true, iterations,
+    pH: t.pH, H: t.H * 1e6, HCO3: t.HCO3, CO3: t.CO3, OH: t.OH,
+    albMinus: t.albMinus, piMinus: t.piMinus,
+  };
+}
+
+/**
+ * What-if for one panel: the pH the forward solver predicts when the
+ * SID changes by `scenario.dSid` and/or pCO₂ is replaced.
+ *
+ * With the "side" basis the current SIG is kept (SID = SIDa − SIG =
+ * SIDe); "sida" assumes no unmeasured anions.  The solver does not
+ * return the measured pH exactly for the unchanged panel (SIDe may be
+ * built from a BMP HCO₃⁻, and it leaves out CO₃²⁻ and OH⁻), so `dPH` is
+ * taken against the solver's own answer for the unchanged panel on the
+ * same basis and is 0 when nothing changes.  The solver runs at the
+ * model temperature, so in pH-stat the pCO₂ is corrected like the
+ * measured one.
+ *
+ * @param {Object} inputs     As for `computeStewart()`
+ * @param {Object} [scenario]
+ * @param {string} [scenario.basis="side"]  One of `FORWARD_SID_BASES`
+ * @param {number} [scenario.dSid=0]        SID change (mEq/L)
+ * @param {number} [scenario.pCO2]          Replacement pCO₂ (mmHg, 37 °C)
+ * @returns {Object}  `solveStewartPH()` result plus `basis`, `sid`,
+ *                    `pCO2` (as solved), `modelPH` (the measured pH at
+ *                    the model temperature), `baselinePH` (solved for the
+ *                    unchanged panel) and `dPH` (vs `baselinePH`)
+ */
+function predictStewartPH(inputs, scenario) {
+  const sc = scenario || {};
+  const r = computeStewart(inputs);
+  const basis = FORWARD_SID_BASES.includes(sc.basis) ? sc.basis : "side";
+  const dSid = Number.isFinite(sc.dSid) ? sc.dSid : 0;
+  const sid = (basis === "sida" ? r.sidA : r.sidE) + dSid;
+  const t = r.temperature;
+  const atModel = (pco2) => (t.modelTempC === NORMOTHERMIA_C ? pco2
+    : temperatureCorrectBloodGas(NaN, pco2, t.modelTempC).pCO2);
+  const basePCO2 = atModel(t.pCO2_37);
+  const pCO2 = Number.isFinite(sc.pCO2) ? atModel(sc.pCO2) : basePCO2;
+  const Alb = inputs && Number.isFinite(inputs.Alb) ? inputs.Alb * 10 : NaN;
+
+  const solve = (s, pco2) => solveStewartPH({
+    sid: s, pCO2: pco2, albGperL: Alb, phos: inputs ? inputs.Phos : NaN,
+    tempC: t.modelTempC, weakAcidModel: r.weakAcidModel,
+    pkModel: r.pkModel, ionicStrength: r.ionicStrength,
+  });
+  const solved = solve(sid, pCO2);
+  const unchanged = dSid === 0 && pCO2 === basePCO2 ? solved : solve(sid - dSid, basePCO2);
+  const modelPH = t.mode === "ph-stat" ? t.pH : t.pH37;
+  return Object.assign(solved, {
+    basis, sid, pCO2, modelPH, baselinePH: unchanged.pH, dPH: solved.pH - unchanged.pH,
+  });
+}
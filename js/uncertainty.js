@@ -0,0 +1,262 @@
+/**
+ * uncertainty.js — Measurement uncertainty of SIDa, SIDe and SIG.
+ *
+ * SIG is a small difference between large numbers, so the analytic
+ * error of each input (a 1 % CV on Na⁺ is ±1.4 mmol/L) is of the same
+ * order as the SIG itself.  `propagateUncertainty()` takes the
+ * analytic CV of every analyte from the lab profile and propagates it
+ * through `computeStewart()` to first order (the delta method [1]):
+ *
+ *   SD(f) = √ Σᵢ ((f(xᵢ + sᵢ) − f(xᵢ − sᵢ)) / 2)²,   sᵢ = CVᵢ · xᵢ
+ *
+ * Each input is moved by one SD in both directions with everything
+ * else held, so the full model — temperature correction, carbonic pK′,
+ * weak-acid charges, iMg and iCa estimates — sits inside the
+ * derivative.  Errors are taken as independent between analytes; a
+ * pH CV is the CV of [H⁺], i.e. SD(pH) = CV / ln 10.  The 95 %
+ * interval is ±1.96 SD (normal coverage factor, GUM annex G).
+ *
+ * The half-differences double as the tornado chart: SIG at each input
+ * −1 SD and +1 SD, sorted by effect, with each input's share of the
+ * variance.
+ *
+ * References:
+ *   [1] JCGM 100:2008. "Evaluation of measurement data — Guide to the
+ *       expression of uncertainty in measurement" (GUM), §5.1.
+ *
+ * Depends on: helpers.js (el), stewart.js (computeStewart),
+ *             labProfiles.js (activeLabProfile, labProfileAnalyticCVs),
+ *             compute.js (RESULT_RANGES), series.js (svgNode)
+ */
+
+"use strict";
+
+/** Two-sided 95 % coverage factor of a normal distribution. */
+const UNCERTAINTY_Z95 = 1.96;
+
+/**
+ * Inputs that carry analytic error: `computeStewart()` key → lab-profile
+ * analyte.  `log` inputs take their CV on the antilog ([H⁺] for pH);
+ * `applies` skips inputs the current mode does not use.
+ */
+const UNCERTAINTY_INPUTS = [
+  { key: "Na",      analyte: "na",   label: "Na⁺" },
+  { key: "K",       analyte: "k",    label: "K⁺" },
+  { key: "iCa",     analyte: "ica",  label: "iCa²⁺" },
+  { key: "caTotal", analyte: "tca",  label: "Ca total", applies: (p) => !Number.isFinite(p.iCa) },
+  { key: "MgTotal", analyte: "mg",   label: "Mg²⁺ total" },
+  { key: "Cl",      analyte: "cl",   label: "Cl⁻" },
+  { key: "Lac",     analyte: "lac",  label: "Lactate" },
+  { key: "Alb",     analyte: "alb",  label: "Albumin" },
+  { key: "Phos",    analyte: "phos", label: "Phosphate" },
+  { key: "bmpHCO3", analyte: "hco3", label: "HCO₃⁻", applies: (p) => p.hco3Mode === "bmp" },
+  { key: "pH",      analyte: "ph",   label: "pH", log: true },
+  { key: "pCO2",    analyte: "pco2", label: "pCO₂" },
+];
+
+/** Results that get an interval: result key → results-panel ID. */
+const UNCERTAINTY_OUTPUTS = {
+  sidA: { id: "res-sida", label: "SIDa" },
+  sidE: { id: "res-side", label: "SIDe" },
+  sig:  { id: "res-sig",  label: "SIG" },
+};
+
+/* ─────────────────────────────────────────────────────────────────────
+ *  Propagation (DOM-free)
+ * ───────────────────────────────────────────────────────────────────── */
+
+/** One SD of an input value for a CV in %. */
+function analyticSD(spec, value, cv) {
+  if (!Number.isFinite(value) || !Number.isFinite(cv) || cv <= 0) return 0;
+  return spec.log ? cv / 100 / Math.LN10 : Math.abs(value) * cv / 100;
+}
+
+/** The analytic CVs of the active lab profile, or the defaults. */
+function currentAnalyticCVs() {
+  if (typeof labProfileAnalyticCVs !== "function") return {};
+  return labProfileAnalyticCVs(typeof activeLabProfile === "function" ? activeLabProfile() : undefined);
+}
+
+/**
+ * Propagate analytic CVs to SIDa, SIDe and SIG.
+ *
+ * In "fixed-sig" mode SIG is held at the panel's own SIG target, so
+ * it has no spread; SIDe then moves with SIDa.
+ *
+ * @param {Object} inputs  As for `computeStewart()`
+ * @param {Object} [cvs]   Analyte ID → CV in % (missing = no error)
+ * @returns {{outputs:Object, contributions:Object[]}}
+ *          `outputs[key]` is `{ value, sd, low, high }` (95 % interval)
+ *          for `sidA`, `sidE` and `sig`.  `contributions` lists each
+ *          input with an error as `{ key, analyte, label, value, sd,
+ *          effects, minus, plus, share }`: `effects[key]` is the
+ *          half-difference for each output, `minus` / `plus` the SIG at
+ *          the input −1 SD / +1 SD and `share` its fraction of the SIG
+ *          variance — sorted by |SIG effect|, largest first.
+ */
+function propagateUncertainty(inputs, cvs) {
+  const p = inputs || {};
+  const table = cvs || {};
+  const base = computeStewart(p);
+  const held = p.hco3Mode === "fixed-sig" ? { sigTarget: base.sigTarget } : {};
+  const keys = Object.keys(UNCERTAINTY_OUTPUTS);
+
+  const contributions = [];
+  UNCERTAINTY_INPUTS.forEach((spec) => {
+    const value = p[spec.key];
+    if (spec.applies && !spec.applies(p)) return;
+    const sd = analyticSD(spec, value, table[spec.analyte]);
+    if (!(sd > 0)) return;
+    const lo = computeStewart(Object.assign({}, p, held, { [spec.key]: value - sd }));
+    const hi = computeStewart(Object.assign({}, p, held, { [spec.key]: value + sd }));
+    const effects = {};
+    keys.forEach((k) => { effects[k] = (hi[k] - lo[k]) / 2; });
+    contributions.push({
+      key: spec.key, analyte: spec.analyte, label: spec.label,
+      value, sd, effects, minus: lo.sig, plus: hi.sig, share: 0,
+    });
+  });
+
+  const outputs = {};
+  keys.forEach((k) => {
+    const finite = contributions.filter((c) => Number.isFinite(c.effects[k]));
+    const sd = Math.sqrt(finite.reduce((s, c) => s + c.effects[k] * c.effects[k], 0));
+    const value = base[k];
+    outputs[k] = Number.isFinite(value)
+      ? { value, sd, low: value - UNCERTAINTY_Z95 * sd, high: value + UNCERTAINTY_Z95 * sd }
+      : { value: NaN, sd: NaN, low: NaN, high: NaN };
+  });
+
+  const sigVariance = outputs.sig.sd * outputs.sig.sd;
+  contributions.forEach((c) => {
+    c.share = sigVariance > 0 && Number.isFinite(c.effects.sig) ? c.effects.sig * c.effects.sig / sigVariance : 0;
+  });
+  contributions.sort((a, b) => Math.abs(b.effects.sig || 0) - Math.abs(a.effects.sig || 0));
+
+  return { outputs, contributions };
+}
+
+/**
+ * Where a 95 % interval lies relative to a normal range.
+ *
+ * @returns {"inside"|"above"|"below"|"overlaps"|"none"}
+ */
+function uncertaintyRangeVerdict(output, range) {
+  if (!output || !Number.isFinite(output.low) || !range) return "none";
+  if (output.low > range.max) return "above";
+  if (output.high < range.min) return "below";
+  if (output.low >= range.min && output.high <= range.max) return "inside";
+  return "overlaps";
+}
+
+/* ─────────────────────────────────────────────────────────────────────
+ *  Results panel
+ * ───────────────────────────────────────────────────────────────────── */
+
+/** "± 1.6 (95 % CI 40.9 to 44.1)" for a result card. */
+function formatUncertainty(output) {
+  if (!output || !Number.isFinite(output.sd)) return "—";
+  const fmt = (v) => (v < 0 ? "−" : "") + Math.abs(v).toFixed(1);
+  return "± " + output.sd.toFixed(1) + " (95 % CI " + fmt(output.low) + " to " + fmt(output.high) + ")";
+}
+
+/** One sentence on the SIG interval against the normal range. */
+function uncertaintyNote(u, range, fixedSig) {
+  const sig = u.outputs.sig;
+  if (fixedSig) return "SIG is held fixed, so only SIDa and SIDe carry analytic error.";
+  if (!Number.isFinite(sig.sd)) return "Enter the panel to estimate the measurement uncertainty.";
+  const verdict = uncertaintyRangeVerdict(sig, range);
+  const limits = range ? " (" + range.min + " to " + range.max + " mEq/L)" : "";
+  const text = {
+    inside: "The SIG interval lies inside the normal range" + limits + ".",
+    above: "The SIG interval lies wholly above the normal range" + limits + ".",
+    below: "The SIG interval lies wholly below the normal range" + limits + ".",
+    overlaps: "The SIG interval crosses a normal limit" + limits
+      + ": analytic error alone could move it across, so read it as borderline.",
+    none: "",
+  }[verdict];
+  const top = u.contributions.filter((c) => c.share > 0).slice(0, 2);
+  const lead = top.length
+    ? " " + top.map((c) => c.label).join(" and ") + " contribute "
+      + Math.round(top.reduce((s, c) => s + c.share, 0) * 100) + " % of its variance."
+    : "";
+  return text + lead;
+}
+
+/**
+ * Tornado chart: SIG with each input at −1 SD and +1 SD around the
+ * panel's SIG, largest effect on top.
+ */
+function renderUncertaintyTornado(u) {
+  const svgEl = el("uncertainty-tornado");
+  if (!svgEl) return;
+  svgEl.innerHTML = "";
+  const rows = u.contributions.filter((c) => Number.isFinite(c.minus) && Number.isFinite(c.plus)
+    && Math.abs(c.plus - c.minus) > 1e-6);
+  const center = u.outputs.sig.value;
+  if (!rows.length || !Number.isFinite(center)) {
+    svgEl.setAttribute("viewBox", "0 0 320 24");
+    const empty = svgNode("text", { class: "series-axis", x: 160, y: 14, "text-anchor": "middle" });
+    empty.textContent = "No analytic error to show";
+    svgEl.appendChild(empty);
+    return;
+  }
+
+  const W = 320, rowH = 16;
+  const pad = { l: 74, r: 12, t: 6, b: 16 };
+  const H = pad.t + rows.length * rowH + pad.b;
+  const reach = Math.max.apply(null, rows.map((c) => Math.max(Math.abs(c.minus - center), Math.abs(c.plus - center))));
+  const lo = center - reach * 1.1;
+  const hi = center + reach * 1.1;
+  const plotW = W - pad.l - pad.r;
+  const xAt = (v) => pad.l + plotW * (v - lo) / (hi - lo);
+  svgEl.setAttribute("viewBox", "0 0 " + W + " " + H);
+
+  rows.forEach((c, i) => {
+    const y = pad.t + i * rowH;
+    const label = svgNode("text", { class: "series-axis", x: pad.l - 6, y: y + rowH / 2 + 3, "text-anchor": "end" });
+    label.textContent = c.label;
+    svgEl.appendChild(label);
+    [["minus", c.minus], ["plus", c.plus]].forEach(([side, v]) => {
+      const bar = svgNode("rect", {
+        class: "tornado-bar tornado-" + side,
+        x: Math.min(xAt(v), xAt(center)), y: y + 2,
+        width: Math.abs(xAt(v) - xAt(center)), height: rowH - 4,
+      });
+      const title = svgNode("title", {});
+      title.textContent = c.label + " " + (side === "minus" ? "−" : "+") + "1 SD → SIG " + v.toFixed(2)
+        + " mEq/L (" + Math.round(c.share * 100) + " % of variance)";
+      bar.appendChild(title);
+      svgEl.appendChild(bar);
+    });
+  });
+
+  const axisY = pad.t + rows.length * rowH;
+  svgEl.appendChild(svgNode("line", { class: "series-cursor", x1: xAt(center), x2: xAt(center), y1: pad.t, y2: axisY }));
+  [[lo, "start"], [center, "middle"], [hi, "end"]].forEach(([v, anchor]) => {
+    const tick = svgNode("text", { class: "series-axis", x: xAt(v), y: H - 4, "text-anchor": anchor });
+    tick.textContent = v.toFixed(1);
+    svgEl.appendChild(tick);
+  });
+}
+
+/**
+ * Write the SIDa / SIDe / SIG intervals, the borderline note and the
+ * tornado chart for the live panel.
+ *
+ * @param {Object} inputs  From `readStewartInputs()`
+ */
+function renderUncertainty(inputs) {
+  if (!el("res-sig-ci")) return;
+  const u = propagateUncertainty(inputs, currentAnalyticCVs());
+  Object.keys(UNCERTAINTY_OUTPUTS).forEach((k) => {
+    const node = el(UNCERTAINTY_OUTPUTS[k].id + "-ci");
+    if (node) node.textContent = formatUncertainty(u.outputs[k]);
+  });
+  const note = el("uncertainty-note");
+  if (note) {
+    const range = typeof RESULT_RANGES !== "undefined" ? RESULT_RANGES["res-sig"] : null;
+    note.textContent = uncertaintyNote(u, range, inputs.hco3Mode === "fixed-sig");
+  }
+  renderUncertaintyTornado(u);
+}
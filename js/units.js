@@ -2,7 +2,8 @@
  * units.js — Unit-conversion constants and helper functions.
  *
  * Converts between SI (mmol/L) and conventional (mg/dL) units for
- * ions that support dual-unit display (Mg, iCa, Lactate, Phosphate).
+ * ions that support dual-unit display (Mg, iCa, total Ca, Lactate,
+ * Phosphate).
  *
  * Each conversion factor = 10 / MW, which converts mg/dL → mmol/L:
  *   mmol/L = (mg/dL) × (10 / MW)
@@ -19,7 +20,7 @@
 /** Mg²⁺ : MW = 24.305 g/mol */
 const MG_FACTOR  = 10 / 24.305;
 
-/** iCa²⁺ : MW = 40.08 g/mol */
+/** iCa²⁺ and total Ca : MW = 40.08 g/mol */
 const CA_FACTOR  = 10 / 40.08;
 
 /** Lactate⁻ : MW = 89.07 g/mol (C₃H₅O₃⁻) */
@@ -28,6 +29,9 @@ const LAC_FACTOR = 10 / 89.07;
 /** Phosphate (as P) : MW = 30.97 g/mol */
 const PO4_FACTOR = 10 / 30.97;
 
+/** pCO₂ : kPa → mmHg (imported data only; the picker is mmHg) */
+const KPA_TO_MMHG = 7.50062;
+
 /* ─────────────────────────────────────────────────────────────────────
  *  Conversion helpers
  * ───────────────────────────────────────────────────────────────────── */
@@ -38,7 +42,7 @@ const PO4_FACTOR = 10 / 30.97;
  * Looks at the adjacent `<select class="unit-select">` to decide
  * whether the raw value needs conversion from mg/dL.
  *
- * @param {string} id  Element ID (e.g. "mg", "ica", "lac", "phos")
+ * @param {string} id  Element ID (e.g. "mg", "ica", "tca", "lac", "phos")
  * @returns {number}   Value in mmol/L, or `NaN` when the field is empty.
  */
 function getIonSI(id) {
@@ -49,7 +53,8 @@ function getIonSI(id) {
   if (unit === "mgdl") {
     switch (id) {
       case "mg":   return raw * MG_FACTOR;
-      case "ica":  return raw * CA_FACTOR;
+      case "ica":
+      case "tca":  return raw * CA_FACTOR;
       case "lac":  return raw * LAC_FACTOR;
       case "phos": return raw * PO4_FACTOR;
     }
@@ -73,7 +78,8 @@ function displayToSI(id, value, unit) {
   if (unit === "mgdl") {
     switch (id) {
       case "mg":   return value * MG_FACTOR;
-      case "ica":  return value * CA_FACTOR;
+      case "ica":
+      case "tca":  return value * CA_FACTOR;
       case "lac":  return value * LAC_FACTOR;
       case "phos": return value * PO4_FACTOR;
     }
@@ -90,7 +96,8 @@ function siToDisplay(id, si, unit) {
   if (unit === "mgdl") {
     switch (id) {
       case "mg":   return si / MG_FACTOR;
-      case "ica":  return si / CA_FACTOR;
+      case "ica":
+      case "tca":  return si / CA_FACTOR;
       case "lac":  return si / LAC_FACTOR;
       case "phos": return si / PO4_FACTOR;
     }
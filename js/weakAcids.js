@@ -0,0 +1,182 @@
+/**
+ * weakAcids.js — Registry of weak-acid (Alb⁻ / Phos⁻) models.
+ *
+ * `computeStewart()` asks the registry for the albumin and phosphate
+ * charges instead of calling `albuminCharge()` / `phosphateCharge()`
+ * directly, so a published SIG can be reproduced with the weak-acid
+ * model its authors used.  Each model names the equation behind each
+ * term; the results view and exports show those names.
+ *
+ * Built-in models:
+ *   figge-v3            Figge–Fencl v3.0 residue model + triprotic phosphate (default)
+ *   figge-1992          Figge 1992 residue model (no N→B transition) + triprotic phosphate
+ *   figge-linear        Simplified linear Figge [1][2]
+ *   watson              Watson's linearised albumin [3] + linear Figge phosphate
+ *   staempfli-constable Single weak acid, Atot/Ka [4]
+ *
+ * Further models can be added with `registerWeakAcidModel()`.
+ *
+ * References:
+ *   [1] Figge J, Mydosh T, Fencl V. "Serum proteins and acid-base
+ *       equilibria: a follow-up." J Lab Clin Med. 1992;120(5):713-719.
+ *   [2] Figge J, Rossing TH, Fencl V. "The role of serum proteins in
+ *       acid-base equilibria." J Lab Clin Med. 1991;117(6):453-467.
+ *   [3] Watson PD. "Modeling the effects of proteins on pH in plasma."
+ *       J Appl Physiol. 1999;86(4):1421-1427.
+ *   [4] Staempfli HR, Constable PD. "Experimental determination of net
+ *       protein charge and Atot and Ka of nonvolatile buffers in human
+ *       plasma." J Appl Physiol. 2003;95(2):620-630.
+ *
+ * Depends on: physiology.js (albuminCharge, phosphateCharge,
+ *             BE_PARTITION_NORMALS)
+ */
+
+"use strict";
+
+/** Model used when none (or an unknown one) is selected. */
+const DEFAULT_WEAK_ACID_MODEL = "figge-v3";
+
+/**
+ * Staempfli–Constable constants for normal human plasma [4]: total
+ * nonvolatile weak acid (albumin, globulins and phosphate together)
+ * and its apparent pKa (Ka = 1.05 × 10⁻⁷).
+ */
+const STAEMPFLI_CONSTABLE = { atot: 24.1, pKa: 6.98 };
+
+/** Registered models keyed by id, in registration (display) order. */
+const WEAK_ACID_MODELS = {};
+
+/* ─────────────────────────────────────────────────────────────────────
+ *  Registry
+ * ───────────────────────────────────────────────────────────────────── */
+
+/** Atot of the linear Figge model [2]: 0.123·Alb + 0.309·Phos (mmol/L). */
+function figgeAtot(albGperL, phos) {
+  return 0.123 * albGperL + 0.309 * phos;
+}
+
+/**
+ * Add (or replace) a weak-acid model.
+ *
+ * @param {string} id  Short key used in permalinks and exports
+ * @param {Object} model
+ * @param {string} model.label          Name shown in the selector
+ * @param {string} model.albuminTerm    Equation behind Alb⁻
+ * @param {string} model.phosphateTerm  Equation behind Phos⁻
+ * @param {function(number, number, number):number} model.albumin
+ *        `(albGperL, pH, tempC)` → Alb⁻ in mEq/L
+ * @param {function(number, number, number):number} model.phosphate
+ *        `(phosMmol, pH, tempC)` → Phos⁻ in mEq/L
+ * @param {function(number, number):number} [model.atot]
+ *        `(albGperL, phosMmol)` → Atot in mmol/L, either argument 0
+ *        when missing; defaults to the linear Figge form
+ * @param {boolean} [model.temperature=false]  Whether the model uses
+ *        `tempC` (pH-stat); other models see only the corrected pH
+ * @returns {boolean}  `false` when the definition is incomplete
+ */
+function registerWeakAcidModel(id, model) {
+  if (typeof id !== "string" || !id || !model) return false;
+  if (typeof model.albumin !== "function" || typeof model.phosphate !== "function") return false;
+  WEAK_ACID_MODELS[id] = {
+    id,
+    label: model.label || id,
+    albuminTerm: model.albuminTerm || "",
+    phosphateTerm: model.phosphateTerm || "",
+    albumin: model.albumin,
+    phosphate: model.phosphate,
+    atot: typeof model.atot === "function" ? model.atot : figgeAtot,
+    temperature: !!model.temperature,
+  };
+  return true;
+}
+
+/** The registered model for `id`, or the default model. */
+function getWeakAcidModel(id) {
+  return WEAK_ACID_MODELS[id] || WEAK_ACID_MODELS[DEFAULT_WEAK_ACID_MODEL];
+}
+
+/**
+ * Alb⁻ and Phos⁻ for one panel under a registered model.  A term whose
+ * concentration or pH is missing is 0, as in the rest of the engine.
+ *
+ * @param {string} id         Model id (unknown → default)
+ * @param {number} albGperL   Albumin in g/L
+ * @param {number} phos       Total phosphate in mmol/L
+ * @param {number} pH         Model pH
+ * @param {number} [tempC]    Model temperature (°C)
+ * @returns {{model:string, albMinus:number, piMinus:number, atot:number,
+ *            albuminTerm:string, phosphateTerm:string}}  `atot` in mmol/L
+ */
+function weakAcidCharges(id, albGperL, phos, pH, tempC) {
+  const m = getWeakAcidModel(id);
+  const t = m.temperature ? tempC : undefined;
+  const hasPH = Number.isFinite(pH);
+  return {
+    model: m.id,
+    albMinus: Number.isFinite(albGperL) && hasPH ? m.albumin(albGperL, pH, t) : 0,
+    piMinus: Number.isFinite(phos) && hasPH ? m.phosphate(phos, pH, t) : 0,
+    atot: m.atot(Number.isFinite(albGperL) ? albGperL : 0, Number.isFinite(phos) ? phos : 0),
+    albuminTerm: m.albuminTerm,
+    phosphateTerm: m.phosphateTerm,
+  };
+}
+
+/* ─────────────────────────────────────────────────────────────────────
+ *  Built-in models
+ * ───────────────────────────────────────────────────────────────────── */
+
+/** Figge linear phosphate [2]: Phos × (0.309·pH − 0.469). */
+const linearPhosphateCharge = (phos, pH) => phos * (0.309 * pH - 0.469);
+
+registerWeakAcidModel("figge-v3", {
+  label: "Figge–Fencl v3.0",
+  albuminTerm: "Figge–Fencl v3.0 residue model",
+  phosphateTerm: "Triprotic (Sendroy–Hastings)",
+  albumin: albuminCharge,
+  phosphate: phosphateCharge,
+  atot: figgeAtot,
+  temperature: true,
+});
+
+registerWeakAcidModel("figge-1992", {
+  label: "Figge 1992",
+  albuminTerm: "Figge 1992 residue model (no N→B transition)",
+  phosphateTerm: "Triprotic (Sendroy–Hastings)",
+  albumin: (alb, pH, tempC) => albuminCharge(alb, pH, tempC, { nbTransition: false }),
+  phosphate: phosphateCharge,
+  atot: figgeAtot,
+  temperature: true,
+});
+
+registerWeakAcidModel("figge-linear", {
+  label: "Simplified Figge (linear)",
+  albuminTerm: "Alb × (0.123·pH − 0.631)",
+  phosphateTerm: "Phos × (0.309·pH − 0.469)",
+  albumin: (alb, pH) => alb * (0.123 * pH - 0.631),
+  phosphate: linearPhosphateCharge,
+  atot: figgeAtot,
+});
+
+registerWeakAcidModel("watson", {
+  label: "Watson",
+  albuminTerm: "Alb × (0.1204·pH − 0.625)",
+  phosphateTerm: "Phos × (0.309·pH − 0.469)",
+  albumin: (alb, pH) => alb * (0.1204 * pH - 0.625),
+  phosphate: linearPhosphateCharge,
+  atot: (alb, phos) => 0.1204 * alb + 0.309 * phos,
+});
+
+/* Staempfli–Constable treat every nonvolatile buffer as one weak acid.
+ * The calculator has no total-protein input, so Atot is scaled by the
+ * entered albumin relative to a normal 42 g/L; phosphate is part of
+ * Atot and therefore contributes no separate term. */
+const staempfliConstableAtot = (alb) => STAEMPFLI_CONSTABLE.atot * alb / BE_PARTITION_NORMALS.albGperL;
+
+registerWeakAcidModel("staempfli-constable", {
+  label: "Staempfli–Constable (Atot/Ka)",
+  albuminTerm: "Atot / (1 + 10^(6.98 − pH)), Atot 24.1 × Alb/42",
+  phosphateTerm: "Included in Atot",
+  albumin: (alb, pH) => staempfliConstableAtot(alb) / (1 + Math.pow(10, STAEMPFLI_CONSTABLE.pKa - pH)),
+  phosphate: () => 0,
+  atot: staempfliConstableAtot,
+});
@@ -0,0 +1,151 @@
+/**
+ * batch.test.js — CSV parsing, header / unit mapping and per-row
+ * analysis for the batch import in js/batch.js.
+ */
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts } = require("./loadScripts");
+
+const get = loadScripts(["physiology.js", "weakAcids.js", "stewart.js", "units.js", "compute.js", "batch.js"]);
+const parseCSV = get("parseCSV");
+const classifyBatchHeader = get("classifyBatchHeader");
+const analyzeBatch = get("analyzeBatch");
+const computeStewart = get("computeStewart");
+
+const TOL = 1e-9;
+
+test("parseCSV — quotes, doubled quotes, CRLF, blank lines and delimiter detection", () => {
+  const rows = parseCSV('id,note\r\n"a, b","say ""hi"""\r\n\r\nc,\n');
+  assert.deepEqual(JSON.parse(JSON.stringify(rows)), [["id", "note"], ["a, b", 'say "hi"'], ["c", ""]]);
+  assert.deepEqual(JSON.parse(JSON.stringify(parseCSV("Na;Cl\n140;104"))), [["Na", "Cl"], ["140", "104"]]);
+  assert.deepEqual(JSON.parse(JSON.stringify(parseCSV("Na\tCl\n140\t104"))), [["Na", "Cl"], ["140", "104"]]);
+});
+
+test("classifyBatchHeader — aliases, header units, unit columns and ion columns", () => {
+  assert.equal(classifyBatchHeader("Sodium").field.key, "Na");
+  assert.equal(classifyBatchHeader("pCO₂ [kPa]").unit, "kpa");
+  assert.equal(classifyBatchHeader("Mg (mg/dL)").unit, "mgdl");
+  assert.equal(classifyBatchHeader("Albumin (g/L)").unit, "gl");
+  assert.equal(classifyBatchHeader("Lactate (furlongs)").unit, "unknown");
+  assert.equal(classifyBatchHeader("Mg_unit").type, "unit");
+  assert.equal(classifyBatchHeader("Sample ID").type, "id");
+  assert.equal(classifyBatchHeader("Ward").type, "ignored");
+  const ion = classifyBatchHeader("anion:Sulfate:2");
+  assert.equal(ion.type, "ion");
+  assert.equal(ion.name, "Sulfate");
+  assert.equal(ion.charge, 2);
+});
+
+test("analyzeBatch — rows match computeStewart on the converted SI inputs", () => {
+  const csv = [
+    "id,Na,K,iCa,Mg (mg/dL),Cl,Lactate,Albumin (g/L),Phosphate,pH,pCO2 (kPa),Mg_unit",
+    "normal,140,4.0,1.20,1.82,104,1.0,42,1.0,7.40,5.33,",
+    "si-mg,140,4.0,1.20,0.75,104,1.0,42,1.0,7.40,5.33,mmol/L",
+  ].join("\n");
+  const batch = analyzeBatch(csv);
+  assert.equal(batch.errors.length, 0);
+  assert.equal(batch.rows.length, 2);
+
+  const [row, siRow] = batch.rows;
+  assert.equal(row.id, "normal");
+  assert.equal(row.line, 2);
+  assert.ok(Math.abs(row.inputs.MgTotal - 1.82 * 10 / 24.305) < TOL);
+  assert.ok(Math.abs(row.inputs.Alb - 4.2) < TOL);
+  assert.ok(Math.abs(row.inputs.pCO2 - 5.33 * 7.50062) < TOL);
+  assert.equal(siRow.inputs.MgTotal, 0.75);
+  assert.equal(siRow.units.MgTotal, "si");
+
+  const expected = computeStewart(row.inputs);
+  assert.equal(row.result.sig, expected.sig);
+  assert.equal(row.result.hco3Source, "gas");
+  assert.deepEqual(Object.keys(row.flags), []);
+});
+
+test("analyzeBatch — HCO3 column, extra ions, flags and row issues", () => {
+  const csv = [
+    "id,Na,K,iCa,Mg,Cl,Lac,Alb,Phos,pH,pCO2,HCO3,anion:Ketones",
+    "dka,132,4,1.2,0.75,96,1,4.2,1,7.10,20,6.0,8",
+    "bad,abc,4,1.2,0.75,,1,4.2,1,7.4,,,",
+  ].join("\n");
+  const batch = analyzeBatch(csv, { "res-sig": { min: 0, max: 6 } });
+  const [dka, bad] = batch.rows;
+
+  assert.equal(dka.result.hco3Source, "bmp");
+  assert.equal(dka.result.HCO3, 6);
+  assert.equal(dka.inputs.extraIons.anions.length, 1);
+  assert.ok(Math.abs(dka.result.sidA - (132 + 4 + 2 * 1.2 + 2 * dka.result.iMg - 96 - 1 - 8)) < TOL);
+  assert.equal(dka.flags.sig, "high");
+  assert.equal(dka.issues.length, 0);
+
+  assert.ok(bad.issues.some((msg) => msg.includes("not a number")));
+  assert.ok(bad.issues.some((msg) => msg.includes("missing")));
+  assert.deepEqual(Object.keys(bad.flags), []);
+});
+
+test("analyzeBatch — blank SID terms are listed and the row is not flagged", () => {
+  const csv = [
+    "id,Na,K,iCa,Mg,Cl,Lac,Albumin,Phos,pH,pCO2",
+    "full,140,4,1.2,0.75,104,1,4.2,1,7.40,40",
+    "noalb,140,4,1.2,0.75,104,1,,1,7.40,40",
+  ].join("\n");
+  const [full, noalb] = analyzeBatch(csv).rows;
+  assert.deepEqual(Array.from(full.issues), []);
+  assert.ok(Math.abs(full.result.sig - 4.97) < 0.01, "SIG " + full.result.sig);
+  assert.deepEqual(Array.from(noalb.issues), ["Albumin missing — Alb⁻ taken as 0"]);
+  assert.deepEqual(Object.keys(noalb.flags), [], "SIG " + noalb.result.sig + " is not flagged");
+
+  const bare = analyzeBatch("Na,Cl,pH,pCO2\n140,104,7.40,40\n").rows[0];
+  assert.deepEqual(Array.from(bare.issues, (msg) => msg.split(" missing")[0]),
+    ["K⁺", "Calcium", "Mg", "Lactate", "Albumin", "Phosphate"]);
+});
+
+test("analyzeBatch — total Ca column estimates iCa for rows without one", () => {
+  const csv = [
+    "id,Na,Cl,iCa,Calcium (mg/dL),Albumin,pH,pCO2",
+    "bmp,140,104,,9.4,4.2,7.40,40",
+    "both,140,104,1.30,9.4,4.2,7.40,40",
+  ].join("\n");
+  const [bmp, both] = analyzeBatch(csv, null, { iCaFormula: "mclean-hastings" }).rows;
+  assert.ok(Math.abs(bmp.inputs.caTotal - 9.4 * 10 / 40.08) < TOL);
+  assert.equal(bmp.result.iCaSource, "estimated");
+  assert.equal(bmp.result.iCaFormula, "mclean-hastings");
+  assert.equal(both.result.iCaSource, "measured");
+  assert.equal(both.result.iCa, 1.3);
+});
+
+test("analyzeBatch — reports files it cannot use", () => {
+  assert.equal(analyzeBatch("Na,Cl").errors.length, 1);
+  assert.match(analyzeBatch("Ward,Bed\n1,2").errors[0], /No recognised columns/);
+  assert.deepEqual(Array.from(analyzeBatch("Na,Ward\n140,3").ignored), ["Ward"]);
+});
+
+test("analyzeBatch — temperature column uses the requested strategy", () => {
+  const csv = "id,Na,Cl,Albumin,Phosphate,pH,pCO2,Temp (°F)\ncold,140,104,4.2,1.0,7.40,40,91.4\n";
+  const alpha = analyzeBatch(csv).rows[0];
+  assert.ok(Math.abs(alpha.inputs.tempC - 33) < 1e-9);
+  assert.equal(alpha.result.temperature.modelTempC, 37);
+
+  const ph = analyzeBatch(csv, null, { tempMode: "ph-stat" }).rows[0];
+  assert.equal(ph.result.temperature.mode, "ph-stat");
+  assert.deepEqual(
+    JSON.parse(JSON.stringify(ph.result)),
+    JSON.parse(JSON.stringify(computeStewart(ph.inputs)))
+  );
+  assert.ok(ph.result.albMinus < alpha.result.albMinus);
+});
+
+test("analyzeBatch — every row takes the requested sample type and conversion", () => {
+  const csv = "id,Na,K,iCa,Mg,Cl,Lac,Albumin,Phos,pH,pCO2\nvbg,140,4,1.2,0.75,104,1,4.2,1,7.36,46\n";
+  const offsets = analyzeBatch(csv, null, { sampleType: "venous", sampleConversion: "offsets" }).rows[0];
+  assert.equal(offsets.result.sample.conversion, "offsets");
+  assert.ok(Math.abs(offsets.result.sample.pH - 7.393) < TOL);
+  assert.deepEqual(Array.from(offsets.issues), []);
+
+  const vtac = analyzeBatch(csv, null, { sampleType: "venous", sampleConversion: "vtac" }).rows[0];
+  assert.equal(vtac.result.sample.conversion, "none", "the file has no SpO₂");
+  assert.match(vtac.issues.join(" "), /v-TAC needs SpO₂/);
+  assert.equal(analyzeBatch(csv).rows[0].result.sample.sampleType, "arterial");
+});
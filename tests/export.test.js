@@ -0,0 +1,99 @@
+/**
+ * export.test.js — Flat results records and their CSV / JSON
+ * serialisation in js/export.js (the download itself is browser-only).
+ */
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts } = require("./loadScripts");
+
+const get = loadScripts(["physiology.js", "weakAcids.js", "stewart.js", "units.js", "export.js"]);
+const computeStewart = get("computeStewart");
+const buildExportRecord = get("buildExportRecord");
+const recordsToCSV = get("recordsToCSV");
+const recordsToJSON = get("recordsToJSON");
+const EXPORT_COLUMNS = get("EXPORT_COLUMNS");
+
+const INPUTS = {
+  Na: 132, K: 5.5, iCa: 1.1, MgTotal: 0.9, Cl: 96, Lac: 2.0, Alb: 4.0, Phos: 1.6,
+  pH: 7.10, pCO2: 20, hco3Mode: "gas", bmpHCO3: 24,
+  extraIons: { cations: [], anions: [{ k: "x", labelText: "Sulfate, total", kind: "anion", charge: 2, concentration: 1.5, v: 3 }] },
+};
+
+function entry(inputs) {
+  return { id: "dka", inputs, result: computeStewart(inputs) };
+}
+
+test("buildExportRecord — inputs in both unit systems and every intermediate", () => {
+  const e = entry(INPUTS);
+  const rec = buildExportRecord(e);
+
+  assert.equal(rec.albumin_g_l, 40);
+  assert.equal(rec.albumin_g_dl, 4);
+  assert.equal(rec.pco2_mmhg, 20);
+  assert.equal(rec.pco2_kpa, Number((20 / 7.50062).toFixed(4)));
+  assert.equal(rec.mg_total_mg_dl, Number((0.9 * 24.305 / 10).toFixed(4)));
+  assert.ok(Number.isNaN(rec.hco3_entered_mmol_l), "BMP HCO3 is only exported in BMP mode");
+
+  assert.equal(rec.hco3_source, "gas");
+  assert.equal(rec.sida_meq_l, Number(e.result.sidA.toFixed(4)));
+  assert.equal(rec.sig_meq_l, Number(e.result.sig.toFixed(4)));
+  assert.equal(rec.atot_mmol_l, Number(e.result.atot.toFixed(4)));
+  assert.equal(rec.img_confidence, e.result.iMgConfidence.label);
+  assert.match(rec.img_confidence_reasons, /Sulfate, total/);
+  assert.equal(rec.extra_anions_meq_l, 3);
+  assert.deepEqual(Object.keys(rec), Array.from(EXPORT_COLUMNS, (c) => c.key));
+});
+
+test("buildExportRecord — sample type, conversion and the arterial estimate", () => {
+  const arterial = buildExportRecord(entry(INPUTS));
+  assert.equal(arterial.sample_type, "arterial");
+  assert.equal(arterial.sample_conversion, "none");
+  assert.equal(arterial.ph_arterial, 7.1);
+  assert.ok(Number.isNaN(arterial.spo2_percent));
+
+  const rec = buildExportRecord(entry(Object.assign({}, INPUTS, {
+    sampleType: "venous", sampleConversion: "vtac", spO2: 0.96, svO2: 0.55, Hb: 13,
+  })));
+  assert.equal(rec.sample_type, "venous");
+  assert.equal(rec.sample_conversion, "vtac");
+  assert.equal(rec.spo2_percent, 96);
+  assert.equal(rec.ph, 7.1, "the measured pH stays in the inputs");
+  assert.ok(rec.ph_arterial > 7.1 && rec.pco2_arterial_mmhg < 20);
+});
+
+test("recordsToCSV — header of column keys, quoted text, blank missing values", () => {
+  const rec = buildExportRecord(entry(INPUTS));
+  const lines = recordsToCSV([rec]).trim().split("\r\n");
+  assert.equal(lines.length, 2);
+  assert.equal(lines[0].split(",")[0], "id");
+  assert.match(lines[1], /"Sulfate, total anion/);
+  const hb = Array.from(EXPORT_COLUMNS, (c) => c.key).indexOf("hb_g_l");
+  assert.equal(lines[1].match(/("[^"]*"|[^,]*)(,|$)/g)[hb], ",");
+});
+
+test("recordsToJSON — missing numbers become null, units documented", () => {
+  const json = JSON.parse(recordsToJSON([buildExportRecord(entry(INPUTS))], { mode: "panel" }));
+  assert.equal(json.mode, "panel");
+  assert.equal(json.rows.length, 1);
+  assert.equal(json.rows[0].hb_g_l, null);
+  assert.equal(json.columns.find((c) => c.key === "sida_meq_l").unit, "mEq/L");
+});
+
+test("buildExportRecord — measurement uncertainty columns", () => {
+  const bare = buildExportRecord(entry(INPUTS));
+  assert.ok(Number.isNaN(bare.sig_sd_meq_l), "blank without uncertainty.js");
+  assert.equal(bare.sig_sd_leading_input, "");
+
+  const withU = loadScripts(["physiology.js", "weakAcids.js", "stewart.js", "units.js",
+    "labProfiles.js", "uncertainty.js", "export.js"]);
+  const e = { id: "dka", inputs: INPUTS, result: withU("computeStewart")(INPUTS) };
+  const rec = withU("buildExportRecord")(e);
+  const u = withU("propagateUncertainty")(INPUTS, withU("labProfileAnalyticCVs")());
+  assert.equal(rec.sig_sd_meq_l, Number(u.outputs.sig.sd.toFixed(4)));
+  assert.equal(rec.sida_ci95_low_meq_l, Number(u.outputs.sidA.low.toFixed(4)));
+  assert.equal(rec.side_ci95_high_meq_l, Number(u.outputs.sidE.high.toFixed(4)));
+  assert.equal(rec.sig_sd_leading_input, u.contributions[0].label);
+});
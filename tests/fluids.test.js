@@ -0,0 +1,89 @@
+/**
+ * fluids.test.js — The fluid simulator's mixing model in js/fluids.js:
+ * dilution arithmetic, the unchanged panel at 0 L, and the direction
+ * of the predicted pH for each kind of fluid.
+ */
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts } = require("./loadScripts");
+
+const get = loadScripts(["physiology.js", "weakAcids.js", "stewart.js", "fluids.js"]);
+const simulateFluid = get("simulateFluid");
+const FLUIDS = get("FLUIDS");
+
+const NORMAL = {
+  Na: 140, K: 4, iCa: 1.2, MgTotal: 0.75, Cl: 104, Lac: 1,
+  Alb: 4.2, Phos: 1, pH: 7.40, pCO2: 40,
+};
+
+function assertClose(actual, expected, tol, label) {
+  assert.ok(
+    Math.abs(actual - expected) <= tol,
+    (label || "value") + ": expected " + expected + " ± " + tol + ", got " + actual
+  );
+}
+
+test("simulateFluid — 0 L returns the measured panel", () => {
+  const r = simulateFluid(NORMAL, { fluid: "saline-0.9", volumeL: 0 });
+  assert.equal(r.converged, true);
+  assertClose(r.inputs.pH, 7.40, 1e-9, "pH");
+  assert.equal(r.inputs.Na, 140);
+  assertClose(r.after.sig, r.before.sig, 1e-9, "SIG");
+});
+
+test("simulateFluid — 0 L of a converted venous gas converts it once", () => {
+  const venous = Object.assign({}, NORMAL, { pH: 7.35, pCO2: 46, sampleType: "venous", sampleConversion: "offsets" });
+  const r = simulateFluid(venous, { fluid: "saline-0.9", volumeL: 0 });
+  assert.equal(r.converged, true);
+  assertClose(r.inputs.pH, r.before.sample.pH, 1e-9, "arterial pH");
+  assert.equal(r.inputs.sampleType, "arterial");
+  assertClose(r.after.HCO3, r.before.HCO3, 1e-9, "HCO3");
+  assertClose(r.after.sig, r.before.sig, 1e-9, "SIG");
+});
+
+test("simulateFluid — 2 L 0.9% saline into 14 L ECF", () => {
+  const r = simulateFluid(NORMAL, { fluid: "saline-0.9", volumeL: 2, ecfL: 14 });
+  assertClose(r.dilution, 14 / 16, 1e-12, "dilution");
+  assertClose(r.inputs.Na, (140 * 14 + 154 * 2) / 16, 1e-9, "Na");
+  assertClose(r.inputs.Cl, (104 * 14 + 154 * 2) / 16, 1e-9, "Cl");
+  assertClose(r.inputs.Alb, 4.2 * 14 / 16, 1e-9, "Alb");
+  assertClose(r.unmeasuredAnions, r.before.sig * 14 / 16, 1e-9, "diluted SIG");
+  // Dilutional (hyperchloraemic) acidosis
+  assertClose(r.inputs.pH, 7.3478, 1e-3, "pH");
+  assert.ok(r.after.sidA < r.before.sidA);
+});
+
+test("simulateFluid — buffered fluids depend on metabolism of their anions", () => {
+  const lr = simulateFluid(NORMAL, { fluid: "lr", volumeL: 2, ecfL: 14 });
+  const lrMet = simulateFluid(NORMAL, { fluid: "lr", volumeL: 2, ecfL: 14, metabolised: true });
+  assert.ok(lr.inputs.Lac > NORMAL.Lac * 14 / 16, "unmetabolised lactate stays a strong anion");
+  assert.ok(lrMet.inputs.pH > lr.inputs.pH);
+  const pl = simulateFluid(NORMAL, { fluid: "plasma-lyte", volumeL: 2, ecfL: 14 });
+  const plMet = simulateFluid(NORMAL, { fluid: "plasma-lyte", volumeL: 2, ecfL: 14, metabolised: true });
+  assertClose(pl.unmeasuredAnions - plMet.unmeasuredAnions, FLUIDS["plasma-lyte"].organic * 2 / 16, 1e-9,
+    "acetate + gluconate appear as unmeasured anions");
+  assert.ok(plMet.inputs.pH > 7.43);
+});
+
+test("simulateFluid — bicarbonate alkalinises, albumin raises Atot", () => {
+  const bicarb = simulateFluid(NORMAL, { fluid: "bicarb-8.4", volumeL: 0.1, ecfL: 14 });
+  assert.ok(bicarb.inputs.pH > 7.49, "pH " + bicarb.inputs.pH);
+  assert.ok(bicarb.after.HCO3 > 29);
+  const alb = simulateFluid(NORMAL, { fluid: "albumin-20", volumeL: 0.5, ecfL: 14 });
+  assertClose(alb.inputs.Alb, (4.2 * 14 + 20 * 0.5) / 14.5, 1e-9, "Alb");
+  assert.ok(alb.after.albMinus > alb.before.albMinus);
+});
+
+test("simulateFluid — unknown fluid, blank volumes and a missing gas", () => {
+  const r = simulateFluid(NORMAL, { fluid: "seawater" });
+  assert.equal(r.fluid, "saline-0.9");
+  assert.equal(r.volumeL, 1);
+  assert.equal(r.ecfL, 14);
+  const noGas = simulateFluid(Object.assign({}, NORMAL, { pCO2: NaN }), { fluid: "lr" });
+  assert.equal(noGas.converged, false);
+  assert.ok(Number.isNaN(noGas.inputs.pH));
+  assertClose(noGas.inputs.Na, (140 * 14 + 130) / 15, 1e-9, "Na still mixes");
+});
@@ -0,0 +1,90 @@
+/**
+ * interpret.test.js — The rule-based interpretation in js/interpret.js:
+ * primary disorders, Winter's formula and the acute / chronic SBE
+ * rules, and the Stewart mechanisms behind the metabolic component.
+ */
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts } = require("./loadScripts");
+
+const get = loadScripts(["helpers.js", "physiology.js", "weakAcids.js", "stewart.js", "interpret.js"]);
+const computeStewart = get("computeStewart");
+const interpretAcidBase = get("interpretAcidBase");
+
+const NORMAL = {
+  Na: 140, K: 4, iCa: 1.2, MgTotal: 0.75, Cl: 104, Lac: 1,
+  Alb: 4.2, Phos: 1, pH: 7.40, pCO2: 40,
+};
+
+function interpret(changes) {
+  const inputs = Object.assign({}, NORMAL, changes);
+  return interpretAcidBase(computeStewart(inputs), inputs);
+}
+
+const labels = (report) => Array.from(report.findings, (f) => f.label);
+
+test("interpretAcidBase — normal panel has no disorder", () => {
+  const r = interpret({});
+  assert.equal(r.status, "normal pH");
+  assert.deepEqual(Array.from(r.primary), []);
+  assert.deepEqual(labels(r), ["No primary disorder by pH, pCO₂ and SBE"]);
+  assert.ok(!r.findings.some((f) => f.kind === "delta"));
+});
+
+test("interpretAcidBase — ketoacidosis: Winter's formula and SIG", () => {
+  const r = interpret({ pH: 7.10, pCO2: 25, Na: 135, Cl: 100 });
+  assert.equal(r.status, "acidaemia");
+  assert.deepEqual(Array.from(r.primary), ["metabolic acidosis"]);
+  const comp = r.findings.find((f) => f.kind === "compensation");
+  assert.match(comp.label, /additional respiratory acidosis/);
+  assert.match(comp.rule, /1\.5 × 7\.5 \+ 8 = 19\.3 ± 2 mmHg/);
+  assert.ok(r.findings.some((f) => f.kind === "unmeasured" && /SIG = SIDa − SIDe/.test(f.rule)));
+  assert.match(r.narrative, /^pH 7\.10 shows acidaemia\. Primary metabolic acidosis\./);
+  const delta = r.findings.find((f) => f.kind === "delta");
+  assert.match(delta.label, /^Delta ratio 0\.97: pure high-AG acidosis$/);
+  assert.match(delta.rule, /Δ gap/);
+
+  const compensated = interpret({ pH: 7.30, pCO2: 32, Cl: 115 });
+  assert.equal(compensated.findings[1].label, "Appropriate respiratory compensation");
+  assert.ok(labels(compensated).includes("SID acidosis: hyperchloraemia"));
+});
+
+test("interpretAcidBase — respiratory acidosis: acute vs chronic", () => {
+  const chronic = interpret({ pH: 7.36, pCO2: 60, Cl: 96 });
+  assert.deepEqual(Array.from(chronic.primary), ["respiratory acidosis"]);
+  assert.equal(chronic.findings[1].label, "Chronic (compensated) respiratory acidosis");
+  assert.match(chronic.findings[1].rule, /Calculated SBE \+\d/, "the Van Slyke SBE, not an analyzer value");
+  const acute = interpret({ pH: 7.28, pCO2: 55 });
+  assert.equal(acute.findings[1].label, "Acute (uncompensated) respiratory acidosis");
+});
+
+test("interpretAcidBase — metabolic alkalosis and mixed disorders", () => {
+  const vomiting = interpret({ pH: 7.52, pCO2: 48, Cl: 88 });
+  assert.deepEqual(Array.from(vomiting.primary), ["metabolic alkalosis"]);
+  assert.match(vomiting.findings[1].rule, /40 \+ 0\.6 × SBE/);
+  assert.ok(labels(vomiting).includes("SID alkalosis: hypochloraemia"));
+
+  const mixed = interpret({ pH: 7.05, pCO2: 55, Cl: 112 });
+  assert.deepEqual(Array.from(mixed.primary), ["respiratory acidosis", "metabolic acidosis"]);
+  assert.equal(mixed.findings[1].label, "No compensation expected");
+});
+
+test("interpretAcidBase — hypoalbuminaemia masks an unmeasured-anion acidosis", () => {
+  const r = interpret({ Alb: 2.0 });
+  assert.deepEqual(Array.from(r.primary), []);
+  assert.ok(labels(r).includes("Weak-acid alkalosis: hypoalbuminaemia"));
+  assert.ok(labels(r).includes("Unmeasured-anion acidosis"));
+  assert.ok(labels(r).includes("Offsetting metabolic disorders"));
+  assert.ok(labels(interpret({ Phos: 2.5 })).includes("Weak-acid acidosis: hyperphosphataemia"));
+});
+
+test("interpretAcidBase — limits can follow the results panel; missing gas", () => {
+  const strict = interpretAcidBase(computeStewart(NORMAL), NORMAL, { sig: { min: 0, max: 2 } });
+  assert.ok(labels(strict).includes("Unmeasured-anion acidosis"));
+  const none = interpret({ pCO2: NaN });
+  assert.equal(none.status, "incomplete");
+  assert.equal(none.narrative, "Enter pH and pCO₂ to interpret the panel.");
+});
@@ -0,0 +1,112 @@
+/**
+ * labProfiles.test.js — Lab-profile validation and JSON import /
+ * export in js/labProfiles.js (applying a profile is browser-only).
+ */
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts } = require("./loadScripts");
+
+const get = loadScripts(["physiology.js", "weakAcids.js", "stewart.js", "labProfiles.js"]);
+const normalizeLabProfile = get("normalizeLabProfile");
+const parseLabProfilesJSON = get("parseLabProfilesJSON");
+const exportLabProfilesJSON = get("exportLabProfilesJSON");
+const labProfileInterpretLimits = get("labProfileInterpretLimits");
+const labProfileAnalyticCVs = get("labProfileAnalyticCVs");
+const formatRefRange = get("formatRefRange");
+const DEFAULT_LAB_PROFILE = get("DEFAULT_LAB_PROFILE");
+
+// Structured clone across the vm realm, so deepEqual compares plain data
+const plain = (v) => JSON.parse(JSON.stringify(v));
+
+test("default profile — the app's original ranges, units and AG formula", () => {
+  const d = plain(DEFAULT_LAB_PROFILE);
+  assert.deepEqual(d.results, {
+    sida: { min: 37, max: 43 }, side: { min: 35, max: 40 }, sig: { min: 0, max: 6 },
+    ag: { min: 12, max: 20 }, sbe: { min: -2, max: 2 },
+  });
+  assert.deepEqual(d.ag, { includesK: true, albuminCorrected: false, normalAlbumin: 4.4 });
+  assert.equal(d.analytes.mg.unit, "mgdl");
+  assert.equal(d.analytes.phos.unit, "mgdl");
+  const { profile, warnings } = normalizeLabProfile({ name: "Default" });
+  assert.deepEqual(warnings.length, 0);
+  assert.deepEqual(plain(profile.analytes), d.analytes);
+});
+
+test("normalizeLabProfile — partial profiles fall back to the defaults", () => {
+  const { profile, warnings } = normalizeLabProfile({
+    name: "  North lab  ",
+    analytes: { k: { low: "3.4", high: 5.1 }, mg: { unit: "si", pickerMin: 0, pickerMax: 3 } },
+    results: { ag: { min: 8, max: 16 } },
+    ag: { includesK: false, albuminCorrected: true },
+  });
+  assert.deepEqual(warnings.length, 0);
+  assert.equal(profile.name, "North lab");
+  assert.deepEqual(plain(profile.analytes.k), { low: 3.4, high: 5.1, cv: 2 });
+  assert.deepEqual(plain(profile.analytes.mg), { low: 0.7, high: 0.95, pickerMin: 0, pickerMax: 3, cv: 3, unit: "si" });
+  assert.deepEqual(plain(profile.results.ag), { min: 8, max: 16 });
+  assert.deepEqual(plain(profile.results.sig), { min: 0, max: 6 });
+  assert.deepEqual(plain(profile.ag), { includesK: false, albuminCorrected: true, normalAlbumin: 4.4 });
+});
+
+test("normalizeLabProfile — invalid entries are ignored with a warning", () => {
+  const { profile, warnings } = normalizeLabProfile({
+    analytes: {
+      na: { low: 150, high: 140 },
+      lac: { unit: "mg%" },
+      ph: { pickerMin: 8, pickerMax: 7 },
+      urea: { low: 2.5, high: 7.8 },
+    },
+    results: { sig: { min: "x", max: 4 } },
+  });
+  assert.equal(warnings.length, 5, warnings.join("; "));
+  assert.deepEqual(plain(profile.analytes.na), { low: 135, high: 145, cv: 1 });
+  assert.equal(profile.analytes.lac.unit, "si");
+  assert.equal(profile.analytes.ph.pickerMin, undefined);
+  assert.equal(profile.analytes.urea, undefined);
+  assert.deepEqual(plain(profile.results.sig), { min: 0, max: 6 });
+  assert.equal(profile.name, "Lab profile");
+});
+
+test("JSON — export and re-import round trip; single profiles and bad files", () => {
+  const { profile } = normalizeLabProfile({ id: "lab-1", name: "South", results: { sig: { min: -1, max: 4 } } });
+  const text = exportLabProfilesJSON([profile]);
+  assert.equal(JSON.parse(text).profiles[0].id, undefined, "local IDs are not exported");
+  const back = parseLabProfilesJSON(text);
+  assert.deepEqual(back.warnings.length, 0);
+  assert.equal(back.profiles.length, 1);
+  assert.ok(back.profiles[0].id.startsWith("lab-"));
+  assert.notEqual(back.profiles[0].id, "lab-1");
+  assert.deepEqual(plain(back.profiles[0].results), plain(profile.results));
+
+  const single = parseLabProfilesJSON(JSON.stringify({ name: "One", ag: { includesK: false } }));
+  assert.equal(single.profiles[0].ag.includesK, false);
+  assert.deepEqual(Array.from(parseLabProfilesJSON("{oops").warnings), ["Not valid JSON"]);
+  assert.deepEqual(Array.from(parseLabProfilesJSON("[]").warnings), ["No profiles found"]);
+});
+
+test("labProfileInterpretLimits and reference-range text", () => {
+  const { profile } = normalizeLabProfile({ analytes: { ph: { low: 7.36, high: 7.44 }, phos: { low: 0.8, high: 1.5 } } });
+  assert.deepEqual(plain(labProfileInterpretLimits(profile)), {
+    pH: { min: 7.36, max: 7.44 }, pCO2: { min: 35, max: 45 }, phos: { max: 1.5 },
+  });
+  assert.equal(formatRefRange(3.5, 5, 1), "3.5–5.0");
+  assert.equal(formatRefRange(1.15, 1.285, 2), "1.15–1.285");
+  assert.equal(formatRefRange(-2, 2), "−2 to +2");
+});
+
+test("analytic CVs — defaults, overrides and out-of-range values", () => {
+  const { profile, warnings } = normalizeLabProfile({
+    analytes: { na: { cv: "0.8" }, cl: { cv: 75 }, alb: { cv: -1 }, k: { cv: "" } },
+  });
+  assert.equal(warnings.length, 2, warnings.join("; "));
+  const cvs = plain(labProfileAnalyticCVs(profile));
+  assert.equal(cvs.na, 0.8);
+  assert.equal(cvs.cl, 1, "above LAB_CV_MAX keeps the default");
+  assert.equal(cvs.alb, 3);
+  assert.equal(cvs.k, 2, "a blank editor cell keeps the default");
+  assert.deepEqual(Object.keys(cvs), ["na", "k", "ica", "tca", "mg", "cl", "lac", "alb", "phos", "hco3", "ph", "pco2"]);
+  assert.deepEqual(plain(labProfileAnalyticCVs()), plain(labProfileAnalyticCVs(DEFAULT_LAB_PROFILE)));
+});
@@ -0,0 +1,37 @@
+/**
+ * loadScripts.js — Load the browser's plain <script> files under Node.
+ *
+ * The app has no module system: every file in `js/` declares globals
+ * and later files use what earlier ones declared.  This helper runs
+ * the requested files, in order, inside one shared `vm` context and
+ * returns an accessor for their top-level bindings, so tests and
+ * batch scripts can reuse the exact code the browser runs.
+ *
+ * Only DOM-free files (physiology.js, stewart.js, …) are usable
+ * here — there is no `document` in the context.
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const JS_DIR = path.join(__dirname, "..", "js");
+
+/**
+ * @param {string[]} files  File names relative to `js/`, in load order
+ * @returns {Function}      `get(name)` → value of a top-level binding
+ */
+function loadScripts(files) {
+  const context = vm.createContext({ console, URLSearchParams });
+  files.forEach((file) => {
+    const filename = path.join(JS_DIR, file);
+    new vm.Script(fs.readFileSync(filename, "utf8"), { filename }).runInContext(context);
+  });
+  // `const` / `let` bindings live in the script scope, not on the
+  // context object, so resolve names by evaluating them in-context.
+  return (name) => new vm.Script(name).runInContext(context);
+}
+
+module.exports = { loadScripts };
@@ -0,0 +1,108 @@
+/**
+ * pasteLabs.test.js — Free-text lab parsing in js/pasteLabs.js: names,
+ * units given or inferred, and what is reported as ignored.
+ */
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts } = require("./loadScripts");
+
+const get = loadScripts(["physiology.js", "units.js", "batch.js", "pasteLabs.js"]);
+const parseLabText = get("parseLabText");
+const formatPastedValue = get("formatPastedValue");
+
+function assertClose(actual, expected, tol, label) {
+  assert.ok(
+    Math.abs(actual - expected) <= tol,
+    (label || "value") + ": expected " + expected + " ± " + tol + ", got " + actual
+  );
+}
+
+/** `{ key: si }` for the recognised values. */
+function values(text, units) {
+  const out = {};
+  parseLabText(text, units).recognised.forEach((r) => { out[r.key] = r.si; });
+  return out;
+}
+
+test("parseLabText — a one-line EHR paste", () => {
+  const parsed = parseLabText("Na 138 K 4.1 Cl 110 HCO3 18 Alb 2.8 Lac 3.4 pH 7.28 pCO2 32");
+  assert.deepEqual(Array.from(parsed.recognised, (r) => r.key),
+    ["Na", "K", "Cl", "HCO3", "Alb", "Lac", "pH", "pCO2"]);
+  assert.deepEqual(Array.from(parsed.ignored), []);
+  const v = values("Na 138 K 4.1 Cl 110 HCO3 18 Alb 2.8 Lac 3.4 pH 7.28 pCO2 32");
+  assert.equal(v.HCO3, 18, "HCO3 is not read as HCO + 3");
+  assert.equal(v.pH, 7.28);
+});
+
+test("parseLabText — aliases, separators and charge signs", () => {
+  const v = values("Sodium: 141\nK+ = 3.9\nChloride 101; tCO2 22\nCa++ 1.05\nPO4 1.1\nLactic acid 2,5\npCO₂ 40");
+  assert.deepEqual(Object.keys(v).sort(), ["Cl", "HCO3", "K", "Lac", "Na", "Phos", "iCa", "pCO2"].sort());
+  assert.equal(v.Lac, 2.5, "decimal comma");
+  assert.equal(v.iCa, 1.05, "Ca++ is ionized");
+  assert.equal(values("Ca 2.3").caTotal, 2.3, "bare Ca is total");
+});
+
+test("parseLabText — units given after the value", () => {
+  const v = values("Mg 2.4 mg/dL Alb 28 g/L pCO2 4.3 kPa Lac 30.6 mg/dl Temp 101.3 °F");
+  assertClose(v.MgTotal, 2.4 * 10 / 24.305, 1e-9, "Mg");
+  assertClose(v.Alb, 2.8, 1e-12, "Alb");
+  assertClose(v.pCO2, 4.3 * 7.50062, 1e-9, "pCO2");
+  assertClose(v.Lac, 30.6 * 10 / 89.07, 1e-9, "Lac");
+  assertClose(v.tempC, 38.5, 1e-9, "Temp");
+});
+
+test("parseLabText — a missing unit follows the picker, or the value", () => {
+  assertClose(values("Mg 2.0", { mg: "mgdl" }).MgTotal, 2.0 * 10 / 24.305, 1e-9, "picker in mg/dL");
+  assert.equal(values("Mg 0.8", { mg: "si" }).MgTotal, 0.8, "picker in mmol/L");
+
+  const [ca] = parseLabText("Ca 9.2", { tca: "si" }).recognised;
+  assert.equal(ca.unit, "mgdl");
+  assert.equal(ca.assumed, true);
+  assertClose(ca.si, 9.2 * 10 / 40.08, 1e-9, "Ca");
+  assert.equal(values("Alb 31").Alb, 3.1, "albumin over 7 is g/L");
+  assertClose(values("pCO2 4.3").pCO2, 4.3 * 7.50062, 1e-9, "pCO2 under 8 is kPa");
+  assert.equal(parseLabText("Na 138").recognised[0].assumed, false);
+});
+
+test("parseLabText — one mg/dL value sets the unit of the ambiguous ones", () => {
+  const parsed = parseLabText("BUN 14 Cr 0.9 Ca 9.2 Mg 2.0 Phos 3.5", { tca: "si", mg: "si", phos: "si" });
+  const byKey = {};
+  parsed.recognised.forEach((r) => { byKey[r.key] = r; });
+  assert.deepEqual(Object.keys(byKey), ["caTotal", "MgTotal", "Phos"]);
+  ["caTotal", "MgTotal", "Phos"].forEach((key) => {
+    assert.equal(byKey[key].unit, "mgdl", key);
+    assert.equal(byKey[key].assumed, true, key);
+    assert.equal(byKey[key].ambiguous, false, key);
+  });
+  const mgdlPickers = parseLabText("Ca 9.2 Mg 2.0", { tca: "mgdl", mg: "mgdl" }).recognised;
+  assert.equal(formatPastedValue(mgdlPickers[1]), "2 mg/dL");
+  assertClose(byKey.Phos.si, 3.5 * 10 / 30.97, 1e-9, "Phos");
+  assertClose(byKey.MgTotal.si, 2.0 * 10 / 24.305, 1e-9, "Mg");
+  assert.equal(formatPastedValue(byKey.Phos), "3.5 mg/dL (assumed)");
+
+  // Without a mg/dL value the picker unit stands, marked as unclear
+  assert.equal(parseLabText("Mg 2.0", { mg: "mgdl" }).recognised[0].ambiguous, true);
+  const [mg] = parseLabText("Mg 0.8", { mg: "si" }).recognised;
+  assert.equal(mg.unit, "si");
+  assert.equal(mg.ambiguous, true);
+  assert.equal(formatPastedValue(mg), "0.8 mmol/L (unit unclear)");
+  assert.equal(parseLabText("Na 138").recognised[0].ambiguous, false);
+});
+
+test("parseLabText — ignored text, wrong units and repeats", () => {
+  const parsed = parseLabText("Chem panel Na 136 mmol/L Glucose 5.4 pO2 90 Na 140 mg/dL K 4.0 H Na 139");
+  assert.deepEqual(Array.from(parsed.recognised, (r) => r.text), ["K 4.0", "Na 139"]);
+  const reasons = {};
+  parsed.ignored.forEach((i) => { reasons[i.text] = i.reason; });
+  assert.equal(reasons["Chem panel"], "not a lab value");
+  assert.equal(reasons["Glucose 5.4"], "unknown analyte");
+  assert.equal(reasons["pO2 90"], "unknown analyte");
+  assert.match(reasons["Na 140 mg/dL"], /not given in mg\/dL/);
+  assert.match(reasons["Na 136 mmol/L"], /repeated/);
+  assert.equal(reasons.H, "not a lab value");
+
+  assert.deepEqual(JSON.parse(JSON.stringify(parseLabText(""))), { recognised: [], ignored: [] });
+});
@@ -0,0 +1,123 @@
+/**
+ * permalink.test.js — Round-trip tests for the URL-hash state codec
+ * in js/permalink.js (the DOM capture / apply halves are browser-only).
+ */
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts } = require("./loadScripts");
+
+const get = loadScripts(["pickers.js", "permalink.js"]);
+const encodeAppState = get("encodeAppState");
+const decodeAppState = get("decodeAppState");
+
+const STATE = {
+  pickers: {
+    na: "132", k: "5.5", ica: "4.40", mg: "0.90", cl: "96", lac: "2.0",
+    alb: "4.0", phos: "1.6", ph: "7.10", pco2: "20", hco3: "18.0",
+  },
+  units: { ica: "mgdl", mg: "si", lac: "si", phos: "si" },
+  inputs: { hb: "12", sbe: "-21", temp: "33.5", "fwd-dsid": "-10", "fwd-pco2": "" },
+  useBmp: false,
+  fixSig: true,
+  sigTarget: 20,
+  tempMode: "ph-stat",
+  pkModel: "ionic",
+  weakAcidModel: "staempfli-constable",
+  fwdBasis: "sida",
+  fluid: "plasma-lyte",
+  fluidMetabolised: true,
+  wholeBloodView: true,
+  ions: [
+    { name: "Sulfate", kind: "anion", charge: 2, value: 1.5 },
+    { name: "A|B", kind: "cation", charge: 1, value: NaN },
+  ],
+};
+
+test("encodeAppState / decodeAppState round-trip", () => {
+  const decoded = decodeAppState("#" + encodeAppState(STATE));
+  assert.equal(decoded.pickers.na, 132);
+  assert.equal(decoded.pickers.ica, 4.4);
+  assert.equal(decoded.pickers.ph, 7.1);
+  assert.equal(decoded.pickers.hco3, undefined, "BMP HCO3 only travels in BMP mode");
+  assert.deepEqual({ ...decoded.units }, STATE.units);
+  assert.deepEqual({ ...decoded.inputs }, { hb: 12, sbe: -21, temp: 33.5, "fwd-dsid": -10 });
+  assert.equal(decoded.tempMode, "ph-stat");
+  assert.equal(decoded.pkModel, "ionic");
+  assert.equal(decoded.weakAcidModel, "staempfli-constable");
+  assert.equal(decoded.fwdBasis, "sida");
+  assert.equal(decoded.fluid, "plasma-lyte");
+  assert.equal(decoded.fluidMetabolised, true);
+  assert.equal(decoded.wholeBloodView, true);
+  assert.equal(decoded.fixSig, true);
+  assert.equal(decoded.useBmp, false);
+  assert.equal(decoded.sigTarget, 20);
+  assert.equal(decoded.ions.length, 2);
+  assert.deepEqual({ ...decoded.ions[0] }, STATE.ions[0]);
+  assert.equal(decoded.ions[1].name, "A|B");
+  assert.equal(decoded.ions[1].kind, "cation");
+  assert.ok(Number.isNaN(decoded.ions[1].value));
+});
+
+test("encodeAppState — BMP mode carries the measured HCO3", () => {
+  const decoded = decodeAppState(encodeAppState(Object.assign({}, STATE, { useBmp: true, fixSig: false })));
+  assert.equal(decoded.useBmp, true);
+  assert.equal(decoded.pickers.hco3, 18);
+  assert.ok(Number.isNaN(decoded.sigTarget));
+});
+
+test("encodeAppState — total Ca and its formula only travel in total-Ca mode", () => {
+  const withTca = Object.assign({}, STATE, { pickers: Object.assign({ tca: "2.30" }, STATE.pickers) });
+  const off = decodeAppState(encodeAppState(withTca));
+  assert.equal(off.totalCa, false);
+  assert.equal(off.pickers.tca, undefined);
+  assert.equal(off.iCaFormula, "payne");
+  const on = decodeAppState(encodeAppState(Object.assign({}, withTca, { totalCa: true, iCaFormula: "mclean-hastings" })));
+  assert.equal(on.totalCa, true);
+  assert.equal(on.pickers.tca, 2.3);
+  assert.equal(on.iCaFormula, "mclean-hastings");
+});
+
+test("encodeAppState — typed values keep their precision outside the picker range", () => {
+  const typed = Object.assign({}, STATE.pickers, { na: "105.5", pco2: "210", phos: "1.137" });
+  const decoded = decodeAppState(encodeAppState(Object.assign({}, STATE, { pickers: typed })));
+  assert.equal(decoded.pickers.na, 105.5);
+  assert.equal(decoded.pickers.pco2, 210);
+  assert.equal(decoded.pickers.phos, 1.137);
+});
+
+test("encodeAppState — sample type, conversion and the v-TAC saturations", () => {
+  const venous = Object.assign({}, STATE, {
+    sampleType: "venous", sampleConversion: "vtac",
+    inputs: Object.assign({ spo2: "97", svo2: "65" }, STATE.inputs),
+  });
+  const decoded = decodeAppState(encodeAppState(venous));
+  assert.equal(decoded.sampleType, "venous");
+  assert.equal(decoded.sampleConversion, "vtac");
+  assert.equal(decoded.inputs.spo2, 97);
+  assert.equal(decoded.inputs.svo2, 65);
+
+  const hash = encodeAppState(Object.assign({}, STATE, { sampleType: "arterial", sampleConversion: "none" }));
+  assert.ok(!/(^|&)(st|sc)=/.test(hash), "arterial defaults stay out of the link");
+  const foreign = decodeAppState("#v=1&st=synovial&sc=guess");
+  assert.equal(foreign.sampleType, "arterial");
+  assert.equal(foreign.sampleConversion, "none");
+});
+
+test("decodeAppState — ignores empty, foreign and malformed hashes", () => {
+  assert.equal(decodeAppState(""), null);
+  assert.equal(decodeAppState("#formulas"), null);
+  const decoded = decodeAppState("#v=1&na=abc&ica-unit=furlongs&ion=bad&ion=X|anion|9|2");
+  assert.equal(decoded.pickers.na, undefined);
+  assert.equal(decoded.units.ica, undefined);
+  assert.equal(decoded.ions.length, 1);
+  assert.equal(decoded.ions[0].charge, 1);
+  assert.equal(decodeAppState("#v=1&tmode=hot").tempMode, "alpha-stat");
+  assert.equal(decodeAppState("#v=1&pk=7.4").pkModel, "fixed");
+  assert.equal(decodeAppState("#v=1&wa=<b>").weakAcidModel, "figge-v3");
+  assert.equal(decodeAppState("#v=1&caf=<b>").iCaFormula, "payne");
+  assert.equal(decodeAppState("#v=1&fbasis=x").fwdBasis, "side");
+  assert.equal(decodeAppState("#v=1&fl=%3Cb%3E").fluid, "saline-0.9");
+});
@@ -0,0 +1,299 @@
+/**
+ * physiology.test.js — Golden values for the pure functions in
+ * js/physiology.js.
+ *
+ * Values were captured from the current implementation; the README
+ * reference points (Alb⁻ ≈ 11.2, Pi⁻ ≈ 1.85 mEq/L) are checked at
+ * their published precision.  A failure here means the model changed.
+ */
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts } = require("./loadScripts");
+
+const get = loadScripts(["physiology.js"]);
+const hco3FromPHandPco2 = get("hco3FromPHandPco2");
+const ionizedMagnesiumFromTotal = get("ionizedMagnesiumFromTotal");
+const magnesiumComplexingConfidence = get("magnesiumComplexingConfidence");
+const ionizedCalciumFromTotal = get("ionizedCalciumFromTotal");
+const calciumEstimateConfidence = get("calciumEstimateConfidence");
+const albuminCharge = get("albuminCharge");
+const phosphateCharge = get("phosphateCharge");
+const standardBaseExcess = get("standardBaseExcess");
+const baseExcessPartition = get("baseExcessPartition");
+const wholeBloodBufferBase = get("wholeBloodBufferBase");
+const wholeBloodCO2Content = get("wholeBloodCO2Content");
+const temperatureCorrectBloodGas = get("temperatureCorrectBloodGas");
+const analyzerPHFromPatient = get("analyzerPHFromPatient");
+const co2Solubility = get("co2Solubility");
+const carbonicPK = get("carbonicPK");
+const plasmaIonicStrength = get("plasmaIonicStrength");
+const arterializeBloodGas = get("arterializeBloodGas");
+
+function assertClose(actual, expected, tol, label) {
+  assert.ok(
+    Math.abs(actual - expected) <= tol,
+    (label || "value") + ": expected " + expected + " ± " + tol + ", got " + actual
+  );
+}
+
+test("hco3FromPHandPco2 — Henderson–Hasselbalch golden values", () => {
+  assertClose(hco3FromPHandPco2(7.40, 40), 23.9431, 1e-4, "pH 7.40 / pCO2 40");
+  assertClose(hco3FromPHandPco2(7.10, 20), 6.0000, 1e-4, "pH 7.10 / pCO2 20");
+  assertClose(hco3FromPHandPco2(7.60, 25), 23.7171, 1e-4, "pH 7.60 / pCO2 25");
+});
+
+test("albuminCharge — README reference point", () => {
+  // "Alb 40 g/L at pH 7.40 → A⁻ ≈ 11.2 mEq/L"
+  assertClose(albuminCharge(40, 7.40), 11.2, 0.05);
+});
+
+test("albuminCharge — Figge–Fencl v3.0 golden values", () => {
+  assertClose(albuminCharge(40, 7.40), 11.1504, 1e-4, "40 g/L, pH 7.40");
+  assertClose(albuminCharge(42, 7.40), 11.7079, 1e-4, "42 g/L, pH 7.40");
+  assertClose(albuminCharge(20, 7.20), 5.0562, 1e-4, "20 g/L, pH 7.20");
+  assertClose(albuminCharge(40, 6.90), 8.4008, 1e-4, "40 g/L, pH 6.90");
+  assertClose(albuminCharge(40, 7.70), 12.5081, 1e-4, "40 g/L, pH 7.70");
+  assert.equal(Math.abs(albuminCharge(0, 7.40)), 0);
+});
+
+test("albuminCharge — rises with pH and scales linearly with albumin", () => {
+  assert.ok(albuminCharge(40, 7.5) > albuminCharge(40, 7.3));
+  assertClose(albuminCharge(20, 7.4) * 2, albuminCharge(40, 7.4), 1e-9);
+});
+
+test("phosphateCharge — README reference point", () => {
+  // "Phos 1.0 mmol/L → Pi⁻ ≈ 1.85 mEq/L"
+  assertClose(phosphateCharge(1.0, 7.40), 1.85, 0.005);
+});
+
+test("phosphateCharge — triprotic golden values", () => {
+  assertClose(phosphateCharge(1.0, 7.40), 1.8461, 1e-4, "1.0 mmol/L, pH 7.40");
+  assertClose(phosphateCharge(2.0, 7.10), 3.4673, 1e-4, "2.0 mmol/L, pH 7.10");
+  assertClose(phosphateCharge(1.0, 7.70), 1.9165, 1e-4, "1.0 mmol/L, pH 7.70");
+});
+
+test("ionizedMagnesiumFromTotal — linear estimate with pH adjustment", () => {
+  assertClose(ionizedMagnesiumFromTotal(0.75, 7.40), 0.534, 1e-9, "0.75 mmol/L, pH 7.40");
+  assertClose(ionizedMagnesiumFromTotal(1.00, 7.10), 0.735, 1e-9, "1.00 mmol/L, pH 7.10");
+  assertClose(ionizedMagnesiumFromTotal(0.10, 7.80), 0.057, 1e-9, "0.10 mmol/L, pH 7.80");
+  assertClose(ionizedMagnesiumFromTotal(2.00, NaN), 1.359, 1e-9, "no pH → no adjustment");
+});
+
+test("ionizedMagnesiumFromTotal — edge cases", () => {
+  assert.equal(ionizedMagnesiumFromTotal(0, 7.40), 0);
+  assert.ok(Number.isNaN(ionizedMagnesiumFromTotal(NaN, 7.40)));
+  // Clamped to the total at very low pH
+  assert.equal(ionizedMagnesiumFromTotal(0.05, 6.80), 0.05);
+});
+
+test("magnesiumComplexingConfidence — levels and reasons", () => {
+  const none = magnesiumComplexingConfidence(1.0, []);
+  assert.equal(none.levelKey, "high");
+  assert.equal(none.points, 0);
+  assert.equal(none.summary, "No flagged phosphate or custom complexing-anion burden.");
+
+  const phos = magnesiumComplexingConfidence(1.6, []);
+  assert.equal(phos.levelKey, "medium");
+  assert.equal(phos.points, 1);
+  assert.equal(phos.summary, "Reduced by phosphate 1.60 mmol/L.");
+
+  const citrate = magnesiumComplexingConfidence(2.6, [
+    { labelText: "Citrate", concentration: 1.2, charge: 3 },
+  ]);
+  assert.equal(citrate.levelKey, "low");
+  assert.equal(citrate.points, 4);
+  assert.equal(citrate.summary, "Reduced by phosphate 2.60 mmol/L and Citrate 1.2 mmol/L.");
+
+  const polyvalent = magnesiumComplexingConfidence(1.0, [
+    { labelText: "Thing", concentration: 2, charge: 2 },
+  ]);
+  assert.equal(polyvalent.levelKey, "medium");
+  assert.equal(polyvalent.summary, "Reduced by Thing 2.0 mmol/L.");
+});
+
+test("ionizedCalciumFromTotal — Payne and McLean–Hastings with pH adjustment", () => {
+  assertClose(ionizedCalciumFromTotal(2.35, 4.2, 7.40), 1.1781, 1e-9, "Payne, pH 7.40");
+  assertClose(ionizedCalciumFromTotal(2.35, 4.2, 7.40, "payne"), 1.1781, 1e-9, "explicit Payne");
+  assertClose(ionizedCalciumFromTotal(2.00, 2.0, 7.40), 1.224, 1e-9, "hypoalbuminaemia raises the estimate");
+  assertClose(ionizedCalciumFromTotal(2.35, 4.2, 7.40, "mclean-hastings"), 1.0398, 1e-4, "McLean–Hastings");
+  const acid = ionizedCalciumFromTotal(2.35, 4.2, 7.10);
+  assertClose(acid / 1.1781, Math.pow(10, 0.072), 1e-9, "acidaemia frees Ca");
+  assertClose(ionizedCalciumFromTotal(2.35, NaN, NaN), 1.1985, 1e-9, "4.0 g/dL albumin and pH 7.40 assumed");
+  assert.equal(ionizedCalciumFromTotal(2.35, 4.2, 7.40, "unknown"), ionizedCalciumFromTotal(2.35, 4.2, 7.40));
+  assert.ok(Number.isNaN(ionizedCalciumFromTotal(NaN, 4.2, 7.40)));
+  assert.equal(ionizedCalciumFromTotal(0, 4.2, 7.40), 0);
+  assert.equal(ionizedCalciumFromTotal(0.5, 0, 6.50), 0.5, "clamped to total Ca");
+});
+
+test("calciumEstimateConfidence — albumin, pH and complexing anions", () => {
+  const normal = calciumEstimateConfidence(4.2, 7.40, 1.0, []);
+  assert.equal(normal.levelKey, "high");
+  assert.equal(normal.summary, "Normal albumin and pH, no flagged complexing anions.");
+  const lowAlb = calciumEstimateConfidence(3.0, 7.40, 1.0, []);
+  assert.equal(lowAlb.levelKey, "medium");
+  assert.deepEqual(Array.from(lowAlb.reasons), ["albumin 3.0 g/dL"]);
+  const icu = calciumEstimateConfidence(2.0, 7.10, 1.6, []);
+  assert.equal(icu.levelKey, "low");
+  assert.equal(icu.points, 4);
+  assert.equal(icu.summary, "Reduced by albumin 2.0 g/dL, pH 7.10, and phosphate 1.60 mmol/L.");
+  const missing = calciumEstimateConfidence(NaN, NaN, NaN, []);
+  assert.equal(missing.points, 2);
+  assert.match(missing.summary, /no albumin \(4\.0 g\/dL assumed\) and no pH/);
+});
+
+test("standardBaseExcess — published Van Slyke forms", () => {
+  assertClose(standardBaseExcess(7.40, 24.4), 0, 1e-9, "normal point");
+  // CLSI C46-A2: cBase(Ecf) = 0.9287·(cHCO3 − 24.4 + 14.83·(pH − 7.40)) at Hb 15 g/dL
+  const clsi = (pH, hco3) => 0.9287 * (hco3 - 24.4 + 14.83 * (pH - 7.40));
+  [[7.10, 6], [7.40, 14], [7.25, 30], [7.55, 36]].forEach(([pH, hco3]) => {
+    assertClose(standardBaseExcess(pH, hco3, 15), clsi(pH, hco3), 0.01, "CLSI at pH " + pH + " / HCO3 " + hco3);
+  });
+  // Van Slyke coefficients 0.023 and 2.3·Hb + 7.7 at 3 mmol/L ECF Hb (Siggaard-Andersen 1977)
+  assertClose(standardBaseExcess(7.10, 6), 0.931 * (6 - 24.4 + 14.6 * -0.30), 1e-9, "default Hb");
+  // A lower Hb buffers less: at Hb 9 g/dL the pH slope is 2.3·1.86 + 7.7 = 11.98
+  assertClose(standardBaseExcess(7.55, 24.4, 9), 0.957 * 11.98 * 0.15, 0.01, "Hb 9 g/dL");
+  assert.ok(Number.isNaN(standardBaseExcess(NaN, 24)));
+});
+
+test("wholeBloodBufferBase — CLSI BE(B), Singer–Hastings buffer base and Hb share", () => {
+  const normal = wholeBloodBufferBase(7.40, 24.8, 15);
+  assertClose(normal.beB, 0, 1e-9, "BE(B) at the CLSI normal point");
+  assertClose(normal.normalBufferBase, 48.0, 1e-9, "NBB = 41.7 + 0.42 × 15");
+  assertClose(normal.bufferBase, 48.0, 1e-9, "BB");
+  assertClose(normal.hbMinus, 6.3, 1e-9, "Hb⁻ at pH 7.40");
+  const acid = wholeBloodBufferBase(7.20, 15, 15);
+  assertClose(acid.beB, -12.3477, 1e-4, "BE(B)");
+  assertClose(acid.bufferBase, 35.6523, 1e-4, "BB = NBB + BE(B)");
+  assertClose(acid.hbMinus, 2.01, 1e-9, "Hb⁻ titrated along 1.43 × Hb per pH unit");
+  assertClose(acid.plasmaBufferBase + acid.hbMinus, acid.bufferBase, 1e-9, "parts sum to BB");
+  assert.equal(wholeBloodBufferBase(6.90, 10, 15).hbMinus, 0, "floored at 0");
+  assert.ok(Number.isNaN(wholeBloodBufferBase(7.40, 24.4).bufferBase), "no Hb, no whole-blood terms");
+});
+
+test("wholeBloodCO2Content — Douglas equation and the Haldane effect", () => {
+  const arterial = wholeBloodCO2Content(7.40, 40, 24.4, 15);
+  assertClose(arterial.plasma, 25.6, 1e-9, "HCO3 + 0.03 × pCO2");
+  assertClose(arterial.blood, 20.4355, 1e-4, "whole blood, sO2 1");
+  assertClose(arterial.hbEffect, arterial.blood - arterial.plasma, 1e-12, "Hb effect");
+  const venous = wholeBloodCO2Content(7.40, 40, 24.4, 15, 0.7);
+  assertClose(venous.blood, 20.6685, 1e-4, "whole blood, sO2 0.7");
+  assert.ok(Number.isNaN(wholeBloodCO2Content(7.40, 40, 24.4).blood));
+});
+
+test("baseExcessPartition — Gilfix components sum to SBE", () => {
+  const p = baseExcessPartition({ sbe: -20, Na: 132, Cl: 96, albGperL: 40, lactate: 2, pH: 7.10 });
+  assertClose(p.freeWater, -2.4, 1e-9, "free water");
+  assertClose(p.chloride, 0.1818, 1e-4, "chloride");
+  assertClose(p.albumin, 0.4846, 1e-4, "albumin");
+  assertClose(p.lactate, -1, 1e-9, "lactate");
+  assertClose(p.unmeasured, -17.2664, 1e-4, "unmeasured anions");
+  assertClose(p.freeWater + p.chloride + p.albumin + p.lactate + p.unmeasured, -20, 1e-9, "sum");
+});
+
+test("baseExcessPartition — missing inputs leave the residual undefined", () => {
+  const p = baseExcessPartition({ sbe: -5, Na: NaN, Cl: 100, albGperL: 40, lactate: 1, pH: 7.4 });
+  assert.ok(Number.isNaN(p.chloride));
+  assert.ok(Number.isNaN(p.unmeasured));
+});
+
+test("temperature — 37 °C (or no temperature) leaves every model unchanged", () => {
+  assert.equal(hco3FromPHandPco2(7.40, 40, 37), hco3FromPHandPco2(7.40, 40));
+  assert.equal(albuminCharge(40, 7.40, 37), albuminCharge(40, 7.40));
+  assert.equal(phosphateCharge(1.0, 7.40, 37), phosphateCharge(1.0, 7.40));
+  assert.equal(co2Solubility(NaN), 0.03);
+  assert.equal(carbonicPK(37, 7.1), 6.1);
+  const same = temperatureCorrectBloodGas(7.40, 40, 37);
+  assert.equal(same.pH, 7.40);
+  assert.equal(same.pCO2, 40);
+  assert.equal(analyzerPHFromPatient(7.1, 37), 7.1);
+});
+
+test("temperature — pH-stat correction and constants at 33 °C", () => {
+  const t = temperatureCorrectBloodGas(7.40, 40, 33);
+  assertClose(t.pH, 7.4588, 1e-4, "pH(33)");
+  assertClose(t.pCO2, 33.578, 1e-3, "pCO2(33)");
+  assertClose(analyzerPHFromPatient(t.pH, 33), 7.40, 1e-12, "pH back to 37 °C");
+  assertClose(co2Solubility(33), 0.0326, 1e-6, "alpha(33)");
+  assertClose(carbonicPK(33, t.pH), 6.1186, 1e-4, "pK'(33)");
+  // Closed-sample cooling keeps HCO₃⁻ nearly constant
+  assertClose(hco3FromPHandPco2(t.pH, t.pCO2, 33), 23.9621, 1e-4, "HCO3(33)");
+  // Histidine pKa rises on cooling, so albumin carries less negative charge at a fixed pH
+  assertClose(albuminCharge(40, 7.40, 33), 10.7722, 1e-4, "Alb-(33)");
+  assertClose(phosphateCharge(1.0, 7.40, 33), 1.8437, 1e-4, "Pi-(33)");
+});
+
+test("carbonicPK — pH-dependent and ionic-strength models", () => {
+  assertClose(carbonicPK(37, 7.40, { model: "ph" }), 6.0907, 1e-4, "pK'(pH 7.40)");
+  assertClose(carbonicPK(37, 7.00, { model: "ph" }), 6.1081, 1e-4, "pK'(pH 7.00)");
+  // Normal plasma ionic strength reproduces the classic constant
+  assert.equal(carbonicPK(37, 7.40, { model: "ionic", ionicStrength: 0.15 }), 6.1);
+  assert.equal(carbonicPK(37, 7.40, { model: "ionic" }), 6.1, "no ionic strength → fixed");
+  assertClose(carbonicPK(37, 7.40, { model: "ionic", ionicStrength: 0.18 }), 6.0950, 1e-4, "pK'(I 0.18)");
+  assertClose(carbonicPK(37, 7.40, { model: "ionic", ionicStrength: 0.12 }), 6.1067, 1e-4, "pK'(I 0.12)");
+  assert.equal(carbonicPK(37, 7.40, { model: "unknown" }), 6.1);
+  assertClose(hco3FromPHandPco2(7.40, 40, 37, 6.0907), 24.4614, 1e-4, "HCO3 with explicit pK'");
+});
+
+test("plasmaIonicStrength — cations with divalent weighting", () => {
+  assertClose(plasmaIonicStrength({ Na: 140, K: 4, iCa: 1.2, iMg: 0.5 }), 0.1491, 1e-6, "I");
+  assertClose(plasmaIonicStrength({ Na: 140 }), 0.140, 1e-9, "Na only");
+  assert.ok(Number.isNaN(plasmaIonicStrength({ K: 4 })));
+});
+
+test("arterializeBloodGas — arterial and capillary samples pass through", () => {
+  const a = arterializeBloodGas(7.36, 46);
+  assert.equal(a.sampleType, "arterial");
+  assert.equal(a.conversion, "none");
+  assert.equal(a.pH, 7.36);
+  assert.equal(a.pCO2, 46);
+  const cap = arterializeBloodGas(7.36, 46, { sampleType: "capillary", conversion: "vtac" });
+  assert.equal(cap.conversion, "none", "no conversion for a non-venous sample");
+  assert.equal(cap.pH, 7.36);
+  const venous = arterializeBloodGas(7.36, 46, { sampleType: "venous" });
+  assert.equal(venous.conversion, "none", "conversion is opt-in");
+  assert.equal(venous.pCO2, 46);
+});
+
+test("arterializeBloodGas — fixed offsets for peripheral and central venous", () => {
+  const v = arterializeBloodGas(7.36, 46, { sampleType: "venous", conversion: "offsets" });
+  assertClose(v.pH, 7.393, 1e-12, "pH");
+  assertClose(v.pCO2, 41.6, 1e-12, "pCO2");
+  assert.equal(v.measuredPH, 7.36);
+  const c = arterializeBloodGas(7.36, 46, { sampleType: "central", conversion: "offsets" });
+  assertClose(c.pH, 7.39, 1e-12, "central pH");
+  assertClose(c.pCO2, 41, 1e-12, "central pCO2");
+});
+
+test("arterializeBloodGas — v-TAC golden values and its own constraints", () => {
+  const v = arterializeBloodGas(7.36, 46, { sampleType: "venous", conversion: "vtac", spO2: 0.97, svO2: 0.65, hbGdL: 14 });
+  assert.equal(v.conversion, "vtac");
+  assertClose(v.pH, 7.3960, 1e-4, "pH");
+  assertClose(v.pCO2, 38.915, 1e-3, "pCO2");
+  assert.equal(v.note, "");
+  // CO₂ removed at RQ 0.82 and BE(B) shifted by the Haldane effect only
+  const dO2 = 14 * 0.6206 * (0.97 - 0.65);
+  const hV = hco3FromPHandPco2(7.36, 46);
+  const hA = hco3FromPHandPco2(v.pH, v.pCO2);
+  assertClose(wholeBloodCO2Content(v.pH, v.pCO2, hA, 14, 0.97).blood,
+    wholeBloodCO2Content(7.36, 46, hV, 14, 0.65).blood - 0.82 * dO2, 1e-6, "ctCO2(B)");
+  assertClose(wholeBloodBufferBase(v.pH, hA, 14).beB, wholeBloodBufferBase(7.36, hV, 14).beB - 0.3 * dO2, 1e-6, "BE(B)");
+
+  const noHb = arterializeBloodGas(7.36, 46, { sampleType: "venous", conversion: "vtac", spO2: 0.97, svO2: 0.65 });
+  assertClose(noHb.pH, 7.3971, 1e-4, "pH with the default Hb");
+  assert.match(noHb.note, /15 g\/dL/);
+});
+
+test("arterializeBloodGas — v-TAC falls back to the measured values", () => {
+  const opts = { sampleType: "venous", conversion: "vtac" };
+  const missing = arterializeBloodGas(7.36, 46, opts);
+  assert.equal(missing.conversion, "none");
+  assert.equal(missing.pH, 7.36);
+  assert.match(missing.note, /needs SpO₂/);
+  const above = arterializeBloodGas(7.36, 46, Object.assign({ spO2: 0.6, svO2: 0.65 }, opts));
+  assert.equal(above.conversion, "none");
+  assert.match(above.note, /below SpO₂/);
+  assert.equal(arterializeBloodGas(NaN, 46, { sampleType: "venous", conversion: "offsets" }).conversion, "none");
+});
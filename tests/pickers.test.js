@@ -0,0 +1,51 @@
+/**
+ * pickers.test.js — The DOM-free helpers in js/pickers.js: free-entry
+ * formatting and the picker-range check behind the out-of-range
+ * warnings.
+ */
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts } = require("./loadScripts");
+
+const get = loadScripts(["units.js", "pickers.js"]);
+const PICKER_CONFIG = get("PICKER_CONFIG");
+const pickerRangeIssues = get("pickerRangeIssues");
+const formatPickerEntry = get("formatPickerEntry");
+const pickerEntrySI = get("pickerEntrySI");
+const siToDisplay = get("siToDisplay");
+
+const cfg = (id) => PICKER_CONFIG.find((c) => c.id === id);
+
+test("formatPickerEntry — keeps two decimals beyond the picker step", () => {
+  assert.equal(formatPickerEntry(cfg("na"), 138.25), "138.25");
+  assert.equal(formatPickerEntry(cfg("na"), 138.254), "138.25");
+  assert.equal(formatPickerEntry(cfg("k"), 4.1), "4.1");
+  assert.equal(formatPickerEntry(cfg("ph"), 7.3856), "7.3856");
+  assert.equal(formatPickerEntry(cfg("na"), NaN), "");
+});
+
+test("pickerEntrySI — unit round trips keep the typed value", () => {
+  const phos = cfg("phos");
+  let si = pickerEntrySI(phos, "3.52", "", "mgdl");
+  let text = "3.52";
+  for (const unit of ["si", "mgdl", "si", "mgdl"]) {
+    text = formatPickerEntry(phos, siToDisplay("phos", si, unit));
+    si = pickerEntrySI(phos, text, String(si), unit);
+  }
+  assert.equal(text, "3.52");
+  // A new value typed over the field wins over the stored one
+  assert.equal(pickerEntrySI(phos, "1.3", String(si), "si"), 1.3);
+  assert.ok(Number.isNaN(pickerEntrySI(phos, "", String(si), "si")));
+});
+
+test("pickerRangeIssues — values outside the picker range, in SI", () => {
+  const issues = pickerRangeIssues({ na: 105, k: 4, pco2: 210, lac: 18, phos: 1.1, ica: NaN });
+  assert.deepEqual(Array.from(issues, (i) => i.id), ["na", "lac", "pco2"]);
+  assert.deepEqual(JSON.parse(JSON.stringify(issues[0])), { id: "na", value: 105, min: 110, max: 160 });
+  assert.deepEqual(Array.from(pickerRangeIssues({ na: 110, lac: 10 })), [], "limits are inclusive");
+  assert.deepEqual(Array.from(pickerRangeIssues({ na: 105 }, [{ id: "na", min: 100, max: 170 }])), [],
+    "a lab profile's wider range");
+});
@@ -0,0 +1,72 @@
+/**
+ * plausibility.test.js — The plausibility and pre-analytical checks in
+ * js/plausibility.js, and their use as batch row issues.
+ */
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts } = require("./loadScripts");
+
+const get = loadScripts(["physiology.js", "weakAcids.js", "stewart.js", "units.js", "compute.js",
+  "plausibility.js", "batch.js"]);
+const computeStewart = get("computeStewart");
+const checkPlausibility = get("checkPlausibility");
+const analyzeBatch = get("analyzeBatch");
+
+const NORMAL = {
+  Na: 140, K: 4, iCa: 1.2, MgTotal: 0.75, Cl: 104, Lac: 1,
+  Alb: 4.2, Phos: 1, pH: 7.40, pCO2: 40,
+};
+
+/** IDs of the checks that fire for `NORMAL` with `changes`. */
+function ids(changes, limits) {
+  const inputs = Object.assign({}, NORMAL, changes);
+  return Array.from(checkPlausibility(inputs, computeStewart(inputs), limits), (c) => c.id);
+}
+
+test("checkPlausibility — a normal panel passes", () => {
+  assert.deepEqual(ids({}), []);
+});
+
+test("checkPlausibility — pH and pCO₂ outside the survivable range", () => {
+  assert.deepEqual(ids({ pH: 8.0, pCO2: 0 }), ["ph-range", "pco2-range"]);
+  assert.deepEqual(ids({ pH: 6.8, pCO2: 150 }), [], "limits are inclusive");
+  const [c] = checkPlausibility(Object.assign({}, NORMAL, { pH: 6.5 }), computeStewart(NORMAL));
+  assert.equal(c.level, "error");
+  assert.deepEqual(Array.from(c.fields), ["ph"]);
+});
+
+test("checkPlausibility — measured HCO₃⁻ against the gas", () => {
+  const gas = computeStewart(NORMAL).hco3FromGas;
+  assert.deepEqual(ids({ hco3Mode: "bmp", bmpHCO3: gas + 3.9 }), []);
+  assert.deepEqual(ids({ hco3Mode: "bmp", bmpHCO3: gas + 4.1 }), ["hco3-mismatch"]);
+  assert.deepEqual(ids({ hco3Mode: "gas", bmpHCO3: gas + 10 }), [], "ignored unless BMP mode is on");
+  assert.deepEqual(ids({ hco3Mode: "bmp", bmpHCO3: gas + 3 }, { hco3Gap: 2 }), ["hco3-mismatch"]);
+});
+
+test("checkPlausibility — Na⁺/Cl⁻, hemolysis and K₂EDTA patterns", () => {
+  assert.deepEqual(ids({ Na: 135, Cl: 120 }), ["na-cl"]);
+  assert.deepEqual(ids({ Na: 150, Cl: 90 }), ["na-cl"]);
+  assert.deepEqual(ids({ K: 6.8 }), ["hemolysis"]);
+  assert.deepEqual(ids({ K: 8.5, iCa: 0.5 }), ["edta"]);
+  assert.deepEqual(ids({ K: 8.5, iCa: NaN, caTotal: 1.2 }), ["edta"]);
+  const inputs = Object.assign({}, NORMAL, { K: 8.5, iCa: NaN, caTotal: 1.2 });
+  assert.deepEqual(Array.from(checkPlausibility(inputs, computeStewart(inputs))[0].fields), ["k", "tca"]);
+  assert.deepEqual(ids({ iCa: 0.5 }), [], "low calcium alone is not flagged");
+});
+
+test("checkPlausibility — fixed SIG that needs a negative HCO₃⁻", () => {
+  assert.deepEqual(ids({ hco3Mode: "fixed-sig", sigTarget: 10 }), []);
+  assert.deepEqual(ids({ hco3Mode: "fixed-sig", sigTarget: 40 }), ["fixed-sig-hco3"]);
+});
+
+test("analyzeBatch — plausibility findings become row issues", () => {
+  const csv = "id,Na,K,iCa,Mg,Cl,Lac,Alb,Phos,pH,pCO2\nok,140,4,1.2,0.75,104,1,4.2,1,7.40,40\n"
+    + "bad,140,7.2,1.2,0.75,104,1,4.2,1,7.40,40\n";
+  const batch = analyzeBatch(csv, {});
+  assert.deepEqual(Array.from(batch.rows[0].issues), []);
+  assert.equal(batch.rows[1].issues.length, 1);
+  assert.match(batch.rows[1].issues[0], /hemolysis/);
+});
@@ -0,0 +1,91 @@
+/**
+ * report.test.js — The minimal PDF writer in js/report.js (text
+ * encoding, drawing operators, cross-reference table) and the results
+ * table.  Building the report itself reads the DOM and is browser-only.
+ */
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts } = require("./loadScripts");
+
+const get = loadScripts(["physiology.js", "weakAcids.js", "stewart.js", "report.js"]);
+const computeStewart = get("computeStewart");
+const reportResultRows = get("reportResultRows");
+const pdfEncodeText = get("pdfEncodeText");
+const pdfColor = get("pdfColor");
+const createPdfPage = get("createPdfPage");
+const buildPdfDocument = get("buildPdfDocument");
+
+const hex = (s) => "<" + Buffer.from(s, "latin1").toString("hex") + ">";
+
+test("pdfEncodeText — WinAnsi hex with chemistry-friendly fallbacks", () => {
+  assert.equal(pdfEncodeText("Na+ 140"), hex("Na+ 140"));
+  assert.equal(pdfEncodeText("pCO₂ HCO₃⁻"), hex("pCO2 HCO3-"));
+  assert.equal(pdfEncodeText("37 °C"), hex("37 °C"));
+  assert.equal(pdfEncodeText("2003–2013 — x"), hex("2003\x962013 \x97 x"));
+  assert.equal(pdfEncodeText("ΔSIG ≥ 2"), hex("Delta SIG >= 2"));
+  assert.equal(pdfEncodeText("漢"), hex("?"));
+});
+
+test("pdfColor — hex, short hex and rgb() with a fallback", () => {
+  assert.equal(pdfColor("#ff0000"), "1.000 0.000 0.000");
+  assert.equal(pdfColor("#0f0"), "0.000 1.000 0.000");
+  assert.equal(pdfColor("rgb(0, 0, 255)"), "0.000 0.000 1.000");
+  assert.equal(pdfColor("var(--x)", "0.5 0.5 0.5"), "0.5 0.5 0.5");
+});
+
+test("createPdfPage — top-left coordinates are flipped to PDF space", () => {
+  const page = createPdfPage(100, 200);
+  page.text(10, 20, "A", { size: 10, bold: true });
+  page.rect(5, 10, 20, 30, { fill: "#000000" });
+  const ops = page.content().split("\n");
+  assert.match(ops[0], /\/F2 10 Tf 10 180 Td <41> Tj/);
+  assert.match(ops[1], /^0\.000 0\.000 0\.000 rg 5 160 20 30 re f$/);
+});
+
+test("createPdfPage.wrap — breaks long text and returns the next y", () => {
+  const page = createPdfPage(595, 842);
+  const y = page.wrap(0, 10, "word ".repeat(40), 100, { size: 10, leading: 12 });
+  const lines = page.content().split("\n").length;
+  assert.ok(lines > 1);
+  assert.equal(y, 10 + lines * 12);
+});
+
+test("buildPdfDocument — valid header, stream length and xref offsets", () => {
+  const page = createPdfPage(595.28, 841.89);
+  page.text(40, 40, "Report");
+  const pdf = buildPdfDocument(page, { title: "Test" });
+
+  assert.ok(pdf.startsWith("%PDF-1.4\n"));
+  assert.ok(pdf.endsWith("%%EOF\n"));
+
+  const startxref = Number(pdf.match(/startxref\n(\d+)/)[1]);
+  assert.equal(pdf.slice(startxref, startxref + 4), "xref");
+  const offsets = [...pdf.slice(startxref).matchAll(/(\d{10}) 00000 n /g)].map((m) => Number(m[1]));
+  assert.equal(offsets.length, 7);
+  offsets.forEach((offset, i) => assert.ok(pdf.startsWith((i + 1) + " 0 obj", offset)));
+
+  const length = Number(pdf.match(/\/Length (\d+)/)[1]);
+  const start = pdf.indexOf("stream\n") + "stream\n".length;
+  assert.equal(pdf.slice(start + length, start + length + 10), "\nendstream");
+  assert.ok(/^[\x00-\x7f]*$/.test(pdf), "document is pure ASCII");
+});
+
+test("reportResultRows — notes stay on the HCO₃⁻ and iMg rows", () => {
+  const inputs = {
+    Na: 140, K: 4, iCa: 1.2, MgTotal: 0.75, Cl: 104, Lac: 1,
+    Alb: 4.2, Phos: 1, pH: 7.40, pCO2: 40, Hb: 15,
+  };
+  const note = (rows, label) => rows.find((r) => r[0] === label)[2];
+  const rows = reportResultRows(computeStewart(inputs), inputs);
+  assert.match(note(rows, "HCO₃⁻"), /^from pH\/pCO₂, pK′ 6\.100$/);
+  assert.match(note(rows, "iMg (estimated)"), /confidence$/);
+  assert.equal(note(rows, "Atot"), "");
+
+  const bmp = Object.assign({}, inputs, { hco3Mode: "bmp", bmpHCO3: 22, MgTotal: NaN });
+  const bmpRows = reportResultRows(computeStewart(bmp), bmp);
+  assert.equal(note(bmpRows, "HCO₃⁻"), "measured (BMP)");
+  assert.equal(note(bmpRows, "iMg (estimated)"), "");
+});
@@ -0,0 +1,57 @@
+/**
+ * series.test.js — Ordering and trend recomputation for the time
+ * series in js/series.js (storage and rendering are browser-only).
+ */
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts } = require("./loadScripts");
+
+const get = loadScripts(["physiology.js", "weakAcids.js", "stewart.js", "series.js"]);
+const sortTimepoints = get("sortTimepoints");
+const seriesTrend = get("seriesTrend");
+const computeStewart = get("computeStewart");
+
+const PANEL = {
+  Na: 140, K: 4, iCa: 1.2, MgTotal: 0.75, Cl: 104, Lac: 1,
+  Alb: 4.0, Phos: 1.0, pH: 7.4, pCO2: 40,
+};
+
+test("sortTimepoints — chronological, undated entries last in entry order", () => {
+  const list = [
+    { id: "c", takenAt: "2026-03-02T06:00" },
+    { id: "x", takenAt: "" },
+    { id: "a", takenAt: "2026-03-01T08:00" },
+    { id: "y" },
+    { id: "b", takenAt: "2026-03-01T20:30" },
+  ];
+  assert.deepEqual(Array.from(sortTimepoints(list), (tp) => tp.id), ["a", "b", "c", "x", "y"]);
+});
+
+test("seriesTrend — recomputes each timepoint with computeStewart", () => {
+  const later = Object.assign({}, PANEL, { Cl: 112, Lac: 3.5, pH: 7.28 });
+  const rows = seriesTrend([
+    { id: "t2", takenAt: "2026-03-01T14:00", note: "after saline", inputs: later },
+    { id: "t1", takenAt: "2026-03-01T08:00", inputs: PANEL },
+  ]);
+  assert.deepEqual(Array.from(rows, (row) => row.id), ["t1", "t2"]);
+
+  const expected = computeStewart(later);
+  assert.equal(rows[1].sidA, expected.sidA);
+  assert.equal(rows[1].sig, expected.sig);
+  assert.equal(rows[1].ag, expected.ag);
+  assert.equal(rows[1].lactate, 3.5);
+  assert.equal(rows[1].pH, 7.28);
+  assert.equal(rows[1].note, "after saline");
+  assert.equal(rows[1].t - rows[0].t, 6 * 3600 * 1000);
+});
+
+test("seriesTrend — missing inputs give NaN lactate / pH and no time", () => {
+  const [row] = seriesTrend([{ id: "t", inputs: { Na: 140, Cl: 100 } }]);
+  assert.ok(Number.isNaN(row.lactate));
+  assert.ok(Number.isNaN(row.pH));
+  assert.ok(Number.isNaN(row.t));
+  assert.equal(row.sidA, 40);
+});
@@ -0,0 +1,354 @@
+/**
+ * stewart.test.js — Full-panel regression cases for `computeStewart()`.
+ *
+ * Each case runs a complete panel through the same engine the browser
+ * calls from `computeAll()` and compares every displayed quantity to
+ * golden values captured from the current implementation.
+ */
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts } = require("./loadScripts");
+
+const get = loadScripts(["physiology.js", "weakAcids.js", "stewart.js"]);
+const computeStewart = get("computeStewart");
+const compareStewart = get("compareStewart");
+const predictStewartPH = get("predictStewartPH");
+const hco3FromPHandPco2 = get("hco3FromPHandPco2");
+const agFormulaLabel = get("agFormulaLabel");
+const deltaGapAnalysis = get("deltaGapAnalysis");
+const wholeBloodGamblegram = get("wholeBloodGamblegram");
+
+const TOL = 1e-3;
+
+const NORMAL = {
+  Na: 140, K: 4, iCa: 1.2, MgTotal: 0.75, Cl: 104, Lac: 1,
+  Alb: 4.2, Phos: 1, pH: 7.40, pCO2: 40,
+};
+
+const CASES = [
+  {
+    name: "app defaults",
+    inputs: NORMAL,
+    expected: {
+      sidA: 42.468, sidE: 37.4972, sig: 4.9708, ag: 16.0569,
+      albMinus: 11.7079, piMinus: 1.8461, atot: 5.475, iMg: 0.534, HCO3: 23.9431,
+    },
+    hco3Source: "gas",
+  },
+  {
+    name: "diabetic ketoacidosis",
+    inputs: { Na: 132, K: 5.5, iCa: 1.1, MgTotal: 0.9, Cl: 96, Lac: 2.0, Alb: 4.0, Phos: 1.6, pH: 7.10, pCO2: 20 },
+    expected: {
+      sidA: 43.038, sidE: 18.3319, sig: 24.7061, ag: 35.5,
+      albMinus: 9.5581, piMinus: 2.7738, atot: 5.4144, iMg: 0.669, HCO3: 6,
+    },
+    hco3Source: "gas",
+  },
+  {
+    name: "hyperchloremic saline acidosis",
+    inputs: { Na: 141, K: 4, iCa: 1.15, MgTotal: 0.8, Cl: 118, Lac: 1, Alb: 3.8, Phos: 1, pH: 7.28, pCO2: 34 },
+    expected: {
+      sidA: 29.4628, sidE: 27.2577, sig: 2.2051, ag: 11.5617,
+      albMinus: 10.0128, piMinus: 1.8066, atot: 4.983, iMg: 0.5814, HCO3: 15.4383,
+    },
+    hco3Source: "gas",
+  },
+  {
+    name: "hypoalbuminemic alkalosis",
+    inputs: { Na: 138, K: 3.8, iCa: 1.1, MgTotal: 0.8, Cl: 100, Lac: 1.2, Alb: 1.8, Phos: 0.9, pH: 7.49, pCO2: 40 },
+    expected: {
+      sidA: 43.9124, sidE: 36.353, sig: 7.5594, ag: 12.3435,
+      albMinus: 5.2124, piMinus: 1.6841, atot: 2.4921, iMg: 0.5562, HCO3: 29.4565,
+    },
+    hco3Source: "gas",
+  },
+  {
+    name: "measured BMP HCO3",
+    inputs: Object.assign({}, NORMAL, { hco3Mode: "bmp", bmpHCO3: 22 }),
+    expected: { sidA: 42.468, sidE: 35.554, sig: 6.914, ag: 18, HCO3: 22 },
+    hco3Source: "bmp",
+  },
+  {
+    name: "fixed SIG target",
+    inputs: Object.assign({}, NORMAL, { Cl: 110, hco3Mode: "fixed-sig", sigTarget: 2 }),
+    expected: { sidA: 36.468, sidE: 34.468, sig: 2, ag: 13.086, HCO3: 20.914 },
+    hco3Source: "fixed-sig",
+  },
+  {
+    name: "additional strong ions",
+    inputs: Object.assign({}, NORMAL, {
+      extraIons: {
+        cations: [{ concentration: 1, charge: 1 }],
+        anions: [{ concentration: 2, charge: 2 }],
+      },
+    }),
+    expected: { sidA: 39.468, sidE: 37.4972, sig: 1.9708 },
+    hco3Source: "gas",
+  },
+];
+
+CASES.forEach((c) => {
+  test("computeStewart — " + c.name, () => {
+    const r = computeStewart(c.inputs);
+    Object.keys(c.expected).forEach((key) => {
+      assert.ok(
+        Math.abs(r[key] - c.expected[key]) <= TOL,
+        key + ": expected " + c.expected[key] + ", got " + r[key]
+      );
+    });
+    assert.equal(r.hco3Source, c.hco3Source);
+    assert.ok(Math.abs(r.sidA - r.sidE - r.sig) < 1e-9, "SIG = SIDa − SIDe");
+  });
+});
+
+test("computeStewart — AG formula variants", () => {
+  const withK = computeStewart(NORMAL);
+  assert.deepEqual(Object.assign({}, withK.agVariant), { includesK: true, albuminCorrected: false, normalAlbumin: 4.4 });
+  const noK = computeStewart(Object.assign({}, NORMAL, { agVariant: { includesK: false } }));
+  assert.ok(Math.abs(withK.ag - noK.ag - NORMAL.K) < 1e-9);
+  const corrected = computeStewart(Object.assign({}, NORMAL, {
+    agVariant: { includesK: false, albuminCorrected: true, normalAlbumin: 4.0 },
+  }));
+  assert.ok(Math.abs(corrected.ag - (noK.ag + 2.5 * (4.0 - NORMAL.Alb))) < 1e-9);
+  assert.equal(corrected.sig, withK.sig, "SIG does not depend on the AG formula");
+  assert.equal(agFormulaLabel(corrected.agVariant), "Na⁺ − Cl⁻ − HCO₃⁻ + 2.5 × (4 − Alb)");
+});
+
+test("computeStewart — AG without K⁺, albumin-corrected AG and delta ratio", () => {
+  const normal = computeStewart(NORMAL);
+  assert.ok(Math.abs(normal.ag - 16.0569) < TOL, "default AG unchanged");
+  assert.ok(Math.abs(normal.agNoK - 12.0569) < TOL);
+  assert.ok(Math.abs(normal.agCorrected - (normal.agWithK + 2.5 * (4.4 - 4.2))) < 1e-9);
+  assert.equal(normal.deltaDelta.band, null);
+  assert.match(normal.deltaDelta.label, /^Not applicable/);
+
+  const dka = computeStewart(CASES[1].inputs);
+  assert.ok(Math.abs(dka.agCorrected - 36.5) < 1e-9);
+  assert.ok(Math.abs(dka.deltaDelta.deltaRatio - 20.5 / 18) < 1e-9);
+  assert.equal(dka.deltaDelta.band, "high-ag");
+  assert.ok(Math.abs(dka.deltaDelta.deltaGap - 2.5) < 1e-9);
+
+  const custom = computeStewart(Object.assign({}, CASES[1].inputs, { deltaNormals: { ag: 12, hco3: 25 } }));
+  assert.ok(Math.abs(custom.deltaDelta.deltaRatio - 24.5 / 19) < 1e-9);
+});
+
+test("deltaGapAnalysis — bands are inclusive at their upper bound; reference limits", () => {
+  const band = (ag, hco3) => deltaGapAnalysis(ag, hco3, { ag: 12, hco3: 24 }).band;
+  assert.equal(band(16, 14), "normal-ag");         // 0.4
+  assert.equal(band(18, 14), "mixed");             // 0.6
+  assert.equal(band(20, 14), "mixed");             // 0.8
+  assert.equal(band(32, 14), "high-ag");           // 2.0
+  assert.equal(band(34, 14), "high-ag-alkalosis"); // 2.2
+  assert.equal(band(12, 14), null, "AG not raised");
+  assert.equal(band(20, 24), null, "HCO3 not low");
+  assert.equal(band(20, NaN), null);
+  const limits = { ag: 12, hco3: 24, agMax: 16, hco3Min: 22 };
+  assert.equal(deltaGapAnalysis(15, 14, limits).band, null, "AG within its range");
+  assert.equal(deltaGapAnalysis(20, 23, limits).band, null, "HCO3 within its range");
+  assert.equal(deltaGapAnalysis(20, 14, limits).band, "mixed");
+});
+
+test("computeStewart — iCa estimated from total Ca when iCa is missing", () => {
+  const total = Object.assign({}, NORMAL, { iCa: NaN, caTotal: 2.35 });
+  const r = computeStewart(total);
+  assert.equal(r.iCaSource, "estimated");
+  assert.equal(r.iCaFormula, "payne");
+  assert.ok(Math.abs(r.iCa - 1.1781) < 1e-9);
+  const same = computeStewart(Object.assign({}, NORMAL, { iCa: r.iCa }));
+  assert.ok(Math.abs(r.sidA - same.sidA) < 1e-12);
+  assert.equal(r.gamblegram.iCa, 2 * r.iCa);
+  assert.equal(r.iCaConfidence.levelKey, "high");
+
+  const mh = computeStewart(Object.assign({}, total, { iCaFormula: "mclean-hastings" }));
+  assert.equal(mh.iCaFormula, "mclean-hastings");
+  assert.ok(mh.sidA < r.sidA);
+
+  const measured = computeStewart(Object.assign({}, NORMAL, { caTotal: 2.35 }));
+  assert.equal(measured.iCaSource, "measured");
+  assert.equal(measured.iCa, 1.2);
+  assert.ok(Math.abs(measured.iCaEstimated - 1.1781) < 1e-9);
+  assert.equal(computeStewart({ Na: 140, Cl: 100 }).iCaSource, "none");
+});
+
+test("computeStewart — fixed SIG without a target freezes the current SIG", () => {
+  const free = computeStewart(NORMAL);
+  const fixed = computeStewart(Object.assign({}, NORMAL, { hco3Mode: "fixed-sig" }));
+  assert.ok(Math.abs(fixed.sigTarget - free.sig) < 1e-9);
+  assert.ok(Math.abs(fixed.HCO3 - free.HCO3) < 1e-9);
+});
+
+test("computeStewart — Gamblegram segments carry divalent charge and rounded SIG", () => {
+  const r = computeStewart(NORMAL);
+  assert.equal(r.gamblegram.iCa, 2.4);
+  assert.ok(Math.abs(r.gamblegram.Mg_mmol - 2 * r.iMg) < 1e-12);
+  assert.equal(r.gamblegram.sig, 5.0);
+  assert.equal(r.gamblegram.HCO3, r.HCO3);
+});
+
+test("computeStewart — blank inputs contribute zero, as in the UI", () => {
+  const r = computeStewart({ Na: 140, Cl: 100 });
+  assert.equal(r.sidA, 40);
+  assert.equal(r.albMinus, 0);
+  assert.equal(r.piMinus, 0);
+  assert.equal(r.hco3Source, "none");
+  assert.equal(r.sig, 40);
+});
+
+test("computeStewart — Van Slyke SBE, measured discrepancy and partition", () => {
+  const r = computeStewart({
+    Na: 132, K: 5.5, iCa: 1.1, MgTotal: 0.9, Cl: 96, Lac: 2.0, Alb: 4.0, Phos: 1.6,
+    pH: 7.10, pCO2: 20, Hb: 12, measuredSBE: -21,
+  });
+  assert.ok(Math.abs(r.sbe - -21.1426) < TOL, "sbe " + r.sbe);
+  assert.ok(Math.abs(r.sbeDiscrepancy - 0.1426) < TOL, "discrepancy " + r.sbeDiscrepancy);
+  assert.ok(Math.abs(r.bePartition.unmeasured - -18.409) < TOL, "unmeasured " + r.bePartition.unmeasured);
+
+  const noMeasured = computeStewart(NORMAL);
+  assert.ok(Number.isNaN(noMeasured.sbeMeasured));
+  assert.ok(Number.isNaN(noMeasured.sbeDiscrepancy));
+});
+
+test("computeStewart — whole-blood terms need Hb and leave the plasma Gamblegram alone", () => {
+  const plasmaOnly = computeStewart(NORMAL);
+  assert.ok(Number.isNaN(plasmaOnly.wholeBlood.bufferBase));
+  assert.equal(wholeBloodGamblegram(plasmaOnly).hbMinus, 0);
+
+  const r = computeStewart(Object.assign({}, NORMAL, { Hb: 15 }));
+  const wb = r.wholeBlood;
+  assert.ok(Math.abs(wb.beB - -0.6769) < TOL, "BE(B) " + wb.beB);
+  assert.ok(Math.abs(wb.bufferBase - (48 + wb.beB)) < 1e-9);
+  assert.ok(Math.abs(wb.hbMinus - 6.3) < 1e-9, "Hb⁻ " + wb.hbMinus);
+  assert.ok(Math.abs(wb.ctCO2Plasma - (r.HCO3 + 1.2)) < 1e-9);
+  assert.ok(wb.ctCO2Blood < wb.ctCO2Plasma);
+  assert.equal(r.sig, plasmaOnly.sig, "Hb does not enter the plasma SIG");
+
+  const vals = wholeBloodGamblegram(r);
+  assert.equal(vals.hbMinus, wb.hbMinus);
+  assert.equal(vals.sig, r.gamblegram.sig);
+  assert.equal(r.gamblegram.hbMinus, undefined, "plasma values are not modified");
+});
+
+test("compareStewart — deltas are current minus baseline", () => {
+  const baseline = computeStewart(NORMAL);
+  const current = computeStewart(Object.assign({}, NORMAL, { Cl: 112 }));
+  const d = compareStewart(baseline, current);
+  assert.equal(d.Na, 0);
+  assert.equal(d.Cl, 8);
+  assert.ok(Math.abs(d.sidA - -8) < 1e-9);
+  assert.ok(Math.abs(d.sidE) < 1e-9);
+  assert.ok(Math.abs(d.sig - -8) < 1e-9);
+
+  const blank = compareStewart(baseline, computeStewart({ Cl: 100 }));
+  assert.ok(Number.isNaN(blank.Na));
+});
+
+test("computeStewart — temperature strategies", () => {
+  const cold = Object.assign({}, NORMAL, { tempC: 33 });
+  const alpha = computeStewart(cold);
+  const base = computeStewart(NORMAL);
+  assert.equal(alpha.temperature.mode, "alpha-stat");
+  assert.equal(alpha.temperature.modelTempC, 37);
+  assert.equal(alpha.sig, base.sig, "alpha-stat uses the 37 °C values");
+  assert.ok(Math.abs(alpha.temperature.pH - 7.4588) < TOL, "corrected pH is still reported");
+
+  const ph = computeStewart(Object.assign({}, cold, { tempMode: "ph-stat" }));
+  assert.equal(ph.temperature.modelTempC, 33);
+  assert.ok(Math.abs(ph.HCO3 - 23.9621) < TOL, "HCO3 " + ph.HCO3);
+  assert.ok(Math.abs(ph.albMinus - 11.6165) < TOL, "Alb- " + ph.albMinus);
+  assert.ok(Math.abs(ph.piMinus - 1.8607) < TOL, "Pi- " + ph.piMinus);
+  assert.equal(ph.sidA, base.sidA, "strong ions are temperature-independent");
+  assert.equal(ph.sbe, base.sbe, "SBE is defined at 37 °C");
+});
+
+test("computeStewart — a converted venous gas drives HCO3 and the weak acids", () => {
+  const venous = Object.assign({}, NORMAL, { pH: 7.36, pCO2: 46 });
+  const asMeasured = computeStewart(Object.assign({ sampleType: "venous" }, venous));
+  assert.equal(asMeasured.sig, computeStewart(venous).sig, "no conversion unless one is chosen");
+  assert.equal(asMeasured.sample.sampleType, "venous");
+  assert.equal(asMeasured.sample.conversion, "none");
+
+  const converted = computeStewart(Object.assign({ sampleType: "venous", sampleConversion: "offsets" }, venous));
+  const arterial = computeStewart(Object.assign({}, NORMAL, { pH: 7.36 + 0.033, pCO2: 46 - 4.4 }));
+  assert.equal(converted.sample.conversion, "offsets");
+  assert.equal(converted.sample.measuredPH, 7.36);
+  assert.ok(Math.abs(converted.hco3FromGas - arterial.hco3FromGas) < 1e-9, "HCO3 from the arterial estimate");
+  assert.ok(Math.abs(converted.albMinus - arterial.albMinus) < 1e-9, "Alb- at the arterial pH");
+  assert.ok(Math.abs(converted.sig - arterial.sig) < 1e-9, "SIG");
+  assert.equal(converted.temperature.pH37, converted.sample.pH);
+  assert.equal(computeStewart(NORMAL).sample.sampleType, "arterial");
+});
+
+test("computeStewart — carbonic pK′ models and their HCO3 / SIG comparison", () => {
+  const base = computeStewart(NORMAL);
+  assert.equal(base.pkModel, "fixed");
+  assert.equal(base.pK, 6.1);
+  assert.deepEqual(Array.from(base.pkComparison, (row) => row.model), ["fixed", "ph", "ionic"]);
+  assert.equal(base.pkComparison[0].sig, base.sig, "the selected row matches the headline SIG");
+
+  // At alkalaemic pH the fixed pK′ understates HCO3 and overstates SIG
+  const alkalotic = Object.assign({}, NORMAL, { pH: 7.70, pCO2: 25 });
+  const fixed = computeStewart(alkalotic);
+  const ph = computeStewart(Object.assign({}, alkalotic, { pkModel: "ph" }));
+  assert.ok(Math.abs(ph.pK - 6.0777) < TOL, "pK' " + ph.pK);
+  assert.ok(ph.HCO3 - fixed.HCO3 > 1.5, "HCO3 moves by " + (ph.HCO3 - fixed.HCO3));
+  assert.ok(Math.abs(ph.sig - fixed.pkComparison[1].sig) < 1e-9);
+  assert.equal(ph.sidA, fixed.sidA);
+
+  const ionic = computeStewart(Object.assign({}, NORMAL, { Na: 165, Cl: 130, pkModel: "ionic" }));
+  assert.ok(ionic.ionicStrength > 0.17);
+  assert.ok(ionic.pK < 6.1, "higher ionic strength lowers pK' " + ionic.pK);
+
+  const bmp = computeStewart(Object.assign({}, NORMAL, { hco3Mode: "bmp", bmpHCO3: 22 }));
+  assert.equal(bmp.pkComparison.length, 0, "no comparison when HCO3 is measured");
+});
+
+test("computeStewart — weak-acid model changes Alb-/Phos- and SIG, not SIDa", () => {
+  const base = computeStewart(NORMAL);
+  assert.equal(base.weakAcidModel, "figge-v3");
+  assert.equal(base.weakAcidTerms.phosphate, "Triprotic (Sendroy–Hastings)");
+
+  const linear = computeStewart(Object.assign({}, NORMAL, { weakAcidModel: "figge-linear" }));
+  assert.ok(Math.abs(linear.albMinus - 42 * (0.123 * 7.40 - 0.631)) < 1e-9);
+  assert.equal(linear.sidA, base.sidA);
+  assert.ok(Math.abs(linear.sig - (linear.sidA - linear.HCO3 - linear.albMinus - linear.piMinus)) < 1e-9);
+
+  const sc = computeStewart(Object.assign({}, NORMAL, { weakAcidModel: "staempfli-constable" }));
+  assert.equal(sc.piMinus, 0);
+  assert.ok(sc.sig < base.sig - 3, "a larger Atot leaves a smaller gap: " + sc.sig);
+  assert.equal(sc.gamblegram.albMinus, sc.albMinus);
+  assert.ok(Math.abs(sc.atot - 24.1 * NORMAL.Alb * 10 / 42) < 1e-9, "Atot follows the model: " + sc.atot);
+  assert.ok(Math.abs(base.atot - (0.123 * NORMAL.Alb * 10 + 0.309 * NORMAL.Phos)) < 1e-9);
+
+  assert.equal(computeStewart(Object.assign({}, NORMAL, { weakAcidModel: "nope" })).sig, base.sig);
+});
+
+test("predictStewartPH — forward solver reproduces the panel and answers what-ifs", () => {
+  const same = predictStewartPH(NORMAL, {});
+  assert.equal(same.converged, true);
+  assert.ok(Math.abs(same.pH - NORMAL.pH) < 0.003, "round trip " + same.pH);
+  // HCO3 solved together with pH still satisfies Henderson–Hasselbalch
+  assert.ok(Math.abs(same.HCO3 - hco3FromPHandPco2(same.pH, 40)) < 1e-6);
+
+  const drop = predictStewartPH(NORMAL, { dSid: -10 });
+  assert.ok(Math.abs(drop.pH - 7.199) < TOL, "SID −10 → " + drop.pH);
+  assert.ok(Math.abs(drop.HCO3 - 15.08) < 0.01);
+  assert.ok(drop.dPH < -0.19);
+  assert.equal(same.dPH, 0);
+
+  // SIDe from a BMP HCO3 moves the solver's pH, not the change it reports
+  const bmp = Object.assign({}, NORMAL, { hco3Mode: "bmp", bmpHCO3: 18 });
+  const bmpSame = predictStewartPH(bmp, {});
+  assert.ok(Math.abs(bmpSame.baselinePH - NORMAL.pH) > 0.05);
+  assert.equal(bmpSame.dPH, 0);
+  assert.ok(predictStewartPH(bmp, { dSid: -10 }).dPH < -0.1);
+
+  assert.ok(predictStewartPH(NORMAL, { basis: "sida" }).pH > same.pH, "SIDa ignores unmeasured anions");
+  assert.ok(predictStewartPH(NORMAL, { pCO2: 20 }).pH > 7.6);
+
+  const none = predictStewartPH(NORMAL, { dSid: -80 });
+  assert.equal(none.converged, false);
+  assert.ok(Number.isNaN(none.pH));
+});
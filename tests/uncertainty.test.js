@@ -0,0 +1,101 @@
+/**
+ * uncertainty.test.js — Propagation of analytic CVs to SIDa, SIDe and
+ * SIG in js/uncertainty.js: the linear terms, agreement with a Monte
+ * Carlo run, the mode-dependent inputs and the range verdict.
+ */
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts } = require("./loadScripts");
+
+const get = loadScripts(["physiology.js", "weakAcids.js", "stewart.js", "labProfiles.js", "uncertainty.js"]);
+const computeStewart = get("computeStewart");
+const propagateUncertainty = get("propagateUncertainty");
+const uncertaintyRangeVerdict = get("uncertaintyRangeVerdict");
+const labProfileAnalyticCVs = get("labProfileAnalyticCVs");
+
+const NORMAL = {
+  Na: 140, K: 4, iCa: 1.2, MgTotal: 0.75, Cl: 104, Lac: 1,
+  Alb: 4.2, Phos: 1, pH: 7.40, pCO2: 40,
+};
+
+function assertClose(actual, expected, tol, label) {
+  assert.ok(
+    Math.abs(actual - expected) <= tol,
+    (label || "value") + ": expected " + expected + " ± " + tol + ", got " + actual
+  );
+}
+
+test("propagateUncertainty — Na⁺ and Cl⁻ move SIDa and SIG one for one", () => {
+  const u = propagateUncertainty(NORMAL, { na: 1, cl: 1 });
+  assert.equal(u.contributions.length, 2);
+  const [na, cl] = u.contributions;
+  assert.equal(na.key, "Na");
+  assertClose(na.effects.sidA, 1.4, 1e-9, "Na → SIDa");
+  assertClose(na.effects.sig, 1.4, 1e-9, "Na → SIG");
+  assertClose(na.effects.sidE, 0, 1e-9, "Na → SIDe");
+  assertClose(cl.effects.sig, -1.04, 1e-9, "Cl → SIG");
+  assertClose(u.outputs.sig.sd, Math.hypot(1.4, 1.04), 1e-9, "SD");
+  assertClose(u.outputs.sig.high - u.outputs.sig.value, 1.96 * u.outputs.sig.sd, 1e-9, "95 % half-width");
+  assertClose(na.share + cl.share, 1, 1e-12, "variance shares");
+  assertClose(na.plus - na.minus, 2.8, 1e-9, "tornado span");
+});
+
+test("propagateUncertainty — default CVs agree with a Monte Carlo run", () => {
+  const cvs = labProfileAnalyticCVs();
+  const u = propagateUncertainty(NORMAL, cvs);
+  assert.equal(u.contributions[0].key, "Na", "Na⁺ dominates the SIG error");
+  assertClose(u.outputs.sig.value, computeStewart(NORMAL).sig, 1e-12, "centre");
+
+  // Park–Miller generator and Box–Muller, so the run is reproducible
+  let seed = 12345;
+  const uniform = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+  const normal = () => Math.sqrt(-2 * Math.log(uniform())) * Math.cos(2 * Math.PI * uniform());
+  const N = 1500;
+  const samples = { sidA: [], sidE: [], sig: [] };
+  for (let i = 0; i < N; i++) {
+    const p = Object.assign({}, NORMAL);
+    u.contributions.forEach((c) => { p[c.key] = c.value + c.sd * normal(); });
+    const r = computeStewart(p);
+    Object.keys(samples).forEach((k) => samples[k].push(r[k]));
+  }
+  Object.keys(samples).forEach((k) => {
+    const xs = samples[k];
+    const mean = xs.reduce((s, x) => s + x, 0) / N;
+    const sd = Math.sqrt(xs.reduce((s, x) => s + (x - mean) * (x - mean), 0) / (N - 1));
+    assertClose(sd / u.outputs[k].sd, 1, 0.08, k + " SD ratio");
+  });
+});
+
+test("propagateUncertainty — inputs follow the HCO₃⁻ and calcium modes", () => {
+  const cvs = labProfileAnalyticCVs();
+  const u = (inputs) => propagateUncertainty(inputs, cvs);
+  const keys = (inputs) => u(inputs).contributions.map((c) => c.key).sort().join(",");
+
+  assert.ok(!keys(NORMAL).includes("bmpHCO3"));
+  assert.ok(keys(Object.assign({}, NORMAL, { hco3Mode: "bmp", bmpHCO3: 24 })).includes("bmpHCO3"));
+
+  const totalCa = Object.assign({}, NORMAL, { iCa: NaN, caTotal: 2.35 });
+  assert.ok(keys(totalCa).includes("caTotal"));
+  assert.ok(!keys(totalCa).includes("iCa"));
+  assert.ok(!keys(Object.assign({}, NORMAL, { caTotal: 2.35 })).includes("caTotal"), "measured iCa wins");
+
+  const fixed = u(Object.assign({}, NORMAL, { hco3Mode: "fixed-sig" }));
+  assertClose(fixed.outputs.sig.sd, 0, 1e-9, "fixed SIG");
+  assertClose(fixed.outputs.sidE.sd, fixed.outputs.sidA.sd, 1e-9, "SIDe follows SIDa");
+
+  const empty = propagateUncertainty({}, cvs);
+  assert.equal(empty.contributions.length, 0);
+  assert.equal(empty.outputs.sig.sd, 0);
+});
+
+test("uncertaintyRangeVerdict — interval against the normal range", () => {
+  const range = { min: 0, max: 6 };
+  assert.equal(uncertaintyRangeVerdict({ low: 1, high: 5 }, range), "inside");
+  assert.equal(uncertaintyRangeVerdict({ low: 4.2, high: 10.4 }, range), "overlaps");
+  assert.equal(uncertaintyRangeVerdict({ low: 6.5, high: 9 }, range), "above");
+  assert.equal(uncertaintyRangeVerdict({ low: -4, high: -1 }, range), "below");
+  assert.equal(uncertaintyRangeVerdict({ low: NaN, high: NaN }, range), "none");
+});
@@ -0,0 +1,95 @@
+/**
+ * weakAcids.test.js — The weak-acid model registry in js/weakAcids.js:
+ * the built-in models against golden values and the published linear
+ * equations, fallback to the default model, and registering a model.
+ */
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts } = require("./loadScripts");
+
+const get = loadScripts(["physiology.js", "weakAcids.js"]);
+const weakAcidCharges = get("weakAcidCharges");
+const registerWeakAcidModel = get("registerWeakAcidModel");
+const getWeakAcidModel = get("getWeakAcidModel");
+const albuminCharge = get("albuminCharge");
+const phosphateCharge = get("phosphateCharge");
+const WEAK_ACID_MODELS = get("WEAK_ACID_MODELS");
+
+function assertClose(actual, expected, tol, label) {
+  assert.ok(
+    Math.abs(actual - expected) <= tol,
+    (label || "value") + ": expected " + expected + " ± " + tol + ", got " + actual
+  );
+}
+
+test("registry — built-in models in display order, default first", () => {
+  assert.deepEqual(Object.keys(WEAK_ACID_MODELS).slice(0, 5),
+    ["figge-v3", "figge-1992", "figge-linear", "watson", "staempfli-constable"]);
+  assert.equal(getWeakAcidModel("unknown").id, "figge-v3");
+  assert.equal(weakAcidCharges(undefined, 42, 1, 7.40).model, "figge-v3");
+});
+
+test("figge-v3 — identical to albuminCharge / phosphateCharge, including temperature", () => {
+  const r = weakAcidCharges("figge-v3", 42, 1.0, 7.40);
+  assert.equal(r.albMinus, albuminCharge(42, 7.40));
+  assert.equal(r.piMinus, phosphateCharge(1.0, 7.40));
+  assert.equal(weakAcidCharges("figge-v3", 42, 1.0, 7.40, 33).albMinus, albuminCharge(42, 7.40, 33));
+});
+
+test("figge-1992 — residue model without the N→B transition", () => {
+  const r = weakAcidCharges("figge-1992", 42, 1.0, 7.40);
+  assertClose(r.albMinus, 11.2556, 1e-4, "Alb-");
+  assert.equal(r.piMinus, phosphateCharge(1.0, 7.40));
+  assert.ok(r.albMinus < albuminCharge(42, 7.40), "domain-1 His keep their higher pKa");
+});
+
+test("linear models — published equations", () => {
+  const figge = weakAcidCharges("figge-linear", 42, 1.0, 7.40);
+  assertClose(figge.albMinus, 42 * (0.123 * 7.40 - 0.631), 1e-12, "Figge Alb-");
+  assertClose(figge.piMinus, 0.309 * 7.40 - 0.469, 1e-12, "Figge Phos-");
+  const watson = weakAcidCharges("watson", 42, 1.0, 7.10);
+  assertClose(watson.albMinus, 9.6533, 1e-4, "Watson Alb-");
+  assertClose(watson.piMinus, 1.7249, 1e-4, "Watson Phos-");
+  assertClose(figge.atot, 0.123 * 42 + 0.309, 1e-12, "Figge Atot");
+  assertClose(watson.atot, 0.1204 * 42 + 0.309, 1e-12, "Watson Atot");
+  // Linear models ignore temperature; pH-stat reaches them only through pH
+  assert.equal(weakAcidCharges("watson", 42, 1.0, 7.40, 30).albMinus,
+    weakAcidCharges("watson", 42, 1.0, 7.40).albMinus);
+});
+
+test("staempfli-constable — one weak acid that already includes phosphate", () => {
+  const r = weakAcidCharges("staempfli-constable", 42, 1.0, 7.40);
+  assertClose(r.albMinus, 24.1 / (1 + Math.pow(10, 6.98 - 7.40)), 1e-12, "A-");
+  assertClose(r.albMinus, 17.4614, 1e-4, "A- golden");
+  assert.equal(r.piMinus, 0);
+  assert.equal(r.phosphateTerm, "Included in Atot");
+  assertClose(r.atot, 24.1, 1e-12, "Atot at normal albumin");
+  assertClose(weakAcidCharges("staempfli-constable", 21, 2.0, 7.40).atot, 12.05, 1e-12, "no phosphate term");
+});
+
+test("weakAcidCharges — missing albumin, phosphate or pH contribute zero", () => {
+  assert.equal(weakAcidCharges("figge-v3", NaN, 1.0, 7.40).albMinus, 0);
+  assert.equal(weakAcidCharges("watson", 42, NaN, 7.40).piMinus, 0);
+  const noPH = weakAcidCharges("figge-linear", 42, 1.0, NaN);
+  assert.equal(noPH.albMinus, 0);
+  assert.equal(noPH.piMinus, 0);
+});
+
+test("registerWeakAcidModel — adds a selectable model and rejects incomplete ones", () => {
+  assert.equal(registerWeakAcidModel("constant", {
+    label: "Constant",
+    albuminTerm: "12",
+    phosphateTerm: "2",
+    albumin: () => 12,
+    phosphate: () => 2,
+  }), true);
+  const r = weakAcidCharges("constant", 42, 1.0, 7.40);
+  assert.equal(r.model, "constant");
+  assert.equal(r.albMinus + r.piMinus, 14);
+  assertClose(r.atot, 0.123 * 42 + 0.309, 1e-12, "Atot defaults to the linear Figge form");
+  assert.equal(registerWeakAcidModel("broken", { albumin: () => 0 }), false);
+  assert.equal(getWeakAcidModel("broken").id, "figge-v3");
+});